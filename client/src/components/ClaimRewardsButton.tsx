@@ -2,6 +2,7 @@ import { useState } from 'react';
 import { Button } from '@/components/ui/button';
 import { useToast } from '@/hooks/use-toast';
 import { Loader2, Coins, AlertCircle } from 'lucide-react';
+import type { TokenAmount } from '@/lib/token-amount';
 
 interface ClaimRewardsButtonProps {
   userAddress: string;
@@ -54,6 +55,7 @@ export function ClaimRewardsButton({
       }
 
       const { signature } = signatureData;
+      const signedAmount: TokenAmount = signatureData.amount;
 
       // Step 2: Request account access
       await window.ethereum.request({ method: 'eth_requestAccounts' });
@@ -62,7 +64,7 @@ export function ClaimRewardsButton({
       const contractAddress = "0xe5771357399D58aC79A5b1161e8C363bB178B22b";
       
       // Encode simplified claimRewards(totalRewardBalance, signature) function call
-      const amountWei = BigInt(Math.floor(claimableAmount * 1e18)).toString(16).padStart(64, '0');
+      const amountWei = BigInt(signedAmount.raw).toString(16).padStart(64, '0');
       const signatureFormatted = signature.slice(2); // Remove 0x prefix
       
       const claimData = '0x' + 
@@ -0,0 +1,247 @@
+import { useState } from "react";
+import { useMutation, useQuery } from "@tanstack/react-query";
+import { apiRequest, queryClient } from "@/lib/queryClient";
+import { useToast } from "@/hooks/use-toast";
+import { ADMIN_ROLES, ROLE_PERMISSIONS, type AdminRole } from "@shared/admin-roles";
+
+interface AdminWallet {
+  id: number;
+  address: string;
+  label: string | null;
+  role: AdminRole;
+  addedBy: string;
+  createdAt: string;
+  revokedBy: string | null;
+  revokedAt: string | null;
+}
+
+interface AdminSession {
+  id: number;
+  address: string;
+  requestIp: string | null;
+  userAgent: string | null;
+  expiresAt: string;
+  lastSeenAt: string;
+  createdAt: string;
+  current: boolean;
+}
+
+export function AdminAccessPanel() {
+  const { toast } = useToast();
+  const [newWallet, setNewWallet] = useState<{ address: string; label: string; role: AdminRole }>({ address: '', label: '', role: 'viewer' });
+
+  const { data: walletsData, isLoading } = useQuery<{ success: boolean; wallets: AdminWallet[] }>({
+    queryKey: ['/api/admin/wallets']
+  });
+  const { data: sessionsData } = useQuery<{ success: boolean; sessions: AdminSession[] }>({
+    queryKey: ['/api/admin/sessions']
+  });
+  const activeWallets = (walletsData?.wallets || []).filter(wallet => !wallet.revokedAt);
+  const removedWallets = (walletsData?.wallets || []).filter(wallet => wallet.revokedAt);
+  const sessions = sessionsData?.sessions || [];
+  const superadminCount = activeWallets.filter(wallet => wallet.role === 'superadmin').length;
+  const isLastSuperadmin = (wallet: AdminWallet) => wallet.role === 'superadmin' && superadminCount === 1;
+
+  const onSaved = (title: string, description: string) => {
+    queryClient.invalidateQueries({ queryKey: ['/api/admin/wallets'] });
+    queryClient.invalidateQueries({ queryKey: ['/api/admin/sessions'] });
+    queryClient.invalidateQueries({ queryKey: ['/api/admin/operations'] });
+    toast({
+      title,
+      description,
+      className: "bg-green-900/90 border-green-400 text-green-100",
+    });
+  };
+
+  const onFailed = (title: string) => (error: Error) => {
+    toast({
+      title,
+      description: error.message,
+      variant: "destructive",
+      className: "bg-red-900/90 border-red-400 text-red-100",
+    });
+  };
+
+  const addMutation = useMutation({
+    mutationFn: (wallet: { address: string; label: string; role: AdminRole }) => apiRequest('/api/admin/wallets', {
+      method: 'POST',
+      data: { address: wallet.address.trim(), label: wallet.label.trim() || undefined, role: wallet.role }
+    }),
+    onSuccess: (_result: any, wallet) => {
+      setNewWallet({ address: '', label: '', role: 'viewer' });
+      onSaved("[ADMIN_WALLET_ADDED]", `${wallet.address} can now sign in as ${wallet.role}`);
+    },
+    onError: onFailed("[ADMIN_WALLET_ADD_FAILED]")
+  });
+
+  const roleMutation = useMutation({
+    mutationFn: ({ address, role }: { address: string; role: AdminRole }) => apiRequest(`/api/admin/wallets/${address}/role`, {
+      method: 'PUT',
+      data: { role }
+    }),
+    onSuccess: (_result: any, { address, role }) => {
+      // The own role may have changed, so the panel re-checks what it shows
+      queryClient.invalidateQueries({ queryKey: ['/api/admin/session'] });
+      onSaved("[ADMIN_ROLE_CHANGED]", `${address} is now ${role}`);
+    },
+    onError: onFailed("[ADMIN_ROLE_CHANGE_FAILED]")
+  });
+
+  const removeMutation = useMutation({
+    mutationFn: (address: string) => apiRequest(`/api/admin/wallets/${address}`, { method: 'DELETE' }),
+    onSuccess: (result: any, address) => onSaved("[ADMIN_WALLET_REMOVED]", `${address} removed, ${result.revokedSessions} sessions ended`),
+    onError: onFailed("[ADMIN_WALLET_REMOVE_FAILED]")
+  });
+
+  const revokeMutation = useMutation({
+    mutationFn: (session: AdminSession) => apiRequest(`/api/admin/sessions/${session.id}`, { method: 'DELETE' }),
+    onSuccess: (_result: any, session) => {
+      if (session.current) {
+        window.location.reload();
+        return;
+      }
+      onSaved("[SESSION_REVOKED]", `Session #${session.id} of ${session.address} ended`);
+    },
+    onError: onFailed("[SESSION_REVOKE_FAILED]")
+  });
+
+  const inputClass = "w-full p-3 bg-gray-900 border border-green-400/50 rounded text-green-400 font-mono focus:border-green-400 focus:outline-none";
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-black/50 border border-green-400 rounded p-6">
+        <h2 className="text-lg font-bold text-[#ff0066] mb-4 tracking-wider">
+          [ADMIN_ALLOWLIST] ({activeWallets.length})
+        </h2>
+        <div className="text-gray-400 text-xs font-mono mb-4">
+          Wallets that can sign in to this console and the role each one signs in with. Role changes apply to open sessions on their next request;
+          removing a wallet ends its open sessions immediately. The last superadmin can be neither removed nor demoted.
+        </div>
+
+        {isLoading ? (
+          <div className="text-green-400 font-mono text-sm">[LOADING_WALLETS...]</div>
+        ) : (
+          <div className="space-y-2">
+            {activeWallets.map((wallet) => (
+              <div key={wallet.id} className="flex justify-between items-center gap-2 border border-green-400/30 rounded p-3 bg-gray-900/50 font-mono text-sm">
+                <div>
+                  <span className="text-green-400 font-bold break-all">{wallet.address}</span>
+                  {wallet.label && <span className="text-green-400/70 ml-2">{wallet.label}</span>}
+                  <div className="text-green-400/50 text-xs">
+                    Added {new Date(wallet.createdAt).toLocaleString()} by {wallet.addedBy}
+                  </div>
+                </div>
+                <div className="flex items-center gap-2">
+                  <select
+                    value={wallet.role}
+                    onChange={(e) => roleMutation.mutate({ address: wallet.address, role: e.target.value as AdminRole })}
+                    disabled={roleMutation.isPending || isLastSuperadmin(wallet)}
+                    className="p-1 bg-gray-900 border border-green-400/50 rounded text-green-400 text-xs font-mono focus:border-green-400 focus:outline-none disabled:opacity-50"
+                  >
+                    {ADMIN_ROLES.map((role) => (
+                      <option key={role} value={role}>{role}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => removeMutation.mutate(wallet.address)}
+                    disabled={removeMutation.isPending || isLastSuperadmin(wallet)}
+                    className="px-3 py-1 border border-[#ff0066] text-[#ff0066] rounded text-xs font-mono hover:bg-[#ff0066]/10 disabled:opacity-50"
+                  >
+                    [REMOVE]
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mt-6">
+          <div className="md:col-span-2">
+            <label className="block text-green-400 text-sm mb-2 font-mono">WALLET_ADDRESS:</label>
+            <input
+              type="text"
+              value={newWallet.address}
+              onChange={(e) => setNewWallet({ ...newWallet, address: e.target.value })}
+              placeholder="0x..."
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-green-400 text-sm mb-2 font-mono">LABEL:</label>
+            <input
+              type="text"
+              value={newWallet.label}
+              onChange={(e) => setNewWallet({ ...newWallet, label: e.target.value })}
+              placeholder="Optional"
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-green-400 text-sm mb-2 font-mono">ROLE:</label>
+            <select
+              value={newWallet.role}
+              onChange={(e) => setNewWallet({ ...newWallet, role: e.target.value as AdminRole })}
+              className={inputClass}
+            >
+              {ADMIN_ROLES.map((role) => (
+                <option key={role} value={role}>{role}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <div className="text-green-400/50 text-xs font-mono mt-2">
+          {newWallet.role}: {ROLE_PERMISSIONS[newWallet.role].join(', ')}
+        </div>
+        <button
+          onClick={() => addMutation.mutate(newWallet)}
+          disabled={addMutation.isPending || !newWallet.address}
+          className="mt-4 px-6 py-3 bg-green-400 text-black font-mono font-bold rounded hover:bg-green-300 transition-colors disabled:opacity-50"
+        >
+          {addMutation.isPending ? '[ADDING...]' : '[ADD_ADMIN_WALLET]'}
+        </button>
+
+        {removedWallets.length > 0 && (
+          <div className="mt-6 space-y-1 text-xs font-mono text-green-400/50">
+            {removedWallets.map((wallet) => (
+              <div key={wallet.id}>
+                {wallet.address}{wallet.label && ` (${wallet.label})`} removed {new Date(wallet.revokedAt!).toLocaleString()} by {wallet.revokedBy}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="bg-black/50 border border-green-400 rounded p-6">
+        <h2 className="text-lg font-bold text-[#ff0066] mb-4 tracking-wider">
+          [ACTIVE_SESSIONS] ({sessions.length})
+        </h2>
+
+        {sessions.length === 0 ? (
+          <div className="text-green-400 font-mono text-sm">[NO_ACTIVE_SESSIONS]</div>
+        ) : (
+          <div className="space-y-2">
+            {sessions.map((session) => (
+              <div key={session.id} className="flex justify-between items-center gap-2 border border-green-400/30 rounded p-3 bg-gray-900/50 font-mono text-sm">
+                <div>
+                  <span className="text-green-400 font-bold break-all">{session.address}</span>
+                  {session.current && <span className="text-[#ff0066] ml-2">[THIS_SESSION]</span>}
+                  <div className="text-green-400/50 text-xs">
+                    #{session.id} · signed in {new Date(session.createdAt).toLocaleString()} · last seen {new Date(session.lastSeenAt).toLocaleString()} · expires {new Date(session.expiresAt).toLocaleString()}
+                    {session.requestIp && ` · ${session.requestIp}`}
+                  </div>
+                </div>
+                <button
+                  onClick={() => revokeMutation.mutate(session)}
+                  disabled={revokeMutation.isPending}
+                  className="px-3 py-1 border border-[#ff0066] text-[#ff0066] rounded text-xs font-mono hover:bg-[#ff0066]/10 disabled:opacity-50"
+                >
+                  [REVOKE]
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
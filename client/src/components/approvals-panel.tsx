@@ -0,0 +1,211 @@
+import { useState } from "react";
+import { useMutation, useQuery } from "@tanstack/react-query";
+import { apiRequest, queryClient } from "@/lib/queryClient";
+import { useToast } from "@/hooks/use-toast";
+import { useAdminSession } from "@/hooks/use-admin-session";
+import type { AdminPermission } from "@shared/admin-roles";
+
+type ProposalOperation = 'emergency_withdraw' | 'reset_distributed' | 'treasury_config';
+type ProposalStatus = 'pending' | 'executing' | 'executed' | 'failed' | 'rejected' | 'expired';
+type VoteDecision = 'approve' | 'reject';
+
+interface ProposalVote {
+  id: number;
+  voter: string;
+  decision: VoteDecision;
+  note: string | null;
+  createdAt: string;
+}
+
+interface Proposal {
+  id: number;
+  operation: ProposalOperation;
+  params: Record<string, unknown>;
+  summary: string;
+  status: ProposalStatus;
+  requiredApprovals: number;
+  proposedBy: string;
+  expiresAt: string;
+  result: Record<string, unknown> | null;
+  error: string | null;
+  executedBy: string | null;
+  executedAt: string | null;
+  createdAt: string;
+  permission: AdminPermission;
+  votes: ProposalVote[];
+}
+
+const OPERATION_LABELS: Record<ProposalOperation, string> = {
+  emergency_withdraw: 'EMERGENCY_WITHDRAW',
+  reset_distributed: 'RESET_DISTRIBUTED',
+  treasury_config: 'TREASURY_CONFIG'
+};
+
+const STATUS_CLASSES: Record<ProposalStatus, string> = {
+  pending: 'text-yellow-400',
+  executing: 'text-yellow-400',
+  executed: 'text-green-400',
+  failed: 'text-[#ff0066]',
+  rejected: 'text-[#ff0066]',
+  expired: 'text-gray-400'
+};
+
+export function ApprovalsPanel() {
+  const { toast } = useToast();
+  const { session, can } = useAdminSession();
+  const [notes, setNotes] = useState<Record<number, string>>({});
+
+  const { data, isLoading } = useQuery<{ success: boolean; requiredApprovals: number; windowHours: number; proposals: Proposal[] }>({
+    queryKey: ['/api/admin/approvals'],
+    refetchInterval: 30000
+  });
+  const proposals = data?.proposals || [];
+  const pending = proposals.filter(proposal => proposal.status === 'pending');
+  const history = proposals.filter(proposal => proposal.status !== 'pending').slice(0, 50);
+
+  const voteMutation = useMutation({
+    mutationFn: ({ proposal, decision }: { proposal: Proposal; decision: VoteDecision }) =>
+      apiRequest<{ proposal: Proposal }>(`/api/admin/approvals/${proposal.id}/${decision}`, {
+        method: 'POST',
+        data: { note: notes[proposal.id] || undefined }
+      }),
+    onSuccess: (result, { proposal, decision }) => {
+      queryClient.invalidateQueries({ queryKey: ['/api/admin/approvals'] });
+      queryClient.invalidateQueries({ queryKey: ['/api/admin/operations'] });
+      if (result.proposal.status === 'executed') {
+        // The operation ran - everything showing treasury state is stale
+        queryClient.invalidateQueries({ queryKey: ['/api/admin/treasury/config'] });
+        queryClient.invalidateQueries({ queryKey: ['/api/treasury/stats'] });
+        queryClient.invalidateQueries({ queryKey: ['/api/rewards/program-analytics'] });
+        queryClient.invalidateQueries({ queryKey: ['programAnalytics'] });
+        queryClient.invalidateQueries({ queryKey: ['maxAPR'] });
+        window.dispatchEvent(new CustomEvent('admin-data-updated'));
+      }
+      toast({
+        title: decision === 'approve' ? "[PROPOSAL_APPROVED]" : "[PROPOSAL_REJECTED]",
+        description: `#${proposal.id} ${proposal.summary}: ${result.proposal.status}`,
+        className: "bg-green-900/90 border-green-400 text-green-100",
+      });
+    },
+    onError: (error: Error) => {
+      toast({
+        title: "[PROPOSAL_VOTE_FAILED]",
+        description: error.message,
+        variant: "destructive",
+        className: "bg-red-900/90 border-red-400 text-red-100",
+      });
+    }
+  });
+
+  const approvalsOf = (proposal: Proposal) => proposal.votes.filter(vote => vote.decision === 'approve').length;
+  const hasVoted = (proposal: Proposal) => proposal.votes.some(vote => vote.voter === session?.address);
+
+  const renderVotes = (proposal: Proposal) => proposal.votes.map(vote => (
+    <div key={vote.id} className="text-green-400/50 text-xs">
+      <span className={vote.decision === 'approve' ? 'text-green-400' : 'text-[#ff0066]'}>[{vote.decision.toUpperCase()}]</span>
+      {' '}{vote.voter} · {new Date(vote.createdAt).toLocaleString()}{vote.note && ` · ${vote.note}`}
+    </div>
+  ));
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-black/50 border border-green-400 rounded p-6">
+        <h2 className="text-lg font-bold text-[#ff0066] mb-4 tracking-wider">
+          [PENDING_APPROVALS] ({pending.length})
+        </h2>
+        <div className="text-gray-400 text-xs font-mono mb-4">
+          Emergency withdrawals, distributed counter resets and treasury configuration changes run only after
+          {data ? ` ${data.requiredApprovals} ` : ' enough '}distinct admins approve them
+          {data && ` within ${data.windowHours} hours`}. The proposer's approval counts; one rejection closes the proposal.
+        </div>
+
+        {isLoading ? (
+          <div className="text-green-400 font-mono text-sm">[LOADING_PROPOSALS...]</div>
+        ) : pending.length === 0 ? (
+          <div className="text-green-400 font-mono text-sm">[NO_PENDING_PROPOSALS]</div>
+        ) : (
+          <div className="space-y-2">
+            {pending.map((proposal) => (
+              <div key={proposal.id} className="border border-yellow-400/40 rounded p-3 bg-gray-900/50 font-mono text-sm">
+                <div className="flex justify-between items-start gap-2">
+                  <div>
+                    <span className="text-[#ff0066] mr-2">[{OPERATION_LABELS[proposal.operation]}]</span>
+                    <span className="text-green-400 font-bold">#{proposal.id} {proposal.summary}</span>
+                    <div className="text-green-400/70 text-xs">
+                      Proposed by {proposal.proposedBy} · {approvalsOf(proposal)}/{proposal.requiredApprovals} approvals · expires {new Date(proposal.expiresAt).toLocaleString()}
+                    </div>
+                  </div>
+                  <div className="text-green-400/50 text-xs whitespace-nowrap">
+                    {new Date(proposal.createdAt).toLocaleString()}
+                  </div>
+                </div>
+                <pre className="text-green-400/60 text-xs mt-2 whitespace-pre-wrap break-all">{JSON.stringify(proposal.params, null, 2)}</pre>
+                {renderVotes(proposal)}
+                {can(proposal.permission) && !hasVoted(proposal) && (
+                  <div className="flex flex-wrap gap-2 mt-3">
+                    <input
+                      type="text"
+                      value={notes[proposal.id] || ''}
+                      onChange={(e) => setNotes({ ...notes, [proposal.id]: e.target.value })}
+                      placeholder="Note"
+                      className="flex-1 min-w-[12rem] p-1 bg-gray-900 border border-green-400/50 rounded text-green-400 font-mono text-xs focus:border-green-400 focus:outline-none"
+                    />
+                    {(['approve', 'reject'] as VoteDecision[]).map(decision => (
+                      <button
+                        key={decision}
+                        onClick={() => voteMutation.mutate({ proposal, decision })}
+                        disabled={voteMutation.isPending}
+                        className={`px-3 py-1 border rounded text-xs font-mono disabled:opacity-50 ${
+                          decision === 'approve'
+                            ? 'border-green-400 text-green-400 hover:bg-green-400/10'
+                            : 'border-[#ff0066] text-[#ff0066] hover:bg-[#ff0066]/10'
+                        }`}
+                      >
+                        [{decision.toUpperCase()}]
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="bg-black/50 border border-green-400 rounded p-6">
+        <h2 className="text-lg font-bold text-[#ff0066] mb-4 tracking-wider">
+          [APPROVAL_HISTORY]
+        </h2>
+
+        {history.length === 0 ? (
+          <div className="text-green-400 font-mono text-sm">[NO_CLOSED_PROPOSALS]</div>
+        ) : (
+          <div className="space-y-2">
+            {history.map((proposal) => (
+              <div key={proposal.id} className="border border-green-400/30 rounded p-3 bg-gray-900/50 font-mono text-sm">
+                <div className="flex justify-between items-start gap-2">
+                  <div>
+                    <span className={`mr-2 ${STATUS_CLASSES[proposal.status]}`}>[{proposal.status.toUpperCase()}]</span>
+                    <span className="text-green-400">#{proposal.id} {proposal.summary}</span>
+                    <div className="text-green-400/70 text-xs">
+                      Proposed by {proposal.proposedBy}
+                      {proposal.executedAt && ` · executed ${new Date(proposal.executedAt).toLocaleString()} on approval of ${proposal.executedBy}`}
+                    </div>
+                    {proposal.error && <div className="text-[#ff0066] text-xs">{proposal.error}</div>}
+                    {typeof proposal.result?.transactionHash === 'string' && (
+                      <div className="text-green-400/50 text-xs break-all">tx {proposal.result.transactionHash}</div>
+                    )}
+                  </div>
+                  <div className="text-green-400/50 text-xs whitespace-nowrap">
+                    {new Date(proposal.createdAt).toLocaleString()}
+                  </div>
+                </div>
+                {renderVotes(proposal)}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
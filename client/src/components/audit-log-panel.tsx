@@ -0,0 +1,244 @@
+import { useState } from "react";
+import { useMutation, useQuery } from "@tanstack/react-query";
+import { apiRequest } from "@/lib/queryClient";
+
+type AuditChanges = Record<string, { before: unknown; after: unknown }>;
+
+interface AuditEntry {
+  id: number;
+  sequence: number | null;
+  timestamp: string;
+  operationType: string;
+  reason: string | null;
+  performedBy: string | null;
+  amount: string | null;
+  transactionHash: string | null;
+  success: boolean | null;
+  errorMessage: string | null;
+  changes: AuditChanges | null;
+  previousHash: string | null;
+  entryHash: string | null;
+}
+
+interface AuditPage {
+  success: boolean;
+  entries: AuditEntry[];
+  total: number;
+  page: number;
+  pageSize: number;
+  operationTypes: string[];
+}
+
+interface AuditVerification {
+  valid: boolean;
+  checked: number;
+  legacyEntries: number;
+  head: { sequence: number; entryHash: string | null } | null;
+  issueCount: number;
+  issues: { sequence: number | null; entryId: number | null; problem: string }[];
+}
+
+interface AuditFilters {
+  operationType: string;
+  performedBy: string;
+  success: '' | 'true' | 'false';
+  from: string;
+  to: string;
+  search: string;
+}
+
+const PAGE_SIZE = 25;
+const EMPTY_FILTERS: AuditFilters = { operationType: '', performedBy: '', success: '', from: '', to: '', search: '' };
+
+// Query string of the non-empty filters - datetime-local inputs are sent as ISO instants
+const toQuery = (filters: AuditFilters, extra: Record<string, string> = {}) => {
+  const params = new URLSearchParams(extra);
+  for (const [key, value] of Object.entries(filters)) {
+    if (!value) continue;
+    params.set(key, key === 'from' || key === 'to' ? new Date(value).toISOString() : value);
+  }
+  return params.toString();
+};
+
+const formatValue = (value: unknown) =>
+  value === null || value === undefined ? '∅' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+export function AuditLogPanel() {
+  const [filters, setFilters] = useState<AuditFilters>(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [expanded, setExpanded] = useState<number | null>(null);
+
+  const query = toQuery(filters, { page: String(page), pageSize: String(PAGE_SIZE) });
+  const { data, isLoading } = useQuery<AuditPage>({
+    queryKey: ['/api/admin/operations', query],
+    queryFn: () => apiRequest<AuditPage>(`/api/admin/operations?${query}`),
+    refetchInterval: 15000
+  });
+  const entries = data?.entries || [];
+  const pageCount = Math.max(1, Math.ceil((data?.total || 0) / PAGE_SIZE));
+
+  const verifyMutation = useMutation({
+    mutationFn: () => apiRequest<AuditVerification>('/api/admin/operations/verify')
+  });
+  const verification = verifyMutation.data;
+
+  const setFilter = (key: keyof AuditFilters, value: string) => {
+    setFilters({ ...filters, [key]: value });
+    setPage(1);
+  };
+
+  const inputClass = "w-full p-2 bg-gray-900 border border-green-400/50 rounded text-green-400 font-mono text-sm focus:border-green-400 focus:outline-none";
+  const buttonClass = "px-3 py-1 border border-green-400 text-green-400 rounded text-xs font-mono hover:bg-green-400/10 disabled:opacity-50";
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-black/50 border border-green-400 rounded p-6">
+        <h2 className="text-lg font-bold text-[#ff0066] mb-4 tracking-wider">
+          [AUDIT_CHAIN_INTEGRITY]
+        </h2>
+        <div className="text-gray-400 text-xs font-mono mb-4">
+          Every entry carries the hash of the one before it. Verification replays the whole chain and reports missing, edited or unchained entries.
+          Note the head hash somewhere outside the database - it is the only way to notice the newest entries being removed.
+        </div>
+        <button
+          onClick={() => verifyMutation.mutate()}
+          disabled={verifyMutation.isPending}
+          className="px-6 py-3 bg-green-400 text-black font-mono font-bold rounded hover:bg-green-300 transition-colors disabled:opacity-50"
+        >
+          {verifyMutation.isPending ? '[VERIFYING...]' : '[VERIFY_CHAIN]'}
+        </button>
+        {verifyMutation.error && (
+          <div className="text-[#ff0066] font-mono text-sm mt-4">{verifyMutation.error.message}</div>
+        )}
+        {verification && (
+          <div className="mt-4 font-mono text-sm space-y-1">
+            <div className={verification.valid ? 'text-green-400 font-bold' : 'text-[#ff0066] font-bold'}>
+              {verification.valid ? '[CHAIN_INTACT]' : `[CHAIN_BROKEN] ${verification.issueCount} issue(s)`}
+            </div>
+            <div className="text-green-400/70 text-xs">
+              {verification.checked} chained entries checked · {verification.legacyEntries} entries from before chaining
+            </div>
+            {verification.head && (
+              <div className="text-green-400/70 text-xs break-all">
+                Head #{verification.head.sequence}: {verification.head.entryHash}
+              </div>
+            )}
+            {verification.issues.map((issue, index) => (
+              <div key={index} className="text-[#ff0066] text-xs">
+                {issue.sequence !== null && `#${issue.sequence} `}{issue.entryId !== null && `(row ${issue.entryId}) `}{issue.problem}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="bg-black/50 border border-green-400 rounded p-6">
+        <h2 className="text-lg font-bold text-[#ff0066] mb-4 tracking-wider">
+          [SYSTEM_OPERATIONS_HISTORY] ({data?.total ?? 0})
+        </h2>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4">
+          <div>
+            <label className="block text-green-400 text-xs mb-1 font-mono">OPERATION:</label>
+            <select value={filters.operationType} onChange={(e) => setFilter('operationType', e.target.value)} className={inputClass}>
+              <option value="">ALL</option>
+              {(data?.operationTypes || []).map(type => (
+                <option key={type} value={type}>{type}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-green-400 text-xs mb-1 font-mono">PERFORMED_BY:</label>
+            <input type="text" value={filters.performedBy} onChange={(e) => setFilter('performedBy', e.target.value)} placeholder="0x..." className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-green-400 text-xs mb-1 font-mono">OUTCOME:</label>
+            <select value={filters.success} onChange={(e) => setFilter('success', e.target.value)} className={inputClass}>
+              <option value="">ALL</option>
+              <option value="true">SUCCESS</option>
+              <option value="false">FAILED</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-green-400 text-xs mb-1 font-mono">FROM:</label>
+            <input type="datetime-local" value={filters.from} onChange={(e) => setFilter('from', e.target.value)} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-green-400 text-xs mb-1 font-mono">TO:</label>
+            <input type="datetime-local" value={filters.to} onChange={(e) => setFilter('to', e.target.value)} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-green-400 text-xs mb-1 font-mono">SEARCH:</label>
+            <input type="text" value={filters.search} onChange={(e) => setFilter('search', e.target.value)} placeholder="Reason or error" className={inputClass} />
+          </div>
+        </div>
+
+        <div className="flex flex-wrap gap-2 mb-4">
+          <button onClick={() => { setFilters(EMPTY_FILTERS); setPage(1); }} className={buttonClass}>[CLEAR_FILTERS]</button>
+          <a href={`/api/admin/operations/export?${toQuery(filters, { format: 'json' })}`} className={buttonClass}>[EXPORT_JSON]</a>
+          <a href={`/api/admin/operations/export?${toQuery(filters, { format: 'csv' })}`} className={buttonClass}>[EXPORT_CSV]</a>
+        </div>
+
+        {isLoading ? (
+          <div className="text-green-400 font-mono text-sm">[LOADING_OPERATIONS...]</div>
+        ) : entries.length === 0 ? (
+          <div className="text-green-400/50 font-mono text-sm">[NO_OPERATIONS_LOGGED]</div>
+        ) : (
+          <div className="space-y-2">
+            {entries.map((entry) => (
+              <div key={entry.id} className="border border-green-400/30 rounded p-3 bg-gray-900/50 font-mono">
+                <div className="flex justify-between items-start gap-2 text-sm">
+                  <div>
+                    <span className={entry.success === false ? 'text-[#ff0066]' : 'text-green-400'}>
+                      [{entry.operationType.toUpperCase()}]
+                    </span>
+                    <span className="text-green-400/50 text-xs ml-2">
+                      {entry.sequence !== null ? `#${entry.sequence}` : 'unchained'} · {entry.performedBy}
+                    </span>
+                  </div>
+                  <div className="text-green-400/50 text-xs whitespace-nowrap">
+                    {new Date(entry.timestamp).toLocaleString()}
+                  </div>
+                </div>
+                {entry.reason && <div className="text-green-400/70 text-xs mt-1">{entry.reason}</div>}
+                {entry.errorMessage && <div className="text-[#ff0066] text-xs mt-1">{entry.errorMessage}</div>}
+                {(entry.amount || entry.transactionHash) && (
+                  <div className="text-green-400/50 text-xs mt-1 break-all">
+                    {entry.amount && `amount ${entry.amount}`}{entry.amount && entry.transactionHash && ' · '}{entry.transactionHash && `tx ${entry.transactionHash}`}
+                  </div>
+                )}
+                {entry.changes && (
+                  <button
+                    onClick={() => setExpanded(expanded === entry.id ? null : entry.id)}
+                    className="text-[#ff0066] text-xs mt-1 hover:underline"
+                  >
+                    {expanded === entry.id ? '[HIDE_CHANGES]' : `[SHOW_CHANGES] (${Object.keys(entry.changes).length})`}
+                  </button>
+                )}
+                {expanded === entry.id && entry.changes && (
+                  <table className="w-full text-xs mt-2">
+                    <tbody>
+                      {Object.entries(entry.changes).map(([field, change]) => (
+                        <tr key={field} className="border-t border-green-400/10 align-top">
+                          <td className="text-green-400 pr-3 py-1">{field}</td>
+                          <td className="text-[#ff0066]/80 pr-3 py-1 break-all">{formatValue(change.before)}</td>
+                          <td className="text-green-400/80 py-1 break-all">→ {formatValue(change.after)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="flex justify-between items-center mt-4 font-mono text-xs text-green-400/70">
+          <button onClick={() => setPage(page - 1)} disabled={page <= 1} className={buttonClass}>[PREV]</button>
+          <span>PAGE {page} / {pageCount}</span>
+          <button onClick={() => setPage(page + 1)} disabled={page >= pageCount} className={buttonClass}>[NEXT]</button>
+        </div>
+      </div>
+    </div>
+  );
+}
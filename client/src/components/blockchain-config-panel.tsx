@@ -1,5 +1,6 @@
 import { useState, useEffect } from "react";
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { useAdminSession } from "@/hooks/use-admin-session";
 
 interface BlockchainConfig {
   id: number;
@@ -20,6 +21,7 @@ export function BlockchainConfigPanel() {
   const [editingConfig, setEditingConfig] = useState<string | null>(null);
   const [newValues, setNewValues] = useState<Record<string, string>>({});
   const queryClient = useQueryClient();
+  const { can } = useAdminSession();
 
   // Fetch blockchain configurations
   const { data: configData, isLoading, error } = useQuery({
@@ -159,7 +161,7 @@ export function BlockchainConfigPanel() {
                           CANCEL
                         </button>
                       </>
-                    ) : (
+                    ) : can('system:configure') && (
                       <button
                         onClick={() => {
                           setEditingConfig(config.configKey);
@@ -0,0 +1,325 @@
+import { useState } from "react";
+import { useMutation, useQuery } from "@tanstack/react-query";
+import { apiRequest, queryClient } from "@/lib/queryClient";
+import { useToast } from "@/hooks/use-toast";
+import { useAdminSession } from "@/hooks/use-admin-session";
+
+interface Campaign {
+  id: number;
+  name: string;
+  description: string | null;
+  smartContractAddress: string;
+  totalAllocation: string;
+  dailyRewardsCap: string;
+  startDate: string;
+  endDate: string;
+  poolAddresses: string[];
+  timeBoostCoefficient: string;
+  fullRangeBonus: string;
+  isActive: boolean;
+  status: 'scheduled' | 'active' | 'ended' | 'paused';
+  totalEmitted: number;
+  daysFinalized: number;
+  participants: number;
+}
+
+interface CampaignForm {
+  name: string;
+  description: string;
+  smartContractAddress: string;
+  totalAllocation: number;
+  startDate: string;
+  endDate: string;
+  poolAddresses: string;
+  timeBoostCoefficient: number;
+  fullRangeBonus: number;
+}
+
+const EMPTY_FORM: CampaignForm = {
+  name: '',
+  description: '',
+  smartContractAddress: '',
+  totalAllocation: 0,
+  startDate: '',
+  endDate: '',
+  poolAddresses: '',
+  timeBoostCoefficient: 0.6,
+  fullRangeBonus: 1.2
+};
+
+export function CampaignManagementPanel() {
+  const { toast } = useToast();
+  const { can } = useAdminSession();
+  const [form, setForm] = useState<CampaignForm>(EMPTY_FORM);
+  const [editingId, setEditingId] = useState<number | null>(null);
+
+  const { data, isLoading } = useQuery<{ success: boolean; campaigns: Campaign[] }>({
+    queryKey: ['/api/admin/campaigns'],
+    refetchInterval: 30000
+  });
+  const campaigns = data?.campaigns || [];
+
+  const toPayload = (values: CampaignForm, isActive: boolean = true) => ({
+    ...values,
+    poolAddresses: values.poolAddresses.split(/[\s,]+/).filter(Boolean),
+    isActive,
+    adminWallet: localStorage.getItem('admin_wallet') || 'Unknown Admin'
+  });
+
+  const onSaved = (title: string, description: string) => {
+    queryClient.invalidateQueries({ queryKey: ['/api/admin/campaigns'] });
+    queryClient.invalidateQueries({ queryKey: ['/api/admin/operations'] });
+    queryClient.invalidateQueries({ queryKey: ['unified-breakdown'] });
+    toast({
+      title,
+      description,
+      className: "bg-green-900/90 border-green-400 text-green-100",
+    });
+  };
+
+  const onFailed = (title: string) => (error: Error) => {
+    toast({
+      title,
+      description: error.message,
+      variant: "destructive",
+      className: "bg-red-900/90 border-red-400 text-red-100",
+    });
+  };
+
+  const toForm = (campaign: Campaign): CampaignForm => ({
+    name: campaign.name,
+    description: campaign.description || '',
+    smartContractAddress: campaign.smartContractAddress,
+    totalAllocation: parseFloat(campaign.totalAllocation),
+    startDate: campaign.startDate,
+    endDate: campaign.endDate,
+    poolAddresses: campaign.poolAddresses.join('\n'),
+    timeBoostCoefficient: parseFloat(campaign.timeBoostCoefficient),
+    fullRangeBonus: parseFloat(campaign.fullRangeBonus)
+  });
+
+  const saveMutation = useMutation({
+    mutationFn: (values: CampaignForm) => editingId
+      ? apiRequest(`/api/admin/campaigns/${editingId}`, {
+        method: 'PUT',
+        data: toPayload(values, campaigns.find(campaign => campaign.id === editingId)?.isActive ?? true)
+      })
+      : apiRequest('/api/admin/campaigns', { method: 'POST', data: toPayload(values) }),
+    onSuccess: () => {
+      onSaved("[CAMPAIGN_SAVED]", `Campaign "${form.name}" ${editingId ? 'updated' : 'created'}`);
+      setForm(EMPTY_FORM);
+      setEditingId(null);
+    },
+    onError: onFailed("[CAMPAIGN_SAVE_FAILED]")
+  });
+
+  const toggleMutation = useMutation({
+    mutationFn: (campaign: Campaign) => apiRequest(`/api/admin/campaigns/${campaign.id}`, {
+      method: 'PUT',
+      data: toPayload(toForm(campaign), !campaign.isActive)
+    }),
+    onSuccess: () => onSaved("[CAMPAIGN_UPDATED]", "Campaign status changed"),
+    onError: onFailed("[CAMPAIGN_UPDATE_FAILED]")
+  });
+
+  const durationDays = form.startDate && form.endDate
+    ? Math.round((new Date(form.endDate).getTime() - new Date(form.startDate).getTime()) / (24 * 60 * 60 * 1000)) + 1
+    : 0;
+  const dailyCap = durationDays > 0 ? form.totalAllocation / durationDays : 0;
+
+  const inputClass = "w-full p-3 bg-gray-900 border border-green-400/50 rounded text-green-400 font-mono focus:border-green-400 focus:outline-none";
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-black/50 border border-green-400 rounded p-6">
+        <h2 className="text-lg font-bold text-[#ff0066] mb-4 tracking-wider">
+          [REWARD_CAMPAIGNS]
+        </h2>
+        <div className="text-gray-400 text-xs font-mono mb-4">
+          Campaigns run alongside the base treasury program. Each accrues daily against its own cap, pools and formula parameters, and is paid from its own contract.
+        </div>
+
+        {isLoading ? (
+          <div className="text-green-400 font-mono text-sm">[LOADING_CAMPAIGNS...]</div>
+        ) : campaigns.length === 0 ? (
+          <div className="text-green-400/50 font-mono text-sm">[NO_CAMPAIGNS_CONFIGURED]</div>
+        ) : (
+          <div className="space-y-2">
+            {campaigns.map((campaign) => (
+              <div key={campaign.id} className="border border-green-400/30 rounded p-3 bg-gray-900/50 font-mono text-sm">
+                <div className="flex justify-between items-start">
+                  <div>
+                    <div className="text-green-400 font-bold">
+                      {campaign.name} <span className="text-[#ff0066]">[{campaign.status.toUpperCase()}]</span>
+                    </div>
+                    <div className="text-green-400/70 text-xs mt-1">
+                      {campaign.startDate} → {campaign.endDate} · {parseFloat(campaign.dailyRewardsCap).toFixed(2)} KILT/day · b_time {parseFloat(campaign.timeBoostCoefficient)} · FRB {parseFloat(campaign.fullRangeBonus)}
+                    </div>
+                    <div className="text-green-400/50 text-xs">
+                      Contract {campaign.smartContractAddress} · Pools: {campaign.poolAddresses.length > 0 ? campaign.poolAddresses.join(', ') : 'ALL'}
+                    </div>
+                    <div className="text-green-400/70 text-xs">
+                      Emitted {campaign.totalEmitted.toFixed(2)} / {parseFloat(campaign.totalAllocation).toLocaleString()} KILT · {campaign.daysFinalized} days · {campaign.participants} participants
+                    </div>
+                  </div>
+                  {can('program:manage') && (
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => { setEditingId(campaign.id); setForm(toForm(campaign)); }}
+                        className="px-3 py-1 border border-green-400 text-green-400 rounded text-xs hover:bg-green-400/10"
+                      >
+                        [EDIT]
+                      </button>
+                      <button
+                        onClick={() => toggleMutation.mutate(campaign)}
+                        disabled={toggleMutation.isPending}
+                        className="px-3 py-1 border border-[#ff0066] text-[#ff0066] rounded text-xs hover:bg-[#ff0066]/10 disabled:opacity-50"
+                      >
+                        {campaign.isActive ? '[PAUSE]' : '[RESUME]'}
+                      </button>
+                    </div>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {can('program:manage') && (
+        <div className="bg-black/50 border border-green-400 rounded p-6">
+          <h2 className="text-lg font-bold text-[#ff0066] mb-4 tracking-wider">
+            {editingId ? `[EDIT_CAMPAIGN_${editingId}]` : '[NEW_CAMPAIGN]'}
+          </h2>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-green-400 text-sm mb-2 font-mono">CAMPAIGN_NAME:</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                placeholder="e.g. Summer Boost"
+                className={inputClass}
+              />
+            </div>
+
+            <div>
+              <label className="block text-green-400 text-sm mb-2 font-mono">TOTAL_ALLOCATION:</label>
+              <input
+                type="number"
+                value={form.totalAllocation || ''}
+                onChange={(e) => setForm({ ...form, totalAllocation: Number(e.target.value) || 0 })}
+                placeholder="KILT for the whole campaign"
+                className={inputClass}
+              />
+            </div>
+
+            <div>
+              <label className="block text-green-400 text-sm mb-2 font-mono">SMART_CONTRACT_ADDRESS:</label>
+              <input
+                type="text"
+                value={form.smartContractAddress}
+                onChange={(e) => setForm({ ...form, smartContractAddress: e.target.value })}
+                placeholder="0x... (pays this campaign)"
+                className={inputClass}
+              />
+            </div>
+
+            <div>
+              <label className="block text-green-400 text-sm mb-2 font-mono">START_DATE:</label>
+              <input
+                type="date"
+                value={form.startDate}
+                onChange={(e) => setForm({ ...form, startDate: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+
+            <div>
+              <label className="block text-green-400 text-sm mb-2 font-mono">END_DATE: (Inclusive)</label>
+              <input
+                type="date"
+                value={form.endDate}
+                onChange={(e) => setForm({ ...form, endDate: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+
+            <div>
+              <label className="block text-green-400 text-sm mb-2 font-mono">DAILY_REWARDS_CAP: (Auto-calculated)</label>
+              <div className="w-full p-3 bg-gray-800 border border-gray-600 rounded text-gray-400 font-mono">
+                {dailyCap.toFixed(2)} KILT/day
+              </div>
+              <div className="text-xs text-gray-500 mt-1">
+                = {form.totalAllocation.toLocaleString()} ÷ {durationDays} days
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-green-400 text-sm mb-2 font-mono">TIME_BOOST_COEFFICIENT (b_time):</label>
+              <input
+                type="number"
+                step="0.1"
+                value={form.timeBoostCoefficient}
+                onChange={(e) => setForm({ ...form, timeBoostCoefficient: Number(e.target.value) || 0 })}
+                className={inputClass}
+              />
+            </div>
+
+            <div>
+              <label className="block text-green-400 text-sm mb-2 font-mono">FULL_RANGE_BONUS (FRB):</label>
+              <input
+                type="number"
+                step="0.1"
+                value={form.fullRangeBonus}
+                onChange={(e) => setForm({ ...form, fullRangeBonus: Number(e.target.value) || 0 })}
+                className={inputClass}
+              />
+            </div>
+
+            <div>
+              <label className="block text-green-400 text-sm mb-2 font-mono">POOL_ADDRESSES:</label>
+              <textarea
+                value={form.poolAddresses}
+                onChange={(e) => setForm({ ...form, poolAddresses: e.target.value })}
+                placeholder="One per line - empty = all pools"
+                rows={3}
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          <div className="mt-4">
+            <label className="block text-green-400 text-sm mb-2 font-mono">DESCRIPTION:</label>
+            <input
+              type="text"
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              placeholder="Purpose of the campaign"
+              className={inputClass}
+            />
+          </div>
+
+          <div className="flex gap-3 mt-6">
+            <button
+              onClick={() => saveMutation.mutate(form)}
+              disabled={saveMutation.isPending}
+              className="px-6 py-3 bg-green-400 text-black font-mono font-bold rounded hover:bg-green-300 transition-colors disabled:opacity-50"
+            >
+              {saveMutation.isPending ? '[SAVING...]' : editingId ? '[UPDATE_CAMPAIGN]' : '[CREATE_CAMPAIGN]'}
+            </button>
+            {editingId && (
+              <button
+                onClick={() => { setEditingId(null); setForm(EMPTY_FORM); }}
+                className="px-6 py-3 border border-green-400 text-green-400 font-mono rounded hover:bg-green-400/10 transition-colors"
+              >
+                [CANCEL]
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
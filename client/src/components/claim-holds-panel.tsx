@@ -0,0 +1,284 @@
+import { useEffect, useState } from "react";
+import { useMutation, useQuery } from "@tanstack/react-query";
+import { apiRequest, queryClient } from "@/lib/queryClient";
+import { useToast } from "@/hooks/use-toast";
+import { useAdminSession } from "@/hooks/use-admin-session";
+import type { TokenAmount } from "@/lib/token-amount";
+
+type AnomalyCheck = 'max-accrual' | 'jump' | 'solvency';
+type AnomalyAction = 'off' | 'hold' | 'reject';
+type ReviewAction = 'approve' | 'reject';
+
+interface ClaimAnomalyPolicy {
+  maxAccrualAction: AnomalyAction;
+  maxAccrualTolerancePercent: number;
+  jumpAction: AnomalyAction;
+  maxJumpPercent: number;
+  jumpMinAmount: string;
+  solvencyAction: AnomalyAction;
+  updatedBy: string | null;
+  updatedAt: string | null;
+}
+
+interface ClaimAnomalyFinding {
+  check: AnomalyCheck;
+  action: 'hold' | 'reject';
+  reason: string;
+  details: Record<string, unknown>;
+}
+
+interface ClaimHold {
+  id: number;
+  userAddress: string;
+  contractAddress: string;
+  nonce: number;
+  amount: TokenAmount;
+  findings: ClaimAnomalyFinding[];
+  status: 'open' | 'approved' | 'rejected';
+  source: string;
+  requestCount: number;
+  reviewedBy: string | null;
+  reviewNote: string | null;
+  reviewedAt: string | null;
+  createdAt: string;
+}
+
+const CHECK_LABELS: Record<AnomalyCheck, string> = {
+  'max-accrual': 'MAX_ACCRUAL',
+  'jump': 'AMOUNT_JUMP',
+  'solvency': 'SOLVENCY'
+};
+
+const ACTION_FIELDS: { key: 'maxAccrualAction' | 'jumpAction' | 'solvencyAction'; label: string }[] = [
+  { key: 'maxAccrualAction', label: 'ABOVE_THEORETICAL_MAX' },
+  { key: 'jumpAction', label: 'AMOUNT_JUMP' },
+  { key: 'solvencyAction', label: 'OUTSTANDING_ABOVE_TREASURY' }
+];
+
+const formatKILT = (amount: TokenAmount) =>
+  `${Number(amount.formatted).toLocaleString(undefined, { maximumFractionDigits: 4 })} KILT`;
+
+export function ClaimHoldsPanel() {
+  const { toast } = useToast();
+  const { can } = useAdminSession();
+  const [policyForm, setPolicyForm] = useState<ClaimAnomalyPolicy | null>(null);
+  const [notes, setNotes] = useState<Record<number, string>>({});
+
+  const { data: policyData } = useQuery<{ success: boolean; policy: ClaimAnomalyPolicy; outstanding: TokenAmount }>({
+    queryKey: ['/api/admin/claim-anomalies/policy']
+  });
+  const { data: openData, isLoading } = useQuery<{ success: boolean; holds: ClaimHold[] }>({
+    queryKey: ['/api/admin/claim-holds?status=open'],
+    refetchInterval: 60000
+  });
+  const { data: allData } = useQuery<{ success: boolean; holds: ClaimHold[] }>({
+    queryKey: ['/api/admin/claim-holds']
+  });
+  const openHolds = openData?.holds || [];
+  const reviewedHolds = (allData?.holds || []).filter(hold => hold.status !== 'open').slice(0, 20);
+
+  useEffect(() => {
+    if (policyData?.policy && !policyForm) setPolicyForm(policyData.policy);
+  }, [policyData, policyForm]);
+
+  const onSaved = (title: string, description: string) => {
+    queryClient.invalidateQueries({ queryKey: ['/api/admin/claim-anomalies/policy'] });
+    queryClient.invalidateQueries({ queryKey: ['/api/admin/claim-holds?status=open'] });
+    queryClient.invalidateQueries({ queryKey: ['/api/admin/claim-holds'] });
+    queryClient.invalidateQueries({ queryKey: ['/api/admin/operations'] });
+    toast({
+      title,
+      description,
+      className: "bg-green-900/90 border-green-400 text-green-100",
+    });
+  };
+
+  const onFailed = (title: string) => (error: Error) => {
+    toast({
+      title,
+      description: error.message,
+      variant: "destructive",
+      className: "bg-red-900/90 border-red-400 text-red-100",
+    });
+  };
+
+  const adminWallet = () => localStorage.getItem('admin_wallet') || 'Unknown Admin';
+
+  const policyMutation = useMutation({
+    mutationFn: (policy: ClaimAnomalyPolicy) => apiRequest('/api/admin/claim-anomalies/policy', {
+      method: 'PUT',
+      data: { ...policy, adminWallet: adminWallet() }
+    }),
+    onSuccess: () => onSaved("[ANOMALY_POLICY_SAVED]", "Pre-signing checks updated"),
+    onError: onFailed("[ANOMALY_POLICY_SAVE_FAILED]")
+  });
+
+  const reviewMutation = useMutation({
+    mutationFn: ({ hold, action }: { hold: ClaimHold; action: ReviewAction }) => apiRequest(`/api/admin/claim-holds/${hold.id}/review`, {
+      method: 'POST',
+      data: { action, note: notes[hold.id] || undefined, adminWallet: adminWallet() }
+    }),
+    onSuccess: (_result: any, { hold, action }) => onSaved("[HOLD_REVIEWED]", `${formatKILT(hold.amount)} for ${hold.userAddress}: ${action}`),
+    onError: onFailed("[HOLD_REVIEW_FAILED]")
+  });
+
+  const inputClass = "w-full p-3 bg-gray-900 border border-green-400/50 rounded text-green-400 font-mono focus:border-green-400 focus:outline-none";
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-black/50 border border-green-400 rounded p-6">
+        <h2 className="text-lg font-bold text-[#ff0066] mb-4 tracking-wider">
+          [HELD_CLAIMS] ({openHolds.length})
+        </h2>
+        <div className="text-gray-400 text-xs font-mono mb-4">
+          Claims an anomaly check stopped before signing. APPROVE lets the wallet sign this exact amount at this nonce on its next request, REJECT keeps refusing it. A different amount is checked again.
+          {policyData?.outstanding && ` Outstanding claims program-wide: ${formatKILT(policyData.outstanding)}.`}
+        </div>
+
+        {isLoading ? (
+          <div className="text-green-400 font-mono text-sm">[LOADING_HOLDS...]</div>
+        ) : openHolds.length === 0 ? (
+          <div className="text-green-400 font-mono text-sm">[NO_HELD_CLAIMS]</div>
+        ) : (
+          <div className="space-y-2">
+            {openHolds.map((hold) => (
+              <div key={hold.id} className="border border-[#ff0066]/40 rounded p-3 bg-gray-900/50 font-mono text-sm">
+                <div className="flex justify-between items-start gap-2">
+                  <div>
+                    <span className="text-green-400 font-bold break-all">{hold.userAddress}</span>
+                    <span className="text-green-400/70 ml-2">{formatKILT(hold.amount)} · nonce {hold.nonce}</span>
+                  </div>
+                  <div className="text-green-400/50 text-xs whitespace-nowrap">
+                    {new Date(hold.createdAt).toLocaleString()}{hold.requestCount > 1 && ` · ${hold.requestCount} requests`}
+                  </div>
+                </div>
+                {hold.findings.map(finding => (
+                  <div key={finding.check} className="text-green-400/70 text-xs mt-1">
+                    <span className="text-[#ff0066] mr-2">[{CHECK_LABELS[finding.check]}]</span>{finding.reason}
+                  </div>
+                ))}
+                {can('rewards:operate') && (
+                  <div className="flex flex-wrap gap-2 mt-3">
+                    <input
+                      type="text"
+                      value={notes[hold.id] || ''}
+                      onChange={(e) => setNotes({ ...notes, [hold.id]: e.target.value })}
+                      placeholder="Review note"
+                      className="flex-1 min-w-[12rem] p-1 bg-gray-900 border border-green-400/50 rounded text-green-400 font-mono text-xs focus:border-green-400 focus:outline-none"
+                    />
+                    {(['approve', 'reject'] as ReviewAction[]).map(action => (
+                      <button
+                        key={action}
+                        onClick={() => reviewMutation.mutate({ hold, action })}
+                        disabled={reviewMutation.isPending}
+                        className={`px-3 py-1 border rounded text-xs font-mono disabled:opacity-50 ${
+                          action === 'approve'
+                            ? 'border-green-400 text-green-400 hover:bg-green-400/10'
+                            : 'border-[#ff0066] text-[#ff0066] hover:bg-[#ff0066]/10'
+                        }`}
+                      >
+                        [{action.toUpperCase()}]
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="bg-black/50 border border-green-400 rounded p-6">
+        <h2 className="text-lg font-bold text-[#ff0066] mb-4 tracking-wider">
+          [CLAIM_ANOMALY_POLICY]
+        </h2>
+
+        {!policyForm ? (
+          <div className="text-green-400 font-mono text-sm">[LOADING_POLICY...]</div>
+        ) : (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              {ACTION_FIELDS.map(field => (
+                <div key={field.key}>
+                  <label className="block text-green-400 text-sm mb-2 font-mono">{field.label}:</label>
+                  <select
+                    value={policyForm[field.key]}
+                    onChange={(e) => setPolicyForm({ ...policyForm, [field.key]: e.target.value as AnomalyAction })}
+                    className={inputClass}
+                  >
+                    <option value="off">OFF</option>
+                    <option value="hold">HOLD_FOR_REVIEW</option>
+                    <option value="reject">REJECT</option>
+                  </select>
+                </div>
+              ))}
+              <div>
+                <label className="block text-green-400 text-sm mb-2 font-mono">MAX_ACCRUAL_TOLERANCE_%:</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  value={policyForm.maxAccrualTolerancePercent}
+                  onChange={(e) => setPolicyForm({ ...policyForm, maxAccrualTolerancePercent: parseFloat(e.target.value) })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-green-400 text-sm mb-2 font-mono">MAX_JUMP_%:</label>
+                <input
+                  type="number"
+                  step="1"
+                  value={policyForm.maxJumpPercent}
+                  onChange={(e) => setPolicyForm({ ...policyForm, maxJumpPercent: parseFloat(e.target.value) })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-green-400 text-sm mb-2 font-mono">MIN_JUMP_AMOUNT (KILT):</label>
+                <input
+                  type="text"
+                  value={policyForm.jumpMinAmount}
+                  onChange={(e) => setPolicyForm({ ...policyForm, jumpMinAmount: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+
+            <div className="flex gap-3 mt-6 items-center">
+              {can('rewards:operate') && (
+                <button
+                  onClick={() => policyMutation.mutate(policyForm)}
+                  disabled={policyMutation.isPending}
+                  className="px-6 py-3 bg-green-400 text-black font-mono font-bold rounded hover:bg-green-300 transition-colors disabled:opacity-50"
+                >
+                  {policyMutation.isPending ? '[SAVING...]' : '[SAVE_POLICY]'}
+                </button>
+              )}
+              {policyData?.policy.updatedAt && (
+                <div className="text-green-400/40 text-xs font-mono">
+                  Last changed {new Date(policyData.policy.updatedAt).toLocaleString()} by {policyData.policy.updatedBy}
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+
+      {reviewedHolds.length > 0 && (
+        <div className="bg-black/50 border border-green-400 rounded p-6">
+          <h2 className="text-lg font-bold text-[#ff0066] mb-4 tracking-wider">
+            [RECENTLY_REVIEWED]
+          </h2>
+          <div className="space-y-1 font-mono text-xs">
+            {reviewedHolds.map(hold => (
+              <div key={hold.id} className="text-green-400/70">
+                <span className="text-green-400">[{hold.status.toUpperCase()}]</span> {formatKILT(hold.amount)} · {hold.userAddress}
+                {' · '}{hold.findings.map(finding => CHECK_LABELS[finding.check]).join(', ')}
+                {' · '}{hold.reviewedBy}{hold.reviewNote && ` - ${hold.reviewNote}`}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
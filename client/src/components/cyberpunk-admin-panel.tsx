@@ -3,7 +3,18 @@ import { useMutation, useQuery } from "@tanstack/react-query";
 import { apiRequest, queryClient } from "@/lib/queryClient";
 import { BlockchainConfigPanel } from "./blockchain-config-panel";
 import { SmartContractPanel } from "./smart-contract-panel";
+import { CampaignManagementPanel } from "./campaign-management-panel";
+import { PoolManagementPanel } from "./pool-management-panel";
+import { ProgramSettingsTimeline } from "./program-settings-timeline";
+import { RewardLedgerPanel } from "./reward-ledger-panel";
+import { GamingReviewPanel } from "./gaming-review-panel";
+import { ClaimHoldsPanel } from "./claim-holds-panel";
+import { AdminAccessPanel } from "./admin-access-panel";
+import { ApprovalsPanel } from "./approvals-panel";
+import { AuditLogPanel } from "./audit-log-panel";
+import { TreasuryRunwayBanner, TreasuryRunwayPanel } from "./treasury-runway-panel";
 import { useToast } from "@/hooks/use-toast";
+import { useAdminSession } from "@/hooks/use-admin-session";
 import { Toaster } from "@/components/ui/toaster";
 
 interface TreasuryConfig {
@@ -26,7 +37,8 @@ interface ProgramSettings {
 
 export function CyberpunkAdminPanel() {
   const { toast } = useToast();
-  const [activeTab, setActiveTab] = useState<'treasury' | 'settings' | 'blockchain' | 'contract' | 'operations'>('treasury');
+  const { session, can } = useAdminSession();
+  const [activeTab, setActiveTab] = useState<'treasury' | 'settings' | 'pools' | 'campaigns' | 'ledger' | 'review' | 'holds' | 'blockchain' | 'contract' | 'approvals' | 'access' | 'operations'>('treasury');
   const [treasuryConfig, setTreasuryConfig] = useState<TreasuryConfig>({
     totalAllocation: 0,
     programDurationDays: 0,
@@ -62,6 +74,8 @@ export function CyberpunkAdminPanel() {
     minimumPositionValue: 0,
     lockPeriod: 0
   });
+  // Empty = effective immediately, otherwise the version is scheduled (datetime-local value)
+  const [settingsEffectiveFrom, setSettingsEffectiveFrom] = useState('');
 
   // Save Treasury Configuration
   const treasuryMutation = useMutation({
@@ -81,7 +95,18 @@ export function CyberpunkAdminPanel() {
         data: configWithCalculations
       });
     },
-    onSuccess: async (data) => {
+    onSuccess: async (data: any) => {
+      if (data?.pending) {
+        queryClient.invalidateQueries({ queryKey: ['/api/admin/approvals'] });
+        queryClient.invalidateQueries({ queryKey: ['/api/admin/operations'] });
+        toast({
+          title: "[TREASURY_UPDATE_PROPOSED]",
+          description: `${data.message} - see APPROVALS`,
+          className: "bg-green-900/90 border-green-400 text-green-100",
+        });
+        return;
+      }
+
       // Invalidate ALL queries that depend on treasury configuration for blazing fast updates
       queryClient.invalidateQueries({ queryKey: ['/api/admin/treasury/config'] });
       queryClient.invalidateQueries({ queryKey: ['maxAPR'] });
@@ -137,13 +162,18 @@ export function CyberpunkAdminPanel() {
         method: 'POST',
         data: {
           ...settings,
+          effectiveFrom: settingsEffectiveFrom ? new Date(settingsEffectiveFrom).toISOString() : null,
           adminWallet
         }
       });
     },
     onSuccess: async (data) => {
+      setSettingsEffectiveFrom('');
+
       // Invalidate ALL queries that depend on program settings for blazing fast updates
       queryClient.invalidateQueries({ queryKey: ['/api/admin/program/settings'] });
+      queryClient.invalidateQueries({ queryKey: ['/api/admin/program/settings/versions'] });
+      queryClient.invalidateQueries({ queryKey: ['/api/admin/operations'] });
       queryClient.invalidateQueries({ queryKey: ['maxAPR'] });
       queryClient.invalidateQueries({ queryKey: ['programAnalytics'] });
       queryClient.invalidateQueries({ queryKey: ['/api/rewards/maximum-apr'] });
@@ -172,7 +202,7 @@ export function CyberpunkAdminPanel() {
       
       toast({
         title: "[PROGRAM_SETTINGS_SUCCESS]",
-        description: "Program parameters updated successfully - Main app updated instantly",
+        description: (data as any)?.message || "Program parameters updated successfully - Main app updated instantly",
         className: "bg-green-900/90 border-green-400 text-green-100",
       });
     },
@@ -220,12 +250,6 @@ export function CyberpunkAdminPanel() {
     }
   }, [existingProgramSettings, settingsLoading]);
 
-  // Get Operations History
-  const { data: operations = [] } = useQuery<any[]>({
-    queryKey: ['/api/admin/operations'],
-    refetchInterval: 5000
-  });
-
   const handleSaveTreasury = () => {
 
     
@@ -247,8 +271,8 @@ export function CyberpunkAdminPanel() {
     settingsMutation.mutate(programSettings);
   };
 
-  const handleLogout = () => {
-    localStorage.removeItem('admin_token');
+  const handleLogout = async () => {
+    await fetch('/api/admin/logout', { method: 'POST' }).catch(() => undefined);
     localStorage.removeItem('admin_wallet');
     window.location.reload();
   };
@@ -282,7 +306,11 @@ export function CyberpunkAdminPanel() {
               <h1 className="text-xl font-bold text-[#ff0066] tracking-wider">
                 ◢◤ KILT PROTOCOL ADMIN CONSOLE ◥◣
               </h1>
-
+              {session && (
+                <span className="text-green-400/70 text-xs font-mono">
+                  {session.address.slice(0, 6)}...{session.address.slice(-4)} [{session.role.toUpperCase()}]
+                </span>
+              )}
             </div>
             <button
               onClick={handleLogout}
@@ -292,6 +320,7 @@ export function CyberpunkAdminPanel() {
             </button>
           </div>
         </div>
+        <TreasuryRunwayBanner />
 
         {/* Navigation */}
         <div className="bg-gray-900 border-b border-green-400/30">
@@ -299,10 +328,17 @@ export function CyberpunkAdminPanel() {
             {[
               { id: 'treasury', label: 'TREASURY_CONFIG' },
               { id: 'settings', label: 'PROGRAM_PARAMS' },
+              { id: 'pools', label: 'POOLS' },
+              { id: 'campaigns', label: 'CAMPAIGNS' },
+              { id: 'ledger', label: 'REWARD_LEDGER' },
+              { id: 'review', label: 'GAMING_REVIEW' },
+              { id: 'holds', label: 'CLAIM_HOLDS' },
               { id: 'blockchain', label: 'BLOCKCHAIN_CONFIG' },
               { id: 'contract', label: 'SMART_CONTRACT' },
+              { id: 'approvals', label: 'APPROVALS' },
+              { id: 'access', label: 'ADMIN_ACCESS', permission: 'access:manage' as const },
               { id: 'operations', label: 'OPERATIONS_LOG' }
-            ].map((tab) => (
+            ].filter((tab) => !tab.permission || can(tab.permission)).map((tab) => (
               <button
                 key={tab.id}
                 onClick={() => setActiveTab(tab.id as any)}
@@ -331,6 +367,8 @@ export function CyberpunkAdminPanel() {
           {/* Treasury Configuration */}
           {activeTab === 'treasury' && !treasuryLoading && (
             <div className="space-y-6">
+              <TreasuryRunwayPanel />
+
               <div className="bg-black/50 border border-green-400 rounded p-6">
                 <h2 className="text-lg font-bold text-[#ff0066] mb-4 tracking-wider">
                   [TREASURY_ALLOCATION_MATRIX]
@@ -419,13 +457,15 @@ export function CyberpunkAdminPanel() {
                   </div>
                 </div>
 
-                <button
-                  onClick={handleSaveTreasury}
-                  disabled={treasuryMutation.isPending}
-                  className="mt-6 px-6 py-3 bg-green-400 text-black font-mono font-bold rounded hover:bg-green-300 transition-colors disabled:opacity-50"
-                >
-                  {treasuryMutation.isPending ? '[UPDATING...]' : '[UPDATE_TREASURY]'}
-                </button>
+                {can('treasury:manage') && (
+                  <button
+                    onClick={handleSaveTreasury}
+                    disabled={treasuryMutation.isPending}
+                    className="mt-6 px-6 py-3 bg-green-400 text-black font-mono font-bold rounded hover:bg-green-300 transition-colors disabled:opacity-50"
+                  >
+                    {treasuryMutation.isPending ? '[UPDATING...]' : '[UPDATE_TREASURY]'}
+                  </button>
+                )}
               </div>
             </div>
           )}
@@ -573,7 +613,7 @@ export function CyberpunkAdminPanel() {
                     R_u = (L_u/L_T) × (1 + ((D_u/{treasuryConfig.programDurationDays}) × {programSettings.timeBoostCoefficient})) × IRM × {programSettings.fullRangeBonus} × ({derivedValues.dailyRewardsCap}/day)
                   </div>
                   <div className="text-gray-400 text-xs mt-2 font-mono">
-                    This formula runs in real-time across the main application. Changes here immediately affect all reward calculations, APR displays, and user earnings.
+                    This formula runs in real-time across the main application. Changes apply from their effective time to all reward calculations, APR displays, and user earnings.
                   </div>
                 </div>
 
@@ -607,17 +647,60 @@ export function CyberpunkAdminPanel() {
                   </div>
                 </div>
 
-                <button
-                  onClick={handleSaveSettings}
-                  disabled={settingsMutation.isPending}
-                  className="mt-6 px-6 py-3 bg-[#ff0066] text-white font-mono font-bold rounded hover:bg-[#ff0066]/80 transition-colors disabled:opacity-50"
-                >
-                  {settingsMutation.isPending ? '[UPDATING...]' : '[UPDATE_PARAMETERS]'}
-                </button>
+                {/* Effective From */}
+                <div className="mt-6 border border-green-400/30 rounded p-4 bg-gray-900/30">
+                  <label className="block text-green-400 text-sm mb-2 font-mono">EFFECTIVE_FROM: (Empty = now)</label>
+                  <input
+                    type="datetime-local"
+                    value={settingsEffectiveFrom}
+                    onChange={(e) => setSettingsEffectiveFrom(e.target.value)}
+                    className="w-full p-3 bg-gray-900 border border-green-400/50 rounded text-green-400 font-mono focus:border-green-400 focus:outline-none mb-2"
+                  />
+                  <div className="text-gray-400 text-xs font-mono">
+                    Saving creates a new parameter version. A future time schedules it; rewards already earned keep the version they were earned under.
+                  </div>
+                </div>
+
+                {can('program:manage') && (
+                  <button
+                    onClick={handleSaveSettings}
+                    disabled={settingsMutation.isPending}
+                    className="mt-6 px-6 py-3 bg-[#ff0066] text-white font-mono font-bold rounded hover:bg-[#ff0066]/80 transition-colors disabled:opacity-50"
+                  >
+                    {settingsMutation.isPending ? '[UPDATING...]' : settingsEffectiveFrom ? '[SCHEDULE_PARAMETERS]' : '[UPDATE_PARAMETERS]'}
+                  </button>
+                )}
               </div>
+
+              <ProgramSettingsTimeline />
             </div>
           )}
 
+          {/* Incentivized Pools */}
+          {activeTab === 'pools' && (
+            <PoolManagementPanel />
+          )}
+
+          {/* Reward Campaigns */}
+          {activeTab === 'campaigns' && (
+            <CampaignManagementPanel />
+          )}
+
+          {/* Reward Ledger Reconciliation */}
+          {activeTab === 'ledger' && (
+            <RewardLedgerPanel />
+          )}
+
+          {/* Liquidity Gaming Review */}
+          {activeTab === 'review' && (
+            <GamingReviewPanel />
+          )}
+
+          {/* Claims held by the pre-signing anomaly checks */}
+          {activeTab === 'holds' && (
+            <ClaimHoldsPanel />
+          )}
+
           {/* Blockchain Configuration */}
           {activeTab === 'blockchain' && (
             <div className="space-y-6">
@@ -632,44 +715,19 @@ export function CyberpunkAdminPanel() {
             </div>
           )}
 
+          {/* Two-person approval proposals */}
+          {activeTab === 'approvals' && (
+            <ApprovalsPanel />
+          )}
+
+          {/* Admin allowlist and sessions */}
+          {activeTab === 'access' && can('access:manage') && (
+            <AdminAccessPanel />
+          )}
+
           {/* Operations Log */}
           {activeTab === 'operations' && (
-            <div className="space-y-6">
-              <div className="bg-black/50 border border-green-400 rounded p-6">
-                <h2 className="text-lg font-bold text-[#ff0066] mb-4 tracking-wider">
-                  [SYSTEM_OPERATIONS_HISTORY]
-                </h2>
-                
-                <div className="space-y-2 max-h-96 overflow-y-auto">
-                  {(operations as any[]).length === 0 ? (
-                    <div className="text-green-400/50 font-mono text-sm">
-                      [NO_OPERATIONS_LOGGED]
-                    </div>
-                  ) : (
-                    (operations as any[]).map((op: any, index: number) => (
-                      <div
-                        key={index}
-                        className="border border-green-400/30 rounded p-3 bg-gray-900/50"
-                      >
-                        <div className="flex justify-between items-start text-sm">
-                          <div className="text-green-400 font-mono">
-                            [{op.action}]
-                          </div>
-                          <div className="text-green-400/50 font-mono">
-                            {new Date(op.timestamp).toLocaleString()}
-                          </div>
-                        </div>
-                        {op.details && (
-                          <div className="text-green-400/70 font-mono text-xs mt-1">
-                            {op.details}
-                          </div>
-                        )}
-                      </div>
-                    ))
-                  )}
-                </div>
-              </div>
-            </div>
+            <AuditLogPanel />
           )}
         </div>
       </div>
@@ -0,0 +1,307 @@
+import { useEffect, useState } from "react";
+import { useMutation, useQuery } from "@tanstack/react-query";
+import { apiRequest, queryClient } from "@/lib/queryClient";
+import { useToast } from "@/hooks/use-toast";
+import { useAdminSession } from "@/hooks/use-admin-session";
+import type { TokenAmount } from "@/lib/token-amount";
+
+type GamingRule = 'short-lived' | 'jit-liquidity' | 'oversized' | 'recycled';
+type ReviewAction = 'dismiss' | 'clawback' | 'exclude';
+
+interface GamingPolicy {
+  minHoldingHours: number;
+  clawbackEnabled: boolean;
+  vestingDays: number;
+  reviewEnabled: boolean;
+  shortLivedHours: number;
+  jitWindowHours: number;
+  oversizedPoolShare: number;
+  recycleThreshold: number;
+  recycleWindowDays: number;
+  updatedBy: string | null;
+  updatedAt: string | null;
+}
+
+interface GamingFlag {
+  id: number;
+  rule: GamingRule;
+  subject: string;
+  userAddress: string;
+  positionIds: number[];
+  details: Record<string, unknown>;
+  status: 'open' | 'dismissed' | 'actioned';
+  suspended: boolean;
+  clawbackAmount: TokenAmount | null;
+  action: ReviewAction | null;
+  reviewedBy: string | null;
+  reviewNote: string | null;
+  reviewedAt: string | null;
+  detectedAt: string;
+}
+
+const RULE_LABELS: Record<GamingRule, string> = {
+  'short-lived': 'SHORT_LIVED',
+  'jit-liquidity': 'JIT_LIQUIDITY',
+  'oversized': 'OVERSIZED',
+  'recycled': 'RECYCLED'
+};
+
+const POLICY_FIELDS: { key: keyof GamingPolicy; label: string; step?: string }[] = [
+  { key: 'minHoldingHours', label: 'MIN_HOLDING_HOURS' },
+  { key: 'vestingDays', label: 'VESTING_DAYS (clawback window)' },
+  { key: 'shortLivedHours', label: 'SHORT_LIVED_HOURS' },
+  { key: 'jitWindowHours', label: 'JIT_WINDOW_HOURS' },
+  { key: 'oversizedPoolShare', label: 'OVERSIZED_POOL_SHARE (0-1)', step: '0.01' },
+  { key: 'recycleThreshold', label: 'RECYCLE_THRESHOLD (positions)' },
+  { key: 'recycleWindowDays', label: 'RECYCLE_WINDOW_DAYS' }
+];
+
+const formatKILT = (amount: TokenAmount | null) =>
+  amount === null ? 'n/a' : `${Number(amount.formatted).toLocaleString(undefined, { maximumFractionDigits: 4 })} KILT`;
+
+const describeDetails = (flag: GamingFlag) => {
+  const details = flag.details as Record<string, any>;
+  switch (flag.rule) {
+    case 'short-lived':
+      return `Position #${details.nftTokenId} held ${details.heldHours}h`;
+    case 'jit-liquidity':
+      return `Position #${details.nftTokenId} added liquidity at ${new Date(details.addedAt).toLocaleString()} and removed it at ${new Date(details.removedAt).toLocaleString()}`;
+    case 'oversized':
+      return `Position #${details.nftTokenId} worth $${Number(details.valueUSD).toLocaleString()} = ${(details.poolShare * 100).toFixed(1)}% of pool TVL`;
+    case 'recycled':
+      return `${details.cycles?.length ?? 0} positions opened and closed within ${details.windowDays} days`;
+  }
+};
+
+export function GamingReviewPanel() {
+  const { toast } = useToast();
+  const { can } = useAdminSession();
+  const [policyForm, setPolicyForm] = useState<GamingPolicy | null>(null);
+  const [notes, setNotes] = useState<Record<number, string>>({});
+
+  const { data: policyData } = useQuery<{ success: boolean; policy: GamingPolicy; status: { lastRunAt: string | null } }>({
+    queryKey: ['/api/admin/gaming/policy']
+  });
+  const { data: openData, isLoading } = useQuery<{ success: boolean; flags: GamingFlag[] }>({
+    queryKey: ['/api/admin/gaming/flags?status=open'],
+    refetchInterval: 60000
+  });
+  const { data: allData } = useQuery<{ success: boolean; flags: GamingFlag[] }>({
+    queryKey: ['/api/admin/gaming/flags']
+  });
+  const openFlags = openData?.flags || [];
+  const reviewedFlags = (allData?.flags || []).filter(flag => flag.status !== 'open').slice(0, 20);
+
+  useEffect(() => {
+    if (policyData?.policy && !policyForm) setPolicyForm(policyData.policy);
+  }, [policyData, policyForm]);
+
+  const onSaved = (title: string, description: string) => {
+    queryClient.invalidateQueries({ queryKey: ['/api/admin/gaming/policy'] });
+    queryClient.invalidateQueries({ queryKey: ['/api/admin/gaming/flags?status=open'] });
+    queryClient.invalidateQueries({ queryKey: ['/api/admin/gaming/flags'] });
+    queryClient.invalidateQueries({ queryKey: ['/api/admin/operations'] });
+    toast({
+      title,
+      description,
+      className: "bg-green-900/90 border-green-400 text-green-100",
+    });
+  };
+
+  const onFailed = (title: string) => (error: Error) => {
+    toast({
+      title,
+      description: error.message,
+      variant: "destructive",
+      className: "bg-red-900/90 border-red-400 text-red-100",
+    });
+  };
+
+  const adminWallet = () => localStorage.getItem('admin_wallet') || 'Unknown Admin';
+
+  const policyMutation = useMutation({
+    mutationFn: (policy: GamingPolicy) => apiRequest('/api/admin/gaming/policy', {
+      method: 'PUT',
+      data: { ...policy, adminWallet: adminWallet() }
+    }),
+    onSuccess: () => onSaved("[GAMING_POLICY_SAVED]", "Detection thresholds and policies updated"),
+    onError: onFailed("[GAMING_POLICY_SAVE_FAILED]")
+  });
+
+  const detectMutation = useMutation({
+    mutationFn: () => apiRequest('/api/admin/gaming/detect', {
+      method: 'POST',
+      data: { adminWallet: adminWallet() }
+    }),
+    onSuccess: (result: any) => onSaved("[DETECTION_COMPLETE]", `${result?.flagged ?? 0} new flag(s), ${result?.suspended ?? 0} suspended`),
+    onError: onFailed("[DETECTION_FAILED]")
+  });
+
+  const reviewMutation = useMutation({
+    mutationFn: ({ flag, action }: { flag: GamingFlag; action: ReviewAction }) => apiRequest(`/api/admin/gaming/flags/${flag.id}/review`, {
+      method: 'POST',
+      data: { action, note: notes[flag.id] || undefined, adminWallet: adminWallet() }
+    }),
+    onSuccess: (_result: any, { flag, action }) => onSaved("[FLAG_REVIEWED]", `${RULE_LABELS[flag.rule]} flag for ${flag.userAddress}: ${action}`),
+    onError: onFailed("[FLAG_REVIEW_FAILED]")
+  });
+
+  const inputClass = "w-full p-3 bg-gray-900 border border-green-400/50 rounded text-green-400 font-mono focus:border-green-400 focus:outline-none";
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-black/50 border border-green-400 rounded p-6">
+        <div className="flex justify-between items-start mb-4">
+          <h2 className="text-lg font-bold text-[#ff0066] tracking-wider">
+            [REVIEW_QUEUE] ({openFlags.length})
+          </h2>
+          {can('rewards:operate') && (
+            <button
+              onClick={() => detectMutation.mutate()}
+              disabled={detectMutation.isPending}
+              className="px-3 py-1 border border-[#ff0066] text-[#ff0066] rounded text-xs font-mono hover:bg-[#ff0066]/10 disabled:opacity-50"
+            >
+              {detectMutation.isPending ? '[SCANNING...]' : '[RUN_DETECTION]'}
+            </button>
+          )}
+        </div>
+        <div className="text-gray-400 text-xs font-mono mb-4">
+          Suspended positions accrue nothing until reviewed. DISMISS restores accrual, CLAWBACK removes unvested accrual and restores it, EXCLUDE removes unvested accrual and keeps the positions out of the program.
+          {policyData?.status.lastRunAt && ` Last scan ${new Date(policyData.status.lastRunAt).toLocaleString()}.`}
+        </div>
+
+        {isLoading ? (
+          <div className="text-green-400 font-mono text-sm">[LOADING_FLAGS...]</div>
+        ) : openFlags.length === 0 ? (
+          <div className="text-green-400 font-mono text-sm">[NO_OPEN_FLAGS]</div>
+        ) : (
+          <div className="space-y-2">
+            {openFlags.map((flag) => (
+              <div key={flag.id} className="border border-[#ff0066]/40 rounded p-3 bg-gray-900/50 font-mono text-sm">
+                <div className="flex justify-between items-start gap-2">
+                  <div>
+                    <span className="text-[#ff0066] mr-2">[{RULE_LABELS[flag.rule]}]</span>
+                    {flag.suspended && <span className="text-yellow-400 mr-2">[SUSPENDED]</span>}
+                    <span className="text-green-400 font-bold break-all">{flag.userAddress}</span>
+                  </div>
+                  <div className="text-green-400/50 text-xs whitespace-nowrap">{new Date(flag.detectedAt).toLocaleString()}</div>
+                </div>
+                <div className="text-green-400/70 text-xs mt-1">{describeDetails(flag)}</div>
+                {flag.clawbackAmount && (
+                  <div className="text-green-400/70 text-xs mt-1">Clawed back: {formatKILT(flag.clawbackAmount)}</div>
+                )}
+                {can('rewards:operate') && (
+                  <div className="flex flex-wrap gap-2 mt-3">
+                    <input
+                      type="text"
+                      value={notes[flag.id] || ''}
+                      onChange={(e) => setNotes({ ...notes, [flag.id]: e.target.value })}
+                      placeholder="Review note"
+                      className="flex-1 min-w-[12rem] p-1 bg-gray-900 border border-green-400/50 rounded text-green-400 font-mono text-xs focus:border-green-400 focus:outline-none"
+                    />
+                    {(['dismiss', 'clawback', 'exclude'] as ReviewAction[]).map(action => (
+                      <button
+                        key={action}
+                        onClick={() => reviewMutation.mutate({ flag, action })}
+                        disabled={reviewMutation.isPending}
+                        className={`px-3 py-1 border rounded text-xs font-mono disabled:opacity-50 ${
+                          action === 'dismiss'
+                            ? 'border-green-400 text-green-400 hover:bg-green-400/10'
+                            : 'border-[#ff0066] text-[#ff0066] hover:bg-[#ff0066]/10'
+                        }`}
+                      >
+                        [{action.toUpperCase()}]
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="bg-black/50 border border-green-400 rounded p-6">
+        <h2 className="text-lg font-bold text-[#ff0066] mb-4 tracking-wider">
+          [GAMING_POLICY]
+        </h2>
+
+        {!policyForm ? (
+          <div className="text-green-400 font-mono text-sm">[LOADING_POLICY...]</div>
+        ) : (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+              {POLICY_FIELDS.map(field => (
+                <div key={field.key}>
+                  <label className="block text-green-400 text-sm mb-2 font-mono">{field.label}:</label>
+                  <input
+                    type="number"
+                    step={field.step || '1'}
+                    value={policyForm[field.key] as number}
+                    onChange={(e) => setPolicyForm({ ...policyForm, [field.key]: parseFloat(e.target.value) })}
+                    className={inputClass}
+                  />
+                </div>
+              ))}
+            </div>
+
+            <div className="flex flex-wrap gap-6 mt-4 font-mono text-sm text-green-400">
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={policyForm.reviewEnabled}
+                  onChange={(e) => setPolicyForm({ ...policyForm, reviewEnabled: e.target.checked })}
+                  className="w-4 h-4 text-[#ff0066] bg-black border-[#ff0066] rounded focus:ring-[#ff0066] focus:ring-1"
+                />
+                SUSPEND_FLAGGED_UNTIL_REVIEW
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={policyForm.clawbackEnabled}
+                  onChange={(e) => setPolicyForm({ ...policyForm, clawbackEnabled: e.target.checked })}
+                  className="w-4 h-4 text-[#ff0066] bg-black border-[#ff0066] rounded focus:ring-[#ff0066] focus:ring-1"
+                />
+                AUTO_CLAWBACK_UNVESTED
+              </label>
+            </div>
+
+            <div className="flex gap-3 mt-6 items-center">
+              {can('rewards:operate') && (
+                <button
+                  onClick={() => policyMutation.mutate(policyForm)}
+                  disabled={policyMutation.isPending}
+                  className="px-6 py-3 bg-green-400 text-black font-mono font-bold rounded hover:bg-green-300 transition-colors disabled:opacity-50"
+                >
+                  {policyMutation.isPending ? '[SAVING...]' : '[SAVE_POLICY]'}
+                </button>
+              )}
+              {policyData?.policy.updatedAt && (
+                <div className="text-green-400/40 text-xs font-mono">
+                  Last changed {new Date(policyData.policy.updatedAt).toLocaleString()} by {policyData.policy.updatedBy}
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+
+      {reviewedFlags.length > 0 && (
+        <div className="bg-black/50 border border-green-400 rounded p-6">
+          <h2 className="text-lg font-bold text-[#ff0066] mb-4 tracking-wider">
+            [RECENTLY_REVIEWED]
+          </h2>
+          <div className="space-y-1 font-mono text-xs">
+            {reviewedFlags.map(flag => (
+              <div key={flag.id} className="text-green-400/70">
+                <span className="text-green-400">[{flag.action?.toUpperCase()}]</span> {RULE_LABELS[flag.rule]} · {flag.userAddress}
+                {flag.clawbackAmount && ` · ${formatKILT(flag.clawbackAmount)}`}
+                {' · '}{flag.reviewedBy}{flag.reviewNote && ` - ${flag.reviewNote}`}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
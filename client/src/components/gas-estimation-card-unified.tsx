@@ -6,7 +6,7 @@
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { Separator } from "@/components/ui/separator";
-import { useExpectedReturns } from "@/hooks/use-single-source-apr";
+import { useExpectedReturns, formatTVLSource } from "@/hooks/use-single-source-apr";
 import { TrendingUp, Fuel, Clock } from "lucide-react";
 
 interface GasEstimationCardProps {
@@ -78,6 +78,11 @@ export function GasEstimationCardUnified({ gasData }: GasEstimationCardProps) {
               Source: {expectedReturns.source}
             </p>
           )}
+          {expectedReturns?.tvlSource && (
+            <p className={`text-xs ${expectedReturns.tvlSource.isStale ? 'text-amber-400' : 'text-slate-500'}`}>
+              Pool TVL: {formatTVLSource(expectedReturns.tvlSource)}{expectedReturns.tvlSource.isStale ? ' (stale)' : ''}
+            </p>
+          )}
         </div>
 
         <Separator className="bg-slate-700/50" />
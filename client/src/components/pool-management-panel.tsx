@@ -0,0 +1,269 @@
+import { useState } from "react";
+import { useMutation, useQuery } from "@tanstack/react-query";
+import { apiRequest, queryClient } from "@/lib/queryClient";
+import { useToast } from "@/hooks/use-toast";
+import { useAdminSession } from "@/hooks/use-admin-session";
+import { formatTVLSource, type TVLSource } from "@/hooks/use-single-source-apr";
+
+interface IncentivizedPool {
+  id: number | null;
+  address: string;
+  name: string;
+  feeTier: number;
+  rewardWeight: number;
+  budgetShare: number;
+  fallbackTvlUSD: number | null;
+  tvlUSD: number;
+  tvl: TVLSource;
+  isActive: boolean;
+}
+
+interface PoolForm {
+  poolAddress: string;
+  name: string;
+  feeTier: number;
+  rewardWeight: number;
+  fallbackTvlUSD: number;
+}
+
+const EMPTY_FORM: PoolForm = {
+  poolAddress: '',
+  name: '',
+  feeTier: 3000,
+  rewardWeight: 1,
+  fallbackTvlUSD: 0
+};
+
+const FEE_TIERS = [100, 500, 3000, 10000];
+
+export function PoolManagementPanel() {
+  const { toast } = useToast();
+  const { can } = useAdminSession();
+  const [form, setForm] = useState<PoolForm>(EMPTY_FORM);
+  const [editingId, setEditingId] = useState<number | null>(null);
+
+  const { data, isLoading } = useQuery<{ success: boolean; pools: IncentivizedPool[] }>({
+    queryKey: ['/api/admin/pools'],
+    refetchInterval: 30000
+  });
+  const pools = data?.pools || [];
+  const isImplicitPool = pools.length === 1 && pools[0].id === null;
+
+  const toPayload = (values: PoolForm, isActive: boolean = true) => ({
+    ...values,
+    fallbackTvlUSD: values.fallbackTvlUSD || null,
+    isActive,
+    adminWallet: localStorage.getItem('admin_wallet') || 'Unknown Admin'
+  });
+
+  const onSaved = (title: string, description: string) => {
+    queryClient.invalidateQueries({ queryKey: ['/api/admin/pools'] });
+    queryClient.invalidateQueries({ queryKey: ['/api/admin/operations'] });
+    queryClient.invalidateQueries({ queryKey: ['/api/pools'] });
+    toast({
+      title,
+      description,
+      className: "bg-green-900/90 border-green-400 text-green-100",
+    });
+  };
+
+  const onFailed = (title: string) => (error: Error) => {
+    toast({
+      title,
+      description: error.message,
+      variant: "destructive",
+      className: "bg-red-900/90 border-red-400 text-red-100",
+    });
+  };
+
+  const toForm = (pool: IncentivizedPool): PoolForm => ({
+    poolAddress: pool.address,
+    name: pool.name === pool.address ? '' : pool.name,
+    feeTier: pool.feeTier,
+    rewardWeight: pool.rewardWeight,
+    fallbackTvlUSD: pool.fallbackTvlUSD || 0
+  });
+
+  const saveMutation = useMutation({
+    mutationFn: (values: PoolForm) => editingId
+      ? apiRequest(`/api/admin/pools/${editingId}`, {
+        method: 'PUT',
+        data: toPayload(values, pools.find(pool => pool.id === editingId)?.isActive ?? true)
+      })
+      : apiRequest('/api/admin/pools', { method: 'POST', data: toPayload(values) }),
+    onSuccess: () => {
+      onSaved("[POOL_SAVED]", `Pool ${form.name || form.poolAddress} ${editingId ? 'updated' : 'registered'}`);
+      setForm(EMPTY_FORM);
+      setEditingId(null);
+    },
+    onError: onFailed("[POOL_SAVE_FAILED]")
+  });
+
+  const toggleMutation = useMutation({
+    mutationFn: (pool: IncentivizedPool) => apiRequest(`/api/admin/pools/${pool.id}`, {
+      method: 'PUT',
+      data: toPayload(toForm(pool), !pool.isActive)
+    }),
+    onSuccess: () => onSaved("[POOL_UPDATED]", "Pool status changed"),
+    onError: onFailed("[POOL_UPDATE_FAILED]")
+  });
+
+  // Share the form's weight would get once saved, next to the other active pools
+  const otherWeight = pools
+    .filter(pool => pool.isActive && pool.id !== editingId)
+    .reduce((sum, pool) => sum + pool.rewardWeight, 0);
+  const previewWeight = otherWeight + form.rewardWeight;
+  const previewShare = previewWeight > 0 ? (form.rewardWeight / previewWeight) * 100 : 0;
+
+  const inputClass = "w-full p-3 bg-gray-900 border border-green-400/50 rounded text-green-400 font-mono focus:border-green-400 focus:outline-none";
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-black/50 border border-green-400 rounded p-6">
+        <h2 className="text-lg font-bold text-[#ff0066] mb-4 tracking-wider">
+          [INCENTIVIZED_POOLS]
+        </h2>
+        <div className="text-gray-400 text-xs font-mono mb-4">
+          The daily rewards cap is split across active pools by weight. Only positions in these pools can register and earn rewards.
+        </div>
+
+        {isLoading ? (
+          <div className="text-green-400 font-mono text-sm">[LOADING_POOLS...]</div>
+        ) : (
+          <div className="space-y-2">
+            {isImplicitPool && (
+              <div className="text-yellow-400 font-mono text-xs mb-2">
+                [DEFAULT] No pools registered - the configured KILT/ETH pool receives the full budget and is registered alongside the first new pool
+              </div>
+            )}
+            {pools.map((pool) => (
+              <div key={pool.id ?? pool.address} className="border border-green-400/30 rounded p-3 bg-gray-900/50 font-mono text-sm">
+                <div className="flex justify-between items-start">
+                  <div>
+                    <div className="text-green-400 font-bold">
+                      {pool.name} <span className="text-[#ff0066]">[{pool.isActive ? 'ACTIVE' : 'INACTIVE'}]</span>
+                    </div>
+                    <div className="text-green-400/50 text-xs mt-1">
+                      {pool.address} · fee {(pool.feeTier / 10000).toFixed(2)}%
+                    </div>
+                    <div className="text-green-400/70 text-xs">
+                      Weight {pool.rewardWeight} · {(pool.budgetShare * 100).toFixed(1)}% of daily budget · TVL ${Math.round(pool.tvlUSD).toLocaleString()}
+                    </div>
+                    <div className={`text-xs ${pool.tvl.isStale ? 'text-yellow-400' : 'text-green-400/50'}`}>
+                      TVL source: {formatTVLSource(pool.tvl)}{pool.tvl.isStale ? ' [STALE]' : ''}
+                    </div>
+                  </div>
+                  {pool.id !== null && can('program:manage') && (
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => { setEditingId(pool.id); setForm(toForm(pool)); }}
+                        className="px-3 py-1 border border-green-400 text-green-400 rounded text-xs hover:bg-green-400/10"
+                      >
+                        [EDIT]
+                      </button>
+                      <button
+                        onClick={() => toggleMutation.mutate(pool)}
+                        disabled={toggleMutation.isPending}
+                        className="px-3 py-1 border border-[#ff0066] text-[#ff0066] rounded text-xs hover:bg-[#ff0066]/10 disabled:opacity-50"
+                      >
+                        {pool.isActive ? '[DEACTIVATE]' : '[ACTIVATE]'}
+                      </button>
+                    </div>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {can('program:manage') && (
+        <div className="bg-black/50 border border-green-400 rounded p-6">
+          <h2 className="text-lg font-bold text-[#ff0066] mb-4 tracking-wider">
+            {editingId ? `[EDIT_POOL_${editingId}]` : '[REGISTER_POOL]'}
+          </h2>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-green-400 text-sm mb-2 font-mono">POOL_ADDRESS:</label>
+              <input
+                type="text"
+                value={form.poolAddress}
+                onChange={(e) => setForm({ ...form, poolAddress: e.target.value })}
+                placeholder="0x... (Uniswap V3 pool)"
+                className={inputClass}
+              />
+            </div>
+
+            <div>
+              <label className="block text-green-400 text-sm mb-2 font-mono">POOL_NAME:</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                placeholder="e.g. KILT/USDC 0.3%"
+                className={inputClass}
+              />
+            </div>
+
+            <div>
+              <label className="block text-green-400 text-sm mb-2 font-mono">FEE_TIER:</label>
+              <select
+                value={form.feeTier}
+                onChange={(e) => setForm({ ...form, feeTier: Number(e.target.value) })}
+                className={inputClass}
+              >
+                {FEE_TIERS.map(feeTier => (
+                  <option key={feeTier} value={feeTier}>{(feeTier / 10000).toFixed(2)}%</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-green-400 text-sm mb-2 font-mono">REWARD_WEIGHT:</label>
+              <input
+                type="number"
+                step="0.1"
+                value={form.rewardWeight}
+                onChange={(e) => setForm({ ...form, rewardWeight: Number(e.target.value) || 0 })}
+                className={inputClass}
+              />
+              <div className="text-xs text-gray-500 mt-1">
+                ≈ {previewShare.toFixed(1)}% of the daily budget
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-green-400 text-sm mb-2 font-mono">FALLBACK_TVL_USD:</label>
+              <input
+                type="number"
+                value={form.fallbackTvlUSD || ''}
+                onChange={(e) => setForm({ ...form, fallbackTvlUSD: Number(e.target.value) || 0 })}
+                placeholder="Used only while on-chain TVL is unavailable"
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          <div className="flex gap-3 mt-6">
+            <button
+              onClick={() => saveMutation.mutate(form)}
+              disabled={saveMutation.isPending}
+              className="px-6 py-3 bg-green-400 text-black font-mono font-bold rounded hover:bg-green-300 transition-colors disabled:opacity-50"
+            >
+              {saveMutation.isPending ? '[SAVING...]' : editingId ? '[UPDATE_POOL]' : '[REGISTER_POOL]'}
+            </button>
+            {editingId && (
+              <button
+                onClick={() => { setEditingId(null); setForm(EMPTY_FORM); }}
+                className="px-6 py-3 border border-green-400 text-green-400 font-mono rounded hover:bg-green-400/10 transition-colors"
+              >
+                [CANCEL]
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+import { useMutation, useQuery } from "@tanstack/react-query";
+import { apiRequest, queryClient } from "@/lib/queryClient";
+import { useToast } from "@/hooks/use-toast";
+import { useAdminSession } from "@/hooks/use-admin-session";
+
+interface ProgramSettingsVersion {
+  id: number;
+  timeBoostCoefficient: number;
+  fullRangeBonus: number;
+  minimumPositionValue: number;
+  lockPeriod: number;
+  effectiveFrom: string;
+  createdBy: string | null;
+  createdAt: string | null;
+  status: 'current' | 'scheduled' | 'superseded';
+}
+
+export function ProgramSettingsTimeline() {
+  const { toast } = useToast();
+  const { can } = useAdminSession();
+
+  const { data, isLoading } = useQuery<{ success: boolean; versions: ProgramSettingsVersion[] }>({
+    queryKey: ['/api/admin/program/settings/versions'],
+    refetchInterval: 30000
+  });
+  // Newest first - scheduled versions on top
+  const versions = [...(data?.versions || [])].reverse();
+
+  const cancelMutation = useMutation({
+    mutationFn: (version: ProgramSettingsVersion) => apiRequest(`/api/admin/program/settings/versions/${version.id}`, {
+      method: 'DELETE',
+      data: { adminWallet: localStorage.getItem('admin_wallet') || 'Unknown Admin' }
+    }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['/api/admin/program/settings/versions'] });
+      queryClient.invalidateQueries({ queryKey: ['/api/admin/operations'] });
+      toast({
+        title: "[VERSION_CANCELLED]",
+        description: "Scheduled program settings version removed",
+        className: "bg-green-900/90 border-green-400 text-green-100",
+      });
+    },
+    onError: (error: Error) => {
+      toast({
+        title: "[VERSION_CANCEL_FAILED]",
+        description: error.message,
+        variant: "destructive",
+        className: "bg-red-900/90 border-red-400 text-red-100",
+      });
+    }
+  });
+
+  const statusClass = (status: ProgramSettingsVersion['status']) =>
+    status === 'current' ? 'text-[#ff0066]' : status === 'scheduled' ? 'text-yellow-400' : 'text-green-400/40';
+
+  return (
+    <div className="bg-black/50 border border-green-400 rounded p-6">
+      <h2 className="text-lg font-bold text-[#ff0066] mb-4 tracking-wider">
+        [PARAMETER_VERSION_HISTORY]
+      </h2>
+      <div className="text-gray-400 text-xs font-mono mb-4">
+        Every change is kept as a version. Rewards for any period are calculated with the version in force at the time, so changes never alter rewards already earned.
+      </div>
+
+      {isLoading ? (
+        <div className="text-green-400 font-mono text-sm">[LOADING_VERSIONS...]</div>
+      ) : versions.length === 0 ? (
+        <div className="text-green-400/50 font-mono text-sm">[NO_VERSIONS_SAVED]</div>
+      ) : (
+        <div className="space-y-2">
+          {versions.map((version) => (
+            <div key={version.id} className="border border-green-400/30 rounded p-3 bg-gray-900/50 font-mono text-sm">
+              <div className="flex justify-between items-start">
+                <div>
+                  <div className="text-green-400 font-bold">
+                    V{version.id} <span className={statusClass(version.status)}>[{version.status.toUpperCase()}]</span>
+                  </div>
+                  <div className="text-green-400/70 text-xs mt-1">
+                    Effective {new Date(version.effectiveFrom).toLocaleString()} · b_time {version.timeBoostCoefficient} · FRB {version.fullRangeBonus} · Min ${version.minimumPositionValue} · Lock {version.lockPeriod}d
+                  </div>
+                  <div className="text-green-400/50 text-xs">
+                    By {version.createdBy || 'unknown'}{version.createdAt ? ` on ${new Date(version.createdAt).toLocaleString()}` : ''}
+                  </div>
+                </div>
+                {version.status === 'scheduled' && can('program:manage') && (
+                  <button
+                    onClick={() => cancelMutation.mutate(version)}
+                    disabled={cancelMutation.isPending}
+                    className="px-3 py-1 border border-[#ff0066] text-[#ff0066] rounded text-xs hover:bg-[#ff0066]/10 disabled:opacity-50"
+                  >
+                    [CANCEL]
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
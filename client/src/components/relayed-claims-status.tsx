@@ -0,0 +1,122 @@
+import { useEffect, useRef } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { CheckCircle, ExternalLink, Loader2, XCircle } from 'lucide-react';
+import type { TokenAmount } from '@/lib/token-amount';
+
+export type RelayedClaimStatus = 'pending' | 'submitted' | 'confirmed' | 'failed';
+
+export interface RelayedClaim {
+  id: number;
+  amount: TokenAmount;
+  status: RelayedClaimStatus;
+  transactionHash: string | null;
+  gasCostEth: string | null;
+  error: string | null;
+  createdAt: string;
+  confirmedAt: string | null;
+}
+
+export interface RelayerStatus {
+  success: boolean;
+  enabled: boolean;
+  relayerAddress: string | null;
+  budgetRemainingEth: string;
+  quota: { daily: number; monthly: number; usedToday?: number; usedThisMonth?: number; remaining?: number };
+}
+
+const STATUS_LABELS: Record<RelayedClaimStatus, string> = {
+  pending: 'Sending',
+  submitted: 'Waiting for confirmation',
+  confirmed: 'Claimed',
+  failed: 'Failed'
+};
+
+/**
+ * Relayer availability for a wallet - shared by the gasless claim button and the status list
+ */
+export function useRelayerStatus(address: string | undefined) {
+  return useQuery<RelayerStatus>({
+    queryKey: ['relayer-status', address],
+    queryFn: async () => {
+      const response = await fetch(`/api/relayer/status?address=${address}`);
+      return response.json();
+    },
+    enabled: !!address,
+    staleTime: 30000,
+    refetchInterval: 60000
+  });
+}
+
+/**
+ * Gasless claims of the connected wallet and their transactions, refreshed while any is in flight
+ */
+export function RelayedClaimsStatus({ address }: { address: string }) {
+  const queryClient = useQueryClient();
+  const { data } = useQuery<{ success: boolean; claims: RelayedClaim[] }>({
+    queryKey: ['relayed-claims', address],
+    queryFn: async () => {
+      const response = await fetch(`/api/relayer/claims/${address}`);
+      return response.json();
+    },
+    enabled: !!address,
+    refetchInterval: (query) =>
+      query.state.data?.claims?.some(claim => claim.status === 'pending' || claim.status === 'submitted') ? 5000 : 60000
+  });
+  const claims = (data?.claims || []).slice(0, 5);
+
+  // Refresh balances once a relayed claim lands
+  const settled = useRef<Set<number> | null>(null);
+  useEffect(() => {
+    if (!data?.claims) return;
+    const confirmed = data.claims.filter(claim => claim.status === 'confirmed').map(claim => claim.id);
+    if (settled.current && confirmed.some(id => !settled.current!.has(id))) {
+      queryClient.invalidateQueries({ queryKey: ['claimability'] });
+      queryClient.invalidateQueries({ queryKey: ['reward-history'] });
+      queryClient.invalidateQueries({ queryKey: ['reward-stats'] });
+      queryClient.invalidateQueries({ queryKey: ['relayer-status', address] });
+    }
+    settled.current = new Set(confirmed);
+  }, [data, address, queryClient]);
+
+  if (claims.length === 0) return null;
+
+  return (
+    <div className="mt-3 p-3 rounded-lg border border-white/10 bg-black/40 text-left space-y-2 text-xs">
+      <div className="text-white font-semibold">Gasless claims</div>
+      {claims.map(claim => (
+        <div key={claim.id} className="space-y-0.5">
+          <div className="flex justify-between items-center">
+            <span className="text-white font-mono">
+              {Number(claim.amount.formatted).toLocaleString(undefined, { maximumFractionDigits: 4 })} KILT
+            </span>
+            <span className={`flex items-center gap-1 ${
+              claim.status === 'confirmed' ? 'text-green-400' : claim.status === 'failed' ? 'text-red-400' : 'text-yellow-400'
+            }`}>
+              {claim.status === 'confirmed' ? <CheckCircle className="h-3 w-3" />
+                : claim.status === 'failed' ? <XCircle className="h-3 w-3" />
+                : <Loader2 className="h-3 w-3 animate-spin" />}
+              {STATUS_LABELS[claim.status]}
+            </span>
+          </div>
+          <div className="flex justify-between text-white/50">
+            <span>{new Date(claim.createdAt).toLocaleString()}</span>
+            {claim.transactionHash && (
+              <a
+                href={`https://basescan.org/tx/${claim.transactionHash}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="flex items-center gap-1 text-[#ff0066] hover:underline font-mono"
+              >
+                {claim.transactionHash.slice(0, 10)}...
+                <ExternalLink className="h-3 w-3" />
+              </a>
+            )}
+          </div>
+          {claim.status === 'failed' && claim.error && (
+            <div className="text-red-400/80">{claim.error}</div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,303 @@
+import { useState } from "react";
+import { useMutation, useQuery } from "@tanstack/react-query";
+import { apiRequest, queryClient } from "@/lib/queryClient";
+import { useToast } from "@/hooks/use-toast";
+import { useAdminSession } from "@/hooks/use-admin-session";
+import type { TokenAmount } from "@/lib/token-amount";
+
+type ReconciliationFlag = 'claims-out-of-sync' | 'claimed-exceeds-accrued' | 'contract-unreadable';
+
+interface ReconciliationRow {
+  address: string;
+  accrued: TokenAmount;
+  ledgerClaimed: TokenAmount;
+  onchainClaimed: TokenAmount | null;
+  difference: TokenAmount;
+  flags: ReconciliationFlag[];
+}
+
+interface ReconciliationReport {
+  contractAddress: string | null;
+  lastSyncedBlock: number | null;
+  wallets: number;
+  generatedAt: string;
+  totals: { accrued: TokenAmount; ledgerClaimed: TokenAmount; onchainClaimed: TokenAmount };
+  flagged: ReconciliationRow[];
+}
+
+interface ClaimSyncStatus {
+  isSyncing: boolean;
+  lastSyncedBlock: number | null;
+  confirmations: number;
+  lastReorg: { blockNumber: number; reversed: number; detectedAt: string } | null;
+}
+
+interface ClaimSignatureIssuance {
+  id: number;
+  userAddress: string;
+  contractAddress: string;
+  nonce: number;
+  amount: TokenAmount;
+  scheme: 'eip712' | 'legacy';
+  expiresAt: string | null;
+  source: string;
+  requestIp: string | null;
+  requestCount: number;
+  lastRequestedAt: string;
+  consumedAt: string | null;
+  consumedTransactionHash: string | null;
+  consumedAmount: TokenAmount | null;
+  createdAt: string;
+  status: 'open' | 'consumed' | 'expired' | 'superseded';
+}
+
+const FLAG_LABELS: Record<ReconciliationFlag, string> = {
+  'claims-out-of-sync': 'CLAIMS_OUT_OF_SYNC',
+  'claimed-exceeds-accrued': 'CLAIMED_EXCEEDS_ACCRUED',
+  'contract-unreadable': 'CONTRACT_UNREADABLE'
+};
+
+const formatKILT = (amount: TokenAmount | null) =>
+  amount === null ? 'n/a' : `${Number(amount.formatted).toLocaleString(undefined, { maximumFractionDigits: 4 })} KILT`;
+
+export function RewardLedgerPanel() {
+  const { toast } = useToast();
+  const { can } = useAdminSession();
+  const [lookupAddress, setLookupAddress] = useState('');
+  const [issuanceAddress, setIssuanceAddress] = useState('');
+
+  const { data: issuanceData, isFetching: issuancesLoading } = useQuery<{ success: boolean; issuances: ClaimSignatureIssuance[] }>({
+    queryKey: [`/api/admin/claim-signatures?address=${issuanceAddress}&limit=50`]
+  });
+  const issuances = issuanceData?.issuances || [];
+
+  const { data, isLoading, isFetching, refetch } = useQuery<{ success: boolean; report: ReconciliationReport; status: ClaimSyncStatus }>({
+    queryKey: ['/api/admin/rewards/reconciliation'],
+    refetchInterval: 60000
+  });
+  const report = data?.report;
+  const syncStatus = data?.status;
+  const [backfillFrom, setBackfillFrom] = useState('');
+  const [backfillTo, setBackfillTo] = useState('');
+
+  const syncMutation = useMutation({
+    mutationFn: () => apiRequest('/api/admin/rewards/ledger/sync-claims', {
+      method: 'POST',
+      data: { adminWallet: localStorage.getItem('admin_wallet') || 'Unknown Admin' }
+    }),
+    onSuccess: (result: any) => {
+      queryClient.invalidateQueries({ queryKey: ['/api/admin/rewards/reconciliation'] });
+      queryClient.invalidateQueries({ queryKey: ['/api/admin/operations'] });
+      toast({
+        title: "[CLAIMS_SYNCED]",
+        description: `${result?.appended ?? 0} claim(s) recorded through block ${result?.toBlock ?? '?'}`,
+        className: "bg-green-900/90 border-green-400 text-green-100",
+      });
+    },
+    onError: (error: Error) => {
+      toast({
+        title: "[CLAIM_SYNC_FAILED]",
+        description: error.message,
+        variant: "destructive",
+        className: "bg-red-900/90 border-red-400 text-red-100",
+      });
+    }
+  });
+
+  const backfillMutation = useMutation({
+    mutationFn: () => apiRequest('/api/admin/rewards/ledger/backfill-claims', {
+      method: 'POST',
+      data: {
+        fromBlock: parseInt(backfillFrom),
+        toBlock: backfillTo ? parseInt(backfillTo) : undefined,
+        adminWallet: localStorage.getItem('admin_wallet') || 'Unknown Admin'
+      }
+    }),
+    onSuccess: (result: any) => {
+      queryClient.invalidateQueries({ queryKey: ['/api/admin/rewards/reconciliation'] });
+      queryClient.invalidateQueries({ queryKey: ['/api/admin/operations'] });
+      toast({
+        title: "[CLAIMS_BACKFILLED]",
+        description: `${result?.appended ?? 0} claim(s) recorded from blocks ${result?.fromBlock}-${result?.toBlock}`,
+        className: "bg-green-900/90 border-green-400 text-green-100",
+      });
+    },
+    onError: (error: Error) => {
+      toast({
+        title: "[CLAIM_BACKFILL_FAILED]",
+        description: error.message,
+        variant: "destructive",
+        className: "bg-red-900/90 border-red-400 text-red-100",
+      });
+    }
+  });
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-black/50 border border-green-400 rounded p-6">
+        <div className="flex justify-between items-start mb-4">
+          <h2 className="text-lg font-bold text-[#ff0066] tracking-wider">
+            [LEDGER_RECONCILIATION]
+          </h2>
+          <div className="flex gap-2">
+            <button
+              onClick={() => refetch()}
+              disabled={isFetching}
+              className="px-3 py-1 border border-green-400 text-green-400 rounded text-xs font-mono hover:bg-green-400/10 disabled:opacity-50"
+            >
+              {isFetching ? '[CHECKING...]' : '[RECHECK]'}
+            </button>
+            {can('rewards:operate') && (
+              <button
+                onClick={() => syncMutation.mutate()}
+                disabled={syncMutation.isPending}
+                className="px-3 py-1 border border-[#ff0066] text-[#ff0066] rounded text-xs font-mono hover:bg-[#ff0066]/10 disabled:opacity-50"
+              >
+                {syncMutation.isPending ? '[SYNCING...]' : '[SYNC_CLAIMS]'}
+              </button>
+            )}
+          </div>
+        </div>
+        <div className="text-gray-400 text-xs font-mono mb-4">
+          Claimable = finalized ledger accruals - claimedAmount on the treasury contract. Wallets are flagged when their recorded claims don't match the contract, or the contract paid more than the ledger accrued.
+        </div>
+
+        {isLoading || !report ? (
+          <div className="text-green-400 font-mono text-sm">[LOADING_RECONCILIATION...]</div>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 font-mono text-sm mb-4">
+              <div>
+                <div className="text-green-400/50 text-xs">WALLETS</div>
+                <div className="text-green-400">{report.wallets}</div>
+              </div>
+              <div>
+                <div className="text-green-400/50 text-xs">ACCRUED</div>
+                <div className="text-green-400">{formatKILT(report.totals.accrued)}</div>
+              </div>
+              <div>
+                <div className="text-green-400/50 text-xs">CLAIMED (LEDGER / CONTRACT)</div>
+                <div className="text-green-400">
+                  {formatKILT(report.totals.ledgerClaimed)} / {formatKILT(report.totals.onchainClaimed)}
+                </div>
+              </div>
+              <div>
+                <div className="text-green-400/50 text-xs">LAST_SYNCED_BLOCK</div>
+                <div className="text-green-400">{report.lastSyncedBlock ?? 'not synced'}</div>
+              </div>
+            </div>
+
+            {report.flagged.length === 0 ? (
+              <div className="text-green-400 font-mono text-sm">[ALL_WALLETS_RECONCILED]</div>
+            ) : (
+              <div className="space-y-2">
+                {report.flagged.map((row) => (
+                  <div key={row.address} className="border border-[#ff0066]/40 rounded p-3 bg-gray-900/50 font-mono text-sm">
+                    <div className="text-green-400 font-bold break-all">{row.address}</div>
+                    <div className="text-green-400/70 text-xs mt-1">
+                      Accrued {formatKILT(row.accrued)} · Ledger claims {formatKILT(row.ledgerClaimed)} · Contract claimedAmount {formatKILT(row.onchainClaimed)}
+                    </div>
+                    <div className="text-xs mt-1">
+                      {row.flags.map(flag => (
+                        <span key={flag} className="text-[#ff0066] mr-2">[{FLAG_LABELS[flag]}]</span>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="text-green-400/40 text-xs font-mono mt-4">
+              Contract {report.contractAddress || 'not configured'} · checked {new Date(report.generatedAt).toLocaleString()}
+              {syncStatus && ` · claims recorded ${syncStatus.confirmations} blocks deep`}
+              {syncStatus?.lastReorg && ` · reorg at block ${syncStatus.lastReorg.blockNumber} on ${new Date(syncStatus.lastReorg.detectedAt).toLocaleString()} reversed ${syncStatus.lastReorg.reversed} claim(s)`}
+            </div>
+          </>
+        )}
+
+        {can('rewards:operate') && (
+          <div className="flex flex-wrap gap-2 mt-4 items-center">
+            <span className="text-green-400/70 text-xs font-mono">BACKFILL_CLAIMS:</span>
+            <input
+              type="number"
+              value={backfillFrom}
+              onChange={(e) => setBackfillFrom(e.target.value)}
+              placeholder="From block"
+              className="w-36 p-1 bg-gray-900 border border-green-400/50 rounded text-green-400 font-mono text-xs focus:border-green-400 focus:outline-none"
+            />
+            <input
+              type="number"
+              value={backfillTo}
+              onChange={(e) => setBackfillTo(e.target.value)}
+              placeholder="To block (latest)"
+              className="w-36 p-1 bg-gray-900 border border-green-400/50 rounded text-green-400 font-mono text-xs focus:border-green-400 focus:outline-none"
+            />
+            <button
+              onClick={() => backfillMutation.mutate()}
+              disabled={backfillMutation.isPending || !backfillFrom}
+              className="px-3 py-1 border border-[#ff0066] text-[#ff0066] rounded text-xs font-mono hover:bg-[#ff0066]/10 disabled:opacity-50"
+            >
+              {backfillMutation.isPending ? '[BACKFILLING...]' : '[BACKFILL]'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="bg-black/50 border border-green-400 rounded p-6">
+        <h2 className="text-lg font-bold text-[#ff0066] mb-4 tracking-wider">
+          [CLAIM_AUTHORIZATIONS]
+        </h2>
+        <div className="text-gray-400 text-xs font-mono mb-4">
+          Every claim signature issued: amount, contract nonce, expiry and requesting IP. A signature is consumed once its RewardClaimed event is synced.
+        </div>
+        <div className="flex gap-2 mb-4">
+          <input
+            type="text"
+            value={lookupAddress}
+            onChange={(e) => setLookupAddress(e.target.value.trim())}
+            placeholder="0x... wallet (empty = latest for all wallets)"
+            className="flex-1 p-2 bg-gray-900 border border-green-400/50 rounded text-green-400 font-mono text-sm focus:border-green-400 focus:outline-none"
+          />
+          <button
+            onClick={() => setIssuanceAddress(lookupAddress)}
+            className="px-3 py-1 border border-green-400 text-green-400 rounded text-xs font-mono hover:bg-green-400/10"
+          >
+            [LOOKUP]
+          </button>
+        </div>
+
+        {issuancesLoading ? (
+          <div className="text-green-400 font-mono text-sm">[LOADING_AUTHORIZATIONS...]</div>
+        ) : issuances.length === 0 ? (
+          <div className="text-green-400/50 font-mono text-sm">[NO_SIGNATURES_ISSUED]</div>
+        ) : (
+          <div className="space-y-2">
+            {issuances.map((issuance) => (
+              <div key={issuance.id} className="border border-green-400/30 rounded p-3 bg-gray-900/50 font-mono text-xs">
+                <div className="flex justify-between gap-2">
+                  <span className="text-green-400 font-bold break-all">{issuance.userAddress}</span>
+                  <span className={issuance.status === 'open' ? 'text-yellow-400' : issuance.status === 'consumed' ? 'text-green-400' : 'text-gray-500'}>
+                    [{issuance.status.toUpperCase()}]
+                  </span>
+                </div>
+                <div className="text-green-400/70 mt-1">
+                  #{issuance.id} · {formatKILT(issuance.amount)} · nonce {issuance.nonce} · {issuance.scheme === 'eip712' ? 'EIP-712' : 'legacy'} · {issuance.source}
+                </div>
+                <div className="text-green-400/50 mt-1">
+                  Issued {new Date(issuance.createdAt).toLocaleString()} to {issuance.requestIp || 'unknown IP'}
+                  {issuance.requestCount > 1 && ` · returned ${issuance.requestCount}× (last ${new Date(issuance.lastRequestedAt).toLocaleString()})`}
+                  {issuance.expiresAt && ` · expires ${new Date(issuance.expiresAt).toLocaleString()}`}
+                </div>
+                {issuance.consumedAt && (
+                  <div className="text-green-400/50 mt-1 break-all">
+                    Claimed {formatKILT(issuance.consumedAmount)} at {new Date(issuance.consumedAt).toLocaleString()} · tx {issuance.consumedTransactionHash}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
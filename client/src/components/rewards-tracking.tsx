@@ -19,7 +19,8 @@ import {
   Plus,
   RefreshCw,
   Timer,
-  AlertCircle
+  AlertCircle,
+  Zap
 } from 'lucide-react';
 import { useWagmiWallet } from '@/hooks/use-wagmi-wallet';
 import { useKiltTokenData } from '@/hooks/use-kilt-data';
@@ -27,6 +28,7 @@ import { useUnifiedDashboard } from '@/hooks/use-unified-dashboard';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useToast } from '@/hooks/use-toast';
 import { useRewardClaiming } from '@/hooks/use-reward-claiming';
+import { RelayedClaimsStatus, useRelayerStatus } from '@/components/relayed-claims-status';
 
 import kiltLogo from '@assets/KILT_400x400_transparent_1751723574123.png';
 
@@ -68,6 +70,31 @@ interface ProgramAnalytics {
   avgUserLiquidity: number;
 }
 
+interface CampaignReward {
+  campaignId: number;
+  name: string;
+  smartContractAddress: string;
+  startDate: string;
+  endDate: string;
+  status: 'scheduled' | 'active' | 'ended' | 'paused';
+  dailyRewardsCap: number;
+  accumulated: number;
+  lastDayReward: number;
+  positions: number;
+}
+
+interface UnifiedRewardBreakdown {
+  baseProgram: {
+    name: string;
+    accumulated: number;
+    claimable: number;
+    avgDailyRewards: number;
+    endDate: string | null;
+  };
+  campaigns: CampaignReward[];
+  totals: { accumulated: number; activeCampaigns: number };
+}
+
 interface ClaimResult {
   success: boolean;
   claimedAmount: number;
@@ -168,6 +195,20 @@ export function RewardsTracking() {
     refetchInterval: 15000 // Consistent 15 second refresh
   });
 
+  // Per-campaign reward breakdown (base program plus any promotional campaigns)
+  const { data: unifiedBreakdown } = useQuery<UnifiedRewardBreakdown | null>({
+    queryKey: ['unified-breakdown', address],
+    queryFn: async () => {
+      if (!address) return null;
+      const response = await fetch(`/api/dashboard/unified/${address}`);
+      if (!response.ok) return null;
+      return response.json();
+    },
+    enabled: !!address,
+    staleTime: 10000, // 10 second cache for consistency
+    refetchInterval: 30000
+  });
+
   // Real-time countdown timer with live updates
   const [countdownText, setCountdownText] = useState('');
   const [timeRemaining, setTimeRemaining] = useState<string | null>(null);
@@ -271,7 +312,11 @@ export function RewardsTracking() {
   });
 
   // Get blockchain claiming functionality
-  const { claimRewards, getUserTokenIds, isClaiming } = useRewardClaiming();
+  const { claimRewards, claimGasless, getUserTokenIds, isClaiming, pendingClaim } = useRewardClaiming();
+
+  // Gasless claims through the relayer - only offered while the wallet has quota left
+  const { data: relayerStatus } = useRelayerStatus(address);
+  const canClaimGasless = !!relayerStatus?.enabled && (relayerStatus.quota.remaining ?? 0) > 0;
 
   // Automated claim mutation - handles both reward distribution and claiming via smart contract
   const claimMutation = useMutation({
@@ -305,6 +350,27 @@ export function RewardsTracking() {
     }
   });
 
+  // Gasless claim - the relayer submits the transaction, the wallet only signs the claim intent
+  const gaslessClaimMutation = useMutation({
+    mutationFn: async () => {
+      if (!address) throw new Error('Wallet not connected');
+
+      const result = await claimGasless();
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to claim rewards');
+      }
+      return result;
+    },
+    onSuccess: (result) => {
+      toast({
+        title: "Gasless Claim Submitted",
+        description: `The relayer is submitting your claim of ${result.claimedAmount} KILT - follow it below`,
+      });
+      queryClient.invalidateQueries({ queryKey: ['relayed-claims', address] });
+      queryClient.invalidateQueries({ queryKey: ['relayer-status', address] });
+    }
+  });
+
   const totalClaimableAmount = claimability?.totalClaimable || 0;
   const canClaim = claimability?.canClaim || false;
   const lockExpired = claimability?.lockExpired || false;
@@ -643,6 +709,56 @@ export function RewardsTracking() {
                 )}
               </Button>
 
+              {canClaimGasless && (rewardStats?.totalClaimable || 0) > 0 && claimability?.canClaim && (
+                <Button
+                  onClick={() => gaslessClaimMutation.mutate()}
+                  disabled={gaslessClaimMutation.isPending || claimMutation.isPending || isClaiming}
+                  variant="outline"
+                  className="w-full mt-2 border-[#ff0066]/40 text-white hover:bg-[#ff0066]/10 text-xs"
+                >
+                  {gaslessClaimMutation.isPending ? (
+                    <>
+                      <Loader2 className="h-3 w-3 mr-2 animate-spin" />
+                      Sign the claim intent in your wallet...
+                    </>
+                  ) : (
+                    <>
+                      <Zap className="h-3 w-3 mr-2" />
+                      Claim without gas ({relayerStatus?.quota.remaining} left)
+                    </>
+                  )}
+                </Button>
+              )}
+
+              {/* Decoded typed claim - exactly what the signature lets this wallet claim */}
+              {pendingClaim && (
+                <div className="mt-3 p-3 rounded-lg border border-[#ff0066]/30 bg-black/40 text-left space-y-1 text-xs">
+                  <div className="text-white font-semibold mb-1">You are claiming</div>
+                  <div className="flex justify-between">
+                    <span className="text-white/60">Amount:</span>
+                    <span className="text-white font-mono">{Number(pendingClaim.amount.formatted).toLocaleString(undefined, { maximumFractionDigits: 6 })} KILT</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-white/60">To:</span>
+                    <span className="text-white font-mono">{pendingClaim.user.slice(0, 8)}...{pendingClaim.user.slice(-6)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-white/60">Contract:</span>
+                    <span className="text-white font-mono">{pendingClaim.contract.slice(0, 8)}...{pendingClaim.contract.slice(-6)} (chain {pendingClaim.chainId})</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-white/60">Claim nonce:</span>
+                    <span className="text-white font-mono">{pendingClaim.nonce.toString()}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-white/60">Signature expires:</span>
+                    <span className="text-white font-mono">{pendingClaim.expiresAt.toLocaleTimeString()}</span>
+                  </div>
+                </div>
+              )}
+
+              {address && <RelayedClaimsStatus address={address} />}
+
             </div>
             
             {/* Reward Details */}
@@ -786,6 +902,55 @@ export function RewardsTracking() {
           </CardContent>
         </Card>
       </div>
+
+      {/* Campaign Breakdown */}
+      {unifiedBreakdown && unifiedBreakdown.campaigns.length > 0 && (
+        <Card className="bg-black/40 backdrop-blur-xl border border-white/10 rounded-lg cluely-card">
+          <CardHeader className="pb-2">
+            <CardTitle className="flex items-center space-x-2 text-white font-heading text-sm">
+              <Gift className="h-4 w-4 text-[#ff0066]" />
+              <span>Rewards by Campaign</span>
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="p-3 space-y-2">
+            <div className="flex items-center justify-between p-2 rounded border border-[#ff0066]/20 bg-black/60 text-xs">
+              <div>
+                <div className="text-white font-medium">{unifiedBreakdown.baseProgram.name}</div>
+                <div className="text-white/50">
+                  {unifiedBreakdown.baseProgram.endDate ? `Until ${new Date(unifiedBreakdown.baseProgram.endDate).toLocaleDateString()}` : 'Ongoing'}
+                </div>
+              </div>
+              <div className="text-right">
+                <div className="text-white numeric-display">{unifiedBreakdown.baseProgram.accumulated.toFixed(2)} KILT</div>
+                <div className="text-white/50">{unifiedBreakdown.baseProgram.avgDailyRewards.toFixed(2)} KILT/day</div>
+              </div>
+            </div>
+            {unifiedBreakdown.campaigns.map((campaign) => (
+              <div key={campaign.campaignId} className="flex items-center justify-between p-2 rounded border border-white/10 bg-black/60 text-xs">
+                <div>
+                  <div className="flex items-center gap-2">
+                    <span className="text-white font-medium">{campaign.name}</span>
+                    <Badge variant="outline" className={campaign.status === 'active' ? 'border-green-500/40 text-green-400' : 'border-white/20 text-white/50'}>
+                      {campaign.status}
+                    </Badge>
+                  </div>
+                  <div className="text-white/50">
+                    {new Date(campaign.startDate).toLocaleDateString()} – {new Date(campaign.endDate).toLocaleDateString()} · {campaign.positions} position{campaign.positions === 1 ? '' : 's'}
+                  </div>
+                </div>
+                <div className="text-right">
+                  <div className="text-white numeric-display">{campaign.accumulated.toFixed(2)} KILT</div>
+                  <div className="text-white/50">{campaign.lastDayReward.toFixed(2)} KILT last day</div>
+                </div>
+              </div>
+            ))}
+            <div className="flex justify-between text-xs pt-1">
+              <span className="text-white/60">Total across campaigns:</span>
+              <span className="text-white">{unifiedBreakdown.totals.accumulated.toFixed(2)} KILT</span>
+            </div>
+          </CardContent>
+        </Card>
+      )}
     </div>
   );
 }
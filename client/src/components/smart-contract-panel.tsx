@@ -7,6 +7,8 @@ import { Label } from "@/components/ui/label";
 import { Badge } from "@/components/ui/badge";
 import { useToast } from "@/hooks/use-toast";
 import { useWagmiWallet } from "@/hooks/use-wagmi-wallet";
+import { useAdminSession } from "@/hooks/use-admin-session";
+import type { AdminPermission } from "@shared/admin-roles";
 import { apiRequest } from "@/lib/queryClient";
 import { useWriteContract, useWaitForTransactionReceipt, useReadContract } from 'wagmi';
 import { parseUnits } from 'viem';
@@ -31,8 +33,7 @@ import {
 import { 
   TOKEN_ADDRESSES, 
   ERC20_ABI, 
-  DYNAMIC_TREASURY_POOL_ABI, 
-  AUTHORIZED_ADMINS 
+  DYNAMIC_TREASURY_POOL_ABI
 } from "@/lib/contracts";
 
 // Simplified implementation focused on admin interface guidance
@@ -43,6 +44,7 @@ import {
 export function SmartContractPanel() {
   const { toast } = useToast();
   const { address, isConnected } = useWagmiWallet();
+  const { session, can } = useAdminSession();
   const queryClient = useQueryClient();
   
   const [depositAmount, setDepositAmount] = useState("");
@@ -60,13 +62,16 @@ export function SmartContractPanel() {
 
   const contractAddress = (treasuryConfig as any)?.smartContractAddress;
 
-  // Authorized admin addresses for smart contract operations
-  const authorizedAdmins = AUTHORIZED_ADMINS;
-  
-  // Check if current wallet is authorized for admin operations
-  const isAuthorizedAdmin = address && authorizedAdmins.some(admin => 
-    admin.toLowerCase() === address.toLowerCase()
-  );
+  // Contract actions need the owner wallet on-chain and a role that allows them here
+  const deniedByRole = (permission: AdminPermission, action: string) => {
+    if (can(permission)) return false;
+    toast({
+      title: "Access Denied",
+      description: `The ${session?.role || 'current'} role cannot ${action}`,
+      variant: "destructive"
+    });
+    return true;
+  };
   
   // Fetch real KILT balance for connected wallet with aggressive refresh
   const { data: walletKiltData, refetch: refetchWalletData } = useQuery({
@@ -169,6 +174,8 @@ export function SmartContractPanel() {
   };
 
   const handleApproveKilt = async () => {
+    if (deniedByRole('treasury:manage', 'fund the treasury')) return;
+
     if (!depositAmount || !contractAddress) {
       toast({
         title: "Error",
@@ -202,6 +209,8 @@ export function SmartContractPanel() {
   };
 
   const handleDeposit = async () => {
+    if (deniedByRole('treasury:manage', 'fund the treasury')) return;
+
     if (!depositAmount || !contractAddress) {
       toast({
         title: "Error",
@@ -235,6 +244,8 @@ export function SmartContractPanel() {
   };
 
   const handleDirectTransfer = async () => {
+    if (deniedByRole('treasury:manage', 'fund the treasury')) return;
+
     if (!depositAmount || !contractAddress) {
       toast({
         title: "Error",
@@ -268,6 +279,8 @@ export function SmartContractPanel() {
   };
 
   const handleWithdraw = async () => {
+    if (deniedByRole('treasury:withdraw', 'perform emergency withdrawals')) return;
+
     if (!withdrawAmount || !contractAddress) {
       toast({
         title: "Error",
@@ -310,6 +323,8 @@ export function SmartContractPanel() {
   };
 
   const handleDistributeReward = async () => {
+    if (deniedByRole('treasury:manage', 'distribute rewards')) return;
+
     if (!rewardUser || !rewardAmount || !contractAddress) {
       toast({
         title: "Error",
@@ -596,298 +611,304 @@ export function SmartContractPanel() {
       {isOwner ? (
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
           {/* Fund Contract */}
-          <Card className="bg-black/90 border border-green-400 rounded-lg">
-            <CardHeader>
-              <CardTitle className="flex items-center space-x-2 text-green-400">
-                <TrendingUp className="h-5 w-5" />
-                <span>Fund Contract</span>
-              </CardTitle>
-            </CardHeader>
-            <CardContent className="space-y-4">
-              {/* Wallet Balance Display */}
-              <div className="bg-gray-900/50 border border-gray-700 rounded-lg p-3">
-                <div className="flex justify-between items-center mb-2">
-                  <span className="text-sm text-gray-400">Your KILT Balance</span>
-                  <span className="text-lg font-bold text-green-400">
-                    {userKiltBalance ? Number(userKiltBalance).toLocaleString() : '0'} KILT
-                  </span>
-                </div>
-                <div className="text-xs text-gray-500">
-                  Allowance: {kiltAllowance ? Number(kiltAllowance).toLocaleString() : '0'} KILT
+          {can('treasury:manage') && (
+            <Card className="bg-black/90 border border-green-400 rounded-lg">
+              <CardHeader>
+                <CardTitle className="flex items-center space-x-2 text-green-400">
+                  <TrendingUp className="h-5 w-5" />
+                  <span>Fund Contract</span>
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                {/* Wallet Balance Display */}
+                <div className="bg-gray-900/50 border border-gray-700 rounded-lg p-3">
+                  <div className="flex justify-between items-center mb-2">
+                    <span className="text-sm text-gray-400">Your KILT Balance</span>
+                    <span className="text-lg font-bold text-green-400">
+                      {userKiltBalance ? Number(userKiltBalance).toLocaleString() : '0'} KILT
+                    </span>
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    Allowance: {kiltAllowance ? Number(kiltAllowance).toLocaleString() : '0'} KILT
+                  </div>
                 </div>
-              </div>
 
-              <div className="space-y-3">
-                <Label htmlFor="depositAmount" className="text-gray-300 text-sm font-medium">Amount (KILT)</Label>
-                <div className="flex space-x-2">
-                  <Input
-                    id="depositAmount"
-                    type="number"
-                    placeholder="1000"
-                    value={depositAmount}
-                    onChange={(e) => handleDepositAmountChange(e.target.value)}
-                    className="bg-black border-gray-600 text-white"
-                  />
-                  <Button 
-                    variant="outline" 
-                    size="sm" 
-                    onClick={maxDeposit}
-                    className="border-gray-600 text-gray-300 hover:bg-gray-800 min-w-[60px]"
-                  >
-                    Max
-                  </Button>
-                </div>
-                
-                {/* Percentage Slider */}
-                <div className="space-y-2">
-                  <div className="flex justify-between items-center">
-                    <Label className="text-gray-400 text-xs">Percentage of Balance</Label>
-                    <span className="text-green-400 text-sm font-medium">{depositPercentage[0]}%</span>
+                <div className="space-y-3">
+                  <Label htmlFor="depositAmount" className="text-gray-300 text-sm font-medium">Amount (KILT)</Label>
+                  <div className="flex space-x-2">
+                    <Input
+                      id="depositAmount"
+                      type="number"
+                      placeholder="1000"
+                      value={depositAmount}
+                      onChange={(e) => handleDepositAmountChange(e.target.value)}
+                      className="bg-black border-gray-600 text-white"
+                    />
+                    <Button 
+                      variant="outline" 
+                      size="sm" 
+                      onClick={maxDeposit}
+                      className="border-gray-600 text-gray-300 hover:bg-gray-800 min-w-[60px]"
+                    >
+                      Max
+                    </Button>
                   </div>
-                  <Slider
-                    value={depositPercentage}
-                    onValueChange={handleDepositPercentageChange}
-                    max={100}
-                    step={1}
-                    className="w-full"
-                  />
-                  <div className="flex justify-between text-xs text-gray-500">
-                    <span>0%</span>
-                    <span>25%</span>
-                    <span>50%</span>
-                    <span>75%</span>
-                    <span>100%</span>
+                
+                  {/* Percentage Slider */}
+                  <div className="space-y-2">
+                    <div className="flex justify-between items-center">
+                      <Label className="text-gray-400 text-xs">Percentage of Balance</Label>
+                      <span className="text-green-400 text-sm font-medium">{depositPercentage[0]}%</span>
+                    </div>
+                    <Slider
+                      value={depositPercentage}
+                      onValueChange={handleDepositPercentageChange}
+                      max={100}
+                      step={1}
+                      className="w-full"
+                    />
+                    <div className="flex justify-between text-xs text-gray-500">
+                      <span>0%</span>
+                      <span>25%</span>
+                      <span>50%</span>
+                      <span>75%</span>
+                      <span>100%</span>
+                    </div>
                   </div>
                 </div>
-              </div>
               
-              <div className="space-y-3">
-                {/* Option 1: Contract Deposit (Owner Only) */}
-                <div className="border border-yellow-400/30 rounded-lg p-3 bg-yellow-400/5">
-                  <div className="text-sm font-semibold text-yellow-400 mb-2">Option 1: Smart Contract Deposit (Owner Only)</div>
-                  <div className="space-y-2">
-                    <Button
-                      onClick={handleApproveKilt}
-                      disabled={!depositAmount || approvePending || approveConfirming}
-                      className="w-full bg-yellow-500 hover:bg-yellow-600 text-black font-semibold"
-                    >
-                      {approvePending || approveConfirming ? (
-                        <>
-                          <RefreshCw className="h-4 w-4 mr-2 animate-spin" />
-                          Processing...
-                        </>
-                      ) : (
-                        <>
-                          <Shield className="h-4 w-4 mr-2" />
-                          1. Approve KILT Tokens
-                        </>
-                      )}
-                    </Button>
+                <div className="space-y-3">
+                  {/* Option 1: Contract Deposit (Owner Only) */}
+                  <div className="border border-yellow-400/30 rounded-lg p-3 bg-yellow-400/5">
+                    <div className="text-sm font-semibold text-yellow-400 mb-2">Option 1: Smart Contract Deposit (Owner Only)</div>
+                    <div className="space-y-2">
+                      <Button
+                        onClick={handleApproveKilt}
+                        disabled={!depositAmount || approvePending || approveConfirming}
+                        className="w-full bg-yellow-500 hover:bg-yellow-600 text-black font-semibold"
+                      >
+                        {approvePending || approveConfirming ? (
+                          <>
+                            <RefreshCw className="h-4 w-4 mr-2 animate-spin" />
+                            Processing...
+                          </>
+                        ) : (
+                          <>
+                            <Shield className="h-4 w-4 mr-2" />
+                            1. Approve KILT Tokens
+                          </>
+                        )}
+                      </Button>
                     
+                      <Button
+                        onClick={handleDeposit}
+                        disabled={!depositAmount || depositPending || depositConfirming || !isOwner}
+                        className="w-full bg-green-500 hover:bg-green-600 text-white font-semibold disabled:opacity-50"
+                      >
+                        {depositPending || depositConfirming ? (
+                          <>
+                            <RefreshCw className="h-4 w-4 mr-2 animate-spin" />
+                            Processing...
+                          </>
+                        ) : (
+                          <>
+                            <CheckCircle className="h-4 w-4 mr-2" />
+                            2a. Deposit via Contract
+                          </>
+                        )}
+                      </Button>
+                    </div>
+                    {!isOwner && (
+                      <div className="text-xs text-red-400 mt-2">
+                        Requires contract owner wallet (0xAFf...71a)
+                      </div>
+                    )}
+                  </div>
+
+                  {/* Option 2: Direct Transfer (Any Wallet) */}
+                  <div className="border border-blue-400/30 rounded-lg p-3 bg-blue-400/5">
+                    <div className="text-sm font-semibold text-blue-400 mb-2">Option 2: Direct Transfer (Any Wallet)</div>
                     <Button
-                      onClick={handleDeposit}
-                      disabled={!depositAmount || depositPending || depositConfirming || !isOwner}
-                      className="w-full bg-green-500 hover:bg-green-600 text-white font-semibold disabled:opacity-50"
+                      onClick={handleDirectTransfer}
+                      disabled={!depositAmount || transferPending || transferConfirming}
+                      className="w-full bg-blue-600 hover:bg-blue-700 text-white font-semibold"
                     >
-                      {depositPending || depositConfirming ? (
+                      {transferPending || transferConfirming ? (
                         <>
                           <RefreshCw className="h-4 w-4 mr-2 animate-spin" />
                           Processing...
                         </>
                       ) : (
                         <>
-                          <CheckCircle className="h-4 w-4 mr-2" />
-                          2a. Deposit via Contract
+                          <TrendingUp className="h-4 w-4 mr-2" />
+                          Direct Transfer KILT
                         </>
                       )}
                     </Button>
-                  </div>
-                  {!isOwner && (
-                    <div className="text-xs text-red-400 mt-2">
-                      Requires contract owner wallet (0xAFf...71a)
+                    <div className="text-xs text-green-400 mt-2">
+                      Works with any wallet - Simple KILT token transfer
                     </div>
-                  )}
-                </div>
-
-                {/* Option 2: Direct Transfer (Any Wallet) */}
-                <div className="border border-blue-400/30 rounded-lg p-3 bg-blue-400/5">
-                  <div className="text-sm font-semibold text-blue-400 mb-2">Option 2: Direct Transfer (Any Wallet)</div>
-                  <Button
-                    onClick={handleDirectTransfer}
-                    disabled={!depositAmount || transferPending || transferConfirming}
-                    className="w-full bg-blue-600 hover:bg-blue-700 text-white font-semibold"
-                  >
-                    {transferPending || transferConfirming ? (
-                      <>
-                        <RefreshCw className="h-4 w-4 mr-2 animate-spin" />
-                        Processing...
-                      </>
-                    ) : (
-                      <>
-                        <TrendingUp className="h-4 w-4 mr-2" />
-                        Direct Transfer KILT
-                      </>
-                    )}
-                  </Button>
-                  <div className="text-xs text-green-400 mt-2">
-                    Works with any wallet - Simple KILT token transfer
                   </div>
                 </div>
-              </div>
               
-              <div className="text-xs text-gray-400 bg-gray-900 p-2 rounded">
-                <strong>Choose your method:</strong> Option 1 requires contract owner, Option 2 works with any wallet. Both fund the treasury. Gas cost: ~$0.02 per transaction.
-              </div>
-            </CardContent>
-          </Card>
+                <div className="text-xs text-gray-400 bg-gray-900 p-2 rounded">
+                  <strong>Choose your method:</strong> Option 1 requires contract owner, Option 2 works with any wallet. Both fund the treasury. Gas cost: ~$0.02 per transaction.
+                </div>
+              </CardContent>
+            </Card>
+          )}
 
           {/* Emergency Withdrawal */}
-          <Card className="bg-black/90 border border-red-400 rounded-lg">
-            <CardHeader>
-              <CardTitle className="flex items-center space-x-2 text-red-400">
-                <AlertTriangle className="h-5 w-5" />
-                <span>Emergency Withdrawal</span>
-              </CardTitle>
-            </CardHeader>
-            <CardContent className="space-y-4">
-              {/* Treasury Balance Display */}
-              <div className="bg-red-900/20 border border-red-700 rounded-lg p-3">
-                <div className="flex justify-between items-center mb-2">
-                  <span className="text-sm text-gray-400">Treasury Balance</span>
-                  <span className="text-lg font-bold text-red-400">
-                    {contractBalance ? Number(contractBalance).toLocaleString() : '0'} KILT
-                  </span>
-                </div>
-                <div className="text-xs text-gray-500">
-                  Available for withdrawal
+          {can('treasury:withdraw') && (
+            <Card className="bg-black/90 border border-red-400 rounded-lg">
+              <CardHeader>
+                <CardTitle className="flex items-center space-x-2 text-red-400">
+                  <AlertTriangle className="h-5 w-5" />
+                  <span>Emergency Withdrawal</span>
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                {/* Treasury Balance Display */}
+                <div className="bg-red-900/20 border border-red-700 rounded-lg p-3">
+                  <div className="flex justify-between items-center mb-2">
+                    <span className="text-sm text-gray-400">Treasury Balance</span>
+                    <span className="text-lg font-bold text-red-400">
+                      {contractBalance ? Number(contractBalance).toLocaleString() : '0'} KILT
+                    </span>
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    Available for withdrawal
+                  </div>
                 </div>
-              </div>
 
-              <div className="space-y-3">
-                <Label htmlFor="withdrawAmount" className="text-gray-300 text-sm font-medium">Amount (KILT)</Label>
-                <div className="flex space-x-2">
-                  <Input
-                    id="withdrawAmount"
-                    type="number"
-                    placeholder="500"
-                    value={withdrawAmount}
-                    onChange={(e) => handleWithdrawAmountChange(e.target.value)}
-                    className="bg-black border-gray-600 text-white"
-                  />
-                  <Button 
-                    variant="outline" 
-                    size="sm" 
-                    onClick={maxWithdraw}
-                    className="border-gray-600 text-gray-300 hover:bg-gray-800 min-w-[60px]"
-                  >
-                    All
-                  </Button>
-                </div>
-                
-                {/* Percentage Slider */}
-                <div className="space-y-2">
-                  <div className="flex justify-between items-center">
-                    <Label className="text-gray-400 text-xs">Percentage of Treasury</Label>
-                    <span className="text-red-400 text-sm font-medium">{withdrawPercentage[0]}%</span>
+                <div className="space-y-3">
+                  <Label htmlFor="withdrawAmount" className="text-gray-300 text-sm font-medium">Amount (KILT)</Label>
+                  <div className="flex space-x-2">
+                    <Input
+                      id="withdrawAmount"
+                      type="number"
+                      placeholder="500"
+                      value={withdrawAmount}
+                      onChange={(e) => handleWithdrawAmountChange(e.target.value)}
+                      className="bg-black border-gray-600 text-white"
+                    />
+                    <Button 
+                      variant="outline" 
+                      size="sm" 
+                      onClick={maxWithdraw}
+                      className="border-gray-600 text-gray-300 hover:bg-gray-800 min-w-[60px]"
+                    >
+                      All
+                    </Button>
                   </div>
-                  <Slider
-                    value={withdrawPercentage}
-                    onValueChange={handleWithdrawPercentageChange}
-                    max={100}
-                    step={1}
-                    className="w-full"
-                  />
-                  <div className="flex justify-between text-xs text-gray-500">
-                    <span>0%</span>
-                    <span>25%</span>
-                    <span>50%</span>
-                    <span>75%</span>
-                    <span>100%</span>
+                
+                  {/* Percentage Slider */}
+                  <div className="space-y-2">
+                    <div className="flex justify-between items-center">
+                      <Label className="text-gray-400 text-xs">Percentage of Treasury</Label>
+                      <span className="text-red-400 text-sm font-medium">{withdrawPercentage[0]}%</span>
+                    </div>
+                    <Slider
+                      value={withdrawPercentage}
+                      onValueChange={handleWithdrawPercentageChange}
+                      max={100}
+                      step={1}
+                      className="w-full"
+                    />
+                    <div className="flex justify-between text-xs text-gray-500">
+                      <span>0%</span>
+                      <span>25%</span>
+                      <span>50%</span>
+                      <span>75%</span>
+                      <span>100%</span>
+                    </div>
                   </div>
                 </div>
-              </div>
               
-              <Button
-                onClick={handleWithdraw}
-                disabled={!withdrawAmount || withdrawPending || withdrawConfirming}
-                className="w-full bg-red-500 hover:bg-red-600 text-white font-semibold"
-              >
-                {withdrawPending || withdrawConfirming ? (
-                  <>
-                    <RefreshCw className="h-4 w-4 mr-2 animate-spin" />
-                    Processing...
-                  </>
-                ) : (
-                  <>
-                    <Lock className="h-4 w-4 mr-2" />
-                    Emergency Withdraw
-                  </>
-                )}
-              </Button>
+                <Button
+                  onClick={handleWithdraw}
+                  disabled={!withdrawAmount || withdrawPending || withdrawConfirming}
+                  className="w-full bg-red-500 hover:bg-red-600 text-white font-semibold"
+                >
+                  {withdrawPending || withdrawConfirming ? (
+                    <>
+                      <RefreshCw className="h-4 w-4 mr-2 animate-spin" />
+                      Processing...
+                    </>
+                  ) : (
+                    <>
+                      <Lock className="h-4 w-4 mr-2" />
+                      Emergency Withdraw
+                    </>
+                  )}
+                </Button>
               
-              <div className="text-xs text-red-400 bg-red-900/20 p-2 rounded border border-red-400/30">
-                <strong>Warning:</strong> This withdraws KILT tokens directly to your wallet. Use only in emergencies.
-              </div>
-            </CardContent>
-          </Card>
+                <div className="text-xs text-red-400 bg-red-900/20 p-2 rounded border border-red-400/30">
+                  <strong>Warning:</strong> This withdraws KILT tokens directly to your wallet. Use only in emergencies.
+                </div>
+              </CardContent>
+            </Card>
+          )}
 
           {/* Distribute Rewards */}
-          <Card className="bg-black/90 border border-blue-400 rounded-lg lg:col-span-2">
-            <CardHeader>
-              <CardTitle className="flex items-center space-x-2 text-blue-400">
-                <Activity className="h-5 w-5" />
-                <span>Distribute Rewards</span>
-              </CardTitle>
-            </CardHeader>
-            <CardContent className="space-y-4">
-              <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
-                <div className="space-y-2">
-                  <Label htmlFor="rewardUser" className="text-gray-300">User Address</Label>
-                  <Input
-                    id="rewardUser"
-                    type="text"
-                    placeholder="0x..."
-                    value={rewardUser}
-                    onChange={(e) => setRewardUser(e.target.value)}
-                    className="bg-black border-gray-600 text-white"
-                  />
-                </div>
-                <div className="space-y-2">
-                  <Label htmlFor="rewardAmount" className="text-gray-300">Reward Amount (KILT)</Label>
-                  <Input
-                    id="rewardAmount"
-                    type="number"
-                    placeholder="100"
-                    value={rewardAmount}
-                    onChange={(e) => setRewardAmount(e.target.value)}
-                    className="bg-black border-gray-600 text-white"
-                  />
+          {can('treasury:manage') && (
+            <Card className="bg-black/90 border border-blue-400 rounded-lg lg:col-span-2">
+              <CardHeader>
+                <CardTitle className="flex items-center space-x-2 text-blue-400">
+                  <Activity className="h-5 w-5" />
+                  <span>Distribute Rewards</span>
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                  <div className="space-y-2">
+                    <Label htmlFor="rewardUser" className="text-gray-300">User Address</Label>
+                    <Input
+                      id="rewardUser"
+                      type="text"
+                      placeholder="0x..."
+                      value={rewardUser}
+                      onChange={(e) => setRewardUser(e.target.value)}
+                      className="bg-black border-gray-600 text-white"
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="rewardAmount" className="text-gray-300">Reward Amount (KILT)</Label>
+                    <Input
+                      id="rewardAmount"
+                      type="number"
+                      placeholder="100"
+                      value={rewardAmount}
+                      onChange={(e) => setRewardAmount(e.target.value)}
+                      className="bg-black border-gray-600 text-white"
+                    />
+                  </div>
                 </div>
-              </div>
               
-              <Button
-                onClick={handleDistributeReward}
-                disabled={!rewardUser || !rewardAmount || rewardPending || rewardConfirming}
-                className="w-full bg-blue-500 hover:bg-blue-600 text-white font-semibold"
-              >
-                {rewardPending || rewardConfirming ? (
-                  <>
-                    <RefreshCw className="h-4 w-4 mr-2 animate-spin" />
-                    Processing...
-                  </>
-                ) : (
-                  <>
-                    <Unlock className="h-4 w-4 mr-2" />
-                    Distribute Reward
-                  </>
-                )}
-              </Button>
+                <Button
+                  onClick={handleDistributeReward}
+                  disabled={!rewardUser || !rewardAmount || rewardPending || rewardConfirming}
+                  className="w-full bg-blue-500 hover:bg-blue-600 text-white font-semibold"
+                >
+                  {rewardPending || rewardConfirming ? (
+                    <>
+                      <RefreshCw className="h-4 w-4 mr-2 animate-spin" />
+                      Processing...
+                    </>
+                  ) : (
+                    <>
+                      <Unlock className="h-4 w-4 mr-2" />
+                      Distribute Reward
+                    </>
+                  )}
+                </Button>
               
-              <div className="text-xs text-gray-400 bg-gray-900 p-2 rounded">
-                <strong>Note:</strong> This allocates KILT tokens to a user's claimable balance. They can claim immediately after distribution.
-              </div>
-            </CardContent>
-          </Card>
+                <div className="text-xs text-gray-400 bg-gray-900 p-2 rounded">
+                  <strong>Note:</strong> This allocates KILT tokens to a user's claimable balance. They can claim immediately after distribution.
+                </div>
+              </CardContent>
+            </Card>
+          )}
         </div>
       ) : (
         <Card className="bg-black/90 border border-yellow-400 rounded-lg">
@@ -903,12 +924,8 @@ export function SmartContractPanel() {
                 <p className="font-mono text-xs">• {owner}</p>
               </div>
               <div className="bg-gray-900/50 p-3 rounded border border-blue-400/30">
-                <p className="text-blue-400 font-semibold">Admin Panel Access (Non-Owner):</p>
-                <p className="font-mono text-xs">
-                  {authorizedAdmins.map((admin) => (
-                    <p key={admin}>• {admin}</p>
-                  ))}
-                </p>
+                <p className="text-blue-400 font-semibold">Your Admin Role:</p>
+                <p className="font-mono text-xs">• {session?.role || 'unknown'}</p>
               </div>
               <div className="bg-gray-900/50 p-3 rounded border border-green-400/30">
                 <p className="text-green-400 font-semibold">Your Connected Wallet:</p>
@@ -8,6 +8,7 @@ import { AlertCircle, CheckCircle, Copy, Settings, Wallet, Key, Shield, External
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { apiRequest } from '@/lib/queryClient';
 import { toast } from '@/hooks/use-toast';
+import { useAdminSession } from '@/hooks/use-admin-session';
 import { TOKEN_ADDRESSES } from '@/lib/contracts';
 
 interface TreasuryInfo {
@@ -38,6 +39,8 @@ export function TreasuryManagement() {
   const [newTreasuryAddress, setNewTreasuryAddress] = useState('');
   const [allowanceAmount, setAllowanceAmount] = useState('500000');
   const [showKeys, setShowKeys] = useState(false);
+  const { can } = useAdminSession();
+  const canManageTreasury = can('treasury:manage');
   
   const queryClient = useQueryClient();
 
@@ -123,6 +126,14 @@ export function TreasuryManagement() {
       });
     },
     onSuccess: (data: any) => {
+      if (data.pending) {
+        toast({
+          title: "Reset Proposed",
+          description: data.message,
+          className: "bg-green-900/90 border-green-400 text-green-100",
+        });
+        return;
+      }
       toast({
         title: "Success",
         description: `Distributed rewards counter reset to zero. Cleared ${data.clearedRecords} records.`,
@@ -277,7 +288,7 @@ export function TreasuryManagement() {
                 </span>
                 <button
                   onClick={() => resetDistributedMutation.mutate()}
-                  disabled={resetDistributedMutation.isPending}
+                  disabled={resetDistributedMutation.isPending || !canManageTreasury}
                   className="px-2 py-1 text-xs font-mono bg-red-600/20 border border-red-400/30 text-red-400 rounded hover:bg-red-600/30 transition-colors disabled:opacity-50"
                   title="Reset distributed rewards counter to zero"
                 >
@@ -384,7 +395,7 @@ export function TreasuryManagement() {
             
             <Button
               onClick={handleUpdateAddress}
-              disabled={updateAddressMutation.isPending}
+              disabled={updateAddressMutation.isPending || !canManageTreasury}
               className="w-full bg-gradient-to-r from-yellow-500 to-orange-500 hover:from-yellow-600 hover:to-orange-600"
             >
               {updateAddressMutation.isPending ? "Updating..." : "Update Treasury Address"}
@@ -430,7 +441,7 @@ export function TreasuryManagement() {
             
             <Button
               onClick={handleSetupAllowance}
-              disabled={setupAllowanceMutation.isPending}
+              disabled={setupAllowanceMutation.isPending || !canManageTreasury}
               className="w-full bg-gradient-to-r from-[#ff0066] to-[#ff0066] hover:from-[#ff0066] hover:to-[#ff0066]"
             >
               {setupAllowanceMutation.isPending ? "Setting up..." : "Setup Allowance"}
@@ -0,0 +1,207 @@
+import { useEffect, useState } from "react";
+import { useMutation, useQuery } from "@tanstack/react-query";
+import { apiRequest, queryClient } from "@/lib/queryClient";
+import { useToast } from "@/hooks/use-toast";
+import { useAdminSession } from "@/hooks/use-admin-session";
+
+interface TokenAmount {
+  raw: string;
+  formatted: string;
+}
+
+interface RunwayForecast {
+  contractAddress: string;
+  balance: TokenAmount;
+  outstanding: TokenAmount;
+  available: TokenAmount;
+  dailyEmission: TokenAmount;
+  programEndDate: string | null;
+  remainingDays: number;
+  remainingEmission: TokenAmount;
+  runwayDays: number | null;
+  depletionDate: string | null;
+  fundedThroughEnd: boolean;
+  fundingNeeded: TokenAmount;
+  alert: { active: boolean; thresholdDays: number; since: string | null };
+  calculatedAt: string;
+}
+
+interface RunwayPolicy {
+  alertThresholdDays: number;
+  updatedBy: string | null;
+  updatedAt: string | null;
+}
+
+const formatKilt = (amount: TokenAmount) =>
+  `${Number(amount.formatted).toLocaleString(undefined, { maximumFractionDigits: 2 })} KILT`;
+
+const useRunwayForecast = () => useQuery<{ success: boolean; forecast: RunwayForecast }>({
+  queryKey: ['/api/admin/treasury/runway'],
+  refetchInterval: 5 * 60 * 1000,
+  retry: false
+});
+
+/**
+ * Underfunding warning shown above every admin tab while the runway is below the alert threshold
+ */
+export function TreasuryRunwayBanner() {
+  const { data } = useRunwayForecast();
+  const forecast = data?.forecast;
+  if (!forecast?.alert.active) return null;
+
+  return (
+    <div className="border-b border-[#ff0066] bg-[#ff0066]/10 px-4 py-2 font-mono text-sm text-[#ff0066]">
+      [TREASURY_UNDERFUNDED] Runway {forecast.runwayDays} days (threshold {forecast.alert.thresholdDays}) · depletes {forecast.depletionDate} ·
+      {' '}{formatKilt(forecast.fundingNeeded)} needed to finish the program
+    </div>
+  );
+}
+
+export function TreasuryRunwayPanel() {
+  const { toast } = useToast();
+  const { can } = useAdminSession();
+  const [threshold, setThreshold] = useState('');
+
+  const { data, isLoading, error, isFetching } = useRunwayForecast();
+  const forecast = data?.forecast;
+
+  const { data: policyData } = useQuery<{ success: boolean; policy: RunwayPolicy }>({
+    queryKey: ['/api/admin/treasury/runway/policy']
+  });
+
+  useEffect(() => {
+    if (policyData?.policy) setThreshold(String(policyData.policy.alertThresholdDays));
+  }, [policyData?.policy]);
+
+  const refreshMutation = useMutation({
+    mutationFn: () => apiRequest<{ forecast: RunwayForecast }>('/api/admin/treasury/runway?refresh=true'),
+    onSuccess: (result) => {
+      queryClient.setQueryData(['/api/admin/treasury/runway'], { success: true, forecast: result.forecast });
+    }
+  });
+
+  const policyMutation = useMutation({
+    mutationFn: () => apiRequest<{ policy: RunwayPolicy }>('/api/admin/treasury/runway/policy', {
+      method: 'PUT',
+      data: { alertThresholdDays: Number(threshold) }
+    }),
+    onSuccess: (result) => {
+      queryClient.invalidateQueries({ queryKey: ['/api/admin/treasury/runway/policy'] });
+      queryClient.invalidateQueries({ queryKey: ['/api/admin/treasury/runway'] });
+      queryClient.invalidateQueries({ queryKey: ['/api/admin/operations'] });
+      toast({
+        title: "[RUNWAY_POLICY_UPDATED]",
+        description: `Alert below ${result.policy.alertThresholdDays} days of runway`,
+        className: "bg-green-900/90 border-green-400 text-green-100",
+      });
+    },
+    onError: (error: Error) => {
+      toast({
+        title: "[RUNWAY_POLICY_UPDATE_FAILED]",
+        description: error.message,
+        variant: "destructive",
+        className: "bg-red-900/90 border-red-400 text-red-100",
+      });
+    }
+  });
+
+  const runwayClass = !forecast || forecast.fundedThroughEnd
+    ? 'text-green-400'
+    : forecast.alert.active ? 'text-[#ff0066]' : 'text-yellow-400';
+
+  const metrics: { label: string; value: string }[] = forecast ? [
+    { label: 'CONTRACT_BALANCE', value: formatKilt(forecast.balance) },
+    { label: 'UNCLAIMED_ACCRUALS', value: formatKilt(forecast.outstanding) },
+    { label: 'AVAILABLE_FOR_EMISSION', value: formatKilt(forecast.available) },
+    { label: 'DAILY_EMISSION', value: formatKilt(forecast.dailyEmission) },
+    { label: 'REMAINING_PROGRAM_DAYS', value: `${forecast.remainingDays} (to ${forecast.programEndDate || 'n/a'})` },
+    { label: 'REMAINING_EMISSION', value: formatKilt(forecast.remainingEmission) }
+  ] : [];
+
+  return (
+    <div className="bg-black/50 border border-green-400 rounded p-6">
+      <h2 className="text-lg font-bold text-[#ff0066] mb-4 tracking-wider">
+        [TREASURY_RUNWAY]
+      </h2>
+      <div className="text-gray-400 text-xs font-mono mb-4">
+        Contract balance minus unclaimed accruals, spent at the daily emission rate through the program end date.
+        Campaigns are funded from their own contracts and are not included.
+      </div>
+
+      {isLoading ? (
+        <div className="text-green-400 font-mono text-sm">[FORECASTING_RUNWAY...]</div>
+      ) : error || !forecast ? (
+        <div className="text-[#ff0066] font-mono text-sm">{error?.message || '[RUNWAY_UNAVAILABLE]'}</div>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4 font-mono">
+            <div className="border border-green-400/30 rounded p-3 bg-gray-900/50">
+              <div className="text-green-400/70 text-xs">RUNWAY</div>
+              <div className={`text-2xl font-bold ${runwayClass}`}>
+                {forecast.fundedThroughEnd ? 'FUNDED' : `${forecast.runwayDays ?? 0} DAYS`}
+              </div>
+            </div>
+            <div className="border border-green-400/30 rounded p-3 bg-gray-900/50">
+              <div className="text-green-400/70 text-xs">DEPLETION_DATE</div>
+              <div className={`text-2xl font-bold ${runwayClass}`}>{forecast.depletionDate || '—'}</div>
+            </div>
+            <div className="border border-green-400/30 rounded p-3 bg-gray-900/50">
+              <div className="text-green-400/70 text-xs">FUNDING_NEEDED</div>
+              <div className={`text-2xl font-bold ${runwayClass}`}>{formatKilt(forecast.fundingNeeded)}</div>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-1 font-mono text-sm mb-4">
+            {metrics.map(metric => (
+              <div key={metric.label} className="flex justify-between border-b border-green-400/10 py-1">
+                <span className="text-green-400/70">{metric.label}:</span>
+                <span className="text-green-400">{metric.value}</span>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex justify-between items-center text-green-400/50 font-mono text-xs mb-4">
+            <span>
+              Calculated {new Date(forecast.calculatedAt).toLocaleString()}
+              {forecast.alert.since && ` · alerting since ${new Date(forecast.alert.since).toLocaleString()}`}
+            </span>
+            <button
+              onClick={() => refreshMutation.mutate()}
+              disabled={refreshMutation.isPending || isFetching}
+              className="px-3 py-1 border border-green-400 text-green-400 rounded text-xs font-mono hover:bg-green-400/10 disabled:opacity-50"
+            >
+              {refreshMutation.isPending ? '[REFRESHING...]' : '[REFRESH]'}
+            </button>
+          </div>
+        </>
+      )}
+
+      <div className="flex flex-wrap items-end gap-3 border-t border-green-400/30 pt-4">
+        <div>
+          <label className="block text-green-400 text-sm mb-2 font-mono">ALERT_BELOW_DAYS:</label>
+          <input
+            type="number"
+            min="1"
+            step="1"
+            value={threshold}
+            onChange={(e) => setThreshold(e.target.value)}
+            disabled={!can('treasury:manage')}
+            className="w-32 p-2 bg-gray-900 border border-green-400/50 rounded text-green-400 font-mono text-sm focus:border-green-400 focus:outline-none disabled:opacity-50"
+          />
+        </div>
+        <button
+          onClick={() => policyMutation.mutate()}
+          disabled={policyMutation.isPending || !threshold || !can('treasury:manage')}
+          className="px-6 py-2 bg-green-400 text-black font-mono font-bold rounded hover:bg-green-300 transition-colors disabled:opacity-50"
+        >
+          {policyMutation.isPending ? '[SAVING...]' : '[SAVE_THRESHOLD]'}
+        </button>
+        {policyData?.policy.updatedBy && (
+          <span className="text-green-400/50 font-mono text-xs">
+            Set by {policyData.policy.updatedBy}{policyData.policy.updatedAt && ` · ${new Date(policyData.policy.updatedAt).toLocaleString()}`}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
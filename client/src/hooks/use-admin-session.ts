@@ -0,0 +1,30 @@
+import { useQuery } from '@tanstack/react-query';
+import { getQueryFn } from '@/lib/queryClient';
+import type { AdminPermission, AdminRole } from '@shared/admin-roles';
+
+export interface AdminSession {
+  id: number;
+  address: string;
+  role: AdminRole;
+  permissions: AdminPermission[];
+  expiresAt: string;
+}
+
+/**
+ * Signed-in admin session and the permissions of its role.
+ * The server enforces every permission; `can` only decides which actions the panel shows.
+ */
+export function useAdminSession() {
+  const { data, isLoading } = useQuery<{ success: boolean; session: AdminSession } | null>({
+    queryKey: ['/api/admin/session'],
+    queryFn: getQueryFn({ on401: "returnNull" }),
+    refetchInterval: 60000
+  });
+  const session = data?.session || null;
+
+  return {
+    session,
+    isLoading,
+    can: (permission: AdminPermission) => !!session?.permissions.includes(permission)
+  };
+}
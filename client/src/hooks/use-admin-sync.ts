@@ -26,7 +26,7 @@ export function useAdminSync() {
         ]);
         
         if (response.ok) {
-          const operations = await response.json();
+          const { entries: operations } = await response.json();
           
           if (Array.isArray(operations) && operations.length > 0) {
             const latestOperation = operations[0];
@@ -1,5 +1,13 @@
 import { useState } from 'react';
-import { createPublicClient, http, parseUnits } from 'viem';
+import { createPublicClient, http } from 'viem';
+import type { TokenAmount } from '@/lib/token-amount';
+import {
+  decodeClaimIntent,
+  decodeClaimTypedData,
+  type ClaimIntentTypedData,
+  type ClaimTypedData,
+  type DecodedClaimIntent
+} from '@/lib/claim-typed-data';
 import { base } from 'viem/chains';
 import { useWagmiWallet } from './use-wagmi-wallet';
 import { useToast } from './use-toast';
@@ -93,6 +101,21 @@ const DYNAMIC_TREASURY_POOL_ABI = [
   }
 ] as const;
 
+// TypedClaimTreasuryPool: the signature is EIP-712 typed data and expires at `deadline`
+const TYPED_CLAIM_POOL_ABI = [
+  {
+    inputs: [
+      { name: 'totalRewardBalance', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' },
+      { name: 'signature', type: 'bytes' }
+    ],
+    name: 'claimRewards',
+    outputs: [],
+    stateMutability: 'nonpayable',
+    type: 'function',
+  }
+] as const;
+
 // Base network public client for reading blockchain data
 const baseClient = createPublicClient({
   chain: base,
@@ -108,6 +131,7 @@ export interface RewardClaimResult {
   success: boolean;
   transactionHash?: string;
   claimedAmount?: string;
+  relayedClaimId?: number; // Gasless claims - follow it at /api/relayer/claims/:address
   error?: string;
 }
 
@@ -116,6 +140,8 @@ export function useRewardClaiming() {
   const { toast } = useToast();
   const [isClaiming, setIsClaiming] = useState(false);
   const [isCheckingClaimability, setIsCheckingClaimability] = useState(false);
+  // Decoded typed claim being submitted - what the wallet is about to claim
+  const [pendingClaim, setPendingClaim] = useState<DecodedClaimIntent | null>(null);
 
   const { data : walletClient } = useWalletClient();
 
@@ -205,13 +231,26 @@ export function useRewardClaiming() {
 
       const signatureData = await signatureResponse.json();
       
-      const { signature, nonce, totalRewardBalance } = signatureData;
-      
-      // CRITICAL: Use the EXACT amount that was signed by the backend
-      const signedAmount = totalRewardBalance || calculatedAmount;
-      
+      const { signature, nonce } = signatureData;
+      const totalRewardBalance: TokenAmount = signatureData.totalRewardBalance;
+
+      // CRITICAL: Use the EXACT wei amount that was signed by the backend
+      const totalRewardBalanceWei = BigInt(totalRewardBalance.raw);
+
+      // Typed claims name the contract, chain and expiry - decode and check them before submitting
+      const typedData: ClaimTypedData | undefined = signatureData.typedData;
+      const decodedClaim = typedData
+        ? await decodeClaimTypedData(typedData, signature, { user: address, amount: totalRewardBalance, chainId: base.id })
+        : null;
+      setPendingClaim(decodedClaim);
+      if (decodedClaim) {
+        toast({
+          title: "Confirm Claim",
+          description: `Claiming ${Number(decodedClaim.amount.formatted).toFixed(4)} KILT to ${decodedClaim.user.slice(0, 6)}...${decodedClaim.user.slice(-4)} - signature valid until ${decodedClaim.expiresAt.toLocaleTimeString()}`,
+        });
+      }
+
       // Step 3: User claims rewards directly from treasury contract
-      const totalRewardBalanceWei = parseUnits(signedAmount.toString(), 18);
       
       // Contract function: claimRewards(uint256 totalRewardBalance, bytes signature)
       
@@ -219,13 +258,21 @@ export function useRewardClaiming() {
       try {
         // CRITICAL FIX: Contract signature is claimRewards(uint256 totalRewardBalance, bytes signature)
         // NOT claimRewards(address user, uint256 amount, uint256 nonce, bytes signature)
-        const gasEstimate = await baseClient.estimateContractGas({
-          address: DYNAMIC_TREASURY_POOL_ADDRESS,
-          abi: DYNAMIC_TREASURY_POOL_ABI,
-          functionName: 'claimRewards',
-          args: [totalRewardBalanceWei, signature], // Fixed: Only amount and signature
-          account: address as `0x${string}`,
-        });
+        const gasEstimate = decodedClaim
+          ? await baseClient.estimateContractGas({
+            address: decodedClaim.contract,
+            abi: TYPED_CLAIM_POOL_ABI,
+            functionName: 'claimRewards',
+            args: [totalRewardBalanceWei, BigInt(typedData!.message.deadline), signature],
+            account: address as `0x${string}`,
+          })
+          : await baseClient.estimateContractGas({
+            address: DYNAMIC_TREASURY_POOL_ADDRESS,
+            abi: DYNAMIC_TREASURY_POOL_ABI,
+            functionName: 'claimRewards',
+            args: [totalRewardBalanceWei, signature], // Fixed: Only amount and signature
+            account: address as `0x${string}`,
+          });
       } catch (gasError) {
         console.error('🔗 CLAIM LOG 25.3: Gas estimation failed:', gasError);
         console.error('🔗 CLAIM LOG 25.4: Error details:', {
@@ -262,13 +309,20 @@ export function useRewardClaiming() {
         throw new Error(`Transaction would fail: ${revertReason}`);
       }
       
-      const claimHash = await walletClient.writeContract({
-        address: DYNAMIC_TREASURY_POOL_ADDRESS,
-        abi: DYNAMIC_TREASURY_POOL_ABI,
-        functionName: 'claimRewards',
-        args: [totalRewardBalanceWei, signature], // Fixed: Only amount and signature
-        // Let MetaMask handle the wallet transaction nonce automatically
-      });
+      const claimHash = decodedClaim
+        ? await walletClient.writeContract({
+          address: decodedClaim.contract,
+          abi: TYPED_CLAIM_POOL_ABI,
+          functionName: 'claimRewards',
+          args: [totalRewardBalanceWei, BigInt(typedData!.message.deadline), signature],
+        })
+        : await walletClient.writeContract({
+          address: DYNAMIC_TREASURY_POOL_ADDRESS,
+          abi: DYNAMIC_TREASURY_POOL_ABI,
+          functionName: 'claimRewards',
+          args: [totalRewardBalanceWei, signature], // Fixed: Only amount and signature
+          // Let MetaMask handle the wallet transaction nonce automatically
+        });
       
 
       // Wait for claim transaction to be mined
@@ -285,7 +339,7 @@ export function useRewardClaiming() {
       return {
         success: true,
         transactionHash: claimHash,
-        claimedAmount: signedAmount.toFixed(4),
+        claimedAmount: Number(totalRewardBalance.formatted).toFixed(4),
       };
 
     } catch (error) {
@@ -316,14 +370,106 @@ export function useRewardClaiming() {
       };
     } finally {
       setIsClaiming(false);
+      setPendingClaim(null);
+    }
+  };
+
+  // Gasless claim: the wallet signs a ClaimIntent and the relayer submits and pays for the transaction
+  const claimGasless = async (): Promise<RewardClaimResult> => {
+    setIsClaiming(true);
+
+    try {
+      if (!isConnected || !address || !walletClient) {
+        throw new Error('Wallet not connected');
+      }
+
+      try {
+        await walletClient.request({
+          method: 'wallet_switchEthereumChain',
+          params: [{ chainId: '0x2105' }], // Base chain ID in hex - wallets only sign typed data for the active chain
+        });
+      } catch (manualError) {
+        console.error('network switch failed:', manualError);
+      }
+
+      const prepareResponse = await fetch('/api/relayer/prepare', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ userAddress: address })
+      });
+      const prepared = await prepareResponse.json();
+      if (!prepareResponse.ok || !prepared.success) {
+        throw new Error(prepared.error || 'Failed to prepare gasless claim');
+      }
+
+      // Check the intent names this wallet, amount and chain before asking the wallet to sign it
+      const intent: ClaimIntentTypedData = prepared.intent;
+      const totalRewardBalance: TokenAmount = prepared.totalRewardBalance;
+      const decodedIntent = decodeClaimIntent(intent, { user: address, amount: totalRewardBalance, chainId: base.id });
+      setPendingClaim(decodedIntent);
+
+      const intentSignature = await walletClient.signTypedData({
+        account: address as `0x${string}`,
+        domain: intent.domain,
+        types: intent.types,
+        primaryType: intent.primaryType,
+        message: {
+          user: intent.message.user,
+          amount: BigInt(intent.message.amount),
+          nonce: BigInt(intent.message.nonce),
+          deadline: BigInt(intent.message.deadline)
+        }
+      });
+
+      const submitResponse = await fetch('/api/relayer/submit', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ userAddress: address, issuanceId: prepared.issuanceId, intentSignature })
+      });
+      const submitted = await submitResponse.json();
+      if (!submitResponse.ok || !submitted.success) {
+        throw new Error(submitted.error || 'The relayer could not submit your claim');
+      }
+
+      return {
+        success: true,
+        transactionHash: submitted.claim.transactionHash || undefined,
+        claimedAmount: Number(totalRewardBalance.formatted).toFixed(4),
+        relayedClaimId: submitted.claim.id
+      };
+    } catch (error) {
+      console.error('Gasless claim failed:', error);
+
+      let errorMessage = 'Failed to claim rewards';
+      if (error instanceof Error) {
+        errorMessage = error.message.includes('User denied') || error.message.includes('User rejected')
+          ? 'Signature request cancelled by user'
+          : error.message;
+      }
+
+      toast({
+        title: "Gasless Claim Failed",
+        description: errorMessage,
+        variant: "destructive",
+      });
+
+      return {
+        success: false,
+        error: errorMessage
+      };
+    } finally {
+      setIsClaiming(false);
+      setPendingClaim(null);
     }
   };
 
   return {
     claimRewards,
+    claimGasless,
     checkClaimability,
     isClaiming,
     isCheckingClaimability,
+    pendingClaim,
     isConnected,
     address,
     // Helper function to get user's NFT token IDs from positions
@@ -7,6 +7,15 @@
 
 import { useQuery } from '@tanstack/react-query';
 
+// Where the pool TVL behind an APR came from and how old it is
+export interface TVLSource {
+  source: 'onchain' | 'last-known' | 'configured' | 'fallback';
+  pricing: 'geckoterminal' | 'pool-price' | null;
+  updatedAt: string | null;
+  ageSeconds: number | null;
+  isStale: boolean;
+}
+
 interface SingleSourceAPRData {
   // Program-wide APR (official values)
   programAPR: number;
@@ -26,6 +35,7 @@ interface SingleSourceAPRData {
   timestamp: number;
   totalParticipants: number;
   totalProgramTVL: number;
+  tvlSource: TVLSource;
 }
 
 interface ExpectedReturnsDisplay {
@@ -33,6 +43,25 @@ interface ExpectedReturnsDisplay {
   incentiveAPR: string;
   totalAPR: string;
   source: string;
+  tvlSource?: TVLSource;
+}
+
+/**
+ * Short label for a TVL source, e.g. "on-chain, 3m ago"
+ */
+export function formatTVLSource(tvl: TVLSource): string {
+  const labels: Record<TVLSource['source'], string> = {
+    'onchain': 'on-chain',
+    'last-known': 'last on-chain reading',
+    'configured': 'admin estimate',
+    'fallback': 'default estimate'
+  };
+  if (tvl.ageSeconds === null) return labels[tvl.source];
+
+  const age = tvl.ageSeconds < 60 ? `${tvl.ageSeconds}s`
+    : tvl.ageSeconds < 3600 ? `${Math.round(tvl.ageSeconds / 60)}m`
+    : `${Math.round(tvl.ageSeconds / 3600)}h`;
+  return `${labels[tvl.source]}, ${age} ago`;
 }
 
 /**
@@ -0,0 +1,110 @@
+import { formatUnits, isAddressEqual, recoverTypedDataAddress } from 'viem';
+import type { TokenAmount } from './token-amount';
+
+/**
+ * EIP-712 claim as returned by /api/rewards/generate-claim-signature for a TypedClaimTreasuryPool.
+ * uint256 values are decimal strings.
+ */
+export interface ClaimTypedData {
+  domain: { name: string; version: string; chainId: number; verifyingContract: `0x${string}` };
+  types: { Claim: { name: string; type: string }[] };
+  primaryType: 'Claim';
+  message: { user: `0x${string}`; amount: string; nonce: string; deadline: string };
+}
+
+/**
+ * What a typed claim signature authorizes, decoded for display
+ */
+export interface DecodedClaim {
+  user: `0x${string}`;
+  amount: TokenAmount;
+  nonce: bigint;
+  expiresAt: Date;
+  chainId: number;
+  contract: `0x${string}`;
+  signer: `0x${string}`;
+}
+
+/**
+ * ClaimIntent the wallet signs to have its claim relayed (/api/relayer/prepare) - the same values
+ * and domain as the calculator's Claim, under its own type so one cannot stand in for the other
+ */
+export interface ClaimIntentTypedData {
+  domain: ClaimTypedData['domain'];
+  types: { ClaimIntent: { name: string; type: string }[] };
+  primaryType: 'ClaimIntent';
+  message: ClaimTypedData['message'];
+}
+
+export type DecodedClaimIntent = Omit<DecodedClaim, 'signer'>;
+
+/**
+ * Check a claim's values are the ones the wallet asked for: same user and amount, the expected
+ * chain, and not yet expired. Throws with a readable reason otherwise.
+ */
+function checkClaimMessage(
+  { domain, message }: Pick<ClaimTypedData, 'domain' | 'message'>,
+  expected: { user: string; amount: TokenAmount; chainId: number }
+): DecodedClaimIntent {
+  const amount = BigInt(message.amount);
+  const deadline = Number(message.deadline);
+
+  if (!isAddressEqual(message.user, expected.user as `0x${string}`)) {
+    throw new Error('Claim signature was issued for a different wallet');
+  }
+  if (amount !== BigInt(expected.amount.raw)) {
+    throw new Error('Claim signature amount does not match your claimable balance');
+  }
+  if (domain.chainId !== expected.chainId) {
+    throw new Error(`Claim signature is for chain ${domain.chainId}, expected ${expected.chainId}`);
+  }
+  if (deadline * 1000 <= Date.now()) {
+    throw new Error('Claim signature has expired - please try again');
+  }
+
+  return {
+    user: message.user,
+    amount: { raw: message.amount, formatted: formatUnits(amount, 18) },
+    nonce: BigInt(message.nonce),
+    expiresAt: new Date(deadline * 1000),
+    chainId: domain.chainId,
+    contract: domain.verifyingContract
+  };
+}
+
+/**
+ * Decode a typed claim and check it is the one the wallet asked for. Throws with a readable reason otherwise.
+ */
+export async function decodeClaimTypedData(
+  typedData: ClaimTypedData,
+  signature: `0x${string}`,
+  expected: { user: string; amount: TokenAmount; chainId: number }
+): Promise<DecodedClaim> {
+  const decoded = checkClaimMessage(typedData, expected);
+  const { message } = typedData;
+
+  const signer = await recoverTypedDataAddress({
+    domain: typedData.domain,
+    types: typedData.types,
+    primaryType: typedData.primaryType,
+    message: {
+      user: message.user,
+      amount: BigInt(message.amount),
+      nonce: BigInt(message.nonce),
+      deadline: BigInt(message.deadline)
+    },
+    signature
+  });
+
+  return { ...decoded, signer };
+}
+
+/**
+ * Decode a claim intent before the wallet signs it, with the same checks as a typed claim
+ */
+export function decodeClaimIntent(
+  intent: ClaimIntentTypedData,
+  expected: { user: string; amount: TokenAmount; chainId: number }
+): DecodedClaimIntent {
+  return checkClaimMessage(intent, expected);
+}
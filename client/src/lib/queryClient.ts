@@ -14,15 +14,8 @@ export async function apiRequest<T = unknown>(
     data?: unknown;
   }
 ): Promise<T> {
+  // Admin routes authenticate with the admin_session cookie (credentials: "include")
   const headers: HeadersInit = options?.data ? { "Content-Type": "application/json" } : {};
-  
-  // Add admin token for admin routes
-  if (url.includes('/api/admin/')) {
-    const adminToken = localStorage.getItem('admin-token');
-    if (adminToken) {
-      headers.Authorization = `Bearer ${adminToken}`;
-    }
-  }
 
   try {
     const controller = new AbortController();
@@ -65,14 +58,6 @@ export const getQueryFn: <T>(options: {
   ({ on401: unauthorizedBehavior }) =>
   async ({ queryKey }) => {
     const headers: HeadersInit = { "Content-Type": "application/json" };
-    
-    // Add admin token for admin routes
-    if (typeof queryKey[0] === 'string' && queryKey[0].includes('/api/admin/')) {
-      const adminToken = localStorage.getItem('admin-token');
-      if (adminToken) {
-        headers.Authorization = `Bearer ${adminToken}`;
-      }
-    }
 
     const controller = new AbortController();
     const timeoutId = setTimeout(() => {
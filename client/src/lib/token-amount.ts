@@ -0,0 +1,8 @@
+/**
+ * Token amount as returned by the API: the wei integer and the exact decimal string.
+ * Build contract arguments from raw; formatted is for display.
+ */
+export interface TokenAmount {
+  raw: string;
+  formatted: string;
+}
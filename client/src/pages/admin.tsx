@@ -1,20 +1,19 @@
-import { useState, useEffect } from "react";
+import { useState } from "react";
+import { useSignMessage } from "wagmi";
+import { createSiweMessage } from "viem/siwe";
+import { queryClient } from "@/lib/queryClient";
 import { useWagmiWallet } from "@/hooks/use-wagmi-wallet";
+import { useAdminSession } from "@/hooks/use-admin-session";
 import { CyberpunkAdminPanel } from "@/components/cyberpunk-admin-panel";
 
 export default function AdminPage() {
   const { isConnected, address, connect, connectors } = useWagmiWallet();
-  const [isAuthenticated, setIsAuthenticated] = useState(false);
+  const { signMessageAsync } = useSignMessage();
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
 
-  // Authorized admin wallets (hidden from UI for security)
-  const authorizedWallets = [
-    '0x5bF25Dc1BAf6A96C5A0F724E05EcF4D456c7652e',
-    '0x861722f739539CF31d86F1221460Fa96C9baB95C',
-    '0xAFff1831e663B6F29fb90871Ea8518e8f8B3b71a',  // Contract owner wallet
-    '0xD117738595dfAFe4c2f96bcF63Ed381788E08d39'   // User-requested admin access
-  ];
+  // The server session decides access - null means signed out or expired
+  const { session, isLoading: sessionLoading } = useAdminSession();
 
   const handleMetaMaskLogin = async () => {
     setIsLoading(true);
@@ -38,38 +37,42 @@ export default function AdminPage() {
         await new Promise(resolve => setTimeout(resolve, 1000));
       }
 
-      // Check if wallet is now connected and authorized
       if (!address) {
         setError('Wallet connection failed. Please try again.');
         return;
       }
 
-      // Debug: Show the actual connected address
-      console.log('Connected address:', address);
-      console.log('Authorized wallets:', authorizedWallets);
-      
-      // Check authorization with case-insensitive comparison
-      const normalizedAddress = address.toLowerCase();
-      const normalizedAuthorizedWallets = authorizedWallets.map(addr => addr.toLowerCase());
-      
-      if (!normalizedAuthorizedWallets.includes(normalizedAddress)) {
-        setError(`Access denied. Connected wallet: ${address.slice(0, 6)}...${address.slice(-4)} is not authorized for admin access.`);
+      // Sign-In-With-Ethereum: sign the server's nonce, the server checks the signature and the allowlist
+      const nonceResponse = await fetch('/api/admin/auth/nonce', { method: 'POST' });
+      const { nonce, chainId, statement } = await nonceResponse.json();
+      if (!nonceResponse.ok || !nonce) {
+        setError('Could not start sign-in. Please try again.');
         return;
       }
 
-      // Authenticate with backend
+      const message = createSiweMessage({
+        address,
+        chainId,
+        domain: window.location.host,
+        nonce,
+        statement,
+        uri: window.location.origin,
+        version: '1',
+        issuedAt: new Date()
+      });
+      const signature = await signMessageAsync({ message });
+
       const response = await fetch('/api/admin/login', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ walletAddress: address })
+        body: JSON.stringify({ message, signature })
       });
       
       const data = await response.json();
       
       if (data.success) {
-        setIsAuthenticated(true);
-        localStorage.setItem('admin_token', data.token);
-        localStorage.setItem('admin_wallet', address);
+        localStorage.setItem('admin_wallet', data.walletAddress);
+        await queryClient.invalidateQueries({ queryKey: ['/api/admin/session'] });
       } else {
         setError(data.error || 'Authentication failed');
       }
@@ -80,27 +83,18 @@ export default function AdminPage() {
     }
   };
 
-  // Auto-authenticate if wallet is already connected and authorized
-  const checkAutoAuth = async () => {
-    if (isConnected && address && authorizedWallets.includes(address)) {
-      const existingToken = localStorage.getItem('admin_token');
-      const existingWallet = localStorage.getItem('admin_wallet');
-      
-      if (existingToken && existingWallet === address) {
-        setIsAuthenticated(true);
-      }
-    }
-  };
-
-  // Check for auto-authentication on component mount and wallet changes
-  useEffect(() => {
-    checkAutoAuth();
-  }, [isConnected, address]);
-
-  if (isAuthenticated) {
+  if (session) {
     return <CyberpunkAdminPanel />;
   }
 
+  if (sessionLoading) {
+    return (
+      <div className="min-h-screen bg-black text-green-400 font-mono flex items-center justify-center">
+        [CHECKING_SESSION...]
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-black text-green-400 font-mono overflow-hidden relative">
       {/* Matrix Rain Background */}
@@ -152,11 +146,7 @@ export default function AdminPage() {
                   <span>WALLET:</span>
                   <span>{address.slice(0, 6)}...{address.slice(-4)}</span>
                 </div>
-                {authorizedWallets.map(addr => addr.toLowerCase()).includes(address.toLowerCase()) ? (
-                  <div className="text-green-400 text-xs mt-1">✓ AUTHORIZED ADMIN WALLET</div>
-                ) : (
-                  <div className="text-red-400 text-xs mt-1">✗ UNAUTHORIZED WALLET</div>
-                )}
+                <div className="text-green-400/70 text-xs mt-1">Sign the login message to prove you own this wallet</div>
               </div>
             ) : (
               <div className="p-3 bg-red-900/20 border border-red-500/50 rounded text-red-400 font-mono text-sm text-center">
@@ -175,7 +165,7 @@ export default function AdminPage() {
                   <span>[AUTHENTICATING...]</span>
                 </div>
               ) : isConnected && address ? (
-                '[VERIFY_ADMIN_ACCESS]'
+                '[SIGN_IN_WITH_WALLET]'
               ) : (
                 '[CONNECT_METAMASK]'
               )}
@@ -0,0 +1,235 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+
+/**
+ * @title MerkleTreasuryPool
+ * @dev Variant of DynamicTreasuryPool where claims are proven against a published Merkle root
+ * instead of a per-request calculator signature:
+ * - One root per epoch commits to every user's cumulative entitlement
+ * - Leaves are keccak256(bytes.concat(keccak256(abi.encode(user, cumulativeAmount))))
+ * - Users claim the difference between their cumulative entitlement and what they already claimed
+ * - Roots can only be published by time-delayed authorized calculators
+ */
+contract MerkleTreasuryPool is Ownable, ReentrancyGuard, Pausable {
+    using SafeERC20 for IERC20;
+    IERC20 public immutable kiltToken;
+
+    // Calculator authorization with time delays (same model as DynamicTreasuryPool)
+    mapping(address => bool) public authorizedCalculators;
+    mapping(address => uint256) public pendingCalculatorActivation;
+    uint256 public constant CALCULATOR_ACTIVATION_DELAY = 1 hours;
+
+    // Epoch roots
+    uint256 public currentEpoch;
+    bytes32 public merkleRoot;
+    mapping(uint256 => bytes32) public epochRoots;
+
+    // User tracking - matches app's claimedAmount
+    mapping(address => uint256) public claimedAmount;
+    mapping(address => uint256) public lastClaimTime;
+
+    // Absolute maximum claim per transaction (prevents treasury drainage)
+    uint256 public absoluteMaxClaim = 100000 * 10**18; // 100,000 KILT absolute maximum
+
+    // Analytics tracking
+    uint256 public totalClaimsProcessed;
+    uint256 public totalAmountClaimed;
+
+    // Events
+    // RewardClaimed keeps DynamicTreasuryPool's signature so existing indexers keep working; `nonce` carries the epoch
+    event RewardClaimed(address indexed user, uint256 amount, uint256 claimedAmount, uint256 nonce, uint256 timestamp);
+    event MerkleRootPublished(uint256 indexed epoch, bytes32 root, address indexed publisher);
+    event CalculatorAuthorized(address indexed calculator, bool authorized);
+    event CalculatorPending(address indexed calculator, uint256 activationTime);
+    event TreasuryDeposit(uint256 amount);
+    event TreasuryWithdraw(uint256 amount);
+    event ClaimLimitsUpdated(uint256 absoluteMax);
+
+    modifier validAddress(address addr) {
+        require(addr != address(0), "Invalid address");
+        _;
+    }
+
+    constructor(
+        address _kiltToken,
+        address _owner
+    ) Ownable(_owner) {
+        require(_kiltToken != address(0), "Invalid token address");
+        require(_owner != address(0), "Invalid owner address");
+
+        kiltToken = IERC20(_kiltToken);
+    }
+
+    /**
+     * @dev Set pending calculator authorization with time delay (security measure)
+     */
+    function setPendingCalculatorAuthorization(address calculator) external onlyOwner validAddress(calculator) {
+        require(!authorizedCalculators[calculator], "Calculator already authorized");
+
+        uint256 activationTime = block.timestamp + CALCULATOR_ACTIVATION_DELAY;
+        pendingCalculatorActivation[calculator] = activationTime;
+
+        emit CalculatorPending(calculator, activationTime);
+    }
+
+    /**
+     * @dev Activate pending calculator after delay period
+     */
+    function activatePendingCalculator(address calculator) external onlyOwner validAddress(calculator) {
+        require(pendingCalculatorActivation[calculator] != 0, "No pending authorization");
+        require(block.timestamp >= pendingCalculatorActivation[calculator], "Activation delay not met");
+
+        authorizedCalculators[calculator] = true;
+        delete pendingCalculatorActivation[calculator];
+
+        emit CalculatorAuthorized(calculator, true);
+    }
+
+    /**
+     * @dev Immediately revoke calculator authorization (security measure)
+     */
+    function revokeCalculatorAuthorization(address calculator) external onlyOwner validAddress(calculator) {
+        authorizedCalculators[calculator] = false;
+        delete pendingCalculatorActivation[calculator];
+
+        emit CalculatorAuthorized(calculator, false);
+    }
+
+    /**
+     * @dev Update absolute maximum claim limit (owner only)
+     */
+    function updateAbsoluteMaxClaim(uint256 _absoluteMaxClaim) external onlyOwner {
+        require(_absoluteMaxClaim > 0, "Max claim must be greater than 0");
+
+        absoluteMaxClaim = _absoluteMaxClaim;
+
+        emit ClaimLimitsUpdated(_absoluteMaxClaim);
+    }
+
+    /**
+     * @dev Publish the Merkle root for the next epoch
+     * @param epoch Epoch number - must be exactly currentEpoch + 1
+     * @param root Root of all users' cumulative entitlements at the end of the epoch
+     */
+    function publishMerkleRoot(uint256 epoch, bytes32 root) external whenNotPaused {
+        require(authorizedCalculators[msg.sender], "Not an authorized calculator");
+        require(epoch == currentEpoch + 1, "Epoch must follow current epoch");
+        require(root != bytes32(0), "Invalid Merkle root");
+
+        currentEpoch = epoch;
+        merkleRoot = root;
+        epochRoots[epoch] = root;
+
+        emit MerkleRootPublished(epoch, root, msg.sender);
+    }
+
+    /**
+     * @dev Claim the unclaimed part of the caller's cumulative entitlement
+     * @param cumulativeAmount Caller's cumulative entitlement committed to in the current root
+     * @param proof Merkle proof of the caller's leaf against the current root
+     */
+    function claimRewards(
+        uint256 cumulativeAmount,
+        bytes32[] calldata proof
+    ) external nonReentrant whenNotPaused {
+        require(merkleRoot != bytes32(0), "No Merkle root published");
+        require(_verify(msg.sender, cumulativeAmount, proof), "Invalid Merkle proof");
+        require(cumulativeAmount > claimedAmount[msg.sender], "No rewards to claim");
+
+        uint256 amount = cumulativeAmount - claimedAmount[msg.sender];
+
+        // Absolute maximum claim limit (prevents treasury drainage)
+        require(amount <= absoluteMaxClaim, "Reward balance exceeds maximum claim limit");
+        require(kiltToken.balanceOf(address(this)) >= amount, "Insufficient contract balance");
+
+        // Update state before transfer (CEI pattern)
+        claimedAmount[msg.sender] = cumulativeAmount;
+        totalClaimsProcessed += 1;
+        totalAmountClaimed += amount;
+        lastClaimTime[msg.sender] = block.timestamp;
+
+        kiltToken.safeTransfer(msg.sender, amount);
+
+        emit RewardClaimed(msg.sender, amount, cumulativeAmount, currentEpoch, block.timestamp);
+    }
+
+    /**
+     * @dev Check a leaf against the current root without claiming
+     */
+    function verifyEntitlement(
+        address user,
+        uint256 cumulativeAmount,
+        bytes32[] calldata proof
+    ) external view returns (bool) {
+        return merkleRoot != bytes32(0) && _verify(user, cumulativeAmount, proof);
+    }
+
+    /**
+     * @dev Amount the user could claim now for a proven cumulative entitlement
+     */
+    function getClaimableAmount(
+        address user,
+        uint256 cumulativeAmount,
+        bytes32[] calldata proof
+    ) external view returns (uint256) {
+        if (merkleRoot == bytes32(0) || !_verify(user, cumulativeAmount, proof)) {
+            return 0;
+        }
+        return cumulativeAmount > claimedAmount[user] ? cumulativeAmount - claimedAmount[user] : 0;
+    }
+
+    function getClaimedAmount(address user) external view validAddress(user) returns (uint256) {
+        return claimedAmount[user];
+    }
+
+    /**
+     * @dev Deposit KILT tokens to the treasury (owner only)
+     */
+    function depositTreasury(uint256 amount) external onlyOwner {
+        require(amount > 0, "Amount must be greater than 0");
+
+        kiltToken.safeTransferFrom(msg.sender, address(this), amount);
+
+        emit TreasuryDeposit(amount);
+    }
+
+    /**
+     * @dev Emergency withdraw (owner only)
+     * @param amount Amount to withdraw (0 = withdraw all)
+     */
+    function emergencyWithdraw(uint256 amount) external onlyOwner {
+        uint256 balance = kiltToken.balanceOf(address(this));
+        require(balance > 0, "No tokens to withdraw");
+
+        uint256 withdrawAmount = amount == 0 ? balance : amount;
+        require(withdrawAmount <= balance, "Insufficient balance");
+
+        kiltToken.safeTransfer(owner(), withdrawAmount);
+
+        emit TreasuryWithdraw(withdrawAmount);
+    }
+
+    function getContractBalance() external view returns (uint256) {
+        return kiltToken.balanceOf(address(this));
+    }
+
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    function _verify(address user, uint256 cumulativeAmount, bytes32[] calldata proof) internal view returns (bool) {
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(user, cumulativeAmount))));
+        return MerkleProof.verifyCalldata(proof, merkleRoot, leaf);
+    }
+}
@@ -0,0 +1,71 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "./TypedClaimTreasuryPool.sol";
+
+/**
+ * @title RelayedClaimTreasuryPool
+ * @dev TypedClaimTreasuryPool that also accepts claims submitted by a relayer on the user's behalf:
+ * - The user signs ClaimIntent(address user,uint256 amount,uint256 nonce,uint256 deadline) under the same
+ *   EIP-712 domain, so the relayer cannot claim for anyone who did not ask for it
+ * - The calculator's Claim signature is checked exactly as for a direct claim, and the rewards are
+ *   always paid to the user - the relayer only pays the gas
+ * - Intents from smart contract wallets are verified through ERC-1271
+ * - Direct claimRewards keeps working for users who pay their own gas
+ */
+contract RelayedClaimTreasuryPool is TypedClaimTreasuryPool {
+    bytes32 public constant CLAIM_INTENT_TYPEHASH =
+        keccak256("ClaimIntent(address user,uint256 amount,uint256 nonce,uint256 deadline)");
+
+    event ClaimRelayed(address indexed user, address indexed relayer, uint256 amount, uint256 nonce);
+
+    constructor(
+        address _kiltToken,
+        address _owner
+    ) TypedClaimTreasuryPool(_kiltToken, _owner) {}
+
+    /**
+     * @dev Claim for user with their signed intent; callable by anyone, pays user
+     * @param user Wallet the rewards belong to and are paid to
+     * @param totalRewardBalance User's total unclaimed reward balance (calculated by backend)
+     * @param deadline Timestamp after which neither signature is accepted
+     * @param calculatorSignature EIP-712 signature of Claim(user, totalRewardBalance, nonces[user], deadline)
+     * @param intentSignature User's EIP-712 signature of ClaimIntent(user, totalRewardBalance, nonces[user], deadline)
+     */
+    function claimRewardsFor(
+        address user,
+        uint256 totalRewardBalance,
+        uint256 deadline,
+        bytes calldata calculatorSignature,
+        bytes calldata intentSignature
+    ) external nonReentrant whenNotPaused validAddress(user) {
+        require(block.timestamp <= deadline, "Claim signature expired");
+
+        uint256 currentNonce = nonces[user];
+        require(
+            SignatureChecker.isValidSignatureNow(
+                user,
+                hashClaimIntent(user, totalRewardBalance, currentNonce, deadline),
+                intentSignature
+            ),
+            "Invalid claim intent signature"
+        );
+
+        _claim(user, totalRewardBalance, deadline, calculatorSignature);
+
+        emit ClaimRelayed(user, msg.sender, totalRewardBalance, currentNonce);
+    }
+
+    /**
+     * @dev EIP-712 digest a user signs to have a claim relayed
+     */
+    function hashClaimIntent(
+        address user,
+        uint256 amount,
+        uint256 nonce,
+        uint256 deadline
+    ) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(CLAIM_INTENT_TYPEHASH, user, amount, nonce, deadline)));
+    }
+}
@@ -0,0 +1,247 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @title TypedClaimTreasuryPool
+ * @dev Variant of DynamicTreasuryPool where calculators sign EIP-712 typed data instead of a packed hash:
+ * - Claim(address user,uint256 amount,uint256 nonce,uint256 deadline) under the
+ *   "KILT Liquidity Rewards" / "1" domain, bound to the chain ID and this contract's address
+ * - Wallets can show the signed claim field by field, and a signature cannot be replayed on another chain or pool
+ * - Claims carry a deadline after which the signature is rejected
+ * - Nonces, absolute maximum claim and time-delayed calculator authorization work as in DynamicTreasuryPool
+ * - The domain is published through EIP-5267 eip712Domain(), which is how the server tells this variant apart
+ */
+contract TypedClaimTreasuryPool is Ownable, ReentrancyGuard, Pausable, EIP712 {
+    using SafeERC20 for IERC20;
+    IERC20 public immutable kiltToken;
+
+    bytes32 public constant CLAIM_TYPEHASH =
+        keccak256("Claim(address user,uint256 amount,uint256 nonce,uint256 deadline)");
+
+    // Calculator authorization with time delays (same model as DynamicTreasuryPool)
+    mapping(address => bool) public authorizedCalculators;
+    mapping(address => uint256) public pendingCalculatorActivation;
+    uint256 public constant CALCULATOR_ACTIVATION_DELAY = 1 hours;
+
+    // Nonce-based replay protection
+    mapping(address => uint256) public nonces;
+
+    // User tracking - matches app's claimedAmount
+    mapping(address => uint256) public claimedAmount;
+    mapping(address => uint256) public lastClaimTime;
+
+    // Absolute maximum claim per transaction (prevents treasury drainage)
+    uint256 public absoluteMaxClaim = 100000 * 10**18; // 100,000 KILT absolute maximum
+
+    // Analytics tracking
+    uint256 public totalClaimsProcessed;
+    uint256 public totalAmountClaimed;
+
+    // Events
+    event RewardClaimed(address indexed user, uint256 amount, uint256 claimedAmount, uint256 nonce, uint256 timestamp);
+    event CalculatorAuthorized(address indexed calculator, bool authorized);
+    event CalculatorPending(address indexed calculator, uint256 activationTime);
+    event TreasuryDeposit(uint256 amount);
+    event TreasuryWithdraw(uint256 amount);
+    event ClaimLimitsUpdated(uint256 absoluteMax);
+
+    modifier validAddress(address addr) {
+        require(addr != address(0), "Invalid address");
+        _;
+    }
+
+    constructor(
+        address _kiltToken,
+        address _owner
+    ) Ownable(_owner) EIP712("KILT Liquidity Rewards", "1") {
+        require(_kiltToken != address(0), "Invalid token address");
+        require(_owner != address(0), "Invalid owner address");
+
+        kiltToken = IERC20(_kiltToken);
+    }
+
+    /**
+     * @dev Set pending calculator authorization with time delay (security measure)
+     */
+    function setPendingCalculatorAuthorization(address calculator) external onlyOwner validAddress(calculator) {
+        require(!authorizedCalculators[calculator], "Calculator already authorized");
+
+        uint256 activationTime = block.timestamp + CALCULATOR_ACTIVATION_DELAY;
+        pendingCalculatorActivation[calculator] = activationTime;
+
+        emit CalculatorPending(calculator, activationTime);
+    }
+
+    /**
+     * @dev Activate pending calculator after delay period
+     */
+    function activatePendingCalculator(address calculator) external onlyOwner validAddress(calculator) {
+        require(pendingCalculatorActivation[calculator] != 0, "No pending authorization");
+        require(block.timestamp >= pendingCalculatorActivation[calculator], "Activation delay not met");
+
+        authorizedCalculators[calculator] = true;
+        delete pendingCalculatorActivation[calculator];
+
+        emit CalculatorAuthorized(calculator, true);
+    }
+
+    /**
+     * @dev Immediately revoke calculator authorization (security measure)
+     */
+    function revokeCalculatorAuthorization(address calculator) external onlyOwner validAddress(calculator) {
+        authorizedCalculators[calculator] = false;
+        delete pendingCalculatorActivation[calculator];
+
+        emit CalculatorAuthorized(calculator, false);
+    }
+
+    /**
+     * @dev Update absolute maximum claim limit (owner only)
+     */
+    function updateAbsoluteMaxClaim(uint256 _absoluteMaxClaim) external onlyOwner {
+        require(_absoluteMaxClaim > 0, "Max claim must be greater than 0");
+
+        absoluteMaxClaim = _absoluteMaxClaim;
+
+        emit ClaimLimitsUpdated(_absoluteMaxClaim);
+    }
+
+    /**
+     * @dev Claim entire unclaimed reward balance with a typed calculator signature
+     * @param totalRewardBalance User's total unclaimed reward balance (calculated by backend)
+     * @param deadline Timestamp after which the signature is no longer accepted
+     * @param signature EIP-712 signature of Claim(msg.sender, totalRewardBalance, nonces[msg.sender], deadline)
+     */
+    function claimRewards(
+        uint256 totalRewardBalance,
+        uint256 deadline,
+        bytes calldata signature
+    ) external nonReentrant whenNotPaused {
+        _claim(msg.sender, totalRewardBalance, deadline, signature);
+    }
+
+    /**
+     * @dev Verify a calculator-signed claim for user and pay it to user
+     */
+    function _claim(
+        address user,
+        uint256 totalRewardBalance,
+        uint256 deadline,
+        bytes calldata signature
+    ) internal {
+        require(totalRewardBalance > 0, "No rewards to claim");
+        require(block.timestamp <= deadline, "Claim signature expired");
+
+        // Absolute maximum claim limit (prevents treasury drainage)
+        require(totalRewardBalance <= absoluteMaxClaim, "Reward balance exceeds maximum claim limit");
+
+        // ECDSA.recover rejects malleable signatures and reverts on invalid ones
+        uint256 currentNonce = nonces[user];
+        address signer = ECDSA.recover(hashClaim(user, totalRewardBalance, currentNonce, deadline), signature);
+        require(authorizedCalculators[signer], "Invalid calculator signature");
+
+        require(kiltToken.balanceOf(address(this)) >= totalRewardBalance, "Insufficient contract balance");
+
+        // Update state before transfer (CEI pattern)
+        claimedAmount[user] += totalRewardBalance;
+        totalClaimsProcessed += 1;
+        totalAmountClaimed += totalRewardBalance;
+        nonces[user] = currentNonce + 1; // Prevent replay attacks
+        lastClaimTime[user] = block.timestamp;
+
+        kiltToken.safeTransfer(user, totalRewardBalance);
+
+        emit RewardClaimed(user, totalRewardBalance, claimedAmount[user], currentNonce, block.timestamp);
+    }
+
+    /**
+     * @dev EIP-712 digest a calculator signs for a claim
+     */
+    function hashClaim(
+        address user,
+        uint256 amount,
+        uint256 nonce,
+        uint256 deadline
+    ) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(CLAIM_TYPEHASH, user, amount, nonce, deadline)));
+    }
+
+    /**
+     * @dev Domain separator for off-chain verification
+     */
+    function domainSeparator() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    // View functions that match your app's API patterns
+    function getUserStats(address user) external view validAddress(user) returns (
+        uint256 claimed,
+        uint256 lastClaim,
+        uint256 canClaimAt,
+        uint256 currentNonce
+    ) {
+        claimed = claimedAmount[user];
+        lastClaim = lastClaimTime[user];
+        canClaimAt = 0; // No time restrictions
+        currentNonce = nonces[user];
+    }
+
+    function getClaimedAmount(address user) external view validAddress(user) returns (uint256) {
+        return claimedAmount[user];
+    }
+
+    function getUserNonce(address user) external view validAddress(user) returns (uint256) {
+        return nonces[user];
+    }
+
+    function getAbsoluteMaxClaim() external view returns (uint256) {
+        return absoluteMaxClaim;
+    }
+
+    /**
+     * @dev Deposit KILT tokens to the treasury (owner only)
+     */
+    function depositTreasury(uint256 amount) external onlyOwner {
+        require(amount > 0, "Amount must be greater than 0");
+
+        kiltToken.safeTransferFrom(msg.sender, address(this), amount);
+
+        emit TreasuryDeposit(amount);
+    }
+
+    /**
+     * @dev Emergency withdraw (owner only)
+     * @param amount Amount to withdraw (0 = withdraw all)
+     */
+    function emergencyWithdraw(uint256 amount) external onlyOwner {
+        uint256 balance = kiltToken.balanceOf(address(this));
+        require(balance > 0, "No tokens to withdraw");
+
+        uint256 withdrawAmount = amount == 0 ? balance : amount;
+        require(withdrawAmount <= balance, "Insufficient balance");
+
+        kiltToken.safeTransfer(owner(), withdrawAmount);
+
+        emit TreasuryWithdraw(withdrawAmount);
+    }
+
+    function getContractBalance() external view returns (uint256) {
+        return kiltToken.balanceOf(address(this));
+    }
+
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+}
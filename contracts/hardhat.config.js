@@ -1,16 +1,39 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
 
+// OpenZeppelin SignatureChecker needs 0.8.24 and mcopy; Base supports Cancun
+const CANCUN_COMPILER = {
+  version: "0.8.24",
+  settings: {
+    evmVersion: "cancun",
+    optimizer: {
+      enabled: true,
+      runs: 200
+    }
+  }
+};
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
-    version: "0.8.20",
-    settings: {
-      optimizer: {
-        enabled: true,
-        runs: 200
+    compilers: [
+      {
+        version: "0.8.20",
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 200
+          }
+        }
       }
-    }
+    ],
+    // Only the relayed-claim pool and the OpenZeppelin files that need 0.8.24 move,
+    // so the deployed pools keep their 0.8.20 bytecode
+    overrides: Object.fromEntries([
+      "contracts/RelayedClaimTreasuryPool.sol",
+      "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol",
+      "@openzeppelin/contracts/utils/Bytes.sol"
+    ].map(source => [source, CANCUN_COMPILER]))
   },
   networks: {
     hardhat: {
@@ -0,0 +1,225 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("MerkleTreasuryPool", function () {
+    let MerkleTreasuryPool, MockERC20;
+    let merkleTreasuryPool, mockKiltToken;
+    let owner, calculator1, user1, user2, user3;
+
+    const INITIAL_SUPPLY = ethers.parseEther("1000000"); // 1M tokens
+    const TREASURY_AMOUNT = ethers.parseEther("100000"); // 100K tokens
+    const USER1_ENTITLEMENT = ethers.parseEther("1000");
+    const USER2_ENTITLEMENT = ethers.parseEther("2500");
+    const USER3_ENTITLEMENT = ethers.parseEther("40");
+
+    // Helpers matching server/merkle-epoch-service.ts (OpenZeppelin-compatible leaves and sorted pairs)
+    function hashLeaf(user, cumulativeAmount) {
+        const inner = ethers.keccak256(
+            ethers.AbiCoder.defaultAbiCoder().encode(['address', 'uint256'], [user, cumulativeAmount])
+        );
+        return ethers.keccak256(inner);
+    }
+
+    function hashPair(a, b) {
+        return BigInt(a) < BigInt(b)
+            ? ethers.keccak256(ethers.concat([a, b]))
+            : ethers.keccak256(ethers.concat([b, a]));
+    }
+
+    function buildTree(entries) {
+        const leaves = entries
+            .map(([user, amount]) => hashLeaf(user, amount))
+            .sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1));
+        const layers = [leaves];
+        while (layers[layers.length - 1].length > 1) {
+            const current = layers[layers.length - 1];
+            const next = [];
+            for (let i = 0; i < current.length; i += 2) {
+                next.push(i + 1 < current.length ? hashPair(current[i], current[i + 1]) : current[i]);
+            }
+            layers.push(next);
+        }
+
+        const getProof = (user, amount) => {
+            let index = layers[0].indexOf(hashLeaf(user, amount));
+            const proof = [];
+            for (let level = 0; level < layers.length - 1; level++) {
+                const sibling = index % 2 === 0 ? index + 1 : index - 1;
+                if (sibling < layers[level].length) proof.push(layers[level][sibling]);
+                index = Math.floor(index / 2);
+            }
+            return proof;
+        };
+
+        return { root: layers[layers.length - 1][0], getProof };
+    }
+
+    beforeEach(async function () {
+        [owner, calculator1, user1, user2, user3] = await ethers.getSigners();
+
+        // Deploy mock KILT token
+        MockERC20 = await ethers.getContractFactory("MockERC20");
+        mockKiltToken = await MockERC20.deploy("KILT Protocol", "KILT", 18);
+
+        // Deploy MerkleTreasuryPool
+        MerkleTreasuryPool = await ethers.getContractFactory("MerkleTreasuryPool");
+        merkleTreasuryPool = await MerkleTreasuryPool.deploy(
+            await mockKiltToken.getAddress(),
+            owner.address
+        );
+
+        // Mint tokens to owner and transfer to treasury
+        await mockKiltToken.mint(owner.address, INITIAL_SUPPLY);
+        await mockKiltToken.transfer(await merkleTreasuryPool.getAddress(), TREASURY_AMOUNT);
+
+        // Authorize calculator1 as root publisher
+        await merkleTreasuryPool.setPendingCalculatorAuthorization(calculator1.address);
+        await ethers.provider.send("evm_increaseTime", [3600]); // Increase time by 1 hour
+        await merkleTreasuryPool.activatePendingCalculator(calculator1.address);
+    });
+
+    describe("Root Publication", function () {
+        it("Should publish consecutive epoch roots", async function () {
+            const tree = buildTree([[user1.address, USER1_ENTITLEMENT], [user2.address, USER2_ENTITLEMENT]]);
+
+            await expect(merkleTreasuryPool.connect(calculator1).publishMerkleRoot(1, tree.root))
+                .to.emit(merkleTreasuryPool, "MerkleRootPublished")
+                .withArgs(1, tree.root, calculator1.address);
+
+            expect(await merkleTreasuryPool.currentEpoch()).to.equal(1);
+            expect(await merkleTreasuryPool.merkleRoot()).to.equal(tree.root);
+            expect(await merkleTreasuryPool.epochRoots(1)).to.equal(tree.root);
+        });
+
+        it("Should reject roots from unauthorized accounts", async function () {
+            const tree = buildTree([[user1.address, USER1_ENTITLEMENT]]);
+            await expect(
+                merkleTreasuryPool.connect(user1).publishMerkleRoot(1, tree.root)
+            ).to.be.revertedWith("Not an authorized calculator");
+        });
+
+        it("Should reject skipped epochs and empty roots", async function () {
+            const tree = buildTree([[user1.address, USER1_ENTITLEMENT]]);
+            await expect(
+                merkleTreasuryPool.connect(calculator1).publishMerkleRoot(2, tree.root)
+            ).to.be.revertedWith("Epoch must follow current epoch");
+            await expect(
+                merkleTreasuryPool.connect(calculator1).publishMerkleRoot(1, ethers.ZeroHash)
+            ).to.be.revertedWith("Invalid Merkle root");
+        });
+    });
+
+    describe("Proof Verification", function () {
+        let tree;
+
+        beforeEach(async function () {
+            tree = buildTree([
+                [user1.address, USER1_ENTITLEMENT],
+                [user2.address, USER2_ENTITLEMENT],
+                [user3.address, USER3_ENTITLEMENT]
+            ]);
+            await merkleTreasuryPool.connect(calculator1).publishMerkleRoot(1, tree.root);
+        });
+
+        it("Should verify every leaf in an odd-sized tree", async function () {
+            expect(await merkleTreasuryPool.verifyEntitlement(user1.address, USER1_ENTITLEMENT, tree.getProof(user1.address, USER1_ENTITLEMENT))).to.be.true;
+            expect(await merkleTreasuryPool.verifyEntitlement(user2.address, USER2_ENTITLEMENT, tree.getProof(user2.address, USER2_ENTITLEMENT))).to.be.true;
+            expect(await merkleTreasuryPool.verifyEntitlement(user3.address, USER3_ENTITLEMENT, tree.getProof(user3.address, USER3_ENTITLEMENT))).to.be.true;
+        });
+
+        it("Should reject a tampered amount", async function () {
+            const proof = tree.getProof(user1.address, USER1_ENTITLEMENT);
+            expect(await merkleTreasuryPool.verifyEntitlement(user1.address, USER1_ENTITLEMENT + 1n, proof)).to.be.false;
+        });
+
+        it("Should reject another user's proof", async function () {
+            const proof = tree.getProof(user2.address, USER2_ENTITLEMENT);
+            expect(await merkleTreasuryPool.verifyEntitlement(user1.address, USER2_ENTITLEMENT, proof)).to.be.false;
+        });
+    });
+
+    describe("Reward Claiming", function () {
+        let tree;
+
+        beforeEach(async function () {
+            tree = buildTree([[user1.address, USER1_ENTITLEMENT], [user2.address, USER2_ENTITLEMENT]]);
+            await merkleTreasuryPool.connect(calculator1).publishMerkleRoot(1, tree.root);
+        });
+
+        it("Should claim the full entitlement with a valid proof", async function () {
+            const proof = tree.getProof(user1.address, USER1_ENTITLEMENT);
+
+            await expect(merkleTreasuryPool.connect(user1).claimRewards(USER1_ENTITLEMENT, proof))
+                .to.emit(merkleTreasuryPool, "RewardClaimed");
+
+            expect(await mockKiltToken.balanceOf(user1.address)).to.equal(USER1_ENTITLEMENT);
+            expect(await merkleTreasuryPool.claimedAmount(user1.address)).to.equal(USER1_ENTITLEMENT);
+            expect(await merkleTreasuryPool.getContractBalance()).to.equal(TREASURY_AMOUNT - USER1_ENTITLEMENT);
+            expect(await merkleTreasuryPool.totalAmountClaimed()).to.equal(USER1_ENTITLEMENT);
+        });
+
+        it("Should not pay the same entitlement twice", async function () {
+            const proof = tree.getProof(user1.address, USER1_ENTITLEMENT);
+            await merkleTreasuryPool.connect(user1).claimRewards(USER1_ENTITLEMENT, proof);
+
+            await expect(
+                merkleTreasuryPool.connect(user1).claimRewards(USER1_ENTITLEMENT, proof)
+            ).to.be.revertedWith("No rewards to claim");
+        });
+
+        it("Should only pay the increase after a later epoch", async function () {
+            await merkleTreasuryPool.connect(user1).claimRewards(
+                USER1_ENTITLEMENT,
+                tree.getProof(user1.address, USER1_ENTITLEMENT)
+            );
+
+            const increased = USER1_ENTITLEMENT + ethers.parseEther("300");
+            const nextTree = buildTree([[user1.address, increased], [user2.address, USER2_ENTITLEMENT]]);
+            await merkleTreasuryPool.connect(calculator1).publishMerkleRoot(2, nextTree.root);
+
+            const proof = nextTree.getProof(user1.address, increased);
+            expect(await merkleTreasuryPool.getClaimableAmount(user1.address, increased, proof)).to.equal(ethers.parseEther("300"));
+
+            await merkleTreasuryPool.connect(user1).claimRewards(increased, proof);
+            expect(await mockKiltToken.balanceOf(user1.address)).to.equal(increased);
+            expect(await merkleTreasuryPool.claimedAmount(user1.address)).to.equal(increased);
+        });
+
+        it("Should reject proofs against a superseded root", async function () {
+            const nextTree = buildTree([[user1.address, USER1_ENTITLEMENT + 1n], [user2.address, USER2_ENTITLEMENT]]);
+            await merkleTreasuryPool.connect(calculator1).publishMerkleRoot(2, nextTree.root);
+
+            await expect(
+                merkleTreasuryPool.connect(user1).claimRewards(USER1_ENTITLEMENT, tree.getProof(user1.address, USER1_ENTITLEMENT))
+            ).to.be.revertedWith("Invalid Merkle proof");
+        });
+
+        it("Should reject claims with an invalid proof", async function () {
+            await expect(
+                merkleTreasuryPool.connect(user3).claimRewards(USER1_ENTITLEMENT, tree.getProof(user1.address, USER1_ENTITLEMENT))
+            ).to.be.revertedWith("Invalid Merkle proof");
+        });
+
+        it("Should enforce absolute maximum claim limit", async function () {
+            await merkleTreasuryPool.updateAbsoluteMaxClaim(ethers.parseEther("500"));
+            await expect(
+                merkleTreasuryPool.connect(user1).claimRewards(USER1_ENTITLEMENT, tree.getProof(user1.address, USER1_ENTITLEMENT))
+            ).to.be.revertedWith("Reward balance exceeds maximum claim limit");
+        });
+
+        it("Should not allow claims when paused", async function () {
+            await merkleTreasuryPool.pause();
+            await expect(
+                merkleTreasuryPool.connect(user1).claimRewards(USER1_ENTITLEMENT, tree.getProof(user1.address, USER1_ENTITLEMENT))
+            ).to.be.reverted;
+        });
+    });
+
+    describe("Before Any Root", function () {
+        it("Should reject claims until a root is published", async function () {
+            await expect(
+                merkleTreasuryPool.connect(user1).claimRewards(USER1_ENTITLEMENT, [])
+            ).to.be.revertedWith("No Merkle root published");
+        });
+    });
+});
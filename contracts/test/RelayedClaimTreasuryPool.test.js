@@ -0,0 +1,181 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("RelayedClaimTreasuryPool", function () {
+    let RelayedClaimTreasuryPool, MockERC20;
+    let relayedClaimTreasuryPool, mockKiltToken;
+    let owner, calculator1, user1, user2, relayer;
+
+    const INITIAL_SUPPLY = ethers.parseEther("1000000"); // 1M tokens
+    const TREASURY_AMOUNT = ethers.parseEther("100000"); // 100K tokens
+    const CLAIM_AMOUNT = ethers.parseEther("1000");
+
+    // Same types as server/smart-contract-service.ts CLAIM_TYPES and server/relayer-service.ts CLAIM_INTENT_TYPES
+    const CLAIM_TYPES = {
+        Claim: [
+            { name: "user", type: "address" },
+            { name: "amount", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+        ]
+    };
+    const CLAIM_INTENT_TYPES = {
+        ClaimIntent: [
+            { name: "user", type: "address" },
+            { name: "amount", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+        ]
+    };
+
+    async function getDomain() {
+        return {
+            name: "KILT Liquidity Rewards",
+            version: "1",
+            chainId: (await ethers.provider.getNetwork()).chainId,
+            verifyingContract: await relayedClaimTreasuryPool.getAddress()
+        };
+    }
+
+    async function latestTimestamp() {
+        return (await ethers.provider.getBlock("latest")).timestamp;
+    }
+
+    // Calculator signature and user intent for the user's current nonce
+    async function signRelayedClaim(user, amount, overrides = {}) {
+        const claim = {
+            user: user.address,
+            amount,
+            nonce: await relayedClaimTreasuryPool.nonces(user.address),
+            deadline: BigInt(await latestTimestamp()) + 900n
+        };
+        const domain = await getDomain();
+        const calculatorSignature = await (overrides.calculator || calculator1).signTypedData(domain, CLAIM_TYPES, claim);
+        const intent = { ...claim, ...(overrides.intent || {}) };
+        const intentSignature = await (overrides.intentSigner || user).signTypedData(domain, CLAIM_INTENT_TYPES, intent);
+        return { claim, calculatorSignature, intentSignature };
+    }
+
+    function relay(from, { claim, calculatorSignature, intentSignature }, amount = claim.amount) {
+        return relayedClaimTreasuryPool.connect(from).claimRewardsFor(
+            claim.user, amount, claim.deadline, calculatorSignature, intentSignature
+        );
+    }
+
+    beforeEach(async function () {
+        [owner, calculator1, user1, user2, relayer] = await ethers.getSigners();
+
+        // Deploy mock KILT token
+        MockERC20 = await ethers.getContractFactory("MockERC20");
+        mockKiltToken = await MockERC20.deploy("KILT Protocol", "KILT", 18);
+
+        // Deploy RelayedClaimTreasuryPool
+        RelayedClaimTreasuryPool = await ethers.getContractFactory("RelayedClaimTreasuryPool");
+        relayedClaimTreasuryPool = await RelayedClaimTreasuryPool.deploy(
+            await mockKiltToken.getAddress(),
+            owner.address
+        );
+
+        // Mint tokens to owner and transfer to treasury
+        await mockKiltToken.mint(owner.address, INITIAL_SUPPLY);
+        await mockKiltToken.transfer(await relayedClaimTreasuryPool.getAddress(), TREASURY_AMOUNT);
+
+        // Authorize calculator1 as claim signer
+        await relayedClaimTreasuryPool.setPendingCalculatorAuthorization(calculator1.address);
+        await ethers.provider.send("evm_increaseTime", [3600]); // Increase time by 1 hour
+        await relayedClaimTreasuryPool.activatePendingCalculator(calculator1.address);
+    });
+
+    describe("Intent Hashing", function () {
+        it("Should hash claim intents the way wallets do", async function () {
+            const intent = { user: user1.address, amount: CLAIM_AMOUNT, nonce: 0n, deadline: 1234567890n };
+            expect(
+                await relayedClaimTreasuryPool.hashClaimIntent(intent.user, intent.amount, intent.nonce, intent.deadline)
+            ).to.equal(ethers.TypedDataEncoder.hash(await getDomain(), CLAIM_INTENT_TYPES, intent));
+        });
+
+        it("Should keep intents and calculator claims apart", async function () {
+            const fields = [user1.address, CLAIM_AMOUNT, 0n, 1234567890n];
+            expect(await relayedClaimTreasuryPool.hashClaimIntent(...fields))
+                .to.not.equal(await relayedClaimTreasuryPool.hashClaim(...fields));
+        });
+    });
+
+    describe("Relayed Claiming", function () {
+        it("Should pay the user when a relayer submits the claim", async function () {
+            const signed = await signRelayedClaim(user1, CLAIM_AMOUNT);
+
+            await expect(relay(relayer, signed))
+                .to.emit(relayedClaimTreasuryPool, "ClaimRelayed")
+                .withArgs(user1.address, relayer.address, CLAIM_AMOUNT, 0)
+                .and.to.emit(relayedClaimTreasuryPool, "RewardClaimed");
+
+            expect(await mockKiltToken.balanceOf(user1.address)).to.equal(CLAIM_AMOUNT);
+            expect(await mockKiltToken.balanceOf(relayer.address)).to.equal(0);
+            expect(await relayedClaimTreasuryPool.claimedAmount(user1.address)).to.equal(CLAIM_AMOUNT);
+            expect(await relayedClaimTreasuryPool.claimedAmount(relayer.address)).to.equal(0);
+            expect(await relayedClaimTreasuryPool.nonces(user1.address)).to.equal(1);
+        });
+
+        it("Should reject a replayed relayed claim", async function () {
+            const signed = await signRelayedClaim(user1, CLAIM_AMOUNT);
+            await relay(relayer, signed);
+
+            await expect(relay(relayer, signed)).to.be.revertedWith("Invalid claim intent signature");
+        });
+
+        it("Should reject an intent signed by someone else", async function () {
+            const signed = await signRelayedClaim(user1, CLAIM_AMOUNT, { intentSigner: user2 });
+
+            await expect(relay(relayer, signed)).to.be.revertedWith("Invalid claim intent signature");
+        });
+
+        it("Should reject an intent for a different amount", async function () {
+            const signed = await signRelayedClaim(user1, CLAIM_AMOUNT, { intent: { amount: CLAIM_AMOUNT - 1n } });
+
+            await expect(relay(relayer, signed)).to.be.revertedWith("Invalid claim intent signature");
+        });
+
+        it("Should reject a relayer raising the amount", async function () {
+            const signed = await signRelayedClaim(user1, CLAIM_AMOUNT);
+
+            await expect(relay(relayer, signed, CLAIM_AMOUNT + 1n)).to.be.revertedWith("Invalid claim intent signature");
+        });
+
+        it("Should reject a calculator claim signed as the intent", async function () {
+            const signed = await signRelayedClaim(user1, CLAIM_AMOUNT);
+            const domain = await getDomain();
+            signed.intentSignature = await user1.signTypedData(domain, CLAIM_TYPES, signed.claim);
+
+            await expect(relay(relayer, signed)).to.be.revertedWith("Invalid claim intent signature");
+        });
+
+        it("Should reject claims without a valid calculator signature", async function () {
+            const signed = await signRelayedClaim(user1, CLAIM_AMOUNT, { calculator: user2 });
+
+            await expect(relay(relayer, signed)).to.be.revertedWith("Invalid calculator signature");
+        });
+
+        it("Should reject an expired relayed claim", async function () {
+            const signed = await signRelayedClaim(user1, CLAIM_AMOUNT);
+            await ethers.provider.send("evm_increaseTime", [901]);
+            await ethers.provider.send("evm_mine", []);
+
+            await expect(relay(relayer, signed)).to.be.revertedWith("Claim signature expired");
+        });
+
+        it("Should still allow direct claims", async function () {
+            const { claim, calculatorSignature } = await signRelayedClaim(user1, CLAIM_AMOUNT);
+
+            await relayedClaimTreasuryPool.connect(user1).claimRewards(CLAIM_AMOUNT, claim.deadline, calculatorSignature);
+            expect(await mockKiltToken.balanceOf(user1.address)).to.equal(CLAIM_AMOUNT);
+        });
+
+        it("Should not allow relayed claims when paused", async function () {
+            const signed = await signRelayedClaim(user1, CLAIM_AMOUNT);
+            await relayedClaimTreasuryPool.pause();
+
+            await expect(relay(relayer, signed)).to.be.reverted;
+        });
+    });
+});
@@ -0,0 +1,200 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("TypedClaimTreasuryPool", function () {
+    let TypedClaimTreasuryPool, MockERC20;
+    let typedClaimTreasuryPool, mockKiltToken;
+    let owner, calculator1, user1, user2, unauthorized;
+
+    const INITIAL_SUPPLY = ethers.parseEther("1000000"); // 1M tokens
+    const TREASURY_AMOUNT = ethers.parseEther("100000"); // 100K tokens
+    const CLAIM_AMOUNT = ethers.parseEther("1000");
+
+    // Same types as server/smart-contract-service.ts CLAIM_TYPES
+    const CLAIM_TYPES = {
+        Claim: [
+            { name: "user", type: "address" },
+            { name: "amount", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+        ]
+    };
+
+    async function getDomain() {
+        return {
+            name: "KILT Liquidity Rewards",
+            version: "1",
+            chainId: (await ethers.provider.getNetwork()).chainId,
+            verifyingContract: await typedClaimTreasuryPool.getAddress()
+        };
+    }
+
+    async function latestTimestamp() {
+        return (await ethers.provider.getBlock("latest")).timestamp;
+    }
+
+    async function signClaim(signer, user, amount, overrides = {}) {
+        const claim = {
+            user: user.address,
+            amount,
+            nonce: await typedClaimTreasuryPool.nonces(user.address),
+            deadline: BigInt(await latestTimestamp()) + 900n,
+            ...overrides
+        };
+        const domain = { ...(await getDomain()), ...(overrides.domain || {}) };
+        delete claim.domain;
+        return { claim, signature: await signer.signTypedData(domain, CLAIM_TYPES, claim) };
+    }
+
+    beforeEach(async function () {
+        [owner, calculator1, user1, user2, unauthorized] = await ethers.getSigners();
+
+        // Deploy mock KILT token
+        MockERC20 = await ethers.getContractFactory("MockERC20");
+        mockKiltToken = await MockERC20.deploy("KILT Protocol", "KILT", 18);
+
+        // Deploy TypedClaimTreasuryPool
+        TypedClaimTreasuryPool = await ethers.getContractFactory("TypedClaimTreasuryPool");
+        typedClaimTreasuryPool = await TypedClaimTreasuryPool.deploy(
+            await mockKiltToken.getAddress(),
+            owner.address
+        );
+
+        // Mint tokens to owner and transfer to treasury
+        await mockKiltToken.mint(owner.address, INITIAL_SUPPLY);
+        await mockKiltToken.transfer(await typedClaimTreasuryPool.getAddress(), TREASURY_AMOUNT);
+
+        // Authorize calculator1 as claim signer
+        await typedClaimTreasuryPool.setPendingCalculatorAuthorization(calculator1.address);
+        await ethers.provider.send("evm_increaseTime", [3600]); // Increase time by 1 hour
+        await typedClaimTreasuryPool.activatePendingCalculator(calculator1.address);
+    });
+
+    describe("Domain", function () {
+        it("Should publish its EIP-712 domain", async function () {
+            const domain = await typedClaimTreasuryPool.eip712Domain();
+            const expected = await getDomain();
+
+            expect(domain.name).to.equal(expected.name);
+            expect(domain.version).to.equal(expected.version);
+            expect(domain.chainId).to.equal(expected.chainId);
+            expect(domain.verifyingContract).to.equal(expected.verifyingContract);
+            expect(await typedClaimTreasuryPool.domainSeparator()).to.equal(
+                ethers.TypedDataEncoder.hashDomain(expected)
+            );
+        });
+
+        it("Should hash claims the way wallets do", async function () {
+            const claim = { user: user1.address, amount: CLAIM_AMOUNT, nonce: 0n, deadline: 1234567890n };
+            expect(
+                await typedClaimTreasuryPool.hashClaim(claim.user, claim.amount, claim.nonce, claim.deadline)
+            ).to.equal(ethers.TypedDataEncoder.hash(await getDomain(), CLAIM_TYPES, claim));
+        });
+    });
+
+    describe("Reward Claiming", function () {
+        it("Should claim with a valid typed signature", async function () {
+            const { claim, signature } = await signClaim(calculator1, user1, CLAIM_AMOUNT);
+
+            await expect(typedClaimTreasuryPool.connect(user1).claimRewards(CLAIM_AMOUNT, claim.deadline, signature))
+                .to.emit(typedClaimTreasuryPool, "RewardClaimed");
+
+            expect(await mockKiltToken.balanceOf(user1.address)).to.equal(CLAIM_AMOUNT);
+            expect(await typedClaimTreasuryPool.claimedAmount(user1.address)).to.equal(CLAIM_AMOUNT);
+            expect(await typedClaimTreasuryPool.nonces(user1.address)).to.equal(1);
+            expect(await typedClaimTreasuryPool.getContractBalance()).to.equal(TREASURY_AMOUNT - CLAIM_AMOUNT);
+        });
+
+        it("Should reject an expired signature", async function () {
+            const { claim, signature } = await signClaim(calculator1, user1, CLAIM_AMOUNT);
+            await ethers.provider.send("evm_increaseTime", [901]);
+            await ethers.provider.send("evm_mine", []);
+
+            await expect(
+                typedClaimTreasuryPool.connect(user1).claimRewards(CLAIM_AMOUNT, claim.deadline, signature)
+            ).to.be.revertedWith("Claim signature expired");
+        });
+
+        it("Should reject a replayed signature", async function () {
+            const { claim, signature } = await signClaim(calculator1, user1, CLAIM_AMOUNT);
+            await typedClaimTreasuryPool.connect(user1).claimRewards(CLAIM_AMOUNT, claim.deadline, signature);
+
+            await expect(
+                typedClaimTreasuryPool.connect(user1).claimRewards(CLAIM_AMOUNT, claim.deadline, signature)
+            ).to.be.revertedWith("Invalid calculator signature");
+        });
+
+        it("Should reject a signature used by another user", async function () {
+            const { claim, signature } = await signClaim(calculator1, user1, CLAIM_AMOUNT);
+
+            await expect(
+                typedClaimTreasuryPool.connect(user2).claimRewards(CLAIM_AMOUNT, claim.deadline, signature)
+            ).to.be.revertedWith("Invalid calculator signature");
+        });
+
+        it("Should reject a tampered amount or deadline", async function () {
+            const { claim, signature } = await signClaim(calculator1, user1, CLAIM_AMOUNT);
+
+            await expect(
+                typedClaimTreasuryPool.connect(user1).claimRewards(CLAIM_AMOUNT + 1n, claim.deadline, signature)
+            ).to.be.revertedWith("Invalid calculator signature");
+            await expect(
+                typedClaimTreasuryPool.connect(user1).claimRewards(CLAIM_AMOUNT, claim.deadline + 1n, signature)
+            ).to.be.revertedWith("Invalid calculator signature");
+        });
+
+        it("Should reject signatures for another chain or contract", async function () {
+            const otherChain = await signClaim(calculator1, user1, CLAIM_AMOUNT, { domain: { chainId: 8453 } });
+            await expect(
+                typedClaimTreasuryPool.connect(user1).claimRewards(CLAIM_AMOUNT, otherChain.claim.deadline, otherChain.signature)
+            ).to.be.revertedWith("Invalid calculator signature");
+
+            const otherContract = await signClaim(calculator1, user1, CLAIM_AMOUNT, {
+                domain: { verifyingContract: await mockKiltToken.getAddress() }
+            });
+            await expect(
+                typedClaimTreasuryPool.connect(user1).claimRewards(CLAIM_AMOUNT, otherContract.claim.deadline, otherContract.signature)
+            ).to.be.revertedWith("Invalid calculator signature");
+        });
+
+        it("Should reject signatures from unauthorized signers", async function () {
+            const { claim, signature } = await signClaim(unauthorized, user1, CLAIM_AMOUNT);
+
+            await expect(
+                typedClaimTreasuryPool.connect(user1).claimRewards(CLAIM_AMOUNT, claim.deadline, signature)
+            ).to.be.revertedWith("Invalid calculator signature");
+        });
+
+        it("Should reject legacy packed-hash signatures", async function () {
+            const nonce = await typedClaimTreasuryPool.nonces(user1.address);
+            const innerHash = ethers.solidityPackedKeccak256(
+                ["address", "uint256", "uint256"],
+                [user1.address, CLAIM_AMOUNT, nonce]
+            );
+            const signature = await calculator1.signMessage(ethers.getBytes(innerHash));
+            const deadline = BigInt(await latestTimestamp()) + 900n;
+
+            await expect(
+                typedClaimTreasuryPool.connect(user1).claimRewards(CLAIM_AMOUNT, deadline, signature)
+            ).to.be.revertedWith("Invalid calculator signature");
+        });
+
+        it("Should enforce absolute maximum claim limit", async function () {
+            await typedClaimTreasuryPool.updateAbsoluteMaxClaim(ethers.parseEther("500"));
+            const { claim, signature } = await signClaim(calculator1, user1, CLAIM_AMOUNT);
+
+            await expect(
+                typedClaimTreasuryPool.connect(user1).claimRewards(CLAIM_AMOUNT, claim.deadline, signature)
+            ).to.be.revertedWith("Reward balance exceeds maximum claim limit");
+        });
+
+        it("Should not allow claims when paused", async function () {
+            const { claim, signature } = await signClaim(calculator1, user1, CLAIM_AMOUNT);
+            await typedClaimTreasuryPool.pause();
+
+            await expect(
+                typedClaimTreasuryPool.connect(user1).claimRewards(CLAIM_AMOUNT, claim.deadline, signature)
+            ).to.be.reverted;
+        });
+    });
+});
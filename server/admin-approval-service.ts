@@ -0,0 +1,348 @@
+/**
+ * ADMIN APPROVAL SERVICE
+ * Two-person rule for sensitive treasury operations (emergency withdrawal, distributed counter reset,
+ * treasury configuration):
+ * - requesting one stores a proposal with its validated parameters, approved by the proposer
+ * - it runs once ADMIN_APPROVALS_REQUIRED (default and minimum 2) distinct admins whose role grants the operation's
+ *   permission have approved it, within ADMIN_APPROVAL_WINDOW_HOURS (default 24) of the proposal
+ * - a single rejection closes it; proposals nobody completes in time expire
+ * - an execution that never reports back (server stopped mid-operation) is failed after EXECUTION_TIMEOUT_MS,
+ *   never re-run - the operation may have happened, so the treasury state has to be checked first
+ * The server executes the stored parameters, never ones sent with the final approval.
+ */
+
+import { db } from './db';
+import {
+  adminProposals,
+  adminProposalVotes,
+  adminWallets,
+  rewards,
+  treasuryConfig,
+  type AdminProposal,
+  type AdminProposalVote
+} from '@shared/schema';
+import { and, desc, eq, gt, inArray, isNull, lt, or } from 'drizzle-orm';
+import { ethers } from 'ethers';
+import { ErrorHandler } from './error-handler';
+import { smartContractService } from './smart-contract-service';
+import { roleHasPermission, isAdminRole, type AdminPermission } from '@shared/admin-roles';
+
+export type ApprovalOperation = 'emergency_withdraw' | 'reset_distributed' | 'treasury_config';
+export type ApprovalDecision = 'approve' | 'reject';
+
+// Permission an admin needs to propose, approve or reject each operation
+export const APPROVAL_PERMISSIONS: Record<ApprovalOperation, AdminPermission> = {
+  emergency_withdraw: 'treasury:withdraw',
+  reset_distributed: 'treasury:manage',
+  treasury_config: 'treasury:manage'
+};
+
+export interface ProposalOutcome {
+  proposal: AdminProposal;
+  executed: boolean; // This call completed the approvals and ran the operation (successfully or not)
+}
+
+const REQUIRED_APPROVALS = Number(process.env.ADMIN_APPROVALS_REQUIRED || 2);
+// The two-person rule cannot be configured away - refuse to start rather than run with one approver
+if (!Number.isInteger(REQUIRED_APPROVALS) || REQUIRED_APPROVALS < 2) {
+  throw new Error(`ADMIN_APPROVALS_REQUIRED must be a whole number of at least 2, got "${process.env.ADMIN_APPROVALS_REQUIRED}"`);
+}
+const APPROVAL_WINDOW_MS = Number(process.env.ADMIN_APPROVAL_WINDOW_HOURS || 24) * 60 * 60 * 1000;
+const EXECUTION_TIMEOUT_MS = 15 * 60 * 1000; // Longer than any operation takes, a withdrawal's receipt included
+
+class AdminApprovalService {
+  /**
+   * Validate the parameters and open a proposal with the proposer's approval
+   */
+  async propose(operation: ApprovalOperation, input: any, proposedBy: string): Promise<ProposalOutcome> {
+    if (!APPROVAL_PERMISSIONS[operation]) {
+      throw ErrorHandler.createValidationError('Unknown operation', [`Operation must be one of ${Object.keys(APPROVAL_PERMISSIONS).join(', ')}`]);
+    }
+    const { params, summary } = this.validate(operation, input || {});
+    const proposer = proposedBy.toLowerCase();
+
+    const proposal = await db.transaction(async (tx) => {
+      const [created] = await tx.insert(adminProposals).values({
+        operation,
+        params: JSON.stringify(params),
+        summary,
+        requiredApprovals: REQUIRED_APPROVALS,
+        proposedBy: proposer,
+        expiresAt: new Date(Date.now() + APPROVAL_WINDOW_MS)
+      }).returning();
+      await tx.insert(adminProposalVotes).values({ proposalId: created.id, voter: proposer, decision: 'approve' });
+      return created;
+    });
+    console.log(`🗳️ ADMIN APPROVAL: proposal #${proposal.id} (${operation}) by ${proposer} - ${summary}`);
+
+    return this.executeIfApproved(proposal, proposer);
+  }
+
+  /**
+   * Record an admin's approval or rejection. Returns null when the proposal does not exist.
+   */
+  async vote(id: number, decision: ApprovalDecision, voter: string, note?: string): Promise<ProposalOutcome | null> {
+    if (!['approve', 'reject'].includes(decision)) {
+      throw ErrorHandler.createValidationError('Invalid vote', ['Decision must be approve or reject']);
+    }
+
+    await this.expireStale();
+    const proposal = await this.getProposal(id);
+    if (!proposal) return null;
+    if (proposal.status !== 'pending') {
+      throw ErrorHandler.createValidationError('Proposal is closed', [`Proposal ${id} is ${proposal.status}`]);
+    }
+
+    const address = voter.toLowerCase();
+    const [recorded] = await db.insert(adminProposalVotes)
+      .values({ proposalId: id, voter: address, decision, note: note || null })
+      .onConflictDoNothing()
+      .returning();
+    if (!recorded) {
+      throw ErrorHandler.createValidationError('Already voted', [`${address} has already voted on proposal ${id}`]);
+    }
+
+    if (decision === 'reject') {
+      const [rejected] = await db.update(adminProposals)
+        .set({ status: 'rejected' })
+        .where(and(eq(adminProposals.id, id), eq(adminProposals.status, 'pending')))
+        .returning();
+      console.log(`🚫 ADMIN APPROVAL: proposal #${id} rejected by ${address}`);
+      return { proposal: rejected || (await this.getProposal(id))!, executed: false };
+    }
+
+    return this.executeIfApproved(proposal, address);
+  }
+
+  async getProposal(id: number): Promise<AdminProposal | null> {
+    const [proposal] = await db.select().from(adminProposals).where(eq(adminProposals.id, id)).limit(1);
+    return proposal || null;
+  }
+
+  /**
+   * Proposals with their votes, pending ones first, most recent first
+   */
+  async getProposals(status?: string, limit: number = 100) {
+    await this.expireStale();
+
+    const query = db.select().from(adminProposals);
+    const rows = status
+      ? await query.where(eq(adminProposals.status, status)).orderBy(desc(adminProposals.createdAt)).limit(limit)
+      : await query.orderBy(desc(adminProposals.createdAt)).limit(limit);
+    rows.sort((a, b) => Number(b.status === 'pending') - Number(a.status === 'pending'));
+
+    const votes = rows.length > 0
+      ? await db.select().from(adminProposalVotes).where(inArray(adminProposalVotes.proposalId, rows.map(row => row.id)))
+      : [];
+    return rows.map(row => this.describe(row, votes.filter(vote => vote.proposalId === row.id)));
+  }
+
+  /**
+   * Proposal for API responses: params and result parsed, votes in the order they were cast
+   */
+  describe(proposal: AdminProposal, votes: AdminProposalVote[] = []) {
+    return {
+      ...proposal,
+      params: JSON.parse(proposal.params),
+      result: proposal.result ? JSON.parse(proposal.result) : null,
+      permission: APPROVAL_PERMISSIONS[proposal.operation as ApprovalOperation],
+      votes: [...votes].sort((a, b) => a.createdAt.getTime() - b.createdAt.getTime())
+    };
+  }
+
+  getSettings() {
+    return {
+      requiredApprovals: REQUIRED_APPROVALS,
+      windowHours: APPROVAL_WINDOW_MS / (60 * 60 * 1000)
+    };
+  }
+
+  // Run the operation once enough approvals count. Only the request that moves the proposal
+  // out of 'pending' executes it, so concurrent final approvals cannot run it twice.
+  private async executeIfApproved(proposal: AdminProposal, executedBy: string): Promise<ProposalOutcome> {
+    const approvals = await this.countApprovals(proposal);
+    if (approvals < proposal.requiredApprovals) {
+      return { proposal, executed: false };
+    }
+
+    const [claimed] = await db.update(adminProposals)
+      .set({ status: 'executing', executedBy, claimedAt: new Date() })
+      .where(and(
+        eq(adminProposals.id, proposal.id),
+        eq(adminProposals.status, 'pending'),
+        gt(adminProposals.expiresAt, new Date())
+      ))
+      .returning();
+    if (!claimed) {
+      return { proposal: (await this.getProposal(proposal.id))!, executed: false };
+    }
+
+    console.log(`✅ ADMIN APPROVAL: proposal #${proposal.id} has ${approvals}/${proposal.requiredApprovals} approvals - executing ${proposal.operation}`);
+    try {
+      const result = await this.execute(claimed.operation as ApprovalOperation, JSON.parse(claimed.params));
+      const [executed] = await db.update(adminProposals)
+        .set({ status: 'executed', result: JSON.stringify(result), executedAt: new Date() })
+        .where(eq(adminProposals.id, proposal.id))
+        .returning();
+      return { proposal: executed, executed: true };
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      console.error(`❌ ADMIN APPROVAL: proposal #${proposal.id} failed:`, message);
+      const [failed] = await db.update(adminProposals)
+        .set({ status: 'failed', error: message, executedAt: new Date() })
+        .where(eq(adminProposals.id, proposal.id))
+        .returning();
+      return { proposal: failed, executed: true };
+    }
+  }
+
+  // Approvals from wallets that are still allowlisted with a role granting the operation's permission
+  private async countApprovals(proposal: AdminProposal): Promise<number> {
+    const permission = APPROVAL_PERMISSIONS[proposal.operation as ApprovalOperation];
+    const approvers = await db.select({ role: adminWallets.role })
+      .from(adminProposalVotes)
+      .innerJoin(adminWallets, eq(adminWallets.address, adminProposalVotes.voter))
+      .where(and(
+        eq(adminProposalVotes.proposalId, proposal.id),
+        eq(adminProposalVotes.decision, 'approve'),
+        isNull(adminWallets.revokedAt)
+      ));
+    return approvers.filter(({ role }) => isAdminRole(role) && roleHasPermission(role, permission)).length;
+  }
+
+  private async expireStale(): Promise<void> {
+    const expired = await db.update(adminProposals)
+      .set({ status: 'expired' })
+      .where(and(eq(adminProposals.status, 'pending'), lt(adminProposals.expiresAt, new Date())))
+      .returning({ id: adminProposals.id });
+    if (expired.length > 0) {
+      console.log(`⌛ ADMIN APPROVAL: ${expired.length} proposals expired unapproved`);
+    }
+
+    // Claimed executions that never finished - claims from before claimedAt was recorded count as stale too
+    const abandoned = await db.update(adminProposals)
+      .set({
+        status: 'failed',
+        error: 'Execution did not finish - the server stopped or the operation hung. Check the treasury state before proposing it again.',
+        executedAt: new Date()
+      })
+      .where(and(
+        eq(adminProposals.status, 'executing'),
+        or(isNull(adminProposals.claimedAt), lt(adminProposals.claimedAt, new Date(Date.now() - EXECUTION_TIMEOUT_MS)))
+      ))
+      .returning({ id: adminProposals.id });
+    if (abandoned.length > 0) {
+      console.warn(`⚠️ ADMIN APPROVAL: proposals ${abandoned.map(proposal => `#${proposal.id}`).join(', ')} failed - execution never finished`);
+    }
+  }
+
+  // Parameters the operation will run with, checked up front so reviewers never approve something that cannot run
+  private validate(operation: ApprovalOperation, input: any): { params: Record<string, any>; summary: string } {
+    switch (operation) {
+      case 'emergency_withdraw': {
+        const amount = Number(input.amount);
+        if (!Number.isFinite(amount) || amount <= 0) {
+          throw ErrorHandler.createValidationError('Valid withdrawal amount required');
+        }
+        const recipientAddress = input.recipientAddress ? String(input.recipientAddress) : null;
+        if (recipientAddress && !ethers.isAddress(recipientAddress)) {
+          throw ErrorHandler.createValidationError('Invalid recipient address', [recipientAddress]);
+        }
+        return {
+          params: { amount, recipientAddress },
+          summary: `Emergency withdrawal of ${amount} KILT to ${recipientAddress || 'the calculator wallet'}`
+        };
+      }
+
+      case 'reset_distributed':
+        return { params: {}, summary: 'Reset distributed rewards counter to zero (deletes all reward records)' };
+
+      case 'treasury_config': {
+        const validationErrors = [];
+        const smartContractAddress = input.treasuryWalletAddress;
+        if (!smartContractAddress || String(smartContractAddress).trim() === '') {
+          validationErrors.push('Smart contract address is required');
+        }
+        const totalAllocation = Number(input.totalAllocation);
+        if (!totalAllocation || totalAllocation <= 0) {
+          validationErrors.push('Total allocation must be greater than 0');
+        }
+        if (!input.programStartDate || String(input.programStartDate).trim() === '' || isNaN(new Date(input.programStartDate).getTime())) {
+          validationErrors.push('Program start date is required');
+        }
+        const programDurationDays = Number(input.programDurationDays);
+        if (!programDurationDays || programDurationDays <= 0) {
+          validationErrors.push('Program duration must be greater than 0 days');
+        }
+        if (validationErrors.length > 0) {
+          throw ErrorHandler.createValidationError('Validation failed', validationErrors);
+        }
+
+        return {
+          params: {
+            treasuryWalletAddress: String(smartContractAddress).trim(),
+            totalAllocation,
+            programStartDate: new Date(input.programStartDate).toISOString().split('T')[0],
+            programDurationDays,
+            isActive: input.isActive !== false
+          },
+          summary: `Update treasury configuration - Total: ${totalAllocation.toLocaleString()} KILT, Duration: ${programDurationDays} days, Start: ${input.programStartDate}`
+        };
+      }
+    }
+  }
+
+  private async execute(operation: ApprovalOperation, params: Record<string, any>): Promise<Record<string, any>> {
+    switch (operation) {
+      case 'emergency_withdraw': {
+        const result = await smartContractService.emergencyWithdraw(params.amount, params.recipientAddress || undefined);
+        if (!result.success) {
+          throw new Error(result.error || 'Emergency withdrawal failed');
+        }
+        return {
+          amount: params.amount,
+          recipient: params.recipientAddress || 'Performing wallet',
+          transactionHash: result.transactionHash
+        };
+      }
+
+      case 'reset_distributed': {
+        // Clear all rewards from the database to reset the distributed counter
+        const deleteResult = await db.delete(rewards);
+        return { clearedRecords: deleteResult.rowCount || 0, newDistributedAmount: 0 };
+      }
+
+      case 'treasury_config': {
+        // Auto-calculate derived values
+        const programStartDate = new Date(params.programStartDate);
+        const programEndDate = new Date(programStartDate.getTime() + (params.programDurationDays * 24 * 60 * 60 * 1000));
+        const dailyRewardsCap = params.totalAllocation / params.programDurationDays;
+
+        const dbConfig = {
+          smartContractAddress: params.treasuryWalletAddress,
+          totalAllocation: params.totalAllocation.toString(),
+          programStartDate: programStartDate.toISOString().split('T')[0],
+          programEndDate: programEndDate.toISOString().split('T')[0],
+          programDurationDays: params.programDurationDays,
+          dailyRewardsCap: dailyRewardsCap.toString(),
+          isActive: params.isActive,
+          createdBy: 'admin',
+          updatedAt: new Date()
+        };
+
+        const [existingConfig] = await db.select().from(treasuryConfig).limit(1);
+        if (existingConfig) {
+          await db.update(treasuryConfig).set(dbConfig).where(eq(treasuryConfig.id, existingConfig.id));
+        } else {
+          await db.insert(treasuryConfig).values(dbConfig);
+        }
+
+        console.log(`💰 New daily reward rate: ${dailyRewardsCap.toFixed(4)} KILT per day`);
+        return { config: dbConfig, previousConfig: existingConfig || null, newDailyRate: dailyRewardsCap };
+      }
+    }
+  }
+}
+
+// Export singleton instance
+export const adminApprovalService = new AdminApprovalService();
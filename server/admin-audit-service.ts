@@ -0,0 +1,300 @@
+/**
+ * ADMIN AUDIT SERVICE
+ * Tamper-evident admin operations log (admin_operations):
+ * - every entry takes the next sequence number and stores the hash of the entry before it
+ * - its own hash covers its contents and that link, so editing, deleting or reordering
+ *   entries breaks the chain from that point on (see verify)
+ * - config changes carry a structured { field: { before, after } } diff
+ * With ADMIN_AUDIT_HMAC_KEY set the hashes are HMAC-SHA256, so the chain cannot be recomputed by
+ * someone who can only write to the database. Entries logged before chaining have no sequence.
+ */
+
+import { createHash, createHmac } from 'crypto';
+import { db } from './db';
+import { adminOperations, type AdminOperation } from '@shared/schema';
+import { and, asc, desc, eq, gt, gte, ilike, isNotNull, isNull, lt, lte, or, sql, type SQL } from 'drizzle-orm';
+
+export type AuditChanges = Record<string, { before: unknown; after: unknown }>;
+
+export interface AuditEntryInput {
+  operationType: string;
+  reason?: string;
+  performedBy: string;
+  amount?: string;
+  transactionHash?: string;
+  success?: boolean;
+  errorMessage?: string;
+  details?: Record<string, unknown>; // Stored as operationDetails
+  changes?: AuditChanges | null;
+}
+
+export interface AuditFilters {
+  operationType?: string;
+  performedBy?: string;
+  success?: boolean;
+  from?: Date;
+  to?: Date;
+  search?: string; // Matched against reason and error message
+}
+
+export interface AuditIssue {
+  sequence: number | null;
+  entryId: number | null;
+  problem: string;
+}
+
+export interface AuditVerification {
+  valid: boolean;
+  checked: number; // Chained entries checked
+  legacyEntries: number; // Entries from before the chain started
+  head: { sequence: number; entryHash: string | null } | null; // Record it elsewhere to detect removal of the latest entries
+  issueCount: number;
+  issues: AuditIssue[]; // First 100
+}
+
+const GENESIS_HASH = '0'.repeat(64);
+const AUDIT_CHAIN_LOCK = 7303001; // pg advisory lock key serialising writers of the chain
+const VERIFY_BATCH = 1000;
+const MAX_ISSUES = 100;
+const DIFF_IGNORED_FIELDS = new Set(['updatedAt', 'updatedBy']); // The entry itself records who and when
+
+/**
+ * Fields that differ between two versions of a config object. Pass null for before on creation
+ * and for after on removal. Returns null when nothing changed.
+ */
+export function diffChanges(before: object | null | undefined, after: object | null | undefined): AuditChanges | null {
+  const previous = normalize(before || {}) as Record<string, unknown>;
+  const next = normalize(after || {}) as Record<string, unknown>;
+  const changes: AuditChanges = {};
+
+  for (const field of new Set([...Object.keys(previous), ...Object.keys(next)])) {
+    if (DIFF_IGNORED_FIELDS.has(field)) continue;
+    const beforeValue = before ? previous[field] ?? null : null;
+    const afterValue = after ? next[field] ?? null : null;
+    if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+      changes[field] = { before: beforeValue, after: afterValue };
+    }
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+// JSON-safe copy: dates as ISO strings, bigints as decimal strings
+function normalize(value: unknown): unknown {
+  return JSON.parse(JSON.stringify(value, (_key, item) => typeof item === 'bigint' ? item.toString() : item));
+}
+
+class AdminAuditService {
+  /**
+   * Append an entry to the chain. Never throws - a failed audit write must not undo the operation it records.
+   */
+  async record(entry: AuditEntryInput): Promise<AdminOperation | null> {
+    try {
+      return await db.transaction(async (tx) => {
+        // One writer at a time, so every entry links to the one before it
+        await tx.execute(sql`SELECT pg_advisory_xact_lock(${AUDIT_CHAIN_LOCK})`);
+        const [head] = await tx.select({ sequence: adminOperations.sequence, entryHash: adminOperations.entryHash })
+          .from(adminOperations)
+          .where(isNotNull(adminOperations.sequence))
+          .orderBy(desc(adminOperations.sequence))
+          .limit(1);
+
+        const [row] = await tx.insert(adminOperations).values({
+          operation: entry.operationType, // For compatibility with old schema
+          operationType: entry.operationType,
+          operationDetails: JSON.stringify({
+            timestamp: new Date().toISOString(),
+            performedBy: entry.performedBy,
+            amount: entry.amount,
+            transactionHash: entry.transactionHash,
+            reason: entry.reason,
+            ...entry.details
+          }),
+          reason: entry.reason,
+          performedBy: entry.performedBy,
+          amount: entry.amount,
+          transactionHash: entry.transactionHash,
+          success: entry.success ?? true,
+          errorMessage: entry.errorMessage,
+          changes: entry.changes ? JSON.stringify(entry.changes) : null,
+          sequence: (head?.sequence || 0) + 1,
+          previousHash: head?.entryHash || GENESIS_HASH
+        }).returning();
+
+        // Hash the row as stored, so verification reads back exactly what was hashed
+        const entryHash = this.hashEntry(row);
+        await tx.update(adminOperations).set({ entryHash }).where(eq(adminOperations.id, row.id));
+        return { ...row, entryHash };
+      });
+    } catch (error: unknown) {
+      console.error('Failed to log admin operation:', error instanceof Error ? error.message : 'Unknown error');
+      return null;
+    }
+  }
+
+  /**
+   * Walk the whole chain: sequence gaps, broken links, entries whose contents no longer match
+   * their hash, and entries written around the chain.
+   */
+  async verify(): Promise<AuditVerification> {
+    const issues: AuditIssue[] = [];
+    let issueCount = 0;
+    const report = (issue: AuditIssue) => {
+      issueCount++;
+      if (issues.length < MAX_ISSUES) issues.push(issue);
+    };
+
+    let expectedSequence = 1;
+    let previousHash = GENESIS_HASH;
+    let checked = 0;
+    let firstChainedId: number | null = null;
+    let head: AuditVerification['head'] = null;
+
+    while (true) {
+      const rows = await db.select().from(adminOperations)
+        .where(gte(adminOperations.sequence, expectedSequence))
+        .orderBy(asc(adminOperations.sequence))
+        .limit(VERIFY_BATCH);
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        const sequence = row.sequence!;
+        if (firstChainedId === null) firstChainedId = row.id;
+        if (sequence > expectedSequence) {
+          report({
+            sequence: expectedSequence,
+            entryId: null,
+            problem: sequence - expectedSequence === 1
+              ? `Entry ${expectedSequence} is missing`
+              : `Entries ${expectedSequence}-${sequence - 1} are missing`
+          });
+        }
+        if (row.previousHash !== previousHash) {
+          report({ sequence, entryId: row.id, problem: 'Link to the previous entry is broken' });
+        }
+        if (!row.entryHash || this.hashEntry(row) !== row.entryHash) {
+          report({ sequence, entryId: row.id, problem: 'Contents no longer match the entry hash' });
+        }
+
+        previousHash = row.entryHash || '';
+        expectedSequence = sequence + 1;
+        head = { sequence, entryHash: row.entryHash };
+        checked++;
+      }
+    }
+
+    // Entries without a sequence are either from before the chain or were written around it
+    const countUnchained = async (condition?: SQL) => {
+      const [{ count }] = await db.select({ count: sql<number>`count(*)::int` }).from(adminOperations)
+        .where(and(isNull(adminOperations.sequence), condition));
+      return count;
+    };
+    const legacyEntries = await countUnchained(firstChainedId === null ? undefined : lt(adminOperations.id, firstChainedId));
+    const unchained = firstChainedId === null ? 0 : await countUnchained(gt(adminOperations.id, firstChainedId));
+    if (unchained > 0) {
+      report({ sequence: null, entryId: null, problem: `${unchained} entries written after the chain started are not part of it` });
+    }
+
+    return { valid: issueCount === 0, checked, legacyEntries, head, issueCount, issues };
+  }
+
+  /**
+   * Entries matching the filters, most recent first
+   */
+  async list(filters: AuditFilters, page: number = 1, pageSize: number = 50): Promise<{ entries: ReturnType<AdminAuditService['describe']>[]; total: number }> {
+    const where = this.buildFilters(filters);
+    const rows = await db.select().from(adminOperations)
+      .where(where)
+      .orderBy(desc(adminOperations.timestamp), desc(adminOperations.id))
+      .limit(pageSize)
+      .offset((page - 1) * pageSize);
+    const [{ total }] = await db.select({ total: sql<number>`count(*)::int` }).from(adminOperations).where(where);
+    return { entries: rows.map(row => this.describe(row)), total };
+  }
+
+  /**
+   * Distinct operation types, for the viewer's filter
+   */
+  async getOperationTypes(): Promise<string[]> {
+    const rows = await db.selectDistinct({ operationType: adminOperations.operationType })
+      .from(adminOperations)
+      .where(isNotNull(adminOperations.operationType))
+      .orderBy(asc(adminOperations.operationType));
+    return rows.map(row => row.operationType!);
+  }
+
+  /**
+   * Entry for API responses: changes and details parsed
+   */
+  describe(row: AdminOperation) {
+    return {
+      id: row.id,
+      sequence: row.sequence,
+      timestamp: row.timestamp,
+      operationType: row.operationType || row.operation,
+      reason: row.reason,
+      performedBy: row.performedBy,
+      amount: row.amount,
+      transactionHash: row.transactionHash,
+      success: row.success,
+      errorMessage: row.errorMessage,
+      changes: row.changes ? JSON.parse(row.changes) as AuditChanges : null,
+      details: this.parseDetails(row.operationDetails),
+      previousHash: row.previousHash,
+      entryHash: row.entryHash
+    };
+  }
+
+  private buildFilters(filters: AuditFilters): SQL | undefined {
+    const conditions: SQL[] = [];
+    if (filters.operationType) {
+      conditions.push(or(eq(adminOperations.operationType, filters.operationType), eq(adminOperations.operation, filters.operationType))!);
+    }
+    if (filters.performedBy) conditions.push(ilike(adminOperations.performedBy, filters.performedBy));
+    if (filters.success !== undefined) conditions.push(eq(adminOperations.success, filters.success));
+    if (filters.from) conditions.push(gte(adminOperations.timestamp, filters.from));
+    if (filters.to) conditions.push(lte(adminOperations.timestamp, filters.to));
+    if (filters.search) {
+      const pattern = `%${filters.search.replace(/[\\%_]/g, '\\$&')}%`;
+      conditions.push(or(ilike(adminOperations.reason, pattern), ilike(adminOperations.errorMessage, pattern))!);
+    }
+    return conditions.length > 0 ? and(...conditions) : undefined;
+  }
+
+  // Older entries stored plain text here
+  private parseDetails(details: string | null): unknown {
+    if (!details) return null;
+    try {
+      return JSON.parse(details);
+    } catch {
+      return details;
+    }
+  }
+
+  private hashEntry(row: AdminOperation): string {
+    const payload = JSON.stringify([
+      row.sequence,
+      row.previousHash,
+      row.timestamp.toISOString(),
+      row.operation,
+      row.operationType,
+      row.operationDetails,
+      row.amount,
+      row.fromAddress,
+      row.toAddress,
+      row.reason,
+      row.settings,
+      row.performedBy,
+      row.transactionHash,
+      row.success,
+      row.errorMessage,
+      row.changes
+    ]);
+    const key = process.env.ADMIN_AUDIT_HMAC_KEY;
+    return key
+      ? createHmac('sha256', key).update(payload).digest('hex')
+      : createHash('sha256').update(payload).digest('hex');
+  }
+}
+
+// Export singleton instance
+export const adminAuditService = new AdminAuditService();
@@ -0,0 +1,343 @@
+/**
+ * ADMIN AUTH SERVICE
+ * Sign-In-With-Ethereum (EIP-4361) login for the admin panel:
+ * - the server issues a one-time nonce, valid for ADMIN_AUTH_NONCE_TTL_MINUTES (default 10)
+ * - the admin signs a SIWE message for ADMIN_SIWE_DOMAIN and Base carrying that nonce
+ * - a valid signature from an allowlisted wallet (admin_wallets) opens a server-side session
+ * - each wallet has a role (shared/admin-roles.ts); a session always carries the wallet's current role
+ * Sessions last ADMIN_SESSION_TTL_HOURS (default 8) and end on logout, when another admin revokes
+ * them, or when their wallet is removed from the allowlist. The session token is only ever stored hashed.
+ * While the allowlist is empty it is bootstrapped from ADMIN_WALLETS (comma-separated addresses) as superadmins.
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import { ethers } from 'ethers';
+import { generateSiweNonce, parseSiweMessage, validateSiweMessage } from 'viem/siwe';
+import { db } from './db';
+import { adminWallets, adminAuthNonces, adminSessions, type AdminSession, type AdminWallet } from '@shared/schema';
+import { and, asc, desc, eq, gt, isNull, lt, sql } from 'drizzle-orm';
+import { ErrorHandler } from './error-handler';
+import { ADMIN_ROLES, ROLE_PERMISSIONS, isAdminRole, type AdminPermission, type AdminRole } from '@shared/admin-roles';
+import { blockchainConfigService } from './blockchain-config-service';
+
+export const ADMIN_SESSION_COOKIE = 'admin_session';
+export const SIWE_STATEMENT = 'Sign in to the KILT Liquidity Portal admin panel.';
+
+export interface AdminSessionInfo {
+  id: number;
+  address: string;
+  role: AdminRole;
+  permissions: readonly AdminPermission[];
+  expiresAt: Date;
+}
+
+export interface AdminLoginRequest {
+  requestIp?: string | null;
+  userAgent?: string | null;
+}
+
+export interface AdminLoginResult {
+  token: string; // Only returned here - the database keeps its hash
+  session: AdminSessionInfo;
+}
+
+const SESSION_TTL_MS = Number(process.env.ADMIN_SESSION_TTL_HOURS || 8) * 60 * 60 * 1000;
+const NONCE_TTL_MS = Number(process.env.ADMIN_AUTH_NONCE_TTL_MINUTES || 10) * 60 * 1000;
+const LAST_SEEN_INTERVAL_MS = 60000; // Don't write lastSeenAt on every request
+
+const SIWE_DOMAIN = process.env.ADMIN_SIWE_DOMAIN?.trim();
+// The request's Host header is client-controlled - refuse to start rather than check sign-ins against it
+if (!SIWE_DOMAIN) {
+  throw new Error('ADMIN_SIWE_DOMAIN must be set to the public host of the admin panel (e.g. liq.kilt.io)');
+}
+
+class AdminAuthService {
+  private bootstrap: Promise<void> | null = null;
+
+  /**
+   * Issue a nonce for one login attempt
+   */
+  async issueNonce(requestIp?: string | null) {
+    await this.ensureAllowlist();
+
+    const nonce = generateSiweNonce();
+    const expiresAt = new Date(Date.now() + NONCE_TTL_MS);
+    await db.insert(adminAuthNonces).values({ nonce, requestIp: requestIp || null, expiresAt });
+
+    // Drop nonces nobody used, so the table stays small
+    await db.delete(adminAuthNonces).where(lt(adminAuthNonces.expiresAt, new Date(Date.now() - 24 * 60 * 60 * 1000)));
+
+    return {
+      nonce,
+      expiresAt,
+      chainId: await blockchainConfigService.getBaseChainId(),
+      statement: SIWE_STATEMENT
+    };
+  }
+
+  /**
+   * Verify a signed SIWE message and open a session for its wallet
+   */
+  async login(message: string, signature: string, request: AdminLoginRequest): Promise<AdminLoginResult> {
+    if (typeof message !== 'string' || typeof signature !== 'string' || !message || !signature) {
+      throw ErrorHandler.createValidationError('Signed login message required', ['message and signature are required']);
+    }
+
+    const fields = parseSiweMessage(message);
+    if (!fields.address || !fields.nonce) {
+      throw ErrorHandler.createValidationError('Invalid sign-in message', ['Not an EIP-4361 message']);
+    }
+
+    const chainId = await blockchainConfigService.getBaseChainId();
+    if (!validateSiweMessage({ message: fields, domain: SIWE_DOMAIN })) {
+      throw ErrorHandler.createAuthError('Sign-in message is expired or was created for another site', { domain: SIWE_DOMAIN });
+    }
+    if (fields.chainId !== chainId) {
+      throw ErrorHandler.createAuthError(`Sign-in message must be for chain ${chainId}`);
+    }
+
+    let signer: string;
+    try {
+      signer = ethers.verifyMessage(message, signature);
+    } catch {
+      throw ErrorHandler.createAuthError('Invalid signature');
+    }
+    if (signer.toLowerCase() !== fields.address.toLowerCase()) {
+      throw ErrorHandler.createAuthError('Signature does not match the sign-in message wallet');
+    }
+
+    // Consume the nonce - a replayed or expired login finds no open nonce
+    const [consumed] = await db.update(adminAuthNonces)
+      .set({ usedAt: new Date() })
+      .where(and(
+        eq(adminAuthNonces.nonce, fields.nonce),
+        isNull(adminAuthNonces.usedAt),
+        gt(adminAuthNonces.expiresAt, new Date())
+      ))
+      .returning();
+    if (!consumed) {
+      throw ErrorHandler.createAuthError('Sign-in nonce is unknown, expired or already used');
+    }
+
+    const address = signer.toLowerCase();
+    const wallet = await this.getActiveWallet(address);
+    if (!wallet) {
+      throw ErrorHandler.createAuthError(
+        `Wallet ${address.slice(0, 6)}...${address.slice(-4)} is not authorized for admin access`,
+        { code: 'UNAUTHORIZED_WALLET', address } // Verified signer - safe to attribute the attempt to
+      );
+    }
+
+    const token = randomBytes(32).toString('base64url');
+    const [session] = await db.insert(adminSessions).values({
+      tokenHash: this.hashToken(token),
+      address,
+      requestIp: request.requestIp || null,
+      userAgent: request.userAgent || null,
+      expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+    }).returning();
+
+    console.log(`🔐 ADMIN AUTH: session #${session.id} opened for ${address}`);
+    return { token, session: this.toInfo(session, wallet.role) };
+  }
+
+  /**
+   * Active session for a token, or null when it is unknown, expired or revoked
+   */
+  async validateSession(token: string | undefined): Promise<AdminSessionInfo | null> {
+    if (!token) return null;
+
+    // Join the allowlist so a role change applies to open sessions straight away
+    const [row] = await db.select({ session: adminSessions, role: adminWallets.role }).from(adminSessions)
+      .innerJoin(adminWallets, eq(adminWallets.address, adminSessions.address))
+      .where(and(
+        eq(adminSessions.tokenHash, this.hashToken(token)),
+        isNull(adminSessions.revokedAt),
+        gt(adminSessions.expiresAt, new Date()),
+        isNull(adminWallets.revokedAt)
+      ))
+      .limit(1);
+    if (!row) return null;
+    const { session, role } = row;
+
+    if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL_MS) {
+      await db.update(adminSessions).set({ lastSeenAt: new Date() }).where(eq(adminSessions.id, session.id));
+    }
+    return this.toInfo(session, role);
+  }
+
+  /**
+   * End the session a token belongs to
+   */
+  async logout(token: string | undefined): Promise<AdminSession | null> {
+    if (!token) return null;
+    const [session] = await db.update(adminSessions)
+      .set({ revokedAt: new Date(), revokedBy: 'logout' })
+      .where(and(eq(adminSessions.tokenHash, this.hashToken(token)), isNull(adminSessions.revokedAt)))
+      .returning();
+    return session || null;
+  }
+
+  /**
+   * Revoke another session by id
+   */
+  async revokeSession(id: number, revokedBy: string): Promise<AdminSession | null> {
+    const [session] = await db.update(adminSessions)
+      .set({ revokedAt: new Date(), revokedBy })
+      .where(and(eq(adminSessions.id, id), isNull(adminSessions.revokedAt)))
+      .returning();
+    return session || null;
+  }
+
+  /**
+   * Sessions that are still valid, newest first
+   */
+  async getActiveSessions() {
+    const sessions = await db.select().from(adminSessions)
+      .where(and(isNull(adminSessions.revokedAt), gt(adminSessions.expiresAt, new Date())))
+      .orderBy(desc(adminSessions.createdAt));
+    return sessions.map(({ tokenHash, ...session }) => session);
+  }
+
+  async getWallets(): Promise<AdminWallet[]> {
+    await this.ensureAllowlist();
+    return db.select().from(adminWallets).orderBy(asc(adminWallets.createdAt));
+  }
+
+  /**
+   * Add a wallet to the allowlist with a role, or restore one that was removed.
+   * Returns the role it had before, if it was already active.
+   */
+  async addWallet(address: string, label: string | undefined, role: unknown, addedBy: string): Promise<{ wallet: AdminWallet; previousRole: AdminRole | null }> {
+    if (typeof address !== 'string' || !/^0x[a-fA-F0-9]{40}$/.test(address)) {
+      throw ErrorHandler.createValidationError('Invalid wallet address', ['Address must be a 0x-prefixed 20-byte hex string']);
+    }
+    this.assertRole(role);
+
+    const existing = await this.getActiveWallet(address.toLowerCase());
+    if (existing && existing.role !== role) {
+      await this.assertKeepsSuperadmin(existing, 'change the role of');
+    }
+
+    const [wallet] = await db.insert(adminWallets)
+      .values({ address: address.toLowerCase(), label: label || null, role, addedBy })
+      .onConflictDoUpdate({
+        target: adminWallets.address,
+        set: { label: label || null, role, addedBy, createdAt: new Date(), revokedAt: null, revokedBy: null }
+      })
+      .returning();
+    return { wallet, previousRole: existing ? existing.role as AdminRole : null };
+  }
+
+  /**
+   * Change the role of an allowlisted wallet - open sessions pick it up on their next request
+   */
+  async setRole(address: string, role: unknown): Promise<{ wallet: AdminWallet; previousRole: AdminRole } | null> {
+    this.assertRole(role);
+    const existing = await this.getActiveWallet(typeof address === 'string' ? address.toLowerCase() : '');
+    if (!existing) return null;
+    if (existing.role !== role) {
+      await this.assertKeepsSuperadmin(existing, 'change the role of');
+    }
+
+    const [wallet] = await db.update(adminWallets)
+      .set({ role })
+      .where(eq(adminWallets.id, existing.id))
+      .returning();
+    return { wallet, previousRole: existing.role as AdminRole };
+  }
+
+  /**
+   * Remove a wallet from the allowlist and end its sessions. The last superadmin cannot be removed.
+   */
+  async removeWallet(address: string, removedBy: string): Promise<{ wallet: AdminWallet; revokedSessions: number } | null> {
+    const normalized = typeof address === 'string' ? address.toLowerCase() : '';
+    const existing = await this.getActiveWallet(normalized);
+    if (!existing) return null;
+    await this.assertKeepsSuperadmin(existing, 'remove');
+
+    const [wallet] = await db.update(adminWallets)
+      .set({ revokedAt: new Date(), revokedBy: removedBy })
+      .where(eq(adminWallets.address, normalized))
+      .returning();
+    const revoked = await db.update(adminSessions)
+      .set({ revokedAt: new Date(), revokedBy: 'allowlist' })
+      .where(and(eq(adminSessions.address, normalized), isNull(adminSessions.revokedAt)))
+      .returning({ id: adminSessions.id });
+
+    return { wallet, revokedSessions: revoked.length };
+  }
+
+  private async getActiveWallet(address: string): Promise<AdminWallet | null> {
+    await this.ensureAllowlist();
+    const [wallet] = await db.select().from(adminWallets)
+      .where(and(eq(adminWallets.address, address), isNull(adminWallets.revokedAt)))
+      .limit(1);
+    return wallet || null;
+  }
+
+  private assertRole(role: unknown): asserts role is AdminRole {
+    if (!isAdminRole(role)) {
+      throw ErrorHandler.createValidationError('Invalid admin role', [`Role must be one of ${ADMIN_ROLES.join(', ')}`]);
+    }
+  }
+
+  // Someone must always be able to manage access
+  private async assertKeepsSuperadmin(wallet: AdminWallet, action: string) {
+    if (wallet.role !== 'superadmin') return;
+    const [{ count }] = await db.select({ count: sql<number>`count(*)::int` }).from(adminWallets)
+      .where(and(eq(adminWallets.role, 'superadmin'), isNull(adminWallets.revokedAt)));
+    if (count <= 1) {
+      throw ErrorHandler.createValidationError(`Cannot ${action} the last superadmin`, ['Make another wallet superadmin first']);
+    }
+  }
+
+  /**
+   * Seed the allowlist from ADMIN_WALLETS the first time it is needed, if nobody has been added yet
+   */
+  private ensureAllowlist(): Promise<void> {
+    if (!this.bootstrap) {
+      this.bootstrap = (async () => {
+        const [{ count }] = await db.select({ count: sql<number>`count(*)::int` }).from(adminWallets);
+        if (count > 0) return;
+
+        const addresses = (process.env.ADMIN_WALLETS || '')
+          .split(',')
+          .map(address => address.trim().toLowerCase())
+          .filter(address => /^0x[a-f0-9]{40}$/.test(address));
+        if (addresses.length === 0) {
+          console.warn('⚠️ ADMIN AUTH: admin allowlist is empty - set ADMIN_WALLETS to bootstrap it');
+          return;
+        }
+
+        await db.insert(adminWallets)
+          .values(addresses.map(address => ({ address, role: 'superadmin', addedBy: 'ADMIN_WALLETS' })))
+          .onConflictDoNothing();
+        console.log(`🔐 ADMIN AUTH: allowlist bootstrapped with ${addresses.length} wallets from ADMIN_WALLETS`);
+      })().catch(error => {
+        this.bootstrap = null;
+        throw error;
+      });
+    }
+    return this.bootstrap;
+  }
+
+  private hashToken(token: string): string {
+    return createHash('sha256').update(token).digest('hex');
+  }
+
+  private toInfo(session: AdminSession, role: string): AdminSessionInfo {
+    // A role this build doesn't know grants nothing
+    const knownRole = isAdminRole(role) ? role : 'viewer';
+    return {
+      id: session.id,
+      address: session.address,
+      role: knownRole,
+      permissions: isAdminRole(role) ? ROLE_PERMISSIONS[role] : [],
+      expiresAt: session.expiresAt
+    };
+  }
+}
+
+// Export singleton instance
+export const adminAuthService = new AdminAuthService();
@@ -0,0 +1,392 @@
+/**
+ * CAMPAIGN SERVICE
+ * Runs incentive campaigns alongside the base treasury_config program:
+ * - Each campaign has its own budget, start/end dates, pool set, formula parameters and contract
+ * - Positions accrue per campaign, one UTC day at a time, normalised to the campaign's daily cap
+ * - Per-user breakdowns feed the dashboard and /api/dashboard/unified/:userAddress
+ */
+
+import { ethers } from 'ethers';
+import { db } from './db';
+import {
+  lpPositions,
+  users,
+  rewardCampaigns,
+  campaignDailyRewards,
+  type RewardCampaign,
+  type InsertCampaignDailyReward
+} from '@shared/schema';
+import { and, eq, desc, inArray, sql } from 'drizzle-orm';
+import { unifiedRewardService } from './unified-reward-service';
+import { liquidityHistoryService } from './liquidity-history-service';
+import { poolTickSnapshotService } from './pool-tick-snapshot-service';
+import { positionTransferService } from './position-transfer-service';
+import { gamingDetectionService } from './gaming-detection-service';
+import { ErrorHandler } from './error-handler';
+import { calculateDayWeight, normalizeToCap, rawDailyReward, DAY_MS } from './reward-formula';
+import { allocateProportionally, parseTokenAmount, toDisplayNumber, REWARD_UNIT_WEI } from './token-amount';
+
+export interface CampaignInput {
+  name: string;
+  description?: string | null;
+  smartContractAddress: string;
+  totalAllocation: number;
+  startDate: string; // YYYY-MM-DD
+  endDate: string; // YYYY-MM-DD, inclusive
+  poolAddresses?: string[];
+  timeBoostCoefficient?: number;
+  fullRangeBonus?: number;
+  isActive?: boolean;
+}
+
+export interface CampaignDayResult {
+  campaignId: number;
+  date: string;
+  positions: number;
+  dailyCap: number;
+  normalizationFactor: number;
+  totalEmitted: number;
+}
+
+export interface UserCampaignBreakdown {
+  campaignId: number;
+  name: string;
+  smartContractAddress: string;
+  startDate: string;
+  endDate: string;
+  status: 'scheduled' | 'active' | 'ended' | 'paused';
+  poolAddresses: string[];
+  dailyRewardsCap: number;
+  accumulated: number;
+  lastDayReward: number;
+  lastFinalizedDate: string | null;
+  positions: number;
+}
+
+class CampaignService {
+  private toDateString(date: Date): string {
+    return date.toISOString().slice(0, 10);
+  }
+
+  private parseDay(value: string): Date {
+    return new Date(`${value}T00:00:00Z`);
+  }
+
+  getPoolAddresses(campaign: RewardCampaign): string[] {
+    try {
+      const parsed = JSON.parse(campaign.poolAddresses || '[]');
+      return Array.isArray(parsed) ? parsed.map((address: string) => address.toLowerCase()) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  getStatus(campaign: RewardCampaign, now: Date = new Date()): UserCampaignBreakdown['status'] {
+    if (!campaign.isActive) return 'paused';
+    const today = this.toDateString(now);
+    if (today < campaign.startDate) return 'scheduled';
+    if (today > campaign.endDate) return 'ended';
+    return 'active';
+  }
+
+  /**
+   * Validate admin input and derive the stored row (daily cap = allocation / inclusive day count)
+   */
+  private toRow(input: CampaignInput) {
+    const errors: string[] = [];
+    const dateFormat = /^\d{4}-\d{2}-\d{2}$/;
+
+    if (!input.name || input.name.trim() === '') errors.push('Campaign name is required');
+    if (!input.smartContractAddress || !/^0x[a-fA-F0-9]{40}$/.test(input.smartContractAddress)) {
+      errors.push('Valid smart contract address is required');
+    }
+    if (!input.totalAllocation || input.totalAllocation <= 0) errors.push('Total allocation must be greater than 0');
+    if (!dateFormat.test(input.startDate || '')) errors.push('Start date must be YYYY-MM-DD');
+    if (!dateFormat.test(input.endDate || '')) errors.push('End date must be YYYY-MM-DD');
+    if (dateFormat.test(input.startDate || '') && dateFormat.test(input.endDate || '') && input.endDate < input.startDate) {
+      errors.push('End date must not be before start date');
+    }
+    const poolAddresses = (input.poolAddresses || []).map(address => address.trim().toLowerCase()).filter(Boolean);
+    if (poolAddresses.some(address => !/^0x[a-f0-9]{40}$/.test(address))) {
+      errors.push('Pool addresses must be valid addresses');
+    }
+    if (input.timeBoostCoefficient !== undefined && (isNaN(input.timeBoostCoefficient) || input.timeBoostCoefficient < 0)) {
+      errors.push('Time boost coefficient must be 0 or greater');
+    }
+    if (input.fullRangeBonus !== undefined && (isNaN(input.fullRangeBonus) || input.fullRangeBonus < 1)) {
+      errors.push('Full range bonus must be at least 1.0');
+    }
+
+    if (errors.length > 0) {
+      throw ErrorHandler.createValidationError('Campaign validation failed', errors);
+    }
+
+    const durationDays = Math.round((this.parseDay(input.endDate).getTime() - this.parseDay(input.startDate).getTime()) / DAY_MS) + 1;
+
+    return {
+      name: input.name.trim(),
+      description: input.description || null,
+      smartContractAddress: input.smartContractAddress,
+      totalAllocation: input.totalAllocation.toString(),
+      startDate: input.startDate,
+      endDate: input.endDate,
+      dailyRewardsCap: (input.totalAllocation / durationDays).toString(),
+      poolAddresses: JSON.stringify(Array.from(new Set(poolAddresses))),
+      timeBoostCoefficient: (input.timeBoostCoefficient ?? 0.6).toFixed(3),
+      fullRangeBonus: (input.fullRangeBonus ?? 1.2).toFixed(3),
+      isActive: input.isActive !== false
+    };
+  }
+
+  async listCampaigns(): Promise<RewardCampaign[]> {
+    return db.select().from(rewardCampaigns).orderBy(desc(rewardCampaigns.startDate));
+  }
+
+  async getCampaign(id: number): Promise<RewardCampaign | null> {
+    const [campaign] = await db.select().from(rewardCampaigns).where(eq(rewardCampaigns.id, id)).limit(1);
+    return campaign || null;
+  }
+
+  async createCampaign(input: CampaignInput, createdBy: string): Promise<RewardCampaign> {
+    const [created] = await db.insert(rewardCampaigns).values({ ...this.toRow(input), createdBy }).returning();
+    console.log(`🎯 CAMPAIGN: Created "${created.name}" (${created.startDate} → ${created.endDate}, ${parseFloat(created.dailyRewardsCap).toFixed(2)} KILT/day)`);
+    return created;
+  }
+
+  async updateCampaign(id: number, input: CampaignInput): Promise<RewardCampaign | null> {
+    const [updated] = await db.update(rewardCampaigns)
+      .set({ ...this.toRow(input), updatedAt: new Date() })
+      .where(eq(rewardCampaigns.id, id))
+      .returning();
+    return updated || null;
+  }
+
+  /**
+   * Finalize every completed campaign day that hasn't been finalized yet
+   */
+  async finalizePendingDays(): Promise<CampaignDayResult[]> {
+    const results: CampaignDayResult[] = [];
+    const today = this.toDateString(new Date());
+
+    const campaigns = await db.select().from(rewardCampaigns).where(eq(rewardCampaigns.isActive, true));
+    for (const campaign of campaigns) {
+      try {
+        const [latest] = await db.select({ date: campaignDailyRewards.date })
+          .from(campaignDailyRewards)
+          .where(eq(campaignDailyRewards.campaignId, campaign.id))
+          .orderBy(desc(campaignDailyRewards.date))
+          .limit(1);
+
+        let day = latest
+          ? new Date(this.parseDay(latest.date).getTime() + DAY_MS)
+          : this.parseDay(campaign.startDate);
+
+        while (this.toDateString(day) < today && this.toDateString(day) <= campaign.endDate) {
+          results.push(await this.finalizeDay(campaign, day));
+          day = new Date(day.getTime() + DAY_MS);
+        }
+      } catch (error) {
+        console.error(`❌ CAMPAIGN: Failed to finalize campaign ${campaign.id} (${campaign.name}):`, error);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Compute and store one campaign's capped rewards for one UTC day. Re-running a day replaces its rows.
+   */
+  async finalizeDay(campaign: RewardCampaign, dayStart: Date): Promise<CampaignDayResult> {
+    const dayEnd = new Date(dayStart.getTime() + DAY_MS);
+    const dateString = this.toDateString(dayStart);
+    const campaignStart = this.parseDay(campaign.startDate);
+    const pools = this.getPoolAddresses(campaign);
+    const dailyCap = parseFloat(campaign.dailyRewardsCap);
+    const params = {
+      timeBoostCoefficient: parseFloat(campaign.timeBoostCoefficient),
+      fullRangeBonus: parseFloat(campaign.fullRangeBonus)
+    };
+
+    const [marketData, positions, gamingPolicy] = await Promise.all([
+      unifiedRewardService.getMarketData(),
+      db.select().from(lpPositions).where(and(
+        eq(lpPositions.isActive, true),
+        eq(lpPositions.rewardEligible, true)
+      )),
+      gamingDetectionService.getPolicy()
+    ]);
+    // Minimum holding time from the gaming policy - positions earn nothing before it has passed
+    const eligibleFrom = new Map(positions.map(position => [position.id, gamingDetectionService.getAccrualStart(position, gamingPolicy)]));
+
+    const ownership = await positionTransferService.getOwnershipHistory(positions.map(position => position.id));
+    const ownerShares = new Map(positions.map(position => {
+      const from = eligibleFrom.get(position.id);
+      const windowStart = from && from > dayStart ? from : dayStart;
+      return [position.id, positionTransferService.getOwnerShares(position, ownership.get(position.id), windowStart, dayEnd)];
+    }));
+
+    const eligible = positions.filter(position =>
+      (ownerShares.get(position.id) || []).length > 0 &&
+      (eligibleFrom.get(position.id) ?? dayEnd) < dayEnd &&
+      (pools.length === 0 || pools.includes(position.poolAddress.toLowerCase()))
+    );
+
+    const weighted = await Promise.all(eligible.map(async position => {
+      const createdAt = position.createdAt as Date;
+      const from = eligibleFrom.get(position.id) as Date;
+      const windowStart = from > dayStart ? from : dayStart;
+      // Time boost counts days in this campaign, not days since registration
+      const accrualStart = createdAt > campaignStart ? createdAt : campaignStart;
+      const dayIndex = Math.max(0, Math.floor((dayStart.getTime() - accrualStart.getTime()) / DAY_MS));
+
+      const [[inRangeRatio], windowLiquidityFactor] = await Promise.all([
+        poolTickSnapshotService.getDailyInRangeRatios(
+          position.poolAddress,
+          Number(position.tickLower),
+          Number(position.tickUpper),
+          windowStart,
+          dayEnd
+        ),
+        liquidityHistoryService.getLiquidityFactor(position, windowStart, dayEnd)
+      ]);
+      // Scaled to the whole day, so a window starting mid-day earns its share of the day only
+      const liquidityFactor = windowLiquidityFactor * (dayEnd.getTime() - windowStart.getTime()) / DAY_MS;
+
+      const dayWeight = calculateDayWeight(position, params, dayIndex, inRangeRatio ?? null, liquidityFactor);
+      return { position, dayWeight, rawReward: rawDailyReward(dayWeight.weight, marketData.poolTVL, dailyCap) };
+    }));
+
+    const rawRewards = weighted.map(entry => entry.rawReward);
+    const { normalizationFactor } = normalizeToCap(rawRewards, dailyCap);
+    const amounts = allocateProportionally(parseTokenAmount(campaign.dailyRewardsCap), rawRewards, REWARD_UNIT_WEI);
+
+    const rows: InsertCampaignDailyReward[] = [];
+    weighted.forEach((entry, index) => {
+      if (entry.rawReward <= 0) return;
+      // One row per owner of the day - a single row unless the position NFT was transferred
+      for (const owner of positionTransferService.splitByOwner(amounts[index], ownerShares.get(entry.position.id) || [])) {
+        rows.push({
+          campaignId: campaign.id,
+          userId: owner.userId,
+          positionId: entry.position.id,
+          date: dateString,
+          positionValueUSD: entry.dayWeight.effectiveValueUSD.toFixed(8),
+          timeMultiplier: entry.dayWeight.timeBoost.toFixed(8),
+          inRangeMultiplier: entry.dayWeight.inRangeMultiplier.toFixed(8),
+          fullRangeBonus: entry.dayWeight.fullRangeBonus.toFixed(2),
+          rawRewardAmount: (entry.rawReward * owner.fraction).toFixed(8),
+          normalizationFactor: normalizationFactor.toFixed(18),
+          dailyRewardAmount: ethers.formatUnits(owner.amount, 18)
+        });
+      }
+    });
+
+    await db.transaction(async (tx) => {
+      await tx.delete(campaignDailyRewards).where(and(
+        eq(campaignDailyRewards.campaignId, campaign.id),
+        eq(campaignDailyRewards.date, dateString)
+      ));
+      if (rows.length > 0) {
+        await tx.insert(campaignDailyRewards).values(rows);
+      }
+    });
+
+    const totalEmitted = toDisplayNumber(rows.reduce((sum, row) => sum + parseTokenAmount(row.dailyRewardAmount), 0n));
+    console.log(`🎯 CAMPAIGN: "${campaign.name}" ${dateString} - ${rows.length} positions, ${totalEmitted.toFixed(2)} KILT (cap ${dailyCap.toFixed(2)})`);
+
+    return {
+      campaignId: campaign.id,
+      date: dateString,
+      positions: rows.length,
+      dailyCap,
+      normalizationFactor,
+      totalEmitted
+    };
+  }
+
+  /**
+   * Per-campaign accrual of one wallet, including campaigns it hasn't earned from yet
+   */
+  async getUserBreakdown(userAddress: string): Promise<UserCampaignBreakdown[]> {
+    const campaigns = await this.listCampaigns();
+    if (campaigns.length === 0) return [];
+
+    const [user] = await db.select({ id: users.id }).from(users)
+      .where(sql`LOWER(${users.address}) = ${userAddress.toLowerCase()}`)
+      .limit(1);
+
+    const totals = user
+      ? await db.select({
+        campaignId: campaignDailyRewards.campaignId,
+        accumulated: sql<string>`COALESCE(SUM(${campaignDailyRewards.dailyRewardAmount}), 0)`,
+        lastDate: sql<string | null>`MAX(${campaignDailyRewards.date})`,
+        positions: sql<number>`COUNT(DISTINCT ${campaignDailyRewards.positionId})::int`
+      })
+        .from(campaignDailyRewards)
+        .where(and(
+          eq(campaignDailyRewards.userId, user.id),
+          inArray(campaignDailyRewards.campaignId, campaigns.map(campaign => campaign.id))
+        ))
+        .groupBy(campaignDailyRewards.campaignId)
+      : [];
+
+    const breakdown: UserCampaignBreakdown[] = [];
+    for (const campaign of campaigns) {
+      const total = totals.find(row => row.campaignId === campaign.id);
+
+      let lastDayReward = 0;
+      if (user && total?.lastDate) {
+        const [lastDay] = await db.select({
+          amount: sql<string>`COALESCE(SUM(${campaignDailyRewards.dailyRewardAmount}), 0)`
+        })
+          .from(campaignDailyRewards)
+          .where(and(
+            eq(campaignDailyRewards.campaignId, campaign.id),
+            eq(campaignDailyRewards.userId, user.id),
+            eq(campaignDailyRewards.date, total.lastDate)
+          ));
+        lastDayReward = parseFloat(lastDay?.amount || '0');
+      }
+
+      breakdown.push({
+        campaignId: campaign.id,
+        name: campaign.name,
+        smartContractAddress: campaign.smartContractAddress,
+        startDate: campaign.startDate,
+        endDate: campaign.endDate,
+        status: this.getStatus(campaign),
+        poolAddresses: this.getPoolAddresses(campaign),
+        dailyRewardsCap: parseFloat(campaign.dailyRewardsCap),
+        accumulated: parseFloat(total?.accumulated || '0'),
+        lastDayReward,
+        lastFinalizedDate: total?.lastDate || null,
+        positions: total?.positions || 0
+      });
+    }
+
+    return breakdown;
+  }
+
+  /**
+   * Emission totals per campaign for the admin panel
+   */
+  async getCampaignTotals() {
+    const totals = await db.select({
+      campaignId: campaignDailyRewards.campaignId,
+      totalEmitted: sql<string>`COALESCE(SUM(${campaignDailyRewards.dailyRewardAmount}), 0)`,
+      daysFinalized: sql<number>`COUNT(DISTINCT ${campaignDailyRewards.date})::int`,
+      participants: sql<number>`COUNT(DISTINCT ${campaignDailyRewards.userId})::int`
+    })
+      .from(campaignDailyRewards)
+      .groupBy(campaignDailyRewards.campaignId);
+
+    return new Map(totals.map(row => [row.campaignId, {
+      totalEmitted: parseFloat(row.totalEmitted || '0'),
+      daysFinalized: row.daysFinalized,
+      participants: row.participants
+    }]));
+  }
+}
+
+// Export singleton instance
+export const campaignService = new CampaignService();
@@ -0,0 +1,472 @@
+/**
+ * CLAIM ANOMALY SERVICE
+ * Policy checks run on every new claim amount before the calculator signs it (see claimSignatureService.issue):
+ * - max-accrual: the wallet's lifetime claims would exceed what its positions could have earned - the full
+ *   daily cap of the program and of every campaign on each day it held a position
+ * - jump: the amount grew by more than the allowed percentage since the wallet's last signed claim
+ * - solvency: the program's total outstanding claims exceed the treasury contract balance
+ * Each check can be off, hold the claim in the admin review queue (claim_holds) or reject it outright.
+ */
+
+import { db } from './db';
+import {
+  users,
+  lpPositions,
+  positionLiquidityHistory,
+  positionOwnershipHistory,
+  treasuryConfig,
+  rewardCampaigns,
+  rewardLedger,
+  claimSignatures,
+  claimAnomalyPolicy,
+  claimHolds,
+  type ClaimAnomalyPolicy,
+  type ClaimHold
+} from '@shared/schema';
+import { and, asc, desc, eq, inArray, or, sql } from 'drizzle-orm';
+import { ErrorHandler } from './error-handler';
+import { smartContractService } from './smart-contract-service';
+import { positionTransferService } from './position-transfer-service';
+import { DAY_MS } from './reward-formula';
+import { parseTokenAmount, toTokenAmount } from './token-amount';
+
+export type ClaimAnomalyCheck = 'max-accrual' | 'jump' | 'solvency';
+export type ClaimAnomalyAction = 'off' | 'hold' | 'reject';
+export type ClaimHoldReviewAction = 'approve' | 'reject';
+
+export interface ClaimAnomalyPolicySettings {
+  id: number | null; // null = built-in defaults, nothing saved yet
+  maxAccrualAction: ClaimAnomalyAction;
+  maxAccrualTolerancePercent: number;
+  jumpAction: ClaimAnomalyAction;
+  maxJumpPercent: number;
+  jumpMinAmount: string; // KILT
+  solvencyAction: ClaimAnomalyAction;
+  updatedBy: string | null;
+  updatedAt: Date | null;
+}
+
+export type ClaimAnomalyPolicyInput = Partial<Omit<ClaimAnomalyPolicySettings, 'id' | 'updatedBy' | 'updatedAt'>>;
+
+export interface ClaimAnomalyFinding {
+  check: ClaimAnomalyCheck;
+  action: 'hold' | 'reject';
+  reason: string;
+  details: Record<string, unknown>;
+}
+
+export interface ClaimAnomalyRequest {
+  userAddress: string;
+  contractAddress: string;
+  nonce: bigint;
+  amountWei: bigint;
+  source?: string;
+  requestIp?: string | null;
+}
+
+export type ClaimAnomalyDecision =
+  | { decision: 'allow'; findings: ClaimAnomalyFinding[]; approvedHoldId?: number }
+  | { decision: 'hold'; findings: ClaimAnomalyFinding[]; hold: ClaimHold }
+  | { decision: 'reject'; findings: ClaimAnomalyFinding[] };
+
+const ACTIONS: ClaimAnomalyAction[] = ['off', 'hold', 'reject'];
+
+const DEFAULT_POLICY: ClaimAnomalyPolicySettings = {
+  id: null,
+  maxAccrualAction: 'hold',
+  maxAccrualTolerancePercent: 0,
+  jumpAction: 'hold',
+  maxJumpPercent: 200,
+  jumpMinAmount: '1000',
+  solvencyAction: 'hold',
+  updatedBy: null,
+  updatedAt: null
+};
+
+class ClaimAnomalyService {
+  private policyCache: { policy: ClaimAnomalyPolicySettings; timestamp: number } | null = null;
+  private outstandingCache: { total: bigint; timestamp: number } | null = null;
+  private lastEvaluation: { at: Date; decision: ClaimAnomalyDecision['decision'] } | null = null;
+  private readonly CACHE_DURATION = 30000; // 30 seconds
+
+  private toPolicy(row: ClaimAnomalyPolicy): ClaimAnomalyPolicySettings {
+    return {
+      id: row.id,
+      maxAccrualAction: row.maxAccrualAction as ClaimAnomalyAction,
+      maxAccrualTolerancePercent: parseFloat(row.maxAccrualTolerancePercent),
+      jumpAction: row.jumpAction as ClaimAnomalyAction,
+      maxJumpPercent: parseFloat(row.maxJumpPercent),
+      jumpMinAmount: row.jumpMinAmount,
+      solvencyAction: row.solvencyAction as ClaimAnomalyAction,
+      updatedBy: row.updatedBy,
+      updatedAt: row.updatedAt
+    };
+  }
+
+  /**
+   * Policy in force, or the built-in defaults when none was saved (cached)
+   */
+  async getPolicy(): Promise<ClaimAnomalyPolicySettings> {
+    if (this.policyCache && (Date.now() - this.policyCache.timestamp) < this.CACHE_DURATION) {
+      return this.policyCache.policy;
+    }
+
+    const [row] = await db.select().from(claimAnomalyPolicy).orderBy(desc(claimAnomalyPolicy.id)).limit(1);
+    const policy = row ? this.toPolicy(row) : DEFAULT_POLICY;
+    this.policyCache = { policy, timestamp: Date.now() };
+    return policy;
+  }
+
+  /**
+   * Validate and save the policy
+   */
+  async updatePolicy(input: ClaimAnomalyPolicyInput, updatedBy: string): Promise<ClaimAnomalyPolicySettings> {
+    const current = await this.getPolicy();
+    const next = { ...current };
+    if (input.maxAccrualAction !== undefined) next.maxAccrualAction = input.maxAccrualAction;
+    if (input.jumpAction !== undefined) next.jumpAction = input.jumpAction;
+    if (input.solvencyAction !== undefined) next.solvencyAction = input.solvencyAction;
+    if (input.maxAccrualTolerancePercent !== undefined) next.maxAccrualTolerancePercent = Number(input.maxAccrualTolerancePercent);
+    if (input.maxJumpPercent !== undefined) next.maxJumpPercent = Number(input.maxJumpPercent);
+    if (input.jumpMinAmount !== undefined) next.jumpMinAmount = String(input.jumpMinAmount).trim();
+    const errors: string[] = [];
+
+    for (const [key, name] of [['maxAccrualAction', 'Max accrual'], ['jumpAction', 'Jump'], ['solvencyAction', 'Solvency']] as const) {
+      if (!ACTIONS.includes(next[key])) errors.push(`${name} action must be one of ${ACTIONS.join(', ')}`);
+    }
+    if (isNaN(next.maxAccrualTolerancePercent) || next.maxAccrualTolerancePercent < 0) {
+      errors.push('Max accrual tolerance must be 0% or more');
+    }
+    if (isNaN(next.maxJumpPercent) || next.maxJumpPercent <= 0) {
+      errors.push('Maximum jump must be greater than 0%');
+    }
+    if (!/^\d+(\.\d+)?$/.test(next.jumpMinAmount)) {
+      errors.push('Minimum jump amount must be a non-negative KILT amount');
+    }
+    if (errors.length > 0) {
+      throw ErrorHandler.createValidationError('Claim anomaly policy validation failed', errors);
+    }
+
+    const values = {
+      maxAccrualAction: next.maxAccrualAction,
+      maxAccrualTolerancePercent: next.maxAccrualTolerancePercent.toFixed(2),
+      jumpAction: next.jumpAction,
+      maxJumpPercent: next.maxJumpPercent.toFixed(2),
+      jumpMinAmount: next.jumpMinAmount,
+      solvencyAction: next.solvencyAction,
+      updatedBy,
+      updatedAt: new Date()
+    };
+
+    const [row] = current.id !== null
+      ? await db.update(claimAnomalyPolicy).set(values).where(eq(claimAnomalyPolicy.id, current.id)).returning()
+      : await db.insert(claimAnomalyPolicy).values(values).returning();
+
+    this.policyCache = null;
+    return this.toPolicy(row);
+  }
+
+  /**
+   * Run the checks on a claim about to be signed. Held claims are queued for review - repeat requests
+   * for the same wallet, nonce and amount reuse the open hold. A hold an admin approved lets exactly
+   * that claim through; one an admin rejected keeps refusing it.
+   */
+  async evaluate(request: ClaimAnomalyRequest): Promise<ClaimAnomalyDecision> {
+    const address = request.userAddress.toLowerCase();
+    const contract = request.contractAddress.toLowerCase();
+    const nonce = Number(request.nonce);
+    const amount = request.amountWei.toString();
+
+    const [existing] = await db.select().from(claimHolds)
+      .where(and(
+        eq(claimHolds.userAddress, address),
+        eq(claimHolds.contractAddress, contract),
+        eq(claimHolds.nonce, nonce),
+        eq(claimHolds.amount, amount),
+        inArray(claimHolds.status, ['open', 'approved', 'rejected'])
+      ))
+      .orderBy(desc(claimHolds.id))
+      .limit(1);
+    if (existing?.status === 'approved') {
+      console.log(`✅ CLAIM ANOMALY: Hold #${existing.id} approved by ${existing.reviewedBy} - signing ${address} at nonce ${nonce}`);
+      return { decision: 'allow', findings: JSON.parse(existing.findings), approvedHoldId: existing.id };
+    }
+    if (existing?.status === 'rejected') {
+      return { decision: 'reject', findings: JSON.parse(existing.findings) };
+    }
+    if (existing) {
+      const [hold] = await db.update(claimHolds)
+        .set({ requestCount: existing.requestCount + 1 })
+        .where(eq(claimHolds.id, existing.id))
+        .returning();
+      return { decision: 'hold', findings: JSON.parse(existing.findings), hold };
+    }
+
+    const policy = await this.getPolicy();
+    const findings = (await Promise.all([
+      policy.maxAccrualAction !== 'off' ? this.checkMaxAccrual(address, request.amountWei, policy) : null,
+      policy.jumpAction !== 'off' ? this.checkJump(address, request.amountWei, policy) : null,
+      policy.solvencyAction !== 'off' ? this.checkSolvency(policy) : null
+    ])).filter((finding): finding is ClaimAnomalyFinding => finding !== null);
+
+    this.lastEvaluation = { at: new Date(), decision: 'allow' };
+    if (findings.length === 0) return { decision: 'allow', findings };
+
+    const summary = findings.map(finding => `${finding.check}: ${finding.reason}`).join('; ');
+    if (findings.some(finding => finding.action === 'reject')) {
+      this.lastEvaluation.decision = 'reject';
+      console.warn(`⛔ CLAIM ANOMALY: Rejected ${toTokenAmount(request.amountWei).formatted} KILT for ${address} - ${summary}`);
+      return { decision: 'reject', findings };
+    }
+
+    const [hold] = await db.insert(claimHolds).values({
+      userAddress: address,
+      contractAddress: contract,
+      nonce,
+      amount,
+      findings: JSON.stringify(findings),
+      source: request.source || 'claim',
+      requestIp: request.requestIp || null
+    }).returning();
+    this.lastEvaluation.decision = 'hold';
+    console.warn(`✋ CLAIM ANOMALY: Held #${hold.id} - ${toTokenAmount(request.amountWei).formatted} KILT for ${address} - ${summary}`);
+    return { decision: 'hold', findings, hold };
+  }
+
+  private async checkMaxAccrual(address: string, amountWei: bigint, policy: ClaimAnomalyPolicySettings): Promise<ClaimAnomalyFinding | null> {
+    const { rewardLedgerService } = await import('./reward-ledger-service');
+    const [{ claimed }, theoretical] = await Promise.all([
+      rewardLedgerService.getBalance(address),
+      this.getTheoreticalMaximum(address)
+    ]);
+
+    const lifetime = claimed + amountWei;
+    // Tolerance in basis points keeps the comparison in exact wei
+    const limit = theoretical.maximum * BigInt(Math.round((100 + policy.maxAccrualTolerancePercent) * 100)) / 10000n;
+    if (lifetime <= limit) return null;
+
+    return {
+      check: 'max-accrual',
+      action: policy.maxAccrualAction as 'hold' | 'reject',
+      reason: `Lifetime claims of ${toTokenAmount(lifetime).formatted} KILT exceed the ${toTokenAmount(limit).formatted} KILT the wallet's positions could have earned over ${theoretical.days} day(s)`,
+      details: {
+        claimed: claimed.toString(),
+        requested: amountWei.toString(),
+        theoreticalMaximum: theoretical.maximum.toString(),
+        tolerancePercent: policy.maxAccrualTolerancePercent,
+        heldDays: theoretical.days,
+        positionIds: theoretical.positionIds
+      }
+    };
+  }
+
+  /**
+   * Most a wallet could have earned: on every completed day it held a position, the whole daily cap of
+   * the program plus that of every campaign covering one of its pools. Deliberately generous - it
+   * catches accrual a wallet could not have earned under any share of the pools.
+   */
+  async getTheoreticalMaximum(address: string): Promise<{ maximum: bigint; days: number; positionIds: number[] }> {
+    const [user] = await db.select().from(users).where(sql`lower(${users.address}) = ${address}`).limit(1);
+    if (!user) return { maximum: 0n, days: 0, positionIds: [] };
+
+    const transferred = await db.selectDistinct({ positionId: positionOwnershipHistory.positionId })
+      .from(positionOwnershipHistory)
+      .where(eq(positionOwnershipHistory.userId, user.id));
+    const positions = await db.select().from(lpPositions).where(or(
+      eq(lpPositions.userId, user.id),
+      transferred.length > 0 ? inArray(lpPositions.id, transferred.map(row => row.positionId)) : sql`false`
+    ));
+    if (positions.length === 0) return { maximum: 0n, days: 0, positionIds: [] };
+
+    const positionIds = positions.map(position => position.id);
+    const [ownership, liquidity, [config], campaigns] = await Promise.all([
+      positionTransferService.getOwnershipHistory(positionIds),
+      db.select().from(positionLiquidityHistory)
+        .where(inArray(positionLiquidityHistory.positionId, positionIds))
+        .orderBy(asc(positionLiquidityHistory.effectiveFrom), asc(positionLiquidityHistory.id)),
+      db.select().from(treasuryConfig).limit(1),
+      db.select().from(rewardCampaigns)
+    ]);
+
+    // A position held nothing after the last time its liquidity went to zero
+    const closedAt = new Map<number, Date | null>();
+    for (const row of liquidity) {
+      closedAt.set(row.positionId, row.liquidity === '0' ? row.effectiveFrom : null);
+    }
+
+    // Pools the wallet held a position in, per completed UTC day
+    const today = new Date(new Date().toISOString().slice(0, 10) + 'T00:00:00Z').getTime();
+    const heldPools = new Map<string, Set<string>>();
+    for (const position of positions) {
+      if (!position.createdAt) continue;
+      const end = Math.min(closedAt.get(position.id)?.getTime() ?? today, today);
+      for (let day = Math.floor(position.createdAt.getTime() / DAY_MS) * DAY_MS; day < end; day += DAY_MS) {
+        const shares = positionTransferService.getOwnerShares(position, ownership.get(position.id), new Date(day), new Date(day + DAY_MS));
+        if (!shares.some(share => share.userId === user.id)) continue;
+        const date = new Date(day).toISOString().slice(0, 10);
+        const pools = heldPools.get(date) || new Set<string>();
+        pools.add(position.poolAddress.toLowerCase());
+        heldPools.set(date, pools);
+      }
+    }
+
+    const programCap = config ? parseTokenAmount(config.dailyRewardsCap) : 0n;
+    let maximum = 0n;
+    heldPools.forEach((pools, date) => {
+      if (config && date >= config.programStartDate && date <= config.programEndDate) maximum += programCap;
+      for (const campaign of campaigns) {
+        if (date < campaign.startDate || date > campaign.endDate) continue;
+        const campaignPools: string[] = JSON.parse(campaign.poolAddresses || '[]');
+        if (campaignPools.length === 0 || campaignPools.some(pool => pools.has(pool.toLowerCase()))) {
+          maximum += parseTokenAmount(campaign.dailyRewardsCap);
+        }
+      }
+    });
+
+    return { maximum, days: heldPools.size, positionIds };
+  }
+
+  private async checkJump(address: string, amountWei: bigint, policy: ClaimAnomalyPolicySettings): Promise<ClaimAnomalyFinding | null> {
+    const [last] = await db.select().from(claimSignatures)
+      .where(eq(claimSignatures.userAddress, address))
+      .orderBy(desc(claimSignatures.id))
+      .limit(1);
+    if (!last) return null;
+
+    const previous = BigInt(last.amount);
+    const increase = amountWei - previous;
+    const allowed = previous * BigInt(Math.round(policy.maxJumpPercent * 100)) / 10000n;
+    if (increase <= allowed || increase < parseTokenAmount(policy.jumpMinAmount)) return null;
+
+    const percent = previous > 0n ? Number(increase * 10000n / previous) / 100 : null;
+    return {
+      check: 'jump',
+      action: policy.jumpAction as 'hold' | 'reject',
+      reason: `${toTokenAmount(amountWei).formatted} KILT is ${percent === null ? 'up from nothing' : `${percent}% more`} than the last signed claim of ${toTokenAmount(previous).formatted} KILT (limit ${policy.maxJumpPercent}%)`,
+      details: {
+        previousAmount: previous.toString(),
+        previousSignatureId: last.id,
+        previousSignedAt: last.createdAt,
+        requested: amountWei.toString(),
+        increasePercent: percent,
+        maxJumpPercent: policy.maxJumpPercent
+      }
+    };
+  }
+
+  /**
+   * Sum of every wallet's unclaimed ledger balance (cached). Uses recorded claims, so it runs a little
+   * high until the next RewardClaimed sync - the safe direction for a solvency check.
+   */
+  async getOutstandingTotal(): Promise<bigint> {
+    if (this.outstandingCache && (Date.now() - this.outstandingCache.timestamp) < this.CACHE_DURATION) {
+      return this.outstandingCache.total;
+    }
+
+    const [row] = await db.select({
+      total: sql<string>`COALESCE(SUM(GREATEST(balance, 0)), 0)`
+    }).from(
+      db.select({
+        balance: sql<string>`SUM(CASE WHEN ${rewardLedger.entryType} = 'claim' THEN -${rewardLedger.amount} ELSE ${rewardLedger.amount} END)`.as('balance')
+      })
+        .from(rewardLedger)
+        .groupBy(rewardLedger.userAddress)
+        .as('wallet_balances')
+    );
+
+    const total = BigInt(row?.total || '0');
+    this.outstandingCache = { total, timestamp: Date.now() };
+    return total;
+  }
+
+  private async checkSolvency(policy: ClaimAnomalyPolicySettings): Promise<ClaimAnomalyFinding | null> {
+    let treasury: { contractAddress: string; balance: bigint };
+    try {
+      treasury = await smartContractService.getContractBalanceWei();
+    } catch (error) {
+      console.warn('⚠️ CLAIM ANOMALY: Treasury balance unavailable, skipping solvency check:', error instanceof Error ? error.message : error);
+      return null;
+    }
+
+    const outstanding = await this.getOutstandingTotal();
+    if (outstanding <= treasury.balance) return null;
+
+    return {
+      check: 'solvency',
+      action: policy.solvencyAction as 'hold' | 'reject',
+      reason: `Outstanding claims of ${toTokenAmount(outstanding).formatted} KILT exceed the treasury balance of ${toTokenAmount(treasury.balance).formatted} KILT`,
+      details: {
+        outstanding: outstanding.toString(),
+        treasuryBalance: treasury.balance.toString(),
+        shortfall: (outstanding - treasury.balance).toString(),
+        contractAddress: treasury.contractAddress
+      }
+    };
+  }
+
+  /**
+   * Resolve an open hold. 'approve' lets the wallet's next request for the same nonce and amount be
+   * signed, 'reject' keeps it refused - a new amount or nonce is checked again either way.
+   */
+  async reviewHold(id: number, action: ClaimHoldReviewAction, reviewedBy: string, note?: string): Promise<ClaimHold | null> {
+    if (!['approve', 'reject'].includes(action)) {
+      throw ErrorHandler.createValidationError('Invalid review action', ['Action must be approve or reject']);
+    }
+
+    const [hold] = await db.select().from(claimHolds).where(eq(claimHolds.id, id)).limit(1);
+    if (!hold) return null;
+    if (hold.status !== 'open') {
+      throw ErrorHandler.createValidationError('Hold already reviewed', [`Hold ${id} is ${hold.status}`]);
+    }
+
+    const [updated] = await db.update(claimHolds).set({
+      status: action === 'approve' ? 'approved' : 'rejected',
+      reviewedBy,
+      reviewNote: note || null,
+      reviewedAt: new Date()
+    }).where(eq(claimHolds.id, id)).returning();
+    return updated;
+  }
+
+  /**
+   * Holds, open ones (the review queue) first, most recent first
+   */
+  async getHolds(status?: string, limit: number = 100): Promise<ClaimHold[]> {
+    const query = db.select().from(claimHolds);
+    const rows = status
+      ? await query.where(eq(claimHolds.status, status)).orderBy(desc(claimHolds.createdAt)).limit(limit)
+      : await query.orderBy(desc(claimHolds.createdAt)).limit(limit);
+    return rows.sort((a, b) => Number(b.status === 'open') - Number(a.status === 'open'));
+  }
+
+  /**
+   * Hold for API responses: findings parsed, amount as { raw, formatted }
+   */
+  describeHold(hold: ClaimHold) {
+    return {
+      ...hold,
+      amount: toTokenAmount(BigInt(hold.amount)),
+      findings: JSON.parse(hold.findings) as ClaimAnomalyFinding[]
+    };
+  }
+
+  /**
+   * Drop the cached outstanding total - recorded claims changed
+   */
+  clearCache(): void {
+    this.outstandingCache = null;
+  }
+
+  /**
+   * Get current service status
+   */
+  getStatus() {
+    return {
+      lastEvaluatedAt: this.lastEvaluation?.at || null,
+      lastDecision: this.lastEvaluation?.decision || null
+    };
+  }
+}
+
+// Export singleton instance
+export const claimAnomalyService = new ClaimAnomalyService();
@@ -1,10 +1,13 @@
 import { ethers } from 'ethers';
 import { db } from './db';
-import { rewards, users, adminOperations } from '@shared/schema';
+import { rewards, users } from '@shared/schema';
+import { adminAuditService } from './admin-audit-service';
 import { eq, and, lt, isNull, isNotNull } from 'drizzle-orm';
 import { smartContractService } from './smart-contract-service';
 import { blockchainConfigService } from './blockchain-config-service';
-import { unifiedRewardService } from './unified-reward-service';
+import { programSettingsService } from './program-settings-service';
+import { rewardLedgerService } from './reward-ledger-service';
+import { parseTokenAmount, toDisplayNumber, toTokenAmount, type TokenAmount } from './token-amount';
 
 export interface ClaimResult {
   success: boolean;
@@ -21,6 +24,7 @@ export interface RewardClaimability {
   lockExpired: boolean;
   daysRemaining: number;
   totalClaimable: number;
+  claimable: TokenAmount; // Exact amount - totalClaimable is for display
   lockExpiryDate: Date;
 }
 
@@ -39,14 +43,13 @@ export class ClaimBasedRewards {
   }
 
   /**
-   * Get the current lock period from admin configuration
+   * Get the lock period of the program settings version in force now
    */
   private async getLockPeriodDays(): Promise<number> {
     try {
-      const { programSettings } = await import('../shared/schema');
-      const [settings] = await db.select().from(programSettings).limit(1);
-      const lockPeriod = settings?.lockPeriod || 0;
-      console.log(`🔒 LOCK PERIOD DEBUG: Retrieved from DB: ${lockPeriod} days (settings exists: ${!!settings})`);
+      const settings = await programSettingsService.getCurrentVersion();
+      const lockPeriod = settings.lockPeriod || 0;
+      console.log(`🔒 LOCK PERIOD DEBUG: Retrieved from DB: ${lockPeriod} days (settings version: ${settings.id ?? 'defaults'})`);
       return lockPeriod; // Default to 0 days if not configured
     } catch (error: unknown) {
       console.error('Error fetching lock period from admin config:', error instanceof Error ? error.message : 'Unknown error');
@@ -54,6 +57,14 @@ export class ClaimBasedRewards {
     }
   }
 
+  /**
+   * Claimable KILT from the reward ledger (finalized accruals minus claimedAmount on the contract)
+   */
+  private async getLedgerClaimable(userAddress: string): Promise<bigint> {
+    const balance = await rewardLedgerService.getBalance(userAddress);
+    return balance.claimable;
+  }
+
   /**
    * Check if a user can claim their rewards (dynamic lock period from admin config)
    */
@@ -71,6 +82,7 @@ export class ClaimBasedRewards {
           lockExpired: false,
           daysRemaining: baseLockPeriodDays,
           totalClaimable: 0,
+          claimable: toTokenAmount(0n),
           lockExpiryDate: new Date()
         };
       }
@@ -107,11 +119,9 @@ export class ClaimBasedRewards {
         
         if (effectiveLockPeriodDays === 0) {
           try {
-            console.log(`📊 Fetching reward stats for user ID: ${user.id}`);
-            const rewardStats = await unifiedRewardService.getUserRewardStats(user.id);
-            console.log(`📊 Reward stats result:`, rewardStats);
-            const totalClaimable = rewardStats.totalAccumulated || 0;
-            console.log(`💰 Total claimable calculated: ${totalClaimable} KILT`);
+            const claimableWei = await this.getLedgerClaimable(userAddress);
+            const totalClaimable = toDisplayNumber(claimableWei);
+            console.log(`💰 Total claimable from reward ledger: ${totalClaimable} KILT`);
             
             if (totalClaimable > 0) {
               console.log(`✅ Rewards are claimable! Returning canClaim: true`);
@@ -120,6 +130,7 @@ export class ClaimBasedRewards {
                 lockExpired: true,
                 daysRemaining: 0,
                 totalClaimable,
+                claimable: toTokenAmount(claimableWei),
                 lockExpiryDate: new Date()
               };
             } else {
@@ -137,6 +148,7 @@ export class ClaimBasedRewards {
           lockExpired: false,
           daysRemaining: effectiveLockPeriodDays, // Show configured lock period as countdown
           totalClaimable: 0,
+          claimable: toTokenAmount(0n),
           lockExpiryDate: new Date()
         };
       }
@@ -146,31 +158,16 @@ export class ClaimBasedRewards {
       
       // If effective lock period is 0 days (returning user or no lock configured), rewards are immediately claimable
       if (effectiveLockPeriodDays === 0) {
-        // Get accumulated rewards from the same source as reward stats
-        let totalClaimable = 0;
-        if (userRewards.length > 0) {
-          totalClaimable = userRewards.reduce((sum, reward) => {
-            return sum + parseFloat(reward.dailyRewardAmount || '0');
-          }, 0);
-        } else {
-          // If no reward records, use the reward calculation service to get real-time accumulated amount
-          try {
-            console.log(`Fetching reward stats for user ID: ${user.id}`);
-            const rewardStats = await unifiedRewardService.getUserRewardStats(user.id);
-            console.log(`Reward stats result:`, rewardStats);
-            totalClaimable = rewardStats.totalAccumulated || 0;
-            console.log(`Total claimable amount: ${totalClaimable}`);
-          } catch (error) {
-            console.log('Error fetching rewards for claiming:', error);
-            totalClaimable = 0;
-          }
-        }
+        // Finalized accruals in the reward ledger minus claimedAmount on the contract
+        const claimableWei = await this.getLedgerClaimable(userAddress);
+        const totalClaimable = toDisplayNumber(claimableWei);
         
         return {
           canClaim: totalClaimable > 0,
           lockExpired: true,
           daysRemaining: 0,
           totalClaimable,
+          claimable: toTokenAmount(claimableWei),
           lockExpiryDate: new Date() // Lock already expired
         };
       }
@@ -189,15 +186,15 @@ export class ClaimBasedRewards {
       // Check if initial lock period has expired (or if user is returning user with no lock)
       if (now >= lockExpiryDate) {
         // After lock expires OR returning user: User can claim ALL accumulated rewards
-        const totalClaimable = userRewards.reduce((sum, reward) => {
-          return sum + parseFloat(reward.dailyRewardAmount || '0');
-        }, 0);
+        const claimableWei = await this.getLedgerClaimable(userAddress);
+        const totalClaimable = toDisplayNumber(claimableWei);
         
         return {
           canClaim: totalClaimable > 0,
           lockExpired: true,
           daysRemaining: 0,
           totalClaimable,
+          claimable: toTokenAmount(claimableWei),
           lockExpiryDate
         };
       } else {
@@ -208,6 +205,7 @@ export class ClaimBasedRewards {
           lockExpired: false,
           daysRemaining,
           totalClaimable: 0,
+          claimable: toTokenAmount(0n),
           lockExpiryDate
         };
       }
@@ -218,6 +216,7 @@ export class ClaimBasedRewards {
         lockExpired: false,
         daysRemaining: 7,
         totalClaimable: 0,
+        claimable: toTokenAmount(0n),
         lockExpiryDate: new Date()
       };
     }
@@ -321,9 +320,10 @@ export class ClaimBasedRewards {
       const claimableRewards = userRewards; // All rewards are claimable
 
       // Calculate total amount to claim (all accumulated rewards)
-      const totalAmount = claimableRewards.reduce((sum, reward) => {
-        return sum + (parseFloat(reward.dailyRewardAmount || '0'));
-      }, 0);
+      const totalAmountWei = claimableRewards.reduce((sum, reward) => {
+        return sum + parseTokenAmount(reward.dailyRewardAmount || '0');
+      }, 0n);
+      const totalAmount = toDisplayNumber(totalAmountWei);
 
       // SMART CONTRACT INTEGRATION: Process actual token transfers
       // Get user's NFT token IDs for claim
@@ -402,21 +402,12 @@ export class ClaimBasedRewards {
    * Log claim operations for audit trail
    */
   private async logClaimOperation(userAddress: string, amount: number, transactionHash: string): Promise<void> {
-    try {
-      await db.insert(adminOperations).values({
-        operation: 'REWARD_CLAIM',
-        operationDetails: JSON.stringify({
-          userAddress,
-          amount,
-          transactionHash,
-          timestamp: new Date().toISOString()
-        }),
-        performedBy: userAddress,
-        success: true
-      });
-    } catch (error) {
-      // Error logging claim operation
-    }
+    await adminAuditService.record({
+      operationType: 'REWARD_CLAIM',
+      performedBy: userAddress,
+      transactionHash,
+      details: { userAddress, amount }
+    });
   }
 
   /**
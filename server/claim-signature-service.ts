@@ -0,0 +1,248 @@
+/**
+ * CLAIM SIGNATURE SERVICE
+ * Issues claim signatures once per wallet and contract nonce, and keeps a record of each one:
+ * - Every signature is stored with wallet, amount, nonce, expiry and requesting IP (claim_signatures)
+ * - Repeat requests while the nonce is unchanged return the stored signature instead of signing a new amount
+ * - RewardClaimed events mark the matching record as consumed (see rewardLedgerService.syncClaims)
+ * - New amounts pass the anomaly checks first - held or rejected claims are not signed (see claimAnomalyService)
+ * Answers "what did we authorise this wallet to claim, and when?" for support and audits.
+ */
+
+import { ethers } from 'ethers';
+import { db } from './db';
+import { claimSignatures, type ClaimSignature } from '@shared/schema';
+import { and, desc, eq, inArray, isNull } from 'drizzle-orm';
+import { smartContractService, CLAIM_TYPES, type ClaimTypedData, type RewardClaimedEvent } from './smart-contract-service';
+import { toTokenAmount, type TokenAmount } from './token-amount';
+import { claimAnomalyService, type ClaimAnomalyFinding } from './claim-anomaly-service';
+
+export type ClaimSignatureSource = 'claim' | 'relayer' | 'security';
+export type ClaimSignatureStatus = 'open' | 'consumed' | 'expired' | 'superseded';
+
+export interface IssueClaimSignatureOptions {
+  amountWei?: bigint | null; // Defaults to the wallet's claimable ledger balance
+  requestIp?: string | null;
+  source?: ClaimSignatureSource;
+}
+
+export interface IssuedClaimSignature {
+  success: boolean;
+  error?: string;
+  issuanceId?: number;
+  reused?: boolean;
+  signature?: string;
+  nonce?: number;
+  totalRewardBalance?: TokenAmount;
+  deadline?: number;
+  typedData?: ClaimTypedData;
+  held?: boolean; // Waiting in the admin review queue
+  holdId?: number;
+  findings?: ClaimAnomalyFinding[]; // Why the claim was held or rejected
+}
+
+// An EIP-712 signature this close to its deadline is re-issued rather than handed out again
+const REUSE_MIN_REMAINING_MS = 60 * 1000;
+
+class ClaimSignatureService {
+  // Per-wallet queue so concurrent requests can't both sign the same nonce
+  private locks = new Map<string, Promise<unknown>>();
+
+  private async withWalletLock<T>(address: string, task: () => Promise<T>): Promise<T> {
+    const previous = this.locks.get(address) || Promise.resolve();
+    const run = previous.catch(() => undefined).then(task);
+    const tail = run.catch(() => undefined);
+    this.locks.set(address, tail);
+    try {
+      return await run;
+    } finally {
+      if (this.locks.get(address) === tail) this.locks.delete(address);
+    }
+  }
+
+  /**
+   * Signature for the wallet's current contract nonce - the stored one when still usable, otherwise a new one
+   */
+  async issue(userAddress: string, options: IssueClaimSignatureOptions = {}): Promise<IssuedClaimSignature> {
+    const address = userAddress.toLowerCase();
+
+    return this.withWalletLock(address, async () => {
+      const { contractAddress, nonce } = await smartContractService.getClaimNonce(userAddress);
+      const contract = contractAddress.toLowerCase();
+
+      const [open] = await db.select().from(claimSignatures)
+        .where(and(
+          eq(claimSignatures.userAddress, address),
+          eq(claimSignatures.contractAddress, contract),
+          eq(claimSignatures.nonce, Number(nonce)),
+          isNull(claimSignatures.consumedAt)
+        ))
+        .orderBy(desc(claimSignatures.id))
+        .limit(1);
+
+      const usable = open &&
+        (!open.expiresAt || open.expiresAt.getTime() - Date.now() > REUSE_MIN_REMAINING_MS) &&
+        (options.amountWei == null || BigInt(open.amount) === options.amountWei);
+      if (usable) {
+        const [updated] = await db.update(claimSignatures)
+          .set({ requestCount: open.requestCount + 1, lastRequestedAt: new Date() })
+          .where(eq(claimSignatures.id, open.id))
+          .returning();
+        console.log(`🔁 CLAIM SIGNATURE: Reusing #${open.id} for ${address} (nonce ${open.nonce})`);
+        return this.toIssued(updated, true);
+      }
+
+      let amountWei = options.amountWei ?? null;
+      if (amountWei === null) {
+        const { rewardLedgerService } = await import('./reward-ledger-service');
+        amountWei = (await rewardLedgerService.getBalance(address)).claimable;
+      }
+      if (amountWei <= 0n) {
+        return { success: false, error: 'No rewards available for claiming' };
+      }
+
+      const anomaly = await claimAnomalyService.evaluate({
+        userAddress: address,
+        contractAddress,
+        nonce,
+        amountWei,
+        source: options.source,
+        requestIp: options.requestIp
+      });
+      if (anomaly.decision === 'hold') {
+        return {
+          success: false,
+          error: 'This claim is being reviewed by the team before it can be signed - please try again later',
+          held: true,
+          holdId: anomaly.hold.id,
+          findings: anomaly.findings
+        };
+      }
+      if (anomaly.decision === 'reject') {
+        return { success: false, error: 'This claim cannot be signed - please contact support', findings: anomaly.findings };
+      }
+
+      const result = await smartContractService.generateClaimSignature(userAddress, amountWei);
+      if (!result.success || !result.signature || result.nonce === undefined || !result.totalRewardBalance) {
+        return { success: false, error: result.error || 'Failed to generate claim signature' };
+      }
+
+      const [record] = await db.insert(claimSignatures).values({
+        userAddress: address,
+        contractAddress: (result.typedData?.domain.verifyingContract || contractAddress).toLowerCase(),
+        nonce: result.nonce,
+        amount: result.totalRewardBalance.raw,
+        signature: result.signature,
+        scheme: result.typedData ? 'eip712' : 'legacy',
+        expiresAt: result.deadline !== undefined ? new Date(result.deadline * 1000) : null,
+        source: options.source || 'claim',
+        requestIp: options.requestIp || null
+      }).returning();
+
+      console.log(`✍️ CLAIM SIGNATURE: Issued #${record.id} for ${address}: ${result.totalRewardBalance.formatted} KILT at nonce ${record.nonce}`);
+      return { ...this.describeResult(record), typedData: result.typedData, deadline: result.deadline, reused: false };
+    });
+  }
+
+  private describeResult(record: ClaimSignature): IssuedClaimSignature {
+    return {
+      success: true,
+      issuanceId: record.id,
+      signature: record.signature,
+      nonce: record.nonce,
+      totalRewardBalance: toTokenAmount(BigInt(record.amount))
+    };
+  }
+
+  private async toIssued(record: ClaimSignature, reused: boolean): Promise<IssuedClaimSignature> {
+    const result: IssuedClaimSignature = { ...this.describeResult(record), reused };
+    if (record.scheme !== 'eip712' || !record.expiresAt) return result;
+
+    // Rebuild the typed data exactly as signed so the client can show and verify it again
+    const domain = await smartContractService.getClaimDomain(record.contractAddress);
+    if (!domain) return result;
+    const deadline = Math.floor(record.expiresAt.getTime() / 1000);
+    return {
+      ...result,
+      deadline,
+      typedData: {
+        domain,
+        types: CLAIM_TYPES,
+        primaryType: 'Claim',
+        message: {
+          user: ethers.getAddress(record.userAddress),
+          amount: record.amount,
+          nonce: record.nonce.toString(),
+          deadline: deadline.toString()
+        }
+      }
+    };
+  }
+
+  /**
+   * Mark the signatures redeemed by RewardClaimed events as consumed. Returns how many records matched.
+   */
+  async markConsumed(contractAddress: string, events: RewardClaimedEvent[]): Promise<number> {
+    let consumed = 0;
+    for (const event of events) {
+      const rows = await db.update(claimSignatures)
+        .set({
+          consumedAt: new Date(event.timestamp * 1000),
+          consumedTransactionHash: event.transactionHash,
+          consumedAmount: event.amount.toString()
+        })
+        .where(and(
+          eq(claimSignatures.userAddress, event.user.toLowerCase()),
+          eq(claimSignatures.contractAddress, contractAddress.toLowerCase()),
+          eq(claimSignatures.nonce, Number(event.nonce)),
+          eq(claimSignatures.amount, event.amount.toString()),
+          isNull(claimSignatures.consumedAt)
+        ))
+        .returning({ id: claimSignatures.id });
+      consumed += rows.length;
+    }
+    return consumed;
+  }
+
+  /**
+   * Reopen signatures whose redeeming claim transactions were dropped by a reorg
+   */
+  async markUnconsumed(transactionHashes: string[]): Promise<number> {
+    if (transactionHashes.length === 0) return 0;
+    const rows = await db.update(claimSignatures)
+      .set({ consumedAt: null, consumedTransactionHash: null, consumedAmount: null })
+      .where(inArray(claimSignatures.consumedTransactionHash, transactionHashes))
+      .returning({ id: claimSignatures.id });
+    return rows.length;
+  }
+
+  /**
+   * Issued signatures, newest first, optionally for one wallet
+   */
+  async getIssuances(address?: string, limit: number = 100) {
+    const query = db.select().from(claimSignatures);
+    const rows = address
+      ? await query.where(eq(claimSignatures.userAddress, address.toLowerCase())).orderBy(desc(claimSignatures.id)).limit(limit)
+      : await query.orderBy(desc(claimSignatures.id)).limit(limit);
+
+    // A nonce redeemed by one signature makes every other signature for it unusable
+    const redeemed = new Set(rows.filter(row => row.consumedAt).map(row => `${row.contractAddress}:${row.userAddress}:${row.nonce}`));
+    const now = Date.now();
+
+    return rows.map(row => {
+      let status: ClaimSignatureStatus = 'open';
+      if (row.consumedAt) status = 'consumed';
+      else if (redeemed.has(`${row.contractAddress}:${row.userAddress}:${row.nonce}`)) status = 'superseded';
+      else if (row.expiresAt && row.expiresAt.getTime() <= now) status = 'expired';
+
+      return {
+        ...row,
+        status,
+        amount: toTokenAmount(BigInt(row.amount)),
+        consumedAmount: row.consumedAmount === null ? null : toTokenAmount(BigInt(row.consumedAmount))
+      };
+    });
+  }
+}
+
+// Export singleton instance
+export const claimSignatureService = new ClaimSignatureService();
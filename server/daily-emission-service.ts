@@ -0,0 +1,398 @@
+/**
+ * DAILY EMISSION SERVICE
+ * Enforces treasuryConfig.dailyRewardsCap across all positions, one UTC day (epoch) at a time:
+ * - Computes the weighted share of every position live during the day under the program settings version(s) in force,
+ *   valued from its liquidity history at that day's pool and KILT prices (pool tick snapshots)
+ * - Splits the cap across the incentivized pools by weight (see pool-registry-service)
+ * - Normalises each pool's shares so the pool's emission equals its part of the configured cap, split exactly in wei
+ * - Stores the per-position, per-day amounts in daily_rewards for auditing and appends them to the reward ledger
+ * - Also finalizes the days of any running reward campaigns (see campaign-service)
+ */
+
+import { ethers } from 'ethers';
+import { db } from './db';
+import { lpPositions, rewards, dailyRewards, treasuryConfig, adminProposals, type LpPosition, type InsertDailyReward } from '@shared/schema';
+import { and, eq, asc, desc, gt, lt, sql } from 'drizzle-orm';
+import { unifiedRewardService } from './unified-reward-service';
+import { liquidityHistoryService } from './liquidity-history-service';
+import { poolTickSnapshotService } from './pool-tick-snapshot-service';
+import { kiltPriceService } from './kilt-price-service.js';
+import { merkleEpochService } from './merkle-epoch-service';
+import { campaignService } from './campaign-service';
+import { rewardLedgerService } from './reward-ledger-service';
+import { positionTransferService } from './position-transfer-service';
+import { gamingDetectionService } from './gaming-detection-service';
+import { blockchainConfigService } from './blockchain-config-service';
+import { allocateToPoolCaps, combineDayWeights, computePositionValueUSD, normalizeToPoolCaps, rawDailyReward, splitBySettingsVersion, DAY_MS } from './reward-formula';
+import { parseTokenAmount, toDisplayNumber } from './token-amount';
+
+const MAX_APR_COLUMN_VALUE = 999.99; // daily_rewards APR columns are decimal(5, 2)
+
+export interface EpochResult {
+  date: string;
+  positions: number;
+  dailyCap: number;
+  rawTotal: number;
+  poolFactors: Record<string, number>; // Normalisation factor per pool address
+  totalEmitted: number;
+}
+
+class DailyEmissionService {
+  private isRunning = false;
+  private intervalId: NodeJS.Timeout | null = null;
+  private readonly CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+  /**
+   * Start periodic finalization of completed days
+   */
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    console.log('📅 Daily Emission Service started - finalizing completed reward epochs every hour');
+
+    this.finalizePendingDays();
+
+    this.intervalId = setInterval(() => {
+      this.finalizePendingDays();
+    }, this.CHECK_INTERVAL);
+  }
+
+  /**
+   * Stop periodic finalization
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+    this.isRunning = false;
+    console.log('⏹️ Daily Emission Service stopped');
+  }
+
+  /**
+   * UTC midnight at or before the given time
+   */
+  private startOfDay(date: Date): Date {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  }
+
+  private toDateString(date: Date): string {
+    return date.toISOString().slice(0, 10);
+  }
+
+  private clampAPR(apr: number): string {
+    return Math.min(MAX_APR_COLUMN_VALUE, Math.max(0, apr)).toFixed(2);
+  }
+
+  /**
+   * Finalize every completed day since the last finalized epoch (or program start)
+   */
+  async finalizePendingDays(): Promise<EpochResult[]> {
+    const results: EpochResult[] = [];
+
+    try {
+      // Days finalized before the ledger existed
+      await rewardLedgerService.backfillAccruals();
+
+      const [[latest], [config], [earliest]] = await Promise.all([
+        db.select({ date: dailyRewards.date }).from(dailyRewards).orderBy(desc(dailyRewards.date)).limit(1),
+        db.select().from(treasuryConfig).limit(1),
+        db.select({ createdAt: sql<Date>`MIN(${lpPositions.createdAt})` }).from(lpPositions)
+      ]);
+
+      if (!earliest?.createdAt) return results;
+
+      const programStart = config?.programStartDate ? new Date(`${config.programStartDate}T00:00:00Z`) : null;
+      const programEnd = config?.programEndDate ? new Date(`${config.programEndDate}T00:00:00Z`) : null;
+
+      let day = latest
+        ? new Date(new Date(`${latest.date}T00:00:00Z`).getTime() + DAY_MS)
+        : this.startOfDay(new Date(earliest.createdAt));
+      if (programStart && day < programStart) day = programStart;
+
+      const today = this.startOfDay(new Date());
+      while (day < today && (!programEnd || day <= programEnd)) {
+        results.push(await this.finalizeDay(day));
+        day = new Date(day.getTime() + DAY_MS);
+      }
+
+      if (results.length > 0) {
+        unifiedRewardService.clearAdminConfigCache();
+        console.log(`📅 DAILY EMISSION: Finalized ${results.length} epoch(s) through ${results[results.length - 1].date}`);
+
+        // Publish the cumulative entitlements through the new cutoff as a Merkle epoch
+        await merkleEpochService.createEpoch();
+      }
+    } catch (error) {
+      console.error('❌ DAILY EMISSION: Failed to finalize pending days:', error);
+    }
+
+    // Campaigns accrue separately, each against its own cap and dates
+    await campaignService.finalizePendingDays();
+
+    return results;
+  }
+
+  /**
+   * Compute and store the capped rewards of one UTC day. Re-running a day replaces its rows;
+   * the reward ledger keeps the earlier amounts and records the difference as adjustments.
+   */
+  async finalizeDay(date: Date | string): Promise<EpochResult> {
+    const dayStart = this.startOfDay(typeof date === 'string' ? new Date(`${date}T00:00:00Z`) : date);
+    const dayEnd = new Date(dayStart.getTime() + DAY_MS);
+    const dateString = this.toDateString(dayStart);
+
+    const [marketData, candidates, gamingPolicy, kiltTokenAddress] = await Promise.all([
+      unifiedRewardService.getMarketData(),
+      db.select().from(lpPositions).where(and(
+        eq(lpPositions.rewardEligible, true),
+        lt(lpPositions.createdAt, dayEnd)
+      )),
+      gamingDetectionService.getPolicy(),
+      blockchainConfigService.getKiltTokenAddress()
+    ]);
+
+    // Positions live during the day: opened before it ended and not closed before it began.
+    // A position closed when its liquidity last went to zero; a closed one without that record can't be placed and is left out.
+    const histories = await liquidityHistoryService.getHistories(candidates.map(position => position.id));
+    const positions = candidates.filter(position => {
+      const history = histories.get(position.id) || [];
+      const last = history[history.length - 1];
+      const closedAt = last && BigInt(last.liquidity) === 0n ? last.effectiveFrom : null;
+      return closedAt ? closedAt > dayStart : position.isActive !== false;
+    });
+    // Positions accrue once they have been held for the policy's minimum holding time
+    const accrualStarts = new Map(positions.map(position => [position.id, gamingDetectionService.getAccrualStart(position, gamingPolicy)]));
+
+    const dailyCap = await this.getDailyCapAt(dayStart, marketData.dailyBudget);
+    const ownership = await positionTransferService.getOwnershipHistory(positions.map(position => position.id));
+    // Owners of each position during the day - split when its NFT changed hands
+    const ownerShares = new Map(positions.map(position => {
+      const accrualStart = accrualStarts.get(position.id);
+      const windowStart = accrualStart && accrualStart > dayStart ? accrualStart : dayStart;
+      return [position.id, positionTransferService.getOwnerShares(position, ownership.get(position.id), windowStart, dayEnd)];
+    }));
+    // Positions outside the incentivized pools, or without an owner who accrues, take no part in the day
+    const eligible = positions.filter(position =>
+      (ownerShares.get(position.id) || []).length > 0 && (accrualStarts.get(position.id) ?? dayEnd) < dayEnd &&
+      unifiedRewardService.getPoolMarketData(marketData, position.poolAddress) !== null
+    );
+
+    // Settings versions in force during the day - usually one, two when a version takes effect mid-day
+    const segments = splitBySettingsVersion(marketData.settingsVersions, dayStart, dayEnd);
+
+    // Pool and KILT prices through the day, per pool
+    const pools = Array.from(new Set(eligible.map(position => position.poolAddress.toLowerCase())));
+    const priceObservations = new Map(await Promise.all(pools.map(async pool =>
+      [pool, await poolTickSnapshotService.getPriceObservations(pool, dayStart, dayEnd)] as const
+    )));
+    const kilt = kiltTokenAddress.toLowerCase();
+
+    // Weighted share of every eligible position for this day
+    const weighted = await Promise.all(eligible.map(async position => {
+      const createdAt = position.createdAt as Date;
+      const accrualStart = accrualStarts.get(position.id) as Date;
+      const dayIndex = Math.max(0, Math.floor((dayStart.getTime() - createdAt.getTime()) / DAY_MS));
+      const intervals = liquidityHistoryService.buildIntervals(histories.get(position.id) || [], position, createdAt, dayEnd);
+      const referenceLiquidity = BigInt(position.liquidity || '0');
+      const kiltSide = position.token0Address.toLowerCase() === kilt ? 0 : position.token1Address.toLowerCase() === kilt ? 1 : null;
+
+      const parts = await Promise.all(segments
+        .filter(segment => segment.to > accrualStart)
+        .map(async segment => {
+          const windowStart = accrualStart > segment.from ? accrualStart : segment.from;
+          const [inRangeRatio] = await poolTickSnapshotService.getDailyInRangeRatios(
+            position.poolAddress,
+            Number(position.tickLower),
+            Number(position.tickUpper),
+            windowStart,
+            segment.to
+          );
+
+          // Value held over the window at the prices of the time; without priced snapshots (older days,
+          // unsampled pools) or a known range, the current value scaled by the liquidity held
+          const historicalValueUSD = kiltSide === null ? null : computePositionValueUSD(
+            intervals,
+            priceObservations.get(position.poolAddress.toLowerCase()) || [],
+            Number(position.tickLower),
+            Number(position.tickUpper),
+            kiltSide === 0,
+            windowStart,
+            segment.to
+          );
+          const valued = historicalValueUSD !== null
+            ? { position: { ...position, currentValueUSD: historicalValueUSD }, liquidityFactor: 1 }
+            : {
+                position,
+                liquidityFactor: referenceLiquidity > 0n
+                  ? liquidityHistoryService.computeLiquidityFactor(intervals, referenceLiquidity, windowStart, segment.to)
+                  : 1
+              };
+          if (parseFloat(String(valued.position.currentValueUSD || '0')) < segment.version.minimumPositionValue) {
+            return null;
+          }
+
+          return {
+            fraction: (segment.to.getTime() - windowStart.getTime()) / DAY_MS,
+            dayWeight: unifiedRewardService.calculateDayWeight(
+              valued.position,
+              segment.version,
+              dayIndex,
+              inRangeRatio ?? null,
+              valued.liquidityFactor
+            )
+          };
+        }));
+
+      const dayWeight = combineDayWeights(parts.filter(part => part !== null));
+      const pool = unifiedRewardService.getPoolMarketData(marketData, position.poolAddress)!;
+      const rawReward = rawDailyReward(dayWeight.weight, pool.poolTVL, pool.dailyBudget);
+
+      return { position, pool, dayIndex, dayWeight, rawReward };
+    }));
+
+    const rawTotal = weighted.reduce((sum, entry) => sum + entry.rawReward, 0);
+    const shares = new Map(weighted.map(entry => [entry.pool.address, entry.pool.budgetShare]));
+    const poolEntries = weighted.map(entry => ({ poolAddress: entry.pool.address, rawReward: entry.rawReward }));
+    // Factors are kept for the audit trail; the stored amounts are the exact wei allocation of the cap
+    const { normalizationFactors } = normalizeToPoolCaps(poolEntries, dailyCap, shares);
+    const amounts = allocateToPoolCaps(poolEntries, parseTokenAmount(dailyCap), shares);
+    const kiltPrice = kiltPriceService.getCurrentPrice();
+
+    const rows: InsertDailyReward[] = [];
+    for (const [index, entry] of weighted.entries()) {
+      if (entry.rawReward <= 0) continue;
+
+      const rewardId = await this.getOrCreateRewardId(entry.position);
+      const dailyRewardAmount = toDisplayNumber(amounts[index]);
+      const effectiveAPR = entry.dayWeight.effectiveValueUSD > 0
+        ? (dailyRewardAmount * kiltPrice * 365 / entry.dayWeight.effectiveValueUSD) * 100
+        : 0;
+
+      // One row per owner of the day - a single row unless the position NFT was transferred
+      for (const owner of positionTransferService.splitByOwner(amounts[index], ownerShares.get(entry.position.id) || [])) {
+        rows.push({
+          rewardId,
+          userId: owner.userId,
+          positionId: entry.position.id,
+          date: dateString,
+          positionValueUSD: entry.dayWeight.effectiveValueUSD.toFixed(8),
+          baseAPR: this.clampAPR(entry.pool.programAPR),
+          timeMultiplier: entry.dayWeight.timeBoost.toFixed(2),
+          sizeMultiplier: '1.00',
+          effectiveAPR: this.clampAPR(effectiveAPR),
+          dailyRewardAmount: ethers.formatUnits(owner.amount, 18), // Whole REWARD_UNIT_WEI steps, so 8 decimals hold it exactly
+          daysStaked: entry.dayIndex,
+          inRangeMultiplier: entry.dayWeight.inRangeMultiplier.toFixed(8),
+          fullRangeBonus: entry.dayWeight.fullRangeBonus.toFixed(2),
+          rawRewardAmount: (entry.rawReward * owner.fraction).toFixed(8),
+          normalizationFactor: (normalizationFactors.get(entry.pool.address) || 0).toFixed(18)
+        });
+      }
+    }
+
+    await db.transaction(async (tx) => {
+      await tx.delete(dailyRewards).where(eq(dailyRewards.date, dateString));
+      if (rows.length > 0) {
+        await tx.insert(dailyRewards).values(rows);
+      }
+      await rewardLedgerService.recordEpoch(dateString, tx);
+    });
+
+    const totalEmitted = toDisplayNumber(rows.reduce((sum, row) => sum + parseTokenAmount(row.dailyRewardAmount), 0n));
+    const poolFactors = Object.fromEntries(normalizationFactors);
+    const factorSummary = Array.from(normalizationFactors.entries())
+      .map(([pool, factor]) => `${pool.slice(0, 8)} ×${factor.toFixed(4)}`)
+      .join(', ');
+    console.log(`📅 DAILY EMISSION: ${dateString} - ${rows.length} positions, raw ${rawTotal.toFixed(2)} KILT scaled to ${totalEmitted.toFixed(2)} KILT (cap ${dailyCap}; ${factorSummary || 'no pools'})`);
+
+    return {
+      date: dateString,
+      positions: rows.length,
+      dailyCap,
+      rawTotal,
+      poolFactors,
+      totalEmitted
+    };
+  }
+
+  /**
+   * Daily cap in force when the day began. Treasury config changes since then are executed
+   * treasury_config proposals, the first of which records the config it replaced.
+   */
+  private async getDailyCapAt(dayStart: Date, currentCap: number): Promise<number> {
+    const [change] = await db.select({ result: adminProposals.result }).from(adminProposals)
+      .where(and(
+        eq(adminProposals.operation, 'treasury_config'),
+        eq(adminProposals.status, 'executed'),
+        gt(adminProposals.executedAt, dayStart)
+      ))
+      .orderBy(asc(adminProposals.executedAt))
+      .limit(1);
+
+    const previousCap = change?.result ? JSON.parse(change.result).previousConfig?.dailyRewardsCap : undefined;
+    return previousCap ? parseFloat(previousCap) : currentCap;
+  }
+
+  /**
+   * daily_rewards rows reference the position's reward record - create it on first use
+   */
+  private async getOrCreateRewardId(position: LpPosition): Promise<number> {
+    const [existing] = await db.select({ id: rewards.id }).from(rewards)
+      .where(eq(rewards.positionId, position.id))
+      .limit(1);
+    if (existing) return existing.id;
+
+    const [created] = await db.insert(rewards).values({
+      userId: position.userId,
+      positionId: position.id,
+      nftTokenId: position.nftTokenId,
+      amount: '0',
+      positionValueUSD: parseFloat(position.currentValueUSD || '0').toFixed(8),
+      dailyRewardAmount: '0',
+      accumulatedAmount: '0',
+      liquidityAddedAt: position.createdAt || new Date()
+    }).returning({ id: rewards.id });
+    return created.id;
+  }
+
+  /**
+   * Per-day emission totals for auditing, most recent first
+   */
+  async getDailyTotals(limit: number = 30) {
+    const totals = await db.select({
+      date: dailyRewards.date,
+      positions: sql<number>`COUNT(*)::int`,
+      totalEmitted: sql<string>`SUM(${dailyRewards.dailyRewardAmount})`,
+      rawTotal: sql<string>`SUM(${dailyRewards.rawRewardAmount})`,
+      normalizationFactor: sql<string>`MAX(${dailyRewards.normalizationFactor})`
+    })
+      .from(dailyRewards)
+      .groupBy(dailyRewards.date)
+      .orderBy(desc(dailyRewards.date))
+      .limit(limit);
+
+    return totals.map(row => ({
+      date: row.date,
+      positions: row.positions,
+      totalEmitted: parseFloat(row.totalEmitted || '0'),
+      rawTotal: parseFloat(row.rawTotal || '0'),
+      normalizationFactor: parseFloat(row.normalizationFactor || '0')
+    }));
+  }
+
+  /**
+   * Get current service status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      hasInterval: this.intervalId !== null,
+      checkIntervalMs: this.CHECK_INTERVAL
+    };
+  }
+}
+
+// Export singleton instance
+export const dailyEmissionService = new DailyEmissionService();
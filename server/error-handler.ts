@@ -41,6 +41,16 @@ export class ErrorHandler {
     return error;
   }
 
+  // Authentication errors
+  static createAuthError(message: string, details?: any): ApiError {
+    const error = new Error(message) as ApiError;
+    error.statusCode = 401;
+    error.code = 'AUTH_ERROR';
+    error.details = details;
+    error.retryable = false;
+    return error;
+  }
+
   // Rate limiting errors
   static createRateLimitError(message: string = 'Too many requests'): ApiError {
     const error = new Error(message) as ApiError;
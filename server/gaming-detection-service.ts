@@ -0,0 +1,538 @@
+/**
+ * GAMING DETECTION SERVICE
+ * Flags liquidity that games the reward program, from liquidity_events and lp_positions:
+ * - short-lived: positions closed soon after they were opened
+ * - jit-liquidity: liquidity added to a position and pulled again within a short window
+ * - oversized: new positions worth a large share of their pool's TVL
+ * - recycled: wallets repeatedly opening and closing positions (each new position restarts createdAt)
+ * Policies (gaming_policy): a minimum holding time before accrual starts, automatic clawback of
+ * unvested accrual, and suspension of flagged positions until an admin reviews them.
+ */
+
+import { db } from './db';
+import {
+  users,
+  lpPositions,
+  liquidityEvents,
+  positionLiquidityHistory,
+  gamingPolicy,
+  gamingFlags,
+  type LpPosition,
+  type GamingPolicy,
+  type GamingFlag,
+  type InsertGamingFlag
+} from '@shared/schema';
+import { and, desc, eq, gte, inArray, isNotNull } from 'drizzle-orm';
+import { ErrorHandler } from './error-handler';
+import { rewardLedgerService } from './reward-ledger-service';
+import { DAY_MS } from './reward-formula';
+import { toTokenAmount } from './token-amount';
+
+export type GamingRule = 'short-lived' | 'jit-liquidity' | 'oversized' | 'recycled';
+export type GamingReviewAction = 'dismiss' | 'clawback' | 'exclude';
+
+export interface GamingPolicySettings {
+  id: number | null; // null = built-in defaults, nothing saved yet
+  minHoldingHours: number;
+  clawbackEnabled: boolean;
+  vestingDays: number;
+  reviewEnabled: boolean;
+  shortLivedHours: number;
+  jitWindowHours: number;
+  oversizedPoolShare: number;
+  recycleThreshold: number;
+  recycleWindowDays: number;
+  updatedBy: string | null;
+  updatedAt: Date | null;
+}
+
+export type GamingPolicyInput = Partial<Omit<GamingPolicySettings, 'id' | 'updatedBy' | 'updatedAt'>>;
+
+export interface GamingDetectionResult {
+  flagged: number;
+  suspended: number;
+  clawedBack: bigint;
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+const LOOKBACK_DAYS = 30; // Only recent activity is scanned
+
+const DEFAULT_POLICY: GamingPolicySettings = {
+  id: null,
+  minHoldingHours: 0,
+  clawbackEnabled: false,
+  vestingDays: 7,
+  reviewEnabled: true,
+  shortLivedHours: 24,
+  jitWindowHours: 6,
+  oversizedPoolShare: 0.25,
+  recycleThreshold: 3,
+  recycleWindowDays: 7,
+  updatedBy: null,
+  updatedAt: null
+};
+
+const NUMERIC_POLICY_FIELDS = [
+  'minHoldingHours',
+  'vestingDays',
+  'shortLivedHours',
+  'jitWindowHours',
+  'oversizedPoolShare',
+  'recycleThreshold',
+  'recycleWindowDays'
+] as const;
+
+interface DetectedFlag {
+  rule: GamingRule;
+  subject: string;
+  position: LpPosition;
+  userAddress: string;
+  positionIds: number[];
+  details: Record<string, unknown>;
+}
+
+class GamingDetectionService {
+  private isRunning = false;
+  private intervalId: NodeJS.Timeout | null = null;
+  private isDetecting = false;
+  private lastRun: { at: Date; result: GamingDetectionResult } | null = null;
+  private policyCache: { policy: GamingPolicySettings; timestamp: number } | null = null;
+  private readonly CACHE_DURATION = 30000; // 30 seconds
+  private readonly CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+  /**
+   * Start hourly detection
+   */
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    console.log('🕵️ Gaming Detection Service started - scanning liquidity activity every hour');
+
+    this.runDetection().catch(error => console.error('❌ GAMING DETECTION: Scan failed:', error));
+
+    this.intervalId = setInterval(() => {
+      this.runDetection().catch(error => console.error('❌ GAMING DETECTION: Scan failed:', error));
+    }, this.CHECK_INTERVAL);
+  }
+
+  /**
+   * Stop hourly detection
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+    this.isRunning = false;
+    console.log('⏹️ Gaming Detection Service stopped');
+  }
+
+  private toPolicy(row: GamingPolicy): GamingPolicySettings {
+    return {
+      id: row.id,
+      minHoldingHours: row.minHoldingHours,
+      clawbackEnabled: row.clawbackEnabled,
+      vestingDays: row.vestingDays,
+      reviewEnabled: row.reviewEnabled,
+      shortLivedHours: row.shortLivedHours,
+      jitWindowHours: row.jitWindowHours,
+      oversizedPoolShare: parseFloat(row.oversizedPoolShare),
+      recycleThreshold: row.recycleThreshold,
+      recycleWindowDays: row.recycleWindowDays,
+      updatedBy: row.updatedBy,
+      updatedAt: row.updatedAt
+    };
+  }
+
+  /**
+   * Policy in force, or the built-in defaults when none was saved (cached)
+   */
+  async getPolicy(): Promise<GamingPolicySettings> {
+    if (this.policyCache && (Date.now() - this.policyCache.timestamp) < this.CACHE_DURATION) {
+      return this.policyCache.policy;
+    }
+
+    const [row] = await db.select().from(gamingPolicy).orderBy(desc(gamingPolicy.id)).limit(1);
+    const policy = row ? this.toPolicy(row) : DEFAULT_POLICY;
+    this.policyCache = { policy, timestamp: Date.now() };
+    return policy;
+  }
+
+  /**
+   * Validate and save the policy
+   */
+  async updatePolicy(input: GamingPolicyInput, updatedBy: string): Promise<GamingPolicySettings> {
+    const current = await this.getPolicy();
+    const next = { ...current };
+    for (const key of NUMERIC_POLICY_FIELDS) {
+      if (input[key] !== undefined) next[key] = Number(input[key]);
+    }
+    if (input.clawbackEnabled !== undefined) next.clawbackEnabled = input.clawbackEnabled;
+    if (input.reviewEnabled !== undefined) next.reviewEnabled = input.reviewEnabled;
+    const errors: string[] = [];
+
+    const wholeNumber = (value: number, name: string, min: number) => {
+      if (!Number.isInteger(value) || value < min) errors.push(`${name} must be a whole number of at least ${min}`);
+    };
+    wholeNumber(next.minHoldingHours, 'Minimum holding time', 0);
+    wholeNumber(next.vestingDays, 'Vesting period', 0);
+    wholeNumber(next.shortLivedHours, 'Short-lived threshold', 1);
+    wholeNumber(next.jitWindowHours, 'JIT window', 1);
+    wholeNumber(next.recycleThreshold, 'Recycle threshold', 2);
+    wholeNumber(next.recycleWindowDays, 'Recycle window', 1);
+    if (isNaN(next.oversizedPoolShare) || next.oversizedPoolShare <= 0 || next.oversizedPoolShare > 1) {
+      errors.push('Oversized pool share must be greater than 0 and at most 1');
+    }
+    if (errors.length > 0) {
+      throw ErrorHandler.createValidationError('Gaming policy validation failed', errors);
+    }
+
+    const values = {
+      minHoldingHours: next.minHoldingHours,
+      clawbackEnabled: !!next.clawbackEnabled,
+      vestingDays: next.vestingDays,
+      reviewEnabled: !!next.reviewEnabled,
+      shortLivedHours: next.shortLivedHours,
+      jitWindowHours: next.jitWindowHours,
+      oversizedPoolShare: next.oversizedPoolShare.toFixed(4),
+      recycleThreshold: next.recycleThreshold,
+      recycleWindowDays: next.recycleWindowDays,
+      updatedBy,
+      updatedAt: new Date()
+    };
+
+    const [row] = current.id !== null
+      ? await db.update(gamingPolicy).set(values).where(eq(gamingPolicy.id, current.id)).returning()
+      : await db.insert(gamingPolicy).values(values).returning();
+
+    this.policyCache = null;
+    return this.toPolicy(row);
+  }
+
+  /**
+   * When a position starts accruing: its opening time plus the minimum holding time
+   */
+  getAccrualStart(position: LpPosition, policy: GamingPolicySettings): Date | null {
+    if (!position.createdAt) return null;
+    return new Date(position.createdAt.getTime() + policy.minHoldingHours * HOUR_MS);
+  }
+
+  /**
+   * Scan recent liquidity activity, store new flags and apply the policy to them
+   */
+  async runDetection(): Promise<GamingDetectionResult | null> {
+    if (this.isDetecting) return null;
+    this.isDetecting = true;
+
+    try {
+      const policy = await this.getPolicy();
+      const detected = await this.detect(policy);
+      const result: GamingDetectionResult = { flagged: 0, suspended: 0, clawedBack: 0n };
+
+      for (const flag of detected) {
+        const created = await this.createFlag(flag, policy);
+        if (!created) continue;
+        result.flagged++;
+        if (created.suspended) result.suspended++;
+        result.clawedBack += BigInt(created.clawbackAmount || '0');
+      }
+
+      this.lastRun = { at: new Date(), result };
+      if (result.flagged > 0) {
+        console.log(`🕵️ GAMING DETECTION: ${result.flagged} new flag(s), ${result.suspended} suspended pending review`);
+      }
+      return result;
+    } finally {
+      this.isDetecting = false;
+    }
+  }
+
+  private async detect(policy: GamingPolicySettings): Promise<DetectedFlag[]> {
+    const now = Date.now();
+    const since = new Date(now - LOOKBACK_DAYS * DAY_MS);
+
+    const [positionRows, events, closures] = await Promise.all([
+      db.select({ position: lpPositions, address: users.address })
+        .from(lpPositions)
+        .innerJoin(users, eq(users.id, lpPositions.userId)),
+      db.select().from(liquidityEvents)
+        .where(and(
+          gte(liquidityEvents.timestamp, since),
+          inArray(liquidityEvents.eventType, ['increase', 'decrease', 'burn'])
+        ))
+        .orderBy(liquidityEvents.timestamp, liquidityEvents.id),
+      db.select().from(positionLiquidityHistory)
+        .where(and(gte(positionLiquidityHistory.effectiveFrom, since), eq(positionLiquidityHistory.liquidity, '0')))
+        .orderBy(positionLiquidityHistory.effectiveFrom)
+    ]);
+
+    const positions = new Map(positionRows.map(row => [row.position.id, { position: row.position, address: row.address.toLowerCase() }]));
+    // First time each position's liquidity went to zero after it was opened
+    const closedAt = new Map<number, Date>();
+    for (const row of closures) {
+      const entry = positions.get(row.positionId);
+      if (!entry?.position.createdAt || closedAt.has(row.positionId)) continue;
+      if (row.effectiveFrom >= entry.position.createdAt) closedAt.set(row.positionId, row.effectiveFrom);
+    }
+
+    const flags: DetectedFlag[] = [];
+    const positionFlag = (rule: GamingRule, entry: { position: LpPosition; address: string }, details: Record<string, unknown>) => {
+      flags.push({
+        rule,
+        subject: `position:${entry.position.id}`,
+        position: entry.position,
+        userAddress: entry.address,
+        positionIds: [entry.position.id],
+        details: { nftTokenId: entry.position.nftTokenId, poolAddress: entry.position.poolAddress, ...details }
+      });
+    };
+
+    // Short-lived: opened and closed again within the threshold
+    closedAt.forEach((closed, positionId) => {
+      const entry = positions.get(positionId)!;
+      const heldHours = (closed.getTime() - (entry.position.createdAt as Date).getTime()) / HOUR_MS;
+      if (heldHours < policy.shortLivedHours) {
+        positionFlag('short-lived', entry, { openedAt: entry.position.createdAt, closedAt: closed, heldHours: Number(heldHours.toFixed(2)) });
+      }
+    });
+
+    // JIT: an increase followed within the window by removing at least half of it
+    const eventsByPosition = new Map<number, typeof events>();
+    for (const event of events) {
+      const list = eventsByPosition.get(event.positionId) || [];
+      list.push(event);
+      eventsByPosition.set(event.positionId, list);
+    }
+    eventsByPosition.forEach((positionEvents, positionId) => {
+      const entry = positions.get(positionId);
+      if (!entry) return;
+      for (const [index, added] of positionEvents.entries()) {
+        if (added.eventType !== 'increase') continue;
+        const addedLiquidity = BigInt(added.liquidityDelta || '0');
+        const removed = positionEvents.slice(index + 1).find(event =>
+          event.eventType !== 'increase' &&
+          event.timestamp.getTime() - added.timestamp.getTime() <= policy.jitWindowHours * HOUR_MS &&
+          BigInt(event.liquidityDelta || '0') * 2n >= addedLiquidity
+        );
+        if (addedLiquidity > 0n && removed) {
+          positionFlag('jit-liquidity', entry, {
+            addedAt: added.timestamp,
+            addedLiquidity: addedLiquidity.toString(),
+            removedAt: removed.timestamp,
+            removedLiquidity: removed.liquidityDelta,
+            transactionHashes: [added.transactionHash, removed.transactionHash]
+          });
+          return;
+        }
+      }
+    });
+
+    // Oversized: new positions worth a large share of their pool
+    const { unifiedRewardService } = await import('./unified-reward-service');
+    const marketData = await unifiedRewardService.getMarketData();
+    positions.forEach(entry => {
+      const { position } = entry;
+      if (!position.isActive || !position.createdAt || position.createdAt < since) return;
+      const poolTVL = unifiedRewardService.getPoolMarketData(marketData, position.poolAddress)?.poolTVL || 0;
+      const valueUSD = parseFloat(position.currentValueUSD || '0');
+      if (poolTVL > 0 && valueUSD / poolTVL >= policy.oversizedPoolShare) {
+        positionFlag('oversized', entry, {
+          valueUSD,
+          poolTVL,
+          poolShare: Number((valueUSD / poolTVL).toFixed(4))
+        });
+      }
+    });
+
+    // Recycled: a wallet opening and closing many positions within the window
+    const windowStart = now - policy.recycleWindowDays * DAY_MS;
+    const cycled = new Map<string, { position: LpPosition; closed: Date }[]>();
+    closedAt.forEach((closed, positionId) => {
+      const entry = positions.get(positionId)!;
+      if ((entry.position.createdAt as Date).getTime() < windowStart) return;
+      const list = cycled.get(entry.address) || [];
+      list.push({ position: entry.position, closed });
+      cycled.set(entry.address, list);
+    });
+    cycled.forEach((cycles, address) => {
+      if (cycles.length < policy.recycleThreshold) return;
+      flags.push({
+        rule: 'recycled',
+        subject: `wallet:${address}`,
+        position: cycles[cycles.length - 1].position,
+        userAddress: address,
+        positionIds: cycles.map(cycle => cycle.position.id),
+        details: {
+          cycles: cycles.map(cycle => ({
+            nftTokenId: cycle.position.nftTokenId,
+            openedAt: cycle.position.createdAt,
+            closedAt: cycle.closed
+          })),
+          windowDays: policy.recycleWindowDays
+        }
+      });
+    });
+
+    return flags;
+  }
+
+  /**
+   * Positions a flag suspends: the flagged position, or a recycling wallet's open positions
+   */
+  private async getSuspendTargets(flag: GamingFlag): Promise<number[]> {
+    if (flag.rule !== 'recycled') return JSON.parse(flag.positionIds) as number[];
+    if (flag.userId === null) return [];
+    const open = await db.select({ id: lpPositions.id }).from(lpPositions)
+      .where(and(eq(lpPositions.userId, flag.userId), eq(lpPositions.isActive, true)));
+    return open.map(row => row.id);
+  }
+
+  private unvestedSince(policy: GamingPolicySettings): string {
+    return new Date(Date.now() - policy.vestingDays * DAY_MS).toISOString().split('T')[0];
+  }
+
+  private async clawBack(flag: GamingFlag, policy: GamingPolicySettings, tx: Parameters<Parameters<typeof db.transaction>[0]>[0]): Promise<bigint> {
+    let total = 0n;
+    for (const positionId of JSON.parse(flag.positionIds) as number[]) {
+      total += await rewardLedgerService.recordClawback(positionId, flag.userAddress, flag.userId, this.unvestedSince(policy), tx);
+    }
+    return total;
+  }
+
+  private async createFlag(detected: DetectedFlag, policy: GamingPolicySettings): Promise<GamingFlag | null> {
+    return db.transaction(async (tx) => {
+      const values: InsertGamingFlag = {
+        rule: detected.rule,
+        subject: detected.subject,
+        userAddress: detected.userAddress,
+        userId: detected.position.userId,
+        positionIds: JSON.stringify(detected.positionIds),
+        details: JSON.stringify(detected.details)
+      };
+      const [flag] = await tx.insert(gamingFlags).values(values).onConflictDoNothing().returning();
+      if (!flag) return null;
+
+      const updates: Partial<InsertGamingFlag> = {};
+      if (policy.reviewEnabled) {
+        const targets = await this.getSuspendTargets(flag);
+        if (targets.length > 0) {
+          await tx.update(lpPositions).set({ rewardEligible: false }).where(inArray(lpPositions.id, targets));
+        }
+        updates.suspended = true;
+      }
+      if (policy.clawbackEnabled) {
+        updates.clawbackAmount = (await this.clawBack(flag, policy, tx)).toString();
+        if (!policy.reviewEnabled) {
+          Object.assign(updates, { status: 'actioned', action: 'clawback', reviewedBy: 'policy', reviewedAt: new Date() });
+        }
+      }
+      if (Object.keys(updates).length === 0) return flag;
+
+      const [updated] = await tx.update(gamingFlags).set(updates).where(eq(gamingFlags.id, flag.id)).returning();
+      console.log(`🚩 GAMING DETECTION: ${detected.rule} flag for ${detected.userAddress} (${detected.subject})`);
+      return updated;
+    });
+  }
+
+  /**
+   * Resolve an open flag. 'dismiss' restores accrual, 'clawback' claws back unvested accrual and
+   * restores accrual, 'exclude' claws back and keeps the positions out of the program.
+   */
+  async reviewFlag(id: number, action: GamingReviewAction, reviewedBy: string, note?: string): Promise<GamingFlag | null> {
+    if (!['dismiss', 'clawback', 'exclude'].includes(action)) {
+      throw ErrorHandler.createValidationError('Invalid review action', ['Action must be dismiss, clawback or exclude']);
+    }
+    const policy = await this.getPolicy();
+
+    return db.transaction(async (tx) => {
+      const [flag] = await tx.select().from(gamingFlags).where(eq(gamingFlags.id, id)).limit(1);
+      if (!flag) return null;
+      if (flag.status !== 'open') {
+        throw ErrorHandler.createValidationError('Flag already reviewed', [`Flag ${id} is ${flag.status}`]);
+      }
+
+      let clawbackAmount = flag.clawbackAmount;
+      if (action !== 'dismiss' && clawbackAmount === null) {
+        clawbackAmount = (await this.clawBack(flag, policy, tx)).toString();
+      }
+
+      const flagged = await this.getSuspendTargets(flag);
+      if (action === 'exclude') {
+        const excluded = Array.from(new Set([...flagged, ...(JSON.parse(flag.positionIds) as number[])]));
+        await tx.update(lpPositions).set({ rewardEligible: false }).where(inArray(lpPositions.id, excluded));
+      } else if (flag.suspended && flagged.length > 0) {
+        // Positions stay suspended while another open flag still holds them
+        const otherFlags = await tx.select().from(gamingFlags)
+          .where(and(eq(gamingFlags.status, 'open'), eq(gamingFlags.suspended, true), eq(gamingFlags.userAddress, flag.userAddress)));
+        const held = new Set<number>();
+        for (const other of otherFlags) {
+          if (other.id === flag.id) continue;
+          (await this.getSuspendTargets(other)).forEach(positionId => held.add(positionId));
+        }
+        const restore = flagged.filter(positionId => !held.has(positionId));
+        if (restore.length > 0) {
+          await tx.update(lpPositions).set({ rewardEligible: true }).where(inArray(lpPositions.id, restore));
+        }
+      }
+
+      const [updated] = await tx.update(gamingFlags).set({
+        status: action === 'dismiss' ? 'dismissed' : 'actioned',
+        action,
+        clawbackAmount,
+        reviewedBy,
+        reviewNote: note || null,
+        reviewedAt: new Date()
+      }).where(eq(gamingFlags.id, id)).returning();
+      return updated;
+    });
+  }
+
+  /**
+   * Flags, open ones (the review queue) first, most recent first
+   */
+  async getFlags(status?: string, limit: number = 100): Promise<GamingFlag[]> {
+    const query = db.select().from(gamingFlags);
+    const rows = status
+      ? await query.where(eq(gamingFlags.status, status)).orderBy(desc(gamingFlags.detectedAt)).limit(limit)
+      : await query.orderBy(desc(gamingFlags.detectedAt)).limit(limit);
+    return rows.sort((a, b) => Number(b.status === 'open') - Number(a.status === 'open'));
+  }
+
+  /**
+   * Wallets with open flags
+   */
+  async getFlaggedWallets(): Promise<string[]> {
+    const rows = await db.selectDistinct({ userAddress: gamingFlags.userAddress })
+      .from(gamingFlags)
+      .where(and(eq(gamingFlags.status, 'open'), isNotNull(gamingFlags.userAddress)));
+    return rows.map(row => row.userAddress);
+  }
+
+  /**
+   * Flag for API responses: JSON columns parsed, amounts as { raw, formatted }
+   */
+  describeFlag(flag: GamingFlag) {
+    return {
+      ...flag,
+      positionIds: JSON.parse(flag.positionIds) as number[],
+      details: JSON.parse(flag.details) as Record<string, unknown>,
+      clawbackAmount: flag.clawbackAmount === null ? null : toTokenAmount(BigInt(flag.clawbackAmount))
+    };
+  }
+
+  /**
+   * Get current service status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      isDetecting: this.isDetecting,
+      lastRunAt: this.lastRun?.at || null,
+      lastResult: this.lastRun ? { ...this.lastRun.result, clawedBack: toTokenAmount(this.lastRun.result.clawedBack) } : null
+    };
+  }
+}
+
+// Export singleton instance
+export const gamingDetectionService = new GamingDetectionService();
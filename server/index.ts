@@ -8,6 +8,13 @@ import { enhancedErrorHandler } from "./error-handler";
 import { kiltPriceService } from "./kilt-price-service.js";
 import { blockchainConfigService } from "./blockchain-config-service";
 import { unifiedRewardService } from "./unified-reward-service";
+import { poolTickSnapshotService } from "./pool-tick-snapshot-service";
+import { dailyEmissionService } from "./daily-emission-service";
+import { rewardLedgerService } from "./reward-ledger-service";
+import { positionTransferService } from "./position-transfer-service";
+import { gamingDetectionService } from "./gaming-detection-service";
+import { relayerService } from "./relayer-service";
+import { treasuryRunwayService } from "./treasury-runway-service";
 import compression from "compression";
 import cookieParser from "cookie-parser";
 import "dotenv/config";
@@ -28,6 +35,27 @@ kiltPriceService; // This will start the background price fetching
 // Initialize blockchain configuration with defaults
 blockchainConfigService.initializeDefaults();
 
+// Start pool tick sampling - the in-range reward multiplier depends on this history in every environment
+poolTickSnapshotService.start();
+
+// Finalize completed reward epochs under the global daily emission cap
+dailyEmissionService.start();
+
+// Record RewardClaimed events in the reward ledger - claimable balances are reconciled against them
+rewardLedgerService.start();
+
+// Follow registered position NFTs between wallets - accrual moves with the NFT
+positionTransferService.start();
+
+// Flag JIT, short-lived, oversized and recycled liquidity - flagged positions wait for admin review
+gamingDetectionService.start();
+
+// Follow gasless claims sent by the relayer wallet until their receipts are mined
+relayerService.start();
+
+// Forecast treasury runway and alert when it drops below the configured threshold
+treasuryRunwayService.start();
+
 // Initialize position lifecycle service for automatic position management (production-safe)
 if (process.env.NODE_ENV !== 'production') {
   import("./position-lifecycle-service").catch(error => {
@@ -144,6 +172,9 @@ app.use(express.json({
 }));
 app.use(express.urlencoded({ extended: false, limit: '10mb' }));
 
+// Cookie parsing for the admin session cookie
+app.use(cookieParser());
+
 // Simple request logging for admin endpoints
 app.use((req, res, next) => {
   if (req.method === 'POST' && req.path.includes('/api/admin/')) {
@@ -0,0 +1,246 @@
+/**
+ * LIQUIDITY HISTORY SERVICE
+ * Keeps a per-position liquidity history so reward accrual follows the liquidity
+ * actually provided over time instead of the position's current size:
+ * - Records mint/increase/decrease/burn/collect activity in liquidity_events
+ * - Derives position_liquidity_history rows (liquidity in force from each event onwards)
+ * - Integrates the history into per-day liquidity factors for the reward service
+ */
+
+import { db } from './db';
+import {
+  lpPositions,
+  liquidityEvents,
+  positionLiquidityHistory,
+  type LpPosition,
+  type LiquidityEvent,
+  type PositionLiquidityHistory
+} from '@shared/schema';
+import { eq, asc, desc, inArray } from 'drizzle-orm';
+import {
+  applyLiquidityEvent,
+  computeLiquidityFactor,
+  DAY_MS,
+  type LiquidityEventType,
+  type LiquidityInterval
+} from './reward-formula';
+
+export type { LiquidityEventType };
+
+export interface LiquidityEventInput {
+  eventType: LiquidityEventType;
+  liquidityDelta?: bigint; // Unsigned amount of liquidity added or removed (ignored for burn/collect)
+  transactionHash: string;
+  blockNumber?: number; // 0 when the change was detected by polling rather than from a transaction receipt
+  amount0?: string;
+  amount1?: string;
+  timestamp?: Date;
+}
+
+class LiquidityHistoryService {
+  /**
+   * Record a liquidity event and append the resulting liquidity to the position's history
+   */
+  async recordEvent(
+    position: LpPosition,
+    input: LiquidityEventInput
+  ): Promise<{ event: LiquidityEvent; history: PositionLiquidityHistory | null }> {
+    const timestamp = input.timestamp || new Date();
+    const delta = input.liquidityDelta ?? 0n;
+
+    return db.transaction(async (tx) => {
+      const [latest] = await tx.select().from(positionLiquidityHistory)
+        .where(eq(positionLiquidityHistory.positionId, position.id))
+        .orderBy(desc(positionLiquidityHistory.effectiveFrom), desc(positionLiquidityHistory.id))
+        .limit(1);
+
+      // Positions registered before history tracking: anchor their original liquidity at creation
+      // so the period before this first recorded change keeps accruing on the old amount
+      const previousLiquidity = latest ? BigInt(latest.liquidity) : BigInt(position.liquidity || '0');
+      if (!latest && input.eventType !== 'mint') {
+        await tx.insert(positionLiquidityHistory).values({
+          positionId: position.id,
+          liquidityEventId: null,
+          liquidity: previousLiquidity.toString(),
+          effectiveFrom: position.createdAt || timestamp
+        });
+      }
+
+      const [event] = await tx.insert(liquidityEvents).values({
+        positionId: position.id,
+        transactionHash: input.transactionHash,
+        blockNumber: input.blockNumber ?? 0,
+        eventType: input.eventType,
+        amount0: input.amount0,
+        amount1: input.amount1,
+        liquidityDelta: input.eventType === 'burn' ? previousLiquidity.toString() : delta.toString(),
+        timestamp
+      }).returning();
+
+      const nextLiquidity = applyLiquidityEvent(previousLiquidity, input.eventType, delta);
+      if (nextLiquidity === null) {
+        return { event, history: null };
+      }
+
+      const [history] = await tx.insert(positionLiquidityHistory).values({
+        positionId: position.id,
+        liquidityEventId: event.id,
+        liquidity: nextLiquidity.toString(),
+        effectiveFrom: timestamp
+      }).returning();
+
+      await tx.update(lpPositions)
+        .set({ liquidity: nextLiquidity.toString() })
+        .where(eq(lpPositions.id, position.id));
+
+      console.log(`💧 LIQUIDITY HISTORY: Position ${position.nftTokenId} ${input.eventType} ${previousLiquidity} → ${nextLiquidity}`);
+      return { event, history };
+    });
+  }
+
+  /**
+   * Record the initial liquidity of a newly registered position
+   */
+  async recordMint(position: LpPosition, transactionHash: string, blockNumber?: number) {
+    return this.recordEvent(position, {
+      eventType: 'mint',
+      liquidityDelta: BigInt(position.liquidity || '0'),
+      transactionHash,
+      blockNumber,
+      amount0: position.token0Amount,
+      amount1: position.token1Amount,
+      timestamp: position.createdAt || new Date()
+    });
+  }
+
+  /**
+   * Reconcile the stored liquidity with the value read from chain, recording the difference as an
+   * increase or decrease event - or a burn once no liquidity is left. Returns true when a change was recorded.
+   */
+  async syncOnChainLiquidity(position: LpPosition, onChainLiquidity: string, transactionHash?: string): Promise<boolean> {
+    const stored = BigInt(position.liquidity || '0');
+    const actual = BigInt(onChainLiquidity || '0');
+    if (stored === actual) return false;
+
+    await this.recordEvent(position, {
+      eventType: actual === 0n ? 'burn' : actual > stored ? 'increase' : 'decrease',
+      liquidityDelta: actual > stored ? actual - stored : stored - actual,
+      transactionHash: transactionHash || `lifecycle_sync_${position.nftTokenId}_${Date.now()}`,
+      blockNumber: 0
+    });
+    return true;
+  }
+
+  /**
+   * Full liquidity history for a position, oldest first
+   */
+  async getHistory(positionId: number): Promise<PositionLiquidityHistory[]> {
+    return db.select().from(positionLiquidityHistory)
+      .where(eq(positionLiquidityHistory.positionId, positionId))
+      .orderBy(asc(positionLiquidityHistory.effectiveFrom), asc(positionLiquidityHistory.id));
+  }
+
+  /**
+   * Liquidity histories of several positions, oldest first, keyed by position id
+   */
+  async getHistories(positionIds: number[]): Promise<Map<number, PositionLiquidityHistory[]>> {
+    const histories = new Map<number, PositionLiquidityHistory[]>();
+    if (positionIds.length === 0) return histories;
+
+    const rows = await db.select().from(positionLiquidityHistory)
+      .where(inArray(positionLiquidityHistory.positionId, positionIds))
+      .orderBy(asc(positionLiquidityHistory.effectiveFrom), asc(positionLiquidityHistory.id));
+    for (const row of rows) {
+      histories.set(row.positionId, [...(histories.get(row.positionId) || []), row]);
+    }
+    return histories;
+  }
+
+  /**
+   * Liquidity events recorded for a position, oldest first
+   */
+  async getEvents(positionId: number): Promise<LiquidityEvent[]> {
+    return db.select().from(liquidityEvents)
+      .where(eq(liquidityEvents.positionId, positionId))
+      .orderBy(asc(liquidityEvents.timestamp), asc(liquidityEvents.id));
+  }
+
+  /**
+   * Turn history rows into contiguous [from, to) intervals between start and end.
+   * Positions without any history are treated as holding their current liquidity throughout.
+   */
+  buildIntervals(history: PositionLiquidityHistory[], position: LpPosition, start: Date, end: Date): LiquidityInterval[] {
+    if (history.length === 0) {
+      return [{ from: start, to: end, liquidity: BigInt(position.liquidity || '0') }];
+    }
+
+    const intervals: LiquidityInterval[] = [];
+    for (let i = 0; i < history.length; i++) {
+      const from = new Date(Math.max(history[i].effectiveFrom.getTime(), start.getTime()));
+      const to = new Date(Math.min(
+        i + 1 < history.length ? history[i + 1].effectiveFrom.getTime() : end.getTime(),
+        end.getTime()
+      ));
+      if (to > from) {
+        intervals.push({ from, to, liquidity: BigInt(history[i].liquidity) });
+      }
+    }
+    return intervals;
+  }
+
+  /**
+   * Time-weighted liquidity in [from, to) relative to the reference liquidity.
+   * Time not covered by any interval counts as zero liquidity.
+   */
+  computeLiquidityFactor(intervals: LiquidityInterval[], referenceLiquidity: bigint, from: Date, to: Date): number {
+    return computeLiquidityFactor(intervals, referenceLiquidity, from, to);
+  }
+
+  /**
+   * Time-weighted liquidity factor of a position over an arbitrary window (e.g. a calendar-day epoch)
+   */
+  async getLiquidityFactor(position: LpPosition, from: Date, to: Date): Promise<number> {
+    const referenceLiquidity = BigInt(position.liquidity || '0');
+    const createdAt = position.createdAt || from;
+    if (referenceLiquidity <= 0n) return 1;
+
+    const history = await this.getHistory(position.id);
+    const intervals = this.buildIntervals(history, position, createdAt, to);
+    return this.computeLiquidityFactor(intervals, referenceLiquidity, from, to);
+  }
+
+  /**
+   * Liquidity factor for each day of a position's life, starting at `start`:
+   * the day's time-weighted liquidity divided by the position's current liquidity.
+   * A factor of 1.0 means the position held its current size for the whole day.
+   */
+  async getDailyLiquidityFactors(position: LpPosition, start: Date, end: Date = new Date()): Promise<number[]> {
+    const dayCount = Math.max(0, Math.ceil((end.getTime() - start.getTime()) / DAY_MS));
+    const referenceLiquidity = BigInt(position.liquidity || '0');
+
+    // Nothing to scale against - fall back to the position's current value for every day
+    if (dayCount === 0 || referenceLiquidity <= 0n) {
+      return new Array(dayCount).fill(1);
+    }
+
+    try {
+      const history = await this.getHistory(position.id);
+      const intervals = this.buildIntervals(history, position, start, end);
+      const factors: number[] = [];
+
+      for (let dayIndex = 0; dayIndex < dayCount; dayIndex++) {
+        const dayStart = new Date(start.getTime() + dayIndex * DAY_MS);
+        const dayEnd = new Date(Math.min(dayStart.getTime() + DAY_MS, end.getTime()));
+        factors.push(this.computeLiquidityFactor(intervals, referenceLiquidity, dayStart, dayEnd));
+      }
+
+      return factors;
+    } catch (error) {
+      console.warn(`⚠️ LIQUIDITY HISTORY: Failed to load history for position ${position.nftTokenId}:`, error);
+      return new Array(dayCount).fill(1);
+    }
+  }
+}
+
+// Export singleton instance
+export const liquidityHistoryService = new LiquidityHistoryService();
@@ -0,0 +1,253 @@
+/**
+ * MERKLE EPOCH SERVICE
+ * Publishes one Merkle root of every user's cumulative reward entitlement per epoch:
+ * - Entitlements are the sum of finalized daily_rewards up to the epoch cutoff day
+ * - Leaves and hashing match OpenZeppelin MerkleProof (double-hashed abi.encode(address, uint256), sorted pairs)
+ * - Stores the full tree per epoch so auditors and users can verify any entitlement independently
+ */
+
+import { ethers } from 'ethers';
+import { db } from './db';
+import {
+  users,
+  dailyRewards,
+  rewardEpochs,
+  rewardEpochLeaves,
+  type RewardEpoch,
+  type RewardEpochLeaf
+} from '@shared/schema';
+import { and, eq, desc, lte, sql } from 'drizzle-orm';
+
+export interface MerkleEntry {
+  address: string;
+  cumulativeAmount: bigint; // Wei
+}
+
+export interface MerkleTree {
+  root: string;
+  layers: string[][];
+  leaves: { address: string; cumulativeAmount: bigint; leafHash: string; proof: string[] }[];
+}
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+class MerkleEpochService {
+  /**
+   * Leaf hash: keccak256(bytes.concat(keccak256(abi.encode(account, cumulativeAmount))))
+   */
+  hashLeaf(address: string, cumulativeAmount: bigint): string {
+    const inner = ethers.keccak256(abiCoder.encode(['address', 'uint256'], [ethers.getAddress(address), cumulativeAmount]));
+    return ethers.keccak256(inner);
+  }
+
+  /**
+   * Commutative pair hash (same as OpenZeppelin's Hashes.commutativeKeccak256)
+   */
+  private hashPair(a: string, b: string): string {
+    return BigInt(a) < BigInt(b)
+      ? ethers.keccak256(ethers.concat([a, b]))
+      : ethers.keccak256(ethers.concat([b, a]));
+  }
+
+  /**
+   * Build a tree from entries. Leaves are sorted by hash so the root is independent of input order;
+   * an odd node at the end of a layer is carried up unchanged.
+   */
+  buildTree(entries: MerkleEntry[]): MerkleTree {
+    const hashed = entries
+      .map(entry => ({
+        address: entry.address.toLowerCase(),
+        cumulativeAmount: entry.cumulativeAmount,
+        leafHash: this.hashLeaf(entry.address, entry.cumulativeAmount)
+      }))
+      .sort((a, b) => (BigInt(a.leafHash) < BigInt(b.leafHash) ? -1 : 1));
+
+    if (hashed.length === 0) {
+      return { root: ethers.ZeroHash, layers: [], leaves: [] };
+    }
+
+    const layers: string[][] = [hashed.map(leaf => leaf.leafHash)];
+    while (layers[layers.length - 1].length > 1) {
+      const current = layers[layers.length - 1];
+      const next: string[] = [];
+      for (let i = 0; i < current.length; i += 2) {
+        next.push(i + 1 < current.length ? this.hashPair(current[i], current[i + 1]) : current[i]);
+      }
+      layers.push(next);
+    }
+
+    const leaves = hashed.map((leaf, index) => ({ ...leaf, proof: this.getLayerProof(layers, index) }));
+    return { root: layers[layers.length - 1][0], layers, leaves };
+  }
+
+  /**
+   * Sibling hashes from leaf to root
+   */
+  private getLayerProof(layers: string[][], leafIndex: number): string[] {
+    const proof: string[] = [];
+    let index = leafIndex;
+    for (let level = 0; level < layers.length - 1; level++) {
+      const siblingIndex = index % 2 === 0 ? index + 1 : index - 1;
+      if (siblingIndex < layers[level].length) {
+        proof.push(layers[level][siblingIndex]);
+      }
+      index = Math.floor(index / 2);
+    }
+    return proof;
+  }
+
+  /**
+   * Recompute the root from a leaf and its proof
+   */
+  verifyProof(leafHash: string, proof: string[], root: string): boolean {
+    const computed = proof.reduce((hash, sibling) => this.hashPair(hash, sibling), leafHash);
+    return computed.toLowerCase() === root.toLowerCase();
+  }
+
+  /**
+   * Cumulative entitlement per wallet from finalized daily_rewards up to and including the cutoff day
+   */
+  async getCumulativeEntitlements(cutoffDate: string): Promise<MerkleEntry[]> {
+    const totals = await db.select({
+      address: users.address,
+      amount: sql<string>`SUM(${dailyRewards.dailyRewardAmount})`
+    })
+      .from(dailyRewards)
+      .innerJoin(users, eq(users.id, dailyRewards.userId))
+      .where(lte(dailyRewards.date, cutoffDate))
+      .groupBy(users.address);
+
+    // Merge case variants of the same wallet; daily_rewards amounts have 8 decimals so parseUnits is exact
+    const byAddress = new Map<string, bigint>();
+    for (const row of totals) {
+      if (!row.address || !ethers.isAddress(row.address)) continue;
+      const address = row.address.toLowerCase();
+      byAddress.set(address, (byAddress.get(address) || 0n) + ethers.parseUnits(row.amount || '0', 18));
+    }
+
+    return Array.from(byAddress.entries())
+      .filter(([, amount]) => amount > 0n)
+      .map(([address, cumulativeAmount]) => ({ address, cumulativeAmount }));
+  }
+
+  /**
+   * Build and store the epoch for the latest finalized day. Returns the existing epoch
+   * when that day already has one.
+   */
+  async createEpoch(): Promise<RewardEpoch | null> {
+    const [latestDay] = await db.select({ date: dailyRewards.date })
+      .from(dailyRewards)
+      .orderBy(desc(dailyRewards.date))
+      .limit(1);
+    if (!latestDay) return null;
+
+    const [previous] = await db.select().from(rewardEpochs).orderBy(desc(rewardEpochs.epochNumber)).limit(1);
+    if (previous && previous.cutoffDate >= latestDay.date) {
+      return previous;
+    }
+
+    const entries = await this.getCumulativeEntitlements(latestDay.date);
+    if (entries.length === 0) return null;
+
+    const tree = this.buildTree(entries);
+    const totalAmount = entries.reduce((sum, entry) => sum + entry.cumulativeAmount, 0n);
+
+    const epoch = await db.transaction(async (tx) => {
+      const [created] = await tx.insert(rewardEpochs).values({
+        epochNumber: (previous?.epochNumber || 0) + 1,
+        merkleRoot: tree.root,
+        cutoffDate: latestDay.date,
+        totalAmount: totalAmount.toString(),
+        leafCount: tree.leaves.length,
+        treeLayers: JSON.stringify(tree.layers)
+      }).returning();
+
+      await tx.insert(rewardEpochLeaves).values(tree.leaves.map(leaf => ({
+        epochId: created.id,
+        userAddress: leaf.address,
+        cumulativeAmount: leaf.cumulativeAmount.toString(),
+        leafHash: leaf.leafHash,
+        proof: JSON.stringify(leaf.proof)
+      })));
+
+      return created;
+    });
+
+    console.log(`🌳 MERKLE EPOCH: Epoch ${epoch.epochNumber} through ${epoch.cutoffDate} - ${tree.leaves.length} leaves, root ${tree.root}`);
+    return epoch;
+  }
+
+  /**
+   * Record the on-chain publication of an epoch root
+   */
+  async markPublished(epochNumber: number, transactionHash: string): Promise<RewardEpoch | null> {
+    const [updated] = await db.update(rewardEpochs)
+      .set({ publishedTxHash: transactionHash, publishedAt: new Date() })
+      .where(eq(rewardEpochs.epochNumber, epochNumber))
+      .returning();
+    return updated || null;
+  }
+
+  /**
+   * Root history, most recent first (tree layers omitted)
+   */
+  async getRootHistory(limit: number = 50) {
+    return db.select({
+      epochNumber: rewardEpochs.epochNumber,
+      merkleRoot: rewardEpochs.merkleRoot,
+      cutoffDate: rewardEpochs.cutoffDate,
+      totalAmount: rewardEpochs.totalAmount,
+      leafCount: rewardEpochs.leafCount,
+      publishedTxHash: rewardEpochs.publishedTxHash,
+      publishedAt: rewardEpochs.publishedAt,
+      createdAt: rewardEpochs.createdAt
+    })
+      .from(rewardEpochs)
+      .orderBy(desc(rewardEpochs.epochNumber))
+      .limit(limit);
+  }
+
+  /**
+   * Full tree of one epoch for independent verification
+   */
+  async getEpochTree(epochNumber: number): Promise<{ epoch: RewardEpoch; leaves: RewardEpochLeaf[] } | null> {
+    const [epoch] = await db.select().from(rewardEpochs).where(eq(rewardEpochs.epochNumber, epochNumber)).limit(1);
+    if (!epoch) return null;
+
+    const leaves = await db.select().from(rewardEpochLeaves).where(eq(rewardEpochLeaves.epochId, epoch.id));
+    return { epoch, leaves };
+  }
+
+  /**
+   * Leaf and proof for a wallet in the given epoch (latest when omitted)
+   */
+  async getProof(address: string, epochNumber?: number) {
+    const [epoch] = epochNumber
+      ? await db.select().from(rewardEpochs).where(eq(rewardEpochs.epochNumber, epochNumber)).limit(1)
+      : await db.select().from(rewardEpochs).orderBy(desc(rewardEpochs.epochNumber)).limit(1);
+    if (!epoch) return null;
+
+    const [leaf] = await db.select().from(rewardEpochLeaves)
+      .where(and(
+        eq(rewardEpochLeaves.epochId, epoch.id),
+        eq(rewardEpochLeaves.userAddress, address.toLowerCase())
+      ))
+      .limit(1);
+    if (!leaf) return null;
+
+    return {
+      epochNumber: epoch.epochNumber,
+      merkleRoot: epoch.merkleRoot,
+      cutoffDate: epoch.cutoffDate,
+      published: epoch.publishedTxHash !== null,
+      address: ethers.getAddress(leaf.userAddress),
+      cumulativeAmount: leaf.cumulativeAmount,
+      cumulativeAmountFormatted: ethers.formatUnits(leaf.cumulativeAmount, 18),
+      leaf: leaf.leafHash,
+      proof: JSON.parse(leaf.proof) as string[]
+    };
+  }
+}
+
+// Export singleton instance
+export const merkleEpochService = new MerkleEpochService();
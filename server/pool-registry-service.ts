@@ -0,0 +1,206 @@
+/**
+ * POOL REGISTRY SERVICE
+ * Uniswap V3 pools incentivized by the reward program (token_pool_config):
+ * - Each active pool has a reward weight; its share of the daily budget is weight / sum of active weights
+ * - Only positions in an active registered pool can be registered and earn rewards
+ * - Until a pool is registered, the configured KILT/ETH pool is the single pool at full weight
+ */
+
+import { db } from './db';
+import { tokenPoolConfig, type TokenPoolConfig } from '@shared/schema';
+import { and, eq, ne } from 'drizzle-orm';
+import { blockchainConfigService } from './blockchain-config-service';
+import { ErrorHandler } from './error-handler';
+import { poolBudgetShares, TICK_SPACINGS } from './reward-formula';
+
+export interface IncentivizedPool {
+  id: number | null; // null for the implicit KILT/ETH pool
+  address: string; // Lowercase
+  name: string;
+  feeTier: number;
+  rewardWeight: number;
+  budgetShare: number; // rewardWeight / sum of active weights
+  fallbackTvlUSD: number | null; // Admin-configured TVL, used only while the on-chain TVL can't be read
+  isActive: boolean;
+}
+
+export interface PoolInput {
+  poolAddress: string;
+  name?: string | null;
+  feeTier?: number;
+  rewardWeight?: number;
+  fallbackTvlUSD?: number | null;
+  isActive?: boolean;
+}
+
+class PoolRegistryService {
+  private cache: { pools: IncentivizedPool[]; timestamp: number } | null = null;
+  private readonly CACHE_DURATION = 30000; // 30 seconds
+
+  private toPool(row: TokenPoolConfig, budgetShare: number): IncentivizedPool {
+    return {
+      id: row.id,
+      address: row.poolAddress.toLowerCase(),
+      name: row.name || row.poolAddress,
+      feeTier: row.feeTier,
+      rewardWeight: parseFloat(row.rewardWeight),
+      budgetShare,
+      fallbackTvlUSD: row.fallbackTvlUSD ? parseFloat(row.fallbackTvlUSD) : null,
+      isActive: row.isActive
+    };
+  }
+
+  /**
+   * Active incentivized pools with their budget shares (cached)
+   */
+  async getPools(): Promise<IncentivizedPool[]> {
+    if (this.cache && (Date.now() - this.cache.timestamp) < this.CACHE_DURATION) {
+      return this.cache.pools;
+    }
+
+    const rows = await db.select().from(tokenPoolConfig).where(eq(tokenPoolConfig.isActive, true));
+
+    let pools: IncentivizedPool[];
+    if (rows.length === 0) {
+      const [address, feeTier] = await Promise.all([
+        blockchainConfigService.getKiltEthPoolAddress(),
+        blockchainConfigService.getUniswapV3FeeTier()
+      ]);
+      pools = [{
+        id: null,
+        address: address.toLowerCase(),
+        name: 'KILT/ETH',
+        feeTier,
+        rewardWeight: 1,
+        budgetShare: 1,
+        fallbackTvlUSD: null,
+        isActive: true
+      }];
+    } else {
+      const shares = poolBudgetShares(rows.map(row => ({ address: row.poolAddress, weight: parseFloat(row.rewardWeight) })));
+      pools = rows.map(row => this.toPool(row, shares.get(row.poolAddress.toLowerCase()) || 0));
+    }
+
+    this.cache = { pools, timestamp: Date.now() };
+    return pools;
+  }
+
+  /**
+   * Every registered pool including deactivated ones, for the admin panel
+   */
+  async getAllPools(): Promise<IncentivizedPool[]> {
+    const [rows, activePools] = await Promise.all([
+      db.select().from(tokenPoolConfig).orderBy(tokenPoolConfig.id),
+      this.getPools()
+    ]);
+    if (rows.length === 0) return activePools;
+
+    const shares = new Map(activePools.map(pool => [pool.address, pool.budgetShare]));
+    return rows.map(row => this.toPool(row, shares.get(row.poolAddress.toLowerCase()) || 0));
+  }
+
+  async getPool(poolAddress: string): Promise<IncentivizedPool | null> {
+    const pools = await this.getPools();
+    return pools.find(pool => pool.address === poolAddress.toLowerCase()) || null;
+  }
+
+  async isIncentivizedPool(poolAddress: string | null | undefined): Promise<boolean> {
+    if (!poolAddress) return false;
+    return (await this.getPool(poolAddress)) !== null;
+  }
+
+  /**
+   * Validate admin input into a token_pool_config row
+   */
+  private toRow(input: PoolInput) {
+    const errors: string[] = [];
+
+    if (!input.poolAddress || !/^0x[a-fA-F0-9]{40}$/.test(input.poolAddress)) {
+      errors.push('Valid pool address is required');
+    }
+    const feeTier = input.feeTier ?? 3000;
+    if (!TICK_SPACINGS[feeTier]) {
+      errors.push(`Fee tier must be one of ${Object.keys(TICK_SPACINGS).join(', ')}`);
+    }
+    const rewardWeight = input.rewardWeight ?? 1;
+    if (isNaN(rewardWeight) || rewardWeight < 0) errors.push('Reward weight must be 0 or greater');
+    if (input.fallbackTvlUSD !== undefined && input.fallbackTvlUSD !== null && (isNaN(input.fallbackTvlUSD) || input.fallbackTvlUSD <= 0)) {
+      errors.push('Pool TVL must be greater than 0');
+    }
+
+    if (errors.length > 0) {
+      throw ErrorHandler.createValidationError('Pool validation failed', errors);
+    }
+
+    return {
+      poolAddress: input.poolAddress.toLowerCase(),
+      name: input.name?.trim() || null,
+      feeTier,
+      rewardWeight: rewardWeight.toString(),
+      fallbackTvlUSD: input.fallbackTvlUSD ? input.fallbackTvlUSD.toString() : null,
+      isActive: input.isActive ?? true
+    };
+  }
+
+  private async assertNotRegistered(poolAddress: string, excludeId?: number): Promise<void> {
+    const [existing] = await db.select({ id: tokenPoolConfig.id }).from(tokenPoolConfig)
+      .where(excludeId === undefined
+        ? eq(tokenPoolConfig.poolAddress, poolAddress)
+        : and(eq(tokenPoolConfig.poolAddress, poolAddress), ne(tokenPoolConfig.id, excludeId)))
+      .limit(1);
+    if (existing) {
+      throw ErrorHandler.createValidationError('Pool validation failed', [`Pool ${poolAddress} is already registered`]);
+    }
+  }
+
+  async createPool(input: PoolInput): Promise<TokenPoolConfig> {
+    const row = this.toRow(input);
+    await this.assertNotRegistered(row.poolAddress);
+
+    const kiltTokenAddress = await blockchainConfigService.getKiltTokenAddress();
+
+    // The first registered pool replaces the implicit KILT/ETH pool, so register that one too
+    const [anyPool] = await db.select({ id: tokenPoolConfig.id }).from(tokenPoolConfig).limit(1);
+    if (!anyPool) {
+      const [defaultPool] = await this.getPools();
+      if (defaultPool && defaultPool.address !== row.poolAddress) {
+        await db.insert(tokenPoolConfig).values({
+          kiltTokenAddress,
+          poolAddress: defaultPool.address,
+          name: defaultPool.name,
+          feeTier: defaultPool.feeTier,
+          rewardWeight: '1'
+        });
+      }
+    }
+
+    const [created] = await db.insert(tokenPoolConfig).values({ ...row, kiltTokenAddress }).returning();
+    this.clearCache();
+
+    console.log(`🏊 POOL REGISTRY: Registered ${row.name || row.poolAddress} with weight ${row.rewardWeight}`);
+    return created;
+  }
+
+  async updatePool(id: number, input: PoolInput): Promise<TokenPoolConfig | null> {
+    const row = this.toRow(input);
+    await this.assertNotRegistered(row.poolAddress, id);
+
+    const [updated] = await db.update(tokenPoolConfig)
+      .set({ ...row, updatedAt: new Date() })
+      .where(eq(tokenPoolConfig.id, id))
+      .returning();
+    this.clearCache();
+
+    if (updated) {
+      console.log(`🏊 POOL REGISTRY: Updated ${updated.name || updated.poolAddress} (weight ${updated.rewardWeight}, active ${updated.isActive})`);
+    }
+    return updated || null;
+  }
+
+  clearCache(): void {
+    this.cache = null;
+  }
+}
+
+// Export singleton instance
+export const poolRegistryService = new PoolRegistryService();
@@ -0,0 +1,215 @@
+/**
+ * POOL TICK SNAPSHOT SERVICE
+ * Records each pool's current tick at a fixed interval so rewards can be weighted
+ * by how long each position's [tickLower, tickUpper) range actually contained the price:
+ * - Samples slot0 from every active incentivized pool and stores it in pool_tick_snapshots
+ * - Integrates the sampled tick history into per-day time-in-range ratios
+ * - Keeps the KILT price alongside each tick, so positions can be valued as of a past day
+ */
+
+import { db } from './db';
+import { poolTickSnapshots, type PoolTickSnapshot } from '@shared/schema';
+import { and, eq, gte, lt, lte, desc, asc } from 'drizzle-orm';
+import { rpcManager } from './rpc-connection-manager';
+import { poolRegistryService } from './pool-registry-service';
+import { kiltPriceService } from './kilt-price-service.js';
+import { computeInRangeRatio, DAY_MS, type PriceObservation } from './reward-formula';
+
+const SLOT0_ABI = [
+  {
+    inputs: [],
+    name: 'slot0',
+    outputs: [
+      { name: 'sqrtPriceX96', type: 'uint160' },
+      { name: 'tick', type: 'int24' },
+      { name: 'observationIndex', type: 'uint16' },
+      { name: 'observationCardinality', type: 'uint16' },
+      { name: 'observationCardinalityNext', type: 'uint16' },
+      { name: 'feeProtocol', type: 'uint8' },
+      { name: 'unlocked', type: 'bool' }
+    ],
+    stateMutability: 'view',
+    type: 'function'
+  }
+] as const;
+
+class PoolTickSnapshotService {
+  private isRunning = false;
+  private intervalId: NodeJS.Timeout | null = null;
+  private readonly SNAPSHOT_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+  /**
+   * Start periodic tick sampling
+   */
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    console.log('📈 Pool Tick Snapshot Service started - sampling pool ticks every 5 minutes');
+
+    // Record initial snapshots
+    this.recordSnapshots();
+
+    this.intervalId = setInterval(() => {
+      this.recordSnapshots();
+    }, this.SNAPSHOT_INTERVAL);
+  }
+
+  /**
+   * Stop periodic tick sampling
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+    this.isRunning = false;
+    console.log('⏹️ Pool Tick Snapshot Service stopped');
+  }
+
+  /**
+   * Read the current tick of every active incentivized pool and persist it.
+   * A pool whose slot0 can't be read is skipped for this round.
+   */
+  async recordSnapshots(): Promise<PoolTickSnapshot[]> {
+    let pools;
+    try {
+      pools = await poolRegistryService.getPools();
+    } catch (error) {
+      console.error('❌ TICK SNAPSHOT: Failed to load incentivized pools:', error);
+      return [];
+    }
+
+    // Only a price that has actually been fetched - the startup default would misvalue the day
+    const kiltPrice = kiltPriceService.getPriceInfo();
+    const kiltPriceUSD = kiltPrice.lastUpdate > 0 && kiltPrice.price > 0 ? kiltPrice.price.toFixed(8) : null;
+    const recordedAt = new Date();
+
+    const snapshots: PoolTickSnapshot[] = [];
+    for (const pool of pools) {
+      try {
+        const [sqrtPriceX96, tick] = await rpcManager.executeWithRetry(async (client) => client.readContract({
+          address: pool.address as `0x${string}`,
+          abi: SLOT0_ABI,
+          functionName: 'slot0'
+        }), 'pool-tick-snapshot');
+
+        const [snapshot] = await db.insert(poolTickSnapshots).values({
+          poolAddress: pool.address,
+          tick: Number(tick),
+          sqrtPriceX96: sqrtPriceX96.toString(),
+          kiltPriceUSD,
+          recordedAt
+        }).returning();
+        snapshots.push(snapshot);
+      } catch (error) {
+        console.error(`❌ TICK SNAPSHOT: Failed to record tick for pool ${pool.address}:`, error);
+      }
+    }
+
+    return snapshots;
+  }
+
+  /**
+   * Load the snapshots relevant to a window, including the last one taken before it
+   * (that snapshot's tick is the one in force when the window opens)
+   */
+  private async getSnapshotsForWindow(poolAddress: string, from: Date, to: Date): Promise<PoolTickSnapshot[]> {
+    const pool = poolAddress.toLowerCase();
+
+    const [previous, inWindow] = await Promise.all([
+      db.select().from(poolTickSnapshots)
+        .where(and(eq(poolTickSnapshots.poolAddress, pool), lt(poolTickSnapshots.recordedAt, from)))
+        .orderBy(desc(poolTickSnapshots.recordedAt))
+        .limit(1),
+      db.select().from(poolTickSnapshots)
+        .where(and(
+          eq(poolTickSnapshots.poolAddress, pool),
+          gte(poolTickSnapshots.recordedAt, from),
+          lte(poolTickSnapshots.recordedAt, to)
+        ))
+        .orderBy(asc(poolTickSnapshots.recordedAt))
+    ]);
+
+    return [...previous, ...inWindow];
+  }
+
+  /**
+   * Fraction of observed time in [from, to) during which tickLower <= tick < tickUpper.
+   * Snapshots are treated as a step function; returns null when nothing was observed.
+   */
+  computeInRangeRatio(
+    snapshots: PoolTickSnapshot[],
+    tickLower: number,
+    tickUpper: number,
+    from: Date,
+    to: Date
+  ): number | null {
+    return computeInRangeRatio(snapshots, tickLower, tickUpper, from, to);
+  }
+
+  /**
+   * Time-in-range ratio for each day of a position's life, starting at `start`.
+   * Days without any observed tick data are returned as null.
+   */
+  async getDailyInRangeRatios(
+    poolAddress: string,
+    tickLower: number,
+    tickUpper: number,
+    start: Date,
+    end: Date = new Date()
+  ): Promise<(number | null)[]> {
+    const dayCount = Math.max(0, Math.ceil((end.getTime() - start.getTime()) / DAY_MS));
+
+    // Ticks were never recorded for this position (e.g. legacy registrations) - range is unknown
+    if (dayCount === 0 || tickLower >= tickUpper) {
+      return new Array(dayCount).fill(null);
+    }
+
+    try {
+      const snapshots = await this.getSnapshotsForWindow(poolAddress, start, end);
+      const ratios: (number | null)[] = [];
+
+      for (let dayIndex = 0; dayIndex < dayCount; dayIndex++) {
+        const dayStart = new Date(start.getTime() + dayIndex * DAY_MS);
+        const dayEnd = new Date(Math.min(dayStart.getTime() + DAY_MS, end.getTime()));
+        ratios.push(this.computeInRangeRatio(snapshots, tickLower, tickUpper, dayStart, dayEnd));
+      }
+
+      return ratios;
+    } catch (error) {
+      console.warn(`⚠️ TICK SNAPSHOT: Failed to load tick history for ${poolAddress}:`, error);
+      return new Array(dayCount).fill(null);
+    }
+  }
+
+  /**
+   * Pool price and KILT price observations for [from, to], including the last one before it.
+   * Snapshots recorded without a KILT price are left out.
+   */
+  async getPriceObservations(poolAddress: string, from: Date, to: Date): Promise<PriceObservation[]> {
+    const snapshots = await this.getSnapshotsForWindow(poolAddress, from, to);
+    return snapshots
+      .filter(snapshot => snapshot.kiltPriceUSD !== null && parseFloat(snapshot.kiltPriceUSD) > 0)
+      .map(snapshot => ({
+        tick: snapshot.tick,
+        sqrtPriceX96: BigInt(snapshot.sqrtPriceX96),
+        kiltPriceUSD: parseFloat(snapshot.kiltPriceUSD!),
+        recordedAt: snapshot.recordedAt
+      }));
+  }
+
+  /**
+   * Get current service status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      hasInterval: this.intervalId !== null,
+      snapshotIntervalMs: this.SNAPSHOT_INTERVAL
+    };
+  }
+}
+
+// Export singleton instance
+export const poolTickSnapshotService = new PoolTickSnapshotService();
@@ -0,0 +1,245 @@
+/**
+ * POOL TVL SERVICE
+ * USD value locked in each incentivized pool, read from the chain:
+ * - Token balances held by the pool contract, priced via GeckoTerminal (KILT via the KILT price service)
+ * - A paired token without a USD price is valued through the pool's own KILT price (sqrtPriceX96)
+ * - Readings are cached with their timestamp; when a refresh fails the last reading is kept and flagged stale
+ * - Without any on-chain reading the admin-configured TVL, then FALLBACK_POOL_TVL, is used and flagged stale
+ */
+
+import { formatUnits } from 'viem';
+import { rpcManager } from './rpc-connection-manager';
+import { blockchainConfigService } from './blockchain-config-service';
+import { kiltPriceService } from './kilt-price-service';
+import { FALLBACK_POOL_TVL } from './reward-formula';
+import type { IncentivizedPool } from './pool-registry-service';
+
+export type PoolTVLSource = 'onchain' | 'last-known' | 'configured' | 'fallback';
+
+export interface PoolTVL {
+  tvlUSD: number;
+  source: PoolTVLSource;
+  pricing: 'geckoterminal' | 'pool-price' | null; // How the paired token was priced, null when not read on-chain
+  updatedAt: Date | null; // When the value was read on-chain, null for configured/fallback values
+  isStale: boolean;
+  error?: string; // Last refresh failure
+}
+
+// What APR responses report about the TVL they were calculated with
+export interface TVLProvenance {
+  source: PoolTVLSource;
+  pricing: PoolTVL['pricing'];
+  updatedAt: string | null;
+  ageSeconds: number | null;
+  isStale: boolean;
+}
+
+const POOL_ABI = [
+  { inputs: [], name: 'token0', outputs: [{ name: '', type: 'address' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'token1', outputs: [{ name: '', type: 'address' }], stateMutability: 'view', type: 'function' },
+  {
+    inputs: [],
+    name: 'slot0',
+    outputs: [
+      { name: 'sqrtPriceX96', type: 'uint160' },
+      { name: 'tick', type: 'int24' },
+      { name: 'observationIndex', type: 'uint16' },
+      { name: 'observationCardinality', type: 'uint16' },
+      { name: 'observationCardinalityNext', type: 'uint16' },
+      { name: 'feeProtocol', type: 'uint8' },
+      { name: 'unlocked', type: 'bool' }
+    ],
+    stateMutability: 'view',
+    type: 'function'
+  }
+] as const;
+
+const ERC20_ABI = [
+  { inputs: [{ name: 'account', type: 'address' }], name: 'balanceOf', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'decimals', outputs: [{ name: '', type: 'uint8' }], stateMutability: 'view', type: 'function' }
+] as const;
+
+class PoolTvlService {
+  private readings: Map<string, PoolTVL> = new Map(); // Last successful on-chain reading per lowercase pool address
+  private errors: Map<string, string> = new Map(); // Failure of the latest refresh, cleared by the next success
+  private pending: Map<string, Promise<void>> = new Map();
+  private lastAttempt: Map<string, number> = new Map();
+  private readonly REFRESH_INTERVAL = 5 * 60 * 1000; // Re-read the chain every 5 minutes
+  private readonly RETRY_INTERVAL = 60 * 1000; // After a failure, wait a minute before trying again
+  private readonly STALE_AFTER = 15 * 60 * 1000; // An on-chain reading older than this is stale
+
+  /**
+   * TVL of an incentivized pool - cached, refreshed from the chain when older than the refresh interval
+   */
+  async getPoolTVL(pool: Pick<IncentivizedPool, 'address' | 'fallbackTvlUSD'>): Promise<PoolTVL> {
+    const address = pool.address.toLowerCase();
+    const reading = this.readings.get(address);
+    const now = Date.now();
+
+    const isFresh = reading?.updatedAt && (now - reading.updatedAt.getTime()) < this.REFRESH_INTERVAL;
+    const isRetryDue = (now - (this.lastAttempt.get(address) || 0)) >= this.RETRY_INTERVAL;
+    if (!isFresh && isRetryDue) {
+      if (!this.pending.has(address)) {
+        this.pending.set(address, this.refresh(address).finally(() => this.pending.delete(address)));
+      }
+      await this.pending.get(address);
+    }
+
+    return this.resolve(address, pool.fallbackTvlUSD);
+  }
+
+  /**
+   * Source and age of a TVL value, for API responses
+   */
+  describe(tvl: PoolTVL): TVLProvenance {
+    return {
+      source: tvl.source,
+      pricing: tvl.pricing,
+      updatedAt: tvl.updatedAt ? tvl.updatedAt.toISOString() : null,
+      ageSeconds: tvl.updatedAt ? Math.round((Date.now() - tvl.updatedAt.getTime()) / 1000) : null,
+      isStale: tvl.isStale || !tvl.updatedAt || (Date.now() - tvl.updatedAt.getTime()) > this.STALE_AFTER
+    };
+  }
+
+  /**
+   * Combined provenance of several pools: the least reliable source, the oldest reading
+   */
+  describeAll(tvls: PoolTVL[]): TVLProvenance {
+    const ranking: PoolTVLSource[] = ['onchain', 'last-known', 'configured', 'fallback'];
+    const descriptions = tvls.map(tvl => this.describe(tvl));
+    if (descriptions.length === 0) {
+      return { source: 'fallback', pricing: null, updatedAt: null, ageSeconds: null, isStale: true };
+    }
+
+    const worst = descriptions.reduce((a, b) => ranking.indexOf(b.source) > ranking.indexOf(a.source) ? b : a);
+    const oldest = descriptions.reduce((a, b) => (b.ageSeconds ?? -1) > (a.ageSeconds ?? -1) ? b : a);
+    return {
+      source: worst.source,
+      pricing: descriptions.some(description => description.pricing === 'pool-price') ? 'pool-price' : worst.pricing,
+      updatedAt: oldest.updatedAt,
+      ageSeconds: oldest.ageSeconds,
+      isStale: descriptions.some(description => description.isStale)
+    };
+  }
+
+  /**
+   * Latest on-chain reading, marked last-known when a refresh has failed since,
+   * otherwise the configured TVL or FALLBACK_POOL_TVL
+   */
+  private resolve(address: string, fallbackTvlUSD: number | null): PoolTVL {
+    const reading = this.readings.get(address);
+    const error = this.errors.get(address);
+
+    if (reading) {
+      const isOld = !reading.updatedAt || (Date.now() - reading.updatedAt.getTime()) > this.STALE_AFTER;
+      return error
+        ? { ...reading, source: 'last-known', isStale: true, error }
+        : { ...reading, isStale: reading.isStale || isOld };
+    }
+    if (fallbackTvlUSD) {
+      return { tvlUSD: fallbackTvlUSD, source: 'configured', pricing: null, updatedAt: null, isStale: true, error };
+    }
+    return { tvlUSD: FALLBACK_POOL_TVL, source: 'fallback', pricing: null, updatedAt: null, isStale: true, error };
+  }
+
+  private async refresh(address: string): Promise<void> {
+    this.lastAttempt.set(address, Date.now());
+
+    try {
+      const reading = await this.readOnChainTVL(address);
+      this.readings.set(address, reading);
+      this.errors.delete(address);
+      console.log(`🏊 POOL TVL: ${address} $${reading.tvlUSD.toFixed(2)} on-chain (${reading.pricing} pricing)`);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      this.errors.set(address, message);
+      console.warn(`⚠️ POOL TVL: ${address} refresh failed - ${message}`);
+    }
+  }
+
+  /**
+   * Balances of both pool tokens valued in USD
+   */
+  private async readOnChainTVL(address: string): Promise<PoolTVL> {
+    const pool = address as `0x${string}`;
+    const [token0, token1, slot0] = await rpcManager.executeWithRetry(async (client) => Promise.all([
+      client.readContract({ address: pool, abi: POOL_ABI, functionName: 'token0' }),
+      client.readContract({ address: pool, abi: POOL_ABI, functionName: 'token1' }),
+      client.readContract({ address: pool, abi: POOL_ABI, functionName: 'slot0' })
+    ]), 'pool-tvl-tokens');
+
+    const [balance0, balance1, decimals0, decimals1] = await rpcManager.executeWithRetry(async (client) => Promise.all([
+      client.readContract({ address: token0, abi: ERC20_ABI, functionName: 'balanceOf', args: [pool] }),
+      client.readContract({ address: token1, abi: ERC20_ABI, functionName: 'balanceOf', args: [pool] }),
+      client.readContract({ address: token0, abi: ERC20_ABI, functionName: 'decimals' }),
+      client.readContract({ address: token1, abi: ERC20_ABI, functionName: 'decimals' })
+    ]), 'pool-tvl-balances');
+
+    const amount0 = parseFloat(formatUnits(balance0, decimals0));
+    const amount1 = parseFloat(formatUnits(balance1, decimals1));
+
+    const kiltTokenAddress = (await blockchainConfigService.getKiltTokenAddress()).toLowerCase();
+    const kiltPrice = kiltPriceService.getPriceInfo();
+    const prices = await this.fetchTokenPrices([token0, token1]);
+    const isToken0KILT = token0.toLowerCase() === kiltTokenAddress;
+    const isToken1KILT = token1.toLowerCase() === kiltTokenAddress;
+    if (isToken0KILT) prices.set(token0.toLowerCase(), kiltPrice.price);
+    if (isToken1KILT) prices.set(token1.toLowerCase(), kiltPrice.price);
+
+    let price0 = prices.get(token0.toLowerCase());
+    let price1 = prices.get(token1.toLowerCase());
+    let pricing: PoolTVL['pricing'] = 'geckoterminal';
+
+    // Value a paired token without a USD price through the pool's KILT price
+    if ((price0 === undefined || price1 === undefined) && (isToken0KILT || isToken1KILT)) {
+      const sqrtPrice = Number(slot0[0]) / 2 ** 96;
+      const token1PerToken0 = sqrtPrice * sqrtPrice * 10 ** (decimals0 - decimals1);
+      if (token1PerToken0 > 0) {
+        if (isToken0KILT && price1 === undefined) price1 = kiltPrice.price / token1PerToken0;
+        if (isToken1KILT && price0 === undefined) price0 = kiltPrice.price * token1PerToken0;
+        pricing = 'pool-price';
+      }
+    }
+
+    if (price0 === undefined || price1 === undefined || !(price0 > 0) || !(price1 > 0)) {
+      throw new Error('No USD price for the pool tokens');
+    }
+
+    const tvlUSD = amount0 * price0 + amount1 * price1;
+    if (!(tvlUSD > 0)) {
+      throw new Error('Pool holds no token balances');
+    }
+
+    return { tvlUSD, source: 'onchain', pricing, updatedAt: new Date(), isStale: kiltPrice.isStale };
+  }
+
+  /**
+   * USD prices from GeckoTerminal, keyed by lowercase token address - missing tokens are left out
+   */
+  private async fetchTokenPrices(tokens: string[]): Promise<Map<string, number>> {
+    const prices = new Map<string, number>();
+    try {
+      const response = await fetch(`https://api.geckoterminal.com/api/v2/simple/networks/base/token_price/${tokens.map(token => token.toLowerCase()).join(',')}`);
+      if (!response.ok) return prices;
+
+      const data = await response.json();
+      const tokenPrices: Record<string, string | null> = data?.data?.attributes?.token_prices || {};
+      for (const [token, price] of Object.entries(tokenPrices)) {
+        const value = parseFloat(price || '');
+        if (value > 0) prices.set(token.toLowerCase(), value);
+      }
+    } catch (error) {
+      console.warn('GeckoTerminal token prices failed:', error instanceof Error ? error.message : 'Unknown error');
+    }
+    return prices;
+  }
+
+  clearCache(): void {
+    this.readings.clear();
+    this.errors.clear();
+    this.lastAttempt.clear();
+  }
+}
+
+// Export singleton instance
+export const poolTvlService = new PoolTvlService();
@@ -6,6 +6,7 @@
 import { db } from './db';
 import { lpPositions, users } from '../shared/schema';
 import { eq, and, inArray } from 'drizzle-orm';
+import { liquidityHistoryService } from './liquidity-history-service';
 
 export interface PositionStatusUpdate {
   nftTokenId: string;
@@ -53,12 +54,7 @@ export class PositionLifecycleManager {
       
       // Get all registered positions
       const dbPositions = await db
-        .select({
-          nftTokenId: lpPositions.nftTokenId,
-          userId: lpPositions.userId,
-          isActive: lpPositions.isActive,
-          liquidity: lpPositions.liquidity
-        })
+        .select()
         .from(lpPositions);
 
       if (dbPositions.length === 0) {
@@ -113,6 +109,15 @@ export class PositionLifecycleManager {
           const isActiveOnChain = onChainPosition ? onChainPosition.isActive : false;
 
           if (wasActive !== isActiveOnChain) {
+            // Liquidity goes through the history (accrual integrates over it); a position it can't
+            // record keeps its status and is retried on the next sync
+            try {
+              await liquidityHistoryService.syncOnChainLiquidity(dbPosition, onChainPosition?.liquidity || '0');
+            } catch (historyError) {
+              console.warn(`⚠️ Failed to record liquidity change for position ${nftTokenId}:`, historyError);
+              continue;
+            }
+
             const update: PositionStatusUpdate = {
               nftTokenId,
               previousStatus: wasActive ? 'ACTIVE' : 'CLOSED',
@@ -126,10 +131,7 @@ export class PositionLifecycleManager {
             // Update database
             await db
               .update(lpPositions)
-              .set({
-                isActive: isActiveOnChain,
-                liquidity: onChainPosition?.liquidity || '0'
-              })
+              .set({ isActive: isActiveOnChain })
               .where(eq(lpPositions.nftTokenId, nftTokenId));
           }
         }
@@ -172,11 +174,7 @@ export class PositionLifecycleManager {
 
       // Get user's registered positions
       const dbPositions = await db
-        .select({
-          nftTokenId: lpPositions.nftTokenId,
-          isActive: lpPositions.isActive,
-          liquidity: lpPositions.liquidity
-        })
+        .select()
         .from(lpPositions)
         .where(eq(lpPositions.userId, user[0].id));
 
@@ -201,6 +199,13 @@ export class PositionLifecycleManager {
         const isActiveOnChain = onChainPosition ? onChainPosition.isActive : false;
 
         if (wasActive !== isActiveOnChain) {
+          try {
+            await liquidityHistoryService.syncOnChainLiquidity(dbPosition, onChainPosition?.liquidity || '0');
+          } catch (historyError) {
+            console.warn(`⚠️ Failed to record liquidity change for position ${dbPosition.nftTokenId}:`, historyError);
+            continue;
+          }
+
           const update: PositionStatusUpdate = {
             nftTokenId: dbPosition.nftTokenId,
             previousStatus: wasActive ? 'ACTIVE' : 'CLOSED',
@@ -214,10 +219,7 @@ export class PositionLifecycleManager {
           // Update database
           await db
             .update(lpPositions)
-            .set({
-              isActive: isActiveOnChain,
-              liquidity: onChainPosition?.liquidity || '0'
-            })
+            .set({ isActive: isActiveOnChain })
             .where(
               and(
                 eq(lpPositions.userId, user[0].id),
@@ -8,6 +8,7 @@
 
 import { storage } from "./storage";
 import { PositionStateManager, PositionStateContext } from './position-state-manager';
+import { liquidityHistoryService } from './liquidity-history-service';
 
 interface PositionStateChange {
   tokenId: string;
@@ -135,6 +136,15 @@ class PositionLifecycleService {
           
           // Get current position from database to check USD value
           const dbPosition = dbPositions.find(p => p.nftTokenId === tokenId);
+
+          // Record any liquidity added or removed on-chain since the last check
+          if (dbPosition?.isActive && blockchainPosition.liquidity !== undefined) {
+            try {
+              await liquidityHistoryService.syncOnChainLiquidity(dbPosition, blockchainPosition.liquidity.toString());
+            } catch (historyError) {
+              console.warn(`⚠️ LIFECYCLE: Failed to record liquidity change for ${tokenId}:`, historyError);
+            }
+          }
           
           // USE UNIFIED STATE MANAGER - Single source of truth for ALL position state decisions
           const stateContext: PositionStateContext = {
@@ -11,8 +11,11 @@ import {
 import { eq, and } from 'drizzle-orm';
 import { unifiedRewardService } from './unified-reward-service';
 import { blockchainConfigService } from './blockchain-config-service';
+import { poolRegistryService } from './pool-registry-service';
 import { uniswapIntegrationService } from './uniswap-integration-service';
 import { rateLimitBypassService } from './rate-limit-bypass-service';
+import { liquidityHistoryService } from './liquidity-history-service';
+import { positionTransferService } from './position-transfer-service';
 // Removed historicalValidationService - validation logic moved inline
 // Removed liquidityTypeDetector - type detection moved inline
 
@@ -75,7 +78,18 @@ export class PositionRegistrationService {
 
       if (existingPosition.length > 0) {
         const [position] = existingPosition;
-        
+
+        // A transferred position waiting for its new holder to register it
+        const transferred = await positionTransferService.claimTransferredPosition(position, userId, userAddress);
+        if (transferred) {
+          return {
+            success: true,
+            positionId: transferred.id,
+            message: 'Transferred position registered - rewards now accrue to this wallet',
+            eligibilityStatus: 'eligible'
+          };
+        }
+
         // Check if already eligible for rewards
         const [eligibility] = await this.db
           .select()
@@ -119,7 +133,7 @@ export class PositionRegistrationService {
             // Update position data with bypass values
             positionData.token0Address = '0x4200000000000000000000000000000000000006';
             positionData.token1Address = '0x5D0DD05bB095fdD6Af4865A1AdF97c39C85ad2d8';
-            positionData.poolAddress = '0x82Da478b1382B951cBaD01Beb9eD459cDB16458E';
+            positionData.poolAddress = await blockchainConfigService.getKiltEthPoolAddress();
             
             console.log(`🔄 Rate limit bypass successful for position ${positionData.nftTokenId}`);
           } else {
@@ -146,6 +160,28 @@ export class PositionRegistrationService {
         };
       }
 
+      if (!(await poolRegistryService.isIncentivizedPool(positionData.poolAddress))) {
+        return {
+          success: false,
+          message: 'Position pool is not part of the reward program',
+          eligibilityStatus: 'ineligible'
+        };
+      }
+
+      // The in-range multiplier and full-range bonus are computed from the range, so it is read from the
+      // NonfungiblePositionManager rather than taken from the registrant
+      const onChainPosition = await uniswapIntegrationService.getFullPositionData(positionData.nftTokenId).catch(error => {
+        console.warn(`⚠️ Failed to read range of position ${positionData.nftTokenId} on-chain:`, error instanceof Error ? error.message : error);
+        return null;
+      });
+      if (!onChainPosition || onChainPosition.tickLower >= onChainPosition.tickUpper) {
+        return {
+          success: false,
+          message: 'Unable to read the position range on-chain. Please try again in a few minutes.',
+          eligibilityStatus: 'pending'
+        };
+      }
+
       // Step 1: Liquidity type detection
       // Liquidity type detection temporarily disabled for stability
       const liquidityTypeResult = { 
@@ -220,9 +256,9 @@ export class PositionRegistrationService {
         maxPrice: positionData.maxPrice || '999999999', // Provide default value if null
         liquidity: positionData.liquidity,
         currentValueUSD: positionData.currentValueUSD.toString(),
-        tickLower: 0, // Default value since not in interface
-        tickUpper: 0, // Default value since not in interface
-        feeTier: parseInt(positionData.feeTier.toString()),
+        tickLower: onChainPosition.tickLower,
+        tickUpper: onChainPosition.tickUpper,
+        feeTier: onChainPosition.feeTier,
         isActive: true,
         appTransactionHash: verificationProof?.transactionHash || `manual_registration_${positionData.nftTokenId}`,
         appSessionId: `registration_${Date.now()}`
@@ -282,6 +318,17 @@ export class PositionRegistrationService {
 
       console.log(`✅ Eligibility record created for position ${createdPosition.id}`);
 
+      // Seed the liquidity history with the registered liquidity (accrual integrates over this history)
+      try {
+        await liquidityHistoryService.recordMint(
+          createdPosition,
+          verificationProof?.transactionHash || `manual_registration_${positionData.nftTokenId}`,
+          verificationProof?.blockNumber
+        );
+      } catch (historyError) {
+        console.warn(`⚠️ Failed to record mint event for position ${createdPosition.id}:`, historyError);
+      }
+
       // Calculate reward information
       const rewardCalc = await unifiedRewardService.getPositionReward(
         userId,
@@ -349,7 +396,7 @@ export class PositionRegistrationService {
   }
 
   /**
-   * Validate that position contains KILT token
+   * Validate that position contains KILT token (the pool itself is checked against the pool registry)
    */
   private async validateKiltPosition(positionData: ExternalPositionData): Promise<boolean> {
     try {
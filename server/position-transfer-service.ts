@@ -0,0 +1,386 @@
+/**
+ * POSITION TRANSFER SERVICE
+ * Follows registered position NFTs when they change hands:
+ * - Syncs Transfer events of the NonfungiblePositionManager for registered token IDs every 5 minutes
+ * - Records each handover in liquidity_events ('transfer') and position_ownership_history
+ * - Accrual stops for the sender at the transfer; the receiver accrues from then on, or - when
+ *   POSITION_TRANSFER_REQUIRES_REREGISTRATION=true - only once they register the position themselves
+ */
+
+import { parseAbiItem, zeroAddress } from 'viem';
+import { db } from './db';
+import {
+  users,
+  lpPositions,
+  liquidityEvents,
+  positionOwnershipHistory,
+  type LpPosition,
+  type LiquidityEvent,
+  type PositionOwnershipHistory
+} from '@shared/schema';
+import { and, asc, desc, eq, inArray, isNotNull, sql } from 'drizzle-orm';
+import { rpcManager } from './rpc-connection-manager';
+import { allocateProportionally, REWARD_UNIT_WEI } from './token-amount';
+
+const TRANSFER_EVENT = parseAbiItem('event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)');
+
+export interface PositionTransfer {
+  tokenId: string;
+  from: string; // Lowercase
+  to: string; // Lowercase
+  transactionHash: string;
+  logIndex: number;
+  blockNumber: number;
+  timestamp: Date;
+}
+
+export interface DayOwnerShare {
+  userId: number;
+  fraction: number; // Share of the day's accrual window held by this owner
+}
+
+class PositionTransferService {
+  private static readonly POSITION_MANAGER = '0x03a520b32C04BF3bEEf7BEb72E919cf822Ed34f1' as `0x${string}`;
+  private isRunning = false;
+  private isSyncing = false;
+  private intervalId: NodeJS.Timeout | null = null;
+  private lastSyncedBlock: number | null = null;
+  private lastError: string | null = null;
+  private readonly SYNC_INTERVAL = 5 * 60 * 1000; // 5 minutes
+  private readonly BLOCK_CHUNK = 10000;
+  private readonly TOKEN_ID_CHUNK = 100; // Token IDs per log query (OR-ed topic filter)
+  private readonly INITIAL_LOOKBACK_BLOCKS = 100000;
+
+  /**
+   * Whether receivers must register a transferred position before it accrues for them
+   */
+  requiresReregistration(): boolean {
+    return process.env.POSITION_TRANSFER_REQUIRES_REREGISTRATION === 'true';
+  }
+
+  /**
+   * Start periodic Transfer sync
+   */
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    console.log('🔀 Position Transfer Service started - syncing position NFT transfers every 5 minutes');
+
+    this.syncTransfers().catch(error => console.error('❌ POSITION TRANSFERS: Sync failed:', error));
+
+    this.intervalId = setInterval(() => {
+      this.syncTransfers().catch(error => console.error('❌ POSITION TRANSFERS: Sync failed:', error));
+    }, this.SYNC_INTERVAL);
+  }
+
+  /**
+   * Stop periodic Transfer sync
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+    this.isRunning = false;
+    console.log('⏹️ Position Transfer Service stopped');
+  }
+
+  /**
+   * Record Transfer events of registered positions since the last synced block
+   */
+  async syncTransfers(): Promise<{ recorded: number; fromBlock: number; toBlock: number } | null> {
+    if (this.isSyncing) return null;
+    this.isSyncing = true;
+
+    try {
+      const positions = await db.select().from(lpPositions);
+      const byTokenId = new Map(positions
+        .filter(position => /^\d+$/.test(position.nftTokenId))
+        .map(position => [position.nftTokenId, position]));
+
+      const latestBlock = Number(await rpcManager.executeWithRetry(client => client.getBlockNumber(), 'position-transfers-block'));
+      let fromBlock = this.lastSyncedBlock !== null ? this.lastSyncedBlock + 1 : await this.getInitialBlock(latestBlock);
+      const startBlock = fromBlock;
+      const tokenIds = Array.from(byTokenId.keys()).map(id => BigInt(id));
+      let recorded = 0;
+
+      while (fromBlock <= latestBlock && tokenIds.length > 0) {
+        const toBlock = Math.min(fromBlock + this.BLOCK_CHUNK - 1, latestBlock);
+        const transfers = await this.getTransfers(tokenIds, fromBlock, toBlock);
+
+        for (const transfer of transfers) {
+          const position = byTokenId.get(transfer.tokenId);
+          if (position && await this.recordTransfer(position, transfer)) recorded++;
+        }
+
+        this.lastSyncedBlock = toBlock;
+        fromBlock = toBlock + 1;
+      }
+      if (tokenIds.length === 0) this.lastSyncedBlock = latestBlock;
+
+      this.lastError = null;
+      if (recorded > 0) {
+        console.log(`🔀 POSITION TRANSFERS: ${recorded} transfer(s) recorded from blocks ${startBlock}-${latestBlock}`);
+      }
+      return { recorded, fromBlock: startBlock, toBlock: latestBlock };
+    } catch (error) {
+      this.lastError = error instanceof Error ? error.message : 'Unknown error';
+      throw error;
+    } finally {
+      this.isSyncing = false;
+    }
+  }
+
+  private async getInitialBlock(latestBlock: number): Promise<number> {
+    const [newest] = await db.select({ blockNumber: liquidityEvents.blockNumber })
+      .from(liquidityEvents)
+      .where(eq(liquidityEvents.eventType, 'transfer'))
+      .orderBy(desc(liquidityEvents.blockNumber))
+      .limit(1);
+    if (newest?.blockNumber) return newest.blockNumber; // Re-scan that block - duplicates are ignored
+
+    const configured = parseInt(process.env.POSITION_TRANSFERS_START_BLOCK || '');
+    return Number.isFinite(configured) ? configured : Math.max(0, latestBlock - this.INITIAL_LOOKBACK_BLOCKS);
+  }
+
+  /**
+   * Transfer events of the given token IDs in a block range, oldest first.
+   * Mints and burns (transfers from/to the zero address) are left to registration and the lifecycle service.
+   */
+  private async getTransfers(tokenIds: bigint[], fromBlock: number, toBlock: number): Promise<PositionTransfer[]> {
+    const transfers: Omit<PositionTransfer, 'timestamp'>[] = [];
+
+    for (let i = 0; i < tokenIds.length; i += this.TOKEN_ID_CHUNK) {
+      const chunk = tokenIds.slice(i, i + this.TOKEN_ID_CHUNK);
+      const logs = await rpcManager.executeWithRetry(client => client.getLogs({
+        address: PositionTransferService.POSITION_MANAGER,
+        event: TRANSFER_EVENT,
+        args: { tokenId: chunk },
+        fromBlock: BigInt(fromBlock),
+        toBlock: BigInt(toBlock)
+      }), 'position-transfers-logs');
+
+      for (const log of logs) {
+        const { from, to, tokenId } = log.args;
+        if (!from || !to || tokenId === undefined || from === zeroAddress || to === zeroAddress) continue;
+        transfers.push({
+          tokenId: tokenId.toString(),
+          from: from.toLowerCase(),
+          to: to.toLowerCase(),
+          transactionHash: log.transactionHash,
+          logIndex: log.logIndex,
+          blockNumber: Number(log.blockNumber)
+        });
+      }
+    }
+
+    transfers.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    // One block read per distinct block for the transfer timestamps
+    const timestamps = new Map<number, Date>();
+    for (const blockNumber of new Set(transfers.map(transfer => transfer.blockNumber))) {
+      const block = await rpcManager.executeWithRetry(
+        client => client.getBlock({ blockNumber: BigInt(blockNumber) }),
+        'position-transfers-timestamp'
+      );
+      timestamps.set(blockNumber, new Date(Number(block.timestamp) * 1000));
+    }
+
+    return transfers.map(transfer => ({ ...transfer, timestamp: timestamps.get(transfer.blockNumber) as Date }));
+  }
+
+  /**
+   * Hand a position over to the receiver of its NFT. Returns false when the transfer was already recorded.
+   */
+  async recordTransfer(position: LpPosition, transfer: PositionTransfer): Promise<boolean> {
+    return db.transaction(async (tx) => {
+      const [event] = await tx.insert(liquidityEvents).values({
+        positionId: position.id,
+        transactionHash: transfer.transactionHash,
+        logIndex: transfer.logIndex,
+        blockNumber: transfer.blockNumber,
+        eventType: 'transfer',
+        fromAddress: transfer.from,
+        toAddress: transfer.to,
+        timestamp: transfer.timestamp
+      }).onConflictDoNothing().returning();
+      if (!event) return false;
+
+      const [current] = await tx.select().from(positionOwnershipHistory)
+        .where(eq(positionOwnershipHistory.positionId, position.id))
+        .orderBy(desc(positionOwnershipHistory.effectiveFrom), desc(positionOwnershipHistory.id))
+        .limit(1);
+
+      // Positions registered before transfer tracking: anchor the registering owner at creation
+      // so everything before this first transfer stays theirs
+      if (!current) {
+        const [owner] = position.userId !== null
+          ? await tx.select().from(users).where(eq(users.id, position.userId)).limit(1)
+          : [];
+        await tx.insert(positionOwnershipHistory).values({
+          positionId: position.id,
+          liquidityEventId: null,
+          ownerAddress: owner?.address.toLowerCase() || transfer.from,
+          userId: position.userId,
+          effectiveFrom: position.createdAt || transfer.timestamp
+        });
+      }
+
+      const receiverUserId = this.requiresReregistration()
+        ? null
+        : (await this.findOrCreateUser(tx, transfer.to)).id;
+
+      await tx.insert(positionOwnershipHistory).values({
+        positionId: position.id,
+        liquidityEventId: event.id,
+        ownerAddress: transfer.to,
+        userId: receiverUserId,
+        effectiveFrom: transfer.timestamp
+      });
+
+      await tx.update(lpPositions)
+        .set({ userId: receiverUserId })
+        .where(eq(lpPositions.id, position.id));
+
+      console.log(`🔀 POSITION TRANSFERS: Position ${position.nftTokenId} ${transfer.from} → ${transfer.to}${receiverUserId === null ? ' (awaiting re-registration)' : ''}`);
+      return true;
+    });
+  }
+
+  private async findOrCreateUser(tx: Parameters<Parameters<typeof db.transaction>[0]>[0], address: string) {
+    const [existing] = await tx.select().from(users)
+      .where(sql`lower(${users.address}) = ${address.toLowerCase()}`)
+      .limit(1);
+    if (existing) return existing;
+
+    const [created] = await tx.insert(users).values({ address }).returning();
+    return created;
+  }
+
+  /**
+   * Let the current holder of a transferred position take over its accrual by registering it.
+   * Returns the updated position, or null when the position isn't waiting for this wallet.
+   */
+  async claimTransferredPosition(position: LpPosition, userId: number, userAddress: string): Promise<LpPosition | null> {
+    if (position.userId !== null) return null;
+
+    const [current] = await db.select().from(positionOwnershipHistory)
+      .where(eq(positionOwnershipHistory.positionId, position.id))
+      .orderBy(desc(positionOwnershipHistory.effectiveFrom), desc(positionOwnershipHistory.id))
+      .limit(1);
+    if (!current || current.userId !== null || current.ownerAddress !== userAddress.toLowerCase()) return null;
+
+    return db.transaction(async (tx) => {
+      await tx.insert(positionOwnershipHistory).values({
+        positionId: position.id,
+        liquidityEventId: current.liquidityEventId,
+        ownerAddress: current.ownerAddress,
+        userId,
+        effectiveFrom: new Date()
+      });
+      const [updated] = await tx.update(lpPositions)
+        .set({ userId })
+        .where(eq(lpPositions.id, position.id))
+        .returning();
+
+      console.log(`🔀 POSITION TRANSFERS: Position ${position.nftTokenId} re-registered by ${userAddress}`);
+      return updated;
+    });
+  }
+
+  /**
+   * Ownership history of the given positions, oldest first per position
+   */
+  async getOwnershipHistory(positionIds: number[]): Promise<Map<number, PositionOwnershipHistory[]>> {
+    const histories = new Map<number, PositionOwnershipHistory[]>();
+    if (positionIds.length === 0) return histories;
+
+    const rows = await db.select().from(positionOwnershipHistory)
+      .where(inArray(positionOwnershipHistory.positionId, positionIds))
+      .orderBy(asc(positionOwnershipHistory.effectiveFrom), asc(positionOwnershipHistory.id));
+    for (const row of rows) {
+      const history = histories.get(row.positionId) || [];
+      history.push(row);
+      histories.set(row.positionId, history);
+    }
+    return histories;
+  }
+
+  /**
+   * Who accrues a position's rewards in [from, to), and for what share of that window.
+   * Untransferred positions belong to their registering user throughout. Time held by a
+   * wallet that has not re-registered belongs to nobody, so the shares may add up to less than 1.
+   */
+  getOwnerShares(position: LpPosition, history: PositionOwnershipHistory[] | undefined, from: Date, to: Date): DayOwnerShare[] {
+    const window = to.getTime() - from.getTime();
+    if (window <= 0) return [];
+    if (!history || history.length === 0) {
+      return position.userId !== null ? [{ userId: position.userId, fraction: 1 }] : [];
+    }
+
+    const shares = new Map<number, number>();
+    for (let i = 0; i < history.length; i++) {
+      const userId = history[i].userId;
+      if (userId === null) continue;
+      const start = Math.max(history[i].effectiveFrom.getTime(), from.getTime());
+      const end = Math.min(i + 1 < history.length ? history[i + 1].effectiveFrom.getTime() : to.getTime(), to.getTime());
+      if (end > start) shares.set(userId, (shares.get(userId) || 0) + (end - start) / window);
+    }
+    return Array.from(shares.entries()).map(([userId, fraction]) => ({ userId, fraction }));
+  }
+
+  /**
+   * Split a position's amount between its owners by share, in whole reward units.
+   * The part of the window nobody owned stays unallocated.
+   */
+  splitByOwner(amount: bigint, shares: DayOwnerShare[]): { userId: number; fraction: number; amount: bigint }[] {
+    const owned = shares.reduce((sum, share) => sum + share.fraction, 0);
+    const unowned = owned < 1 - 1e-9 ? 1 - owned : 0;
+    const parts = allocateProportionally(amount, [...shares.map(share => share.fraction), unowned], REWARD_UNIT_WEI);
+    return shares.map((share, index) => ({ ...share, amount: parts[index] }));
+  }
+
+  /**
+   * Transfer events recorded for a position, oldest first
+   */
+  async getPositionTransfers(positionId: number): Promise<LiquidityEvent[]> {
+    return db.select().from(liquidityEvents)
+      .where(and(eq(liquidityEvents.positionId, positionId), eq(liquidityEvents.eventType, 'transfer')))
+      .orderBy(asc(liquidityEvents.timestamp), asc(liquidityEvents.id));
+  }
+
+  /**
+   * Positions handed over to a wallet that has not registered them yet
+   */
+  async getAwaitingReregistration(): Promise<PositionOwnershipHistory[]> {
+    const latest = await db.select().from(positionOwnershipHistory)
+      .where(isNotNull(positionOwnershipHistory.liquidityEventId))
+      .orderBy(desc(positionOwnershipHistory.effectiveFrom), desc(positionOwnershipHistory.id));
+
+    const seen = new Set<number>();
+    const awaiting: PositionOwnershipHistory[] = [];
+    for (const row of latest) {
+      if (seen.has(row.positionId)) continue;
+      seen.add(row.positionId);
+      if (row.userId === null) awaiting.push(row);
+    }
+    return awaiting;
+  }
+
+  /**
+   * Get current service status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      isSyncing: this.isSyncing,
+      lastSyncedBlock: this.lastSyncedBlock,
+      lastError: this.lastError,
+      requiresReregistration: this.requiresReregistration()
+    };
+  }
+}
+
+// Export singleton instance
+export const positionTransferService = new PositionTransferService();
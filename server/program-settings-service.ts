@@ -0,0 +1,167 @@
+/**
+ * PROGRAM SETTINGS SERVICE
+ * Versioned program settings (program_settings rows):
+ * - Every change is stored as a new version with an effectiveFrom timestamp, never updated in place
+ * - Accrual for any interval uses the version in force during it, so past rewards don't move
+ * - Future versions can be scheduled and cancelled until they take effect
+ */
+
+import { db } from './db';
+import { programSettings, type ProgramSettings } from '@shared/schema';
+import { asc, eq } from 'drizzle-orm';
+import { ErrorHandler } from './error-handler';
+import { settingsVersionAt, DEFAULT_FULL_RANGE_BONUS, DEFAULT_TIME_BOOST_COEFFICIENT, type SettingsVersion } from './reward-formula';
+
+export interface ProgramSettingsVersion extends SettingsVersion {
+  id: number | null; // null = built-in defaults, nothing configured yet
+  lockPeriod: number;
+  createdBy: string | null;
+  createdAt: Date | null;
+}
+
+export interface ProgramSettingsInput {
+  timeBoostCoefficient: number;
+  fullRangeBonus: number;
+  minimumPositionValue: number;
+  lockPeriod: number;
+  effectiveFrom?: string | Date | null; // Defaults to now
+}
+
+// Versions may be submitted a little in the past to absorb clock skew and form latency
+const BACKDATE_TOLERANCE_MS = 5 * 60 * 1000;
+
+const DEFAULT_VERSION: ProgramSettingsVersion = {
+  id: null,
+  timeBoostCoefficient: DEFAULT_TIME_BOOST_COEFFICIENT,
+  fullRangeBonus: DEFAULT_FULL_RANGE_BONUS,
+  minimumPositionValue: 0,
+  lockPeriod: 0,
+  effectiveFrom: new Date(0),
+  createdBy: null,
+  createdAt: null
+};
+
+class ProgramSettingsService {
+  private cache: { versions: ProgramSettingsVersion[]; timestamp: number } | null = null;
+  private readonly CACHE_DURATION = 30000; // 30 seconds
+
+  private toVersion(row: ProgramSettings): ProgramSettingsVersion {
+    return {
+      id: row.id,
+      timeBoostCoefficient: parseFloat(row.timeBoostCoefficient),
+      fullRangeBonus: parseFloat(row.fullRangeBonus),
+      minimumPositionValue: parseFloat(row.minimumPositionValue),
+      lockPeriod: row.lockPeriod,
+      effectiveFrom: row.effectiveFrom,
+      createdBy: row.createdBy,
+      createdAt: row.updatedAt
+    };
+  }
+
+  /**
+   * All versions in effectiveFrom order, or the built-in defaults when none is configured (cached)
+   */
+  async getVersions(): Promise<ProgramSettingsVersion[]> {
+    if (this.cache && (Date.now() - this.cache.timestamp) < this.CACHE_DURATION) {
+      return this.cache.versions;
+    }
+
+    const rows = await db.select().from(programSettings).orderBy(asc(programSettings.effectiveFrom), asc(programSettings.id));
+    const versions = rows.length > 0 ? rows.map(row => this.toVersion(row)) : [DEFAULT_VERSION];
+
+    this.cache = { versions, timestamp: Date.now() };
+    return versions;
+  }
+
+  /**
+   * Whether any version was ever saved through the admin panel
+   */
+  async isConfigured(): Promise<boolean> {
+    const versions = await this.getVersions();
+    return versions[0].id !== null;
+  }
+
+  /**
+   * Version in force at the given time. Time before the first version falls under the first version.
+   */
+  async getVersionAt(at: Date): Promise<ProgramSettingsVersion> {
+    const versions = await this.getVersions();
+    return settingsVersionAt(versions, at) as ProgramSettingsVersion;
+  }
+
+  async getCurrentVersion(): Promise<ProgramSettingsVersion> {
+    return this.getVersionAt(new Date());
+  }
+
+  /**
+   * Store a new version, effective now or at a future time
+   */
+  async createVersion(input: ProgramSettingsInput, createdBy: string): Promise<ProgramSettingsVersion> {
+    const errors: string[] = [];
+    const now = Date.now();
+    const effectiveFrom = input.effectiveFrom ? new Date(input.effectiveFrom) : new Date(now);
+
+    if (isNaN(effectiveFrom.getTime())) {
+      errors.push('Effective from must be a valid date');
+    } else if (effectiveFrom.getTime() < now - BACKDATE_TOLERANCE_MS) {
+      errors.push('Effective from cannot be in the past - accrued rewards keep the settings they were earned under');
+    }
+    if (input.timeBoostCoefficient === undefined || isNaN(input.timeBoostCoefficient) || input.timeBoostCoefficient < 0) {
+      errors.push('Time boost coefficient must be 0 or greater');
+    }
+    if (input.fullRangeBonus === undefined || isNaN(input.fullRangeBonus) || input.fullRangeBonus < 1) {
+      errors.push('Full range bonus must be at least 1.0');
+    }
+    if (input.minimumPositionValue === undefined || isNaN(input.minimumPositionValue) || input.minimumPositionValue < 0) {
+      errors.push('Minimum position value must be 0 or greater');
+    }
+    if (input.lockPeriod === undefined || !Number.isInteger(Number(input.lockPeriod)) || input.lockPeriod < 0) {
+      errors.push('Lock period must be a whole number of days');
+    }
+
+    if (errors.length > 0) {
+      throw ErrorHandler.createValidationError('Program settings validation failed', errors);
+    }
+
+    const [created] = await db.insert(programSettings).values({
+      timeBoostCoefficient: input.timeBoostCoefficient.toString(),
+      fullRangeBonus: input.fullRangeBonus.toString(),
+      minimumPositionValue: input.minimumPositionValue.toString(),
+      lockPeriod: Number(input.lockPeriod),
+      effectiveFrom,
+      createdBy,
+      updatedAt: new Date()
+    }).returning();
+    this.clearCache();
+
+    console.log(`⚙️ PROGRAM SETTINGS: Version ${created.id} effective from ${effectiveFrom.toISOString()}`);
+    return this.toVersion(created);
+  }
+
+  /**
+   * Remove a scheduled version before it takes effect
+   */
+  async cancelVersion(id: number): Promise<ProgramSettingsVersion | null> {
+    const [row] = await db.select().from(programSettings).where(eq(programSettings.id, id)).limit(1);
+    if (!row) return null;
+
+    if (row.effectiveFrom.getTime() <= Date.now()) {
+      throw ErrorHandler.createValidationError('Program settings validation failed', [
+        'Only versions that have not taken effect yet can be cancelled'
+      ]);
+    }
+
+    await db.delete(programSettings).where(eq(programSettings.id, id));
+    this.clearCache();
+
+    console.log(`⚙️ PROGRAM SETTINGS: Cancelled scheduled version ${id}`);
+    return this.toVersion(row);
+  }
+
+  clearCache(): void {
+    this.cache = null;
+  }
+}
+
+// Export singleton instance
+export const programSettingsService = new ProgramSettingsService();
@@ -0,0 +1,523 @@
+/**
+ * RELAYER SERVICE
+ * Submits reward claims from a funded relayer wallet so users can claim without holding ETH for gas:
+ * - The user signs a ClaimIntent for the exact amount, nonce and deadline of their claim signature
+ * - The relayer calls claimRewardsFor on a RelayedClaimTreasuryPool - rewards always go to the user
+ * - Every relayed claim is recorded in relayed_claims and followed until its receipt is mined
+ * - Limited per wallet (RELAYER_WALLET_DAILY_QUOTA / RELAYER_WALLET_MONTHLY_QUOTA) and by a daily
+ *   gas budget (RELAYER_DAILY_GAS_BUDGET_ETH) that includes gas reserved for claims still in flight
+ */
+
+import { ethers } from 'ethers';
+import { db } from './db';
+import { claimSignatures, relayedClaims, type RelayedClaim } from '@shared/schema';
+import { and, desc, eq, gte, inArray, isNotNull, lt, or, sql } from 'drizzle-orm';
+import { smartContractService, type ClaimTypedDataDomain } from './smart-contract-service';
+import { claimSignatureService } from './claim-signature-service';
+import { loadSigner, type LoadedSigner } from './signer-backend';
+import { toTokenAmount } from './token-amount';
+
+const BASE_RPC_URL = process.env.BASE_RPC_URL || 'https://mainnet.base.org';
+
+// RelayedClaimTreasuryPool additions on top of the typed claim pool
+const RELAYED_CLAIM_POOL_ABI = [
+  'function claimRewardsFor(address user, uint256 totalRewardBalance, uint256 deadline, bytes calldata calculatorSignature, bytes calldata intentSignature) external',
+  'function CLAIM_INTENT_TYPEHASH() external view returns (bytes32)'
+];
+
+// Must match CLAIM_INTENT_TYPEHASH in contracts/contracts/RelayedClaimTreasuryPool.sol
+export const CLAIM_INTENT_TYPES = {
+  ClaimIntent: [
+    { name: 'user', type: 'address' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+export type RelayedClaimStatus = 'pending' | 'submitted' | 'confirmed' | 'failed';
+
+// Intent the user signs - same domain and values as the calculator's claim signature
+export interface ClaimIntentTypedData {
+  domain: ClaimTypedDataDomain;
+  types: typeof CLAIM_INTENT_TYPES;
+  primaryType: 'ClaimIntent';
+  message: { user: string; amount: string; nonce: string; deadline: string };
+}
+
+export interface RelayerResult<T> {
+  success: boolean;
+  error?: string;
+  statusCode?: number; // HTTP status for failures: 409 held/in flight, 429 quota, 503 relayer unavailable
+  data?: T;
+}
+
+// Claims already broadcast, or about to be, count against quotas and the gas budget
+const COUNTED = or(isNotNull(relayedClaims.transactionHash), eq(relayedClaims.status, 'pending'));
+
+class RelayerService {
+  private isRunning = false;
+  private intervalId: NodeJS.Timeout | null = null;
+  private readonly MONITOR_INTERVAL = 15 * 1000; // 15 seconds
+  private readonly GAS_LIMIT_BUFFER_PERCENT = 20n;
+  private readonly MIN_DEADLINE_REMAINING_SECONDS = 30; // Leave time for the transaction to be mined
+  private readonly PENDING_TIMEOUT_MS = 5 * 60 * 1000; // Never broadcast - the relayer stopped mid-submission
+  private readonly SUBMITTED_TIMEOUT_MS = 60 * 60 * 1000; // Broadcast but never mined
+
+  private provider = new ethers.JsonRpcProvider(BASE_RPC_URL);
+  private relayer: LoadedSigner | null = null;
+  private signer: ethers.Signer | null = null;
+  private initialization: Promise<void> | null = null;
+  private supportedContracts = new Map<string, boolean>();
+  private lastError: string | null = null;
+
+  // Sends are serialized so quota and budget checks see every earlier claim, and relayer nonces never collide
+  private sendQueue: Promise<unknown> = Promise.resolve();
+
+  private getConfig() {
+    return {
+      dailyGasBudgetWei: ethers.parseEther(process.env.RELAYER_DAILY_GAS_BUDGET_ETH || '0.01'),
+      walletDailyQuota: parseInt(process.env.RELAYER_WALLET_DAILY_QUOTA || '1'),
+      walletMonthlyQuota: parseInt(process.env.RELAYER_WALLET_MONTHLY_QUOTA || '4')
+    };
+  }
+
+  private async initialize(): Promise<void> {
+    if (!this.initialization) {
+      this.initialization = (async () => {
+        try {
+          this.relayer = await loadSigner('relayer');
+          this.signer = this.relayer ? this.relayer.signer.connect(this.provider) : null;
+          if (!this.relayer) {
+            console.log('⚠️ RELAYER: No relayer key configured - gasless claims are disabled');
+          }
+        } catch (error) {
+          this.lastError = error instanceof Error ? error.message : String(error);
+          console.error('❌ RELAYER: Failed to load relayer signer:', error);
+        }
+      })();
+    }
+    return this.initialization;
+  }
+
+  private async withSendQueue<T>(task: () => Promise<T>): Promise<T> {
+    const run = this.sendQueue.catch(() => undefined).then(task);
+    this.sendQueue = run.catch(() => undefined);
+    return run;
+  }
+
+  /**
+   * Start following submitted relayed claims until their receipts are mined
+   */
+  async start() {
+    if (this.isRunning) return;
+
+    await this.initialize();
+    if (!this.relayer) return;
+
+    this.isRunning = true;
+    console.log(`⛽ Relayer Service started - relaying gasless claims from ${this.relayer.address}`);
+
+    this.intervalId = setInterval(() => {
+      this.monitorSubmitted().catch(error => console.error('❌ RELAYER: Receipt check failed:', error));
+    }, this.MONITOR_INTERVAL);
+  }
+
+  /**
+   * Stop following relayed claims
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+    this.isRunning = false;
+    console.log('⏹️ Relayer Service stopped');
+  }
+
+  /**
+   * Whether the treasury contract accepts relayed claims (a RelayedClaimTreasuryPool)
+   */
+  async supportsRelayedClaims(contractAddress: string): Promise<boolean> {
+    const key = contractAddress.toLowerCase();
+    const cached = this.supportedContracts.get(key);
+    if (cached !== undefined) return cached;
+
+    try {
+      const contract = new ethers.Contract(contractAddress, RELAYED_CLAIM_POOL_ABI, this.provider);
+      await contract.CLAIM_INTENT_TYPEHASH();
+      this.supportedContracts.set(key, true);
+      return true;
+    } catch (error) {
+      if ((error as { code?: string }).code !== 'CALL_EXCEPTION') throw error;
+      this.supportedContracts.set(key, false);
+      return false;
+    }
+  }
+
+  private startOfUtcDay(): Date {
+    const now = new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  }
+
+  /**
+   * Gas spent and reserved today (UTC) against the daily budget
+   */
+  async getBudget() {
+    const { dailyGasBudgetWei } = this.getConfig();
+    const [row] = await db.select({
+      used: sql<string>`coalesce(sum(coalesce(${relayedClaims.gasCostWei}, ${relayedClaims.estimatedCostWei})), 0)`
+    })
+      .from(relayedClaims)
+      .where(and(gte(relayedClaims.createdAt, this.startOfUtcDay()), COUNTED));
+
+    const usedWei = BigInt(row?.used ?? '0');
+    const remainingWei = usedWei >= dailyGasBudgetWei ? 0n : dailyGasBudgetWei - usedWei;
+    return { dailyGasBudgetWei, usedWei, remainingWei };
+  }
+
+  /**
+   * Relayed claims left for a wallet in the rolling 24 hour and 30 day windows
+   */
+  async getWalletQuota(userAddress: string) {
+    const { walletDailyQuota, walletMonthlyQuota } = this.getConfig();
+    const now = Date.now();
+    const [row] = await db.select({
+      lastDay: sql<number>`count(*) filter (where ${relayedClaims.createdAt} >= ${new Date(now - 24 * 60 * 60 * 1000)})`,
+      lastMonth: sql<number>`count(*)`
+    })
+      .from(relayedClaims)
+      .where(and(
+        eq(relayedClaims.userAddress, userAddress.toLowerCase()),
+        gte(relayedClaims.createdAt, new Date(now - 30 * 24 * 60 * 60 * 1000)),
+        COUNTED
+      ));
+
+    const usedToday = Number(row?.lastDay ?? 0);
+    const usedThisMonth = Number(row?.lastMonth ?? 0);
+    return {
+      daily: walletDailyQuota,
+      monthly: walletMonthlyQuota,
+      usedToday,
+      usedThisMonth,
+      remaining: Math.max(0, Math.min(walletDailyQuota - usedToday, walletMonthlyQuota - usedThisMonth))
+    };
+  }
+
+  private async checkAvailable(userAddress: string): Promise<RelayerResult<never> | null> {
+    await this.initialize();
+    if (!this.relayer || !this.signer) {
+      return { success: false, statusCode: 503, error: 'Gasless claims are not available right now' };
+    }
+
+    const contractAddress = await smartContractService.getTreasuryContractAddress();
+    if (!await this.supportsRelayedClaims(contractAddress)) {
+      return { success: false, statusCode: 503, error: 'The treasury contract does not accept relayed claims' };
+    }
+
+    const quota = await this.getWalletQuota(userAddress);
+    if (quota.remaining <= 0) {
+      return {
+        success: false,
+        statusCode: 429,
+        error: `Gasless claim limit reached (${quota.daily} per day, ${quota.monthly} per 30 days) - you can still claim paying your own gas`
+      };
+    }
+
+    const { remainingWei } = await this.getBudget();
+    if (remainingWei === 0n) {
+      return { success: false, statusCode: 503, error: 'Gasless claims are used up for today - try again tomorrow or claim paying your own gas' };
+    }
+    return null;
+  }
+
+  /**
+   * Claim signature plus the intent typed data the wallet has to sign to have it relayed
+   */
+  async prepare(userAddress: string, requestIp: string | null = null): Promise<RelayerResult<{
+    issuanceId: number;
+    totalRewardBalance: ReturnType<typeof toTokenAmount>;
+    deadline: number;
+    intent: ClaimIntentTypedData;
+    quotaRemaining: number;
+  }>> {
+    const unavailable = await this.checkAvailable(userAddress);
+    if (unavailable) return unavailable;
+
+    const issued = await claimSignatureService.issue(userAddress, { requestIp, source: 'relayer' });
+    if (!issued.success) {
+      return { success: false, statusCode: issued.held ? 409 : 400, error: issued.error || 'Failed to generate claim signature' };
+    }
+    if (!issued.typedData || issued.deadline === undefined || issued.issuanceId === undefined || !issued.totalRewardBalance) {
+      return { success: false, statusCode: 503, error: 'The treasury contract does not accept relayed claims' };
+    }
+
+    const quota = await this.getWalletQuota(userAddress);
+    return {
+      success: true,
+      data: {
+        issuanceId: issued.issuanceId,
+        totalRewardBalance: issued.totalRewardBalance,
+        deadline: issued.deadline,
+        intent: {
+          domain: issued.typedData.domain,
+          types: CLAIM_INTENT_TYPES,
+          primaryType: 'ClaimIntent',
+          message: issued.typedData.message
+        },
+        quotaRemaining: quota.remaining
+      }
+    };
+  }
+
+  /**
+   * Relay a prepared claim with the user's intent signature. Returns the recorded relayed claim.
+   */
+  async submit(
+    userAddress: string,
+    issuanceId: number,
+    intentSignature: string,
+    requestIp: string | null = null
+  ): Promise<RelayerResult<ReturnType<RelayerService['describe']>>> {
+    const address = userAddress.toLowerCase();
+
+    return this.withSendQueue(async () => {
+      const [record] = await db.select().from(claimSignatures).where(eq(claimSignatures.id, issuanceId)).limit(1);
+      if (!record || record.userAddress !== address || record.scheme !== 'eip712' || !record.expiresAt) {
+        return { success: false, statusCode: 400, error: 'Unknown claim signature - prepare the claim again' };
+      }
+
+      // Same claim sent twice (double click, retry) - report the one already relayed
+      const [existing] = await db.select().from(relayedClaims)
+        .where(and(
+          eq(relayedClaims.claimSignatureId, record.id),
+          inArray(relayedClaims.status, ['pending', 'submitted', 'confirmed'])
+        ))
+        .limit(1);
+      if (existing) {
+        return { success: true, data: this.describe(existing) };
+      }
+
+      if (record.consumedAt) {
+        return { success: false, statusCode: 400, error: 'This claim has already been redeemed' };
+      }
+      const deadline = Math.floor(record.expiresAt.getTime() / 1000);
+      if (deadline - Date.now() / 1000 < this.MIN_DEADLINE_REMAINING_SECONDS) {
+        return { success: false, statusCode: 400, error: 'Claim signature expired - prepare the claim again' };
+      }
+
+      const unavailable = await this.checkAvailable(address);
+      if (unavailable) return unavailable;
+
+      const { contractAddress, nonce } = await smartContractService.getClaimNonce(userAddress);
+      if (contractAddress.toLowerCase() !== record.contractAddress || nonce !== BigInt(record.nonce)) {
+        return { success: false, statusCode: 400, error: 'Claim signature is no longer valid - prepare the claim again' };
+      }
+
+      const domain = await smartContractService.getClaimDomain(record.contractAddress);
+      if (!domain) {
+        return { success: false, statusCode: 503, error: 'The treasury contract does not accept relayed claims' };
+      }
+      const message = {
+        user: ethers.getAddress(record.userAddress),
+        amount: record.amount,
+        nonce: record.nonce.toString(),
+        deadline: deadline.toString()
+      };
+
+      // Smart contract wallets sign through ERC-1271 - the contract checks those, gas estimation catches a bad one
+      let signer: string | null = null;
+      try {
+        signer = ethers.verifyTypedData(domain, CLAIM_INTENT_TYPES, message, intentSignature);
+      } catch {
+        // Not a valid ECDSA signature
+      }
+      if (signer !== message.user && await this.provider.getCode(message.user) === '0x') {
+        return { success: false, statusCode: 400, error: 'Claim intent was not signed by this wallet' };
+      }
+
+      const contract = new ethers.Contract(record.contractAddress, RELAYED_CLAIM_POOL_ABI, this.signer!);
+      const args = [message.user, record.amount, deadline, record.signature, intentSignature];
+
+      let gasLimit: bigint;
+      let costWei: bigint;
+      try {
+        const estimate: bigint = await contract.claimRewardsFor.estimateGas(...args);
+        gasLimit = estimate * (100n + this.GAS_LIMIT_BUFFER_PERCENT) / 100n;
+        const feeData = await this.provider.getFeeData();
+        costWei = gasLimit * (feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n);
+      } catch (error) {
+        const reason = (error as { reason?: string; shortMessage?: string }).reason
+          || (error as { shortMessage?: string }).shortMessage
+          || (error instanceof Error ? error.message : String(error));
+        return { success: false, statusCode: 400, error: `Claim would fail on-chain: ${reason}` };
+      }
+
+      const { remainingWei } = await this.getBudget();
+      if (costWei > remainingWei) {
+        return { success: false, statusCode: 503, error: 'Gasless claims are used up for today - try again tomorrow or claim paying your own gas' };
+      }
+      const relayerBalance = await this.provider.getBalance(this.relayer!.address);
+      if (costWei > relayerBalance) {
+        console.error(`❌ RELAYER: ${this.relayer!.address} holds ${ethers.formatEther(relayerBalance)} ETH - not enough for ${ethers.formatEther(costWei)} ETH of gas`);
+        return { success: false, statusCode: 503, error: 'Gasless claims are not available right now' };
+      }
+
+      const [row] = await db.insert(relayedClaims).values({
+        userAddress: address,
+        contractAddress: record.contractAddress,
+        nonce: record.nonce,
+        amount: record.amount,
+        claimSignatureId: record.id,
+        intentSignature,
+        status: 'pending',
+        relayerAddress: this.relayer!.address.toLowerCase(),
+        estimatedCostWei: costWei.toString(),
+        requestIp
+      }).returning();
+
+      try {
+        const tx: ethers.TransactionResponse = await contract.claimRewardsFor(...args, { gasLimit });
+        const [submitted] = await db.update(relayedClaims)
+          .set({ status: 'submitted', transactionHash: tx.hash, submittedAt: new Date() })
+          .where(eq(relayedClaims.id, row.id))
+          .returning();
+
+        console.log(`⛽ RELAYER: Relayed claim #${row.id} for ${address}: ${toTokenAmount(BigInt(record.amount)).formatted} KILT in ${tx.hash}`);
+        return { success: true, data: this.describe(submitted) };
+      } catch (error) {
+        const message = error instanceof Error ? error.message : String(error);
+        await db.update(relayedClaims)
+          .set({ status: 'failed', error: message })
+          .where(eq(relayedClaims.id, row.id));
+
+        this.lastError = message;
+        console.error(`❌ RELAYER: Failed to send claim #${row.id} for ${address}:`, error);
+        return { success: false, statusCode: 500, error: 'The relayer could not send the claim transaction' };
+      }
+    });
+  }
+
+  /**
+   * Settle submitted claims whose receipts are mined, and give up on ones that never will be
+   */
+  async monitorSubmitted(): Promise<number> {
+    const now = Date.now();
+
+    // Rows left pending were never broadcast (the process stopped mid-submission) - release their budget
+    await db.update(relayedClaims)
+      .set({ status: 'failed', error: 'Relayer stopped before broadcasting the transaction' })
+      .where(and(eq(relayedClaims.status, 'pending'), lt(relayedClaims.createdAt, new Date(now - this.PENDING_TIMEOUT_MS))));
+
+    const submitted = await db.select().from(relayedClaims).where(eq(relayedClaims.status, 'submitted'));
+    let settled = 0;
+    let confirmed = 0;
+
+    for (const claim of submitted) {
+      const receipt = await this.provider.getTransactionReceipt(claim.transactionHash!);
+      if (!receipt) {
+        if (claim.submittedAt && now - claim.submittedAt.getTime() > this.SUBMITTED_TIMEOUT_MS) {
+          await db.update(relayedClaims)
+            .set({ status: 'failed', error: 'Transaction was not mined within an hour' })
+            .where(eq(relayedClaims.id, claim.id));
+          settled++;
+        }
+        continue;
+      }
+
+      const succeeded = receipt.status === 1;
+      await db.update(relayedClaims)
+        .set({
+          status: succeeded ? 'confirmed' : 'failed',
+          gasUsed: receipt.gasUsed.toString(),
+          gasCostWei: receipt.fee.toString(),
+          confirmedAt: new Date(),
+          error: succeeded ? null : 'Claim transaction reverted'
+        })
+        .where(eq(relayedClaims.id, claim.id));
+
+      settled++;
+      if (succeeded) confirmed++;
+      console.log(`${succeeded ? '✅' : '❌'} RELAYER: Claim #${claim.id} ${succeeded ? 'confirmed' : 'reverted'} - ${ethers.formatEther(receipt.fee)} ETH gas`);
+    }
+
+    // Record the claims in the reward ledger now rather than at the next scheduled sync
+    if (confirmed > 0) {
+      const { rewardLedgerService } = await import('./reward-ledger-service');
+      rewardLedgerService.syncClaims().catch(error => console.error('❌ RELAYER: Claim sync failed:', error));
+    }
+    return settled;
+  }
+
+  describe(claim: RelayedClaim) {
+    return {
+      id: claim.id,
+      userAddress: claim.userAddress,
+      contractAddress: claim.contractAddress,
+      nonce: claim.nonce,
+      amount: toTokenAmount(BigInt(claim.amount)),
+      status: claim.status as RelayedClaimStatus,
+      relayerAddress: claim.relayerAddress,
+      transactionHash: claim.transactionHash,
+      estimatedCostEth: ethers.formatEther(claim.estimatedCostWei),
+      gasUsed: claim.gasUsed,
+      gasCostEth: claim.gasCostWei === null ? null : ethers.formatEther(claim.gasCostWei),
+      error: claim.error,
+      createdAt: claim.createdAt,
+      submittedAt: claim.submittedAt,
+      confirmedAt: claim.confirmedAt
+    };
+  }
+
+  /**
+   * Relayed claims, newest first, optionally for one wallet
+   */
+  async getClaims(address?: string, limit: number = 50) {
+    const query = db.select().from(relayedClaims);
+    const rows = address
+      ? await query.where(eq(relayedClaims.userAddress, address.toLowerCase())).orderBy(desc(relayedClaims.id)).limit(limit)
+      : await query.orderBy(desc(relayedClaims.id)).limit(limit);
+    return rows.map(row => this.describe(row));
+  }
+
+  /**
+   * Relayer availability, balance and today's gas budget, plus the wallet's quota when given
+   */
+  async getStatus(userAddress?: string) {
+    await this.initialize();
+    const config = this.getConfig();
+    const budget = await this.getBudget();
+
+    let contractSupported = false;
+    let relayerBalanceEth: string | null = null;
+    if (this.relayer) {
+      try {
+        contractSupported = await this.supportsRelayedClaims(await smartContractService.getTreasuryContractAddress());
+        relayerBalanceEth = ethers.formatEther(await this.provider.getBalance(this.relayer.address));
+      } catch (error) {
+        this.lastError = error instanceof Error ? error.message : String(error);
+      }
+    }
+
+    return {
+      enabled: !!this.relayer && contractSupported,
+      isRunning: this.isRunning,
+      relayerAddress: this.relayer?.address ?? null,
+      signerBackend: this.relayer?.backend ?? null,
+      contractSupported,
+      relayerBalanceEth,
+      budget: {
+        dailyEth: ethers.formatEther(config.dailyGasBudgetWei),
+        usedEth: ethers.formatEther(budget.usedWei),
+        remainingEth: ethers.formatEther(budget.remainingWei)
+      },
+      quota: userAddress
+        ? await this.getWalletQuota(userAddress)
+        : { daily: config.walletDailyQuota, monthly: config.walletMonthlyQuota },
+      lastError: this.lastError
+    };
+  }
+}
+
+// Export singleton instance
+export const relayerService = new RelayerService();
@@ -1,9 +1,9 @@
 import { createPublicClient, createWalletClient, http, parseEther, formatEther } from 'viem';
 import { base } from 'viem/chains';
-import { privateKeyToAccount } from 'viem/accounts';
+import { loadSigner, toViemAccount } from './signer-backend';
 import { storage } from './storage';
 import { db } from './db';
-import { adminOperations } from '../shared/schema';
+import { adminAuditService } from './admin-audit-service';
 
 // ERC20 ABI for KILT token transfers
 const KILT_TOKEN_ABI = [
@@ -28,16 +28,23 @@ const KILT_TOKEN_ABI = [
 
 interface RewardDistributionConfig {
   treasuryWalletAddress: string;
-  treasuryPrivateKey?: string; // Only for automated distributions
   kiltTokenAddress: string;
   dailyRewardsCap: string;
   lockPeriodDays: number;
 }
 
+function createTreasuryWalletClient(account: ReturnType<typeof toViemAccount>) {
+  return createWalletClient({
+    account,
+    chain: base,
+    transport: http('https://base-rpc.publicnode.com'),
+  });
+}
+
 export class RewardDistributionService {
   private config: RewardDistributionConfig;
   private publicClient;
-  private walletClient;
+  private walletClient: ReturnType<typeof createTreasuryWalletClient> | null = null;
 
   constructor(config: RewardDistributionConfig) {
     this.config = config;
@@ -48,14 +55,16 @@ export class RewardDistributionService {
       transport: http('https://base-rpc.publicnode.com'),
     });
 
-    // Wallet client for treasury operations (if private key provided)
-    if (config.treasuryPrivateKey) {
-      const account = privateKeyToAccount(config.treasuryPrivateKey as `0x${string}`);
-      this.walletClient = createWalletClient({
-        account,
-        chain: base,
-        transport: http('https://base-rpc.publicnode.com'),
-      });
+    // Wallet client for treasury operations (if a treasury signer is configured)
+    this.initializeWalletClient().catch(error => {
+      console.error('Failed to initialize treasury signer:', error);
+    });
+  }
+
+  private async initializeWalletClient(): Promise<void> {
+    const treasury = await loadSigner('treasury');
+    if (treasury) {
+      this.walletClient = createTreasuryWalletClient(toViemAccount(treasury));
     }
   }
 
@@ -148,12 +157,11 @@ export class RewardDistributionService {
           });
 
           // Log operation to admin operations table
-          await db.insert(adminOperations).values({
-            operation: 'REWARD_DISTRIBUTION',
-            operationDetails: `Distributed ${recipient.amount} KILT to ${recipient.userAddress} for NFT ${recipient.nftTokenId}`,
+          await adminAuditService.record({
+            operationType: 'REWARD_DISTRIBUTION',
+            reason: `Distributed ${recipient.amount} KILT to ${recipient.userAddress} for NFT ${recipient.nftTokenId}`,
             performedBy: 'automated_system',
-            transactionHash: hash,
-            success: true,
+            transactionHash: hash
           });
 
         } catch (error: unknown) {
@@ -164,12 +172,12 @@ export class RewardDistributionService {
           });
 
           // Log failed operation
-          await db.insert(adminOperations).values({
-            operation: 'REWARD_DISTRIBUTION',
-            operationDetails: `Failed to distribute ${recipient.amount} KILT to ${recipient.userAddress}`,
+          await adminAuditService.record({
+            operationType: 'REWARD_DISTRIBUTION',
+            reason: `Failed to distribute ${recipient.amount} KILT to ${recipient.userAddress}`,
             performedBy: 'automated_system',
             success: false,
-            errorMessage: errorMessage,
+            errorMessage
           });
         }
       }
@@ -280,7 +288,6 @@ export class RewardDistributionService {
 // Export singleton instance
 export const rewardDistributionService = new RewardDistributionService({
   treasuryWalletAddress: process.env.TREASURY_WALLET_ADDRESS || '0x0000000000000000000000000000000000000000',
-  treasuryPrivateKey: process.env.TREASURY_PRIVATE_KEY, // Optional for automated distributions
   kiltTokenAddress: '0x5D0DD05bB095fdD6Af4865A1AdF97c39C85ad2d8',
   dailyRewardsCap: '33333.33',
   lockPeriodDays: 7
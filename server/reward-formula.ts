@@ -0,0 +1,405 @@
+/**
+ * Reward formula - pure calculations shared by the live reward services and the offline backtest.
+ * Nothing in this module touches the database, so results depend only on the inputs passed in.
+ *
+ * R_u = (L_u/L_T) × (1 + (D_u/P) × b_time) × IRM × FRB × R, normalised per day to the emission cap
+ * (per pool: L_T and R are the pool's TVL and its weighted share of the cap)
+ */
+
+import { allocateProportionally, KILT_DECIMALS, REWARD_UNIT_WEI } from './token-amount';
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_TIME_BOOST_COEFFICIENT = 0.6; // b_time
+export const TIME_BOOST_PERIOD_DAYS = 365; // P
+export const DEFAULT_FULL_RANGE_BONUS = 1.2; // Matches program_settings.full_range_bonus column default
+export const FALLBACK_POOL_TVL = 99171; // Last resort when neither the on-chain nor a configured pool TVL is available
+// A pool tick observation is only trusted for this long - longer gaps (service downtime) count as unobserved
+export const MAX_TICK_OBSERVATION_HOLD_MS = 30 * 60 * 1000;
+
+// Uniswap V3 tick bounds and tick spacing per fee tier
+export const MIN_TICK = -887272;
+export const MAX_TICK = 887272;
+export const TICK_SPACINGS: Record<number, number> = { 100: 1, 500: 10, 3000: 60, 10000: 200 };
+
+export interface FormulaParameters {
+  timeBoostCoefficient: number;
+  fullRangeBonus: number;
+}
+
+// Program settings version, in force from effectiveFrom until the next version
+export interface SettingsVersion extends FormulaParameters {
+  effectiveFrom: Date;
+  minimumPositionValue: number;
+}
+
+export interface FormulaPosition {
+  currentValueUSD: string | number | null;
+  tickLower: number | string;
+  tickUpper: number | string;
+  feeTier: number | string;
+}
+
+export interface DayWeight {
+  weight: number;
+  effectiveValueUSD: number; // Position value scaled by the liquidity actually held that day
+  timeBoost: number;
+  inRangeMultiplier: number;
+  fullRangeBonus: number;
+}
+
+export interface LiquidityInterval {
+  from: Date;
+  to: Date;
+  liquidity: bigint;
+}
+
+export interface TickObservation {
+  tick: number;
+  recordedAt: Date;
+}
+
+// Pool price sample with the KILT price at the same time
+export interface PriceObservation extends TickObservation {
+  sqrtPriceX96: bigint;
+  kiltPriceUSD: number;
+}
+
+export interface PoolWeight {
+  address: string;
+  weight: number; // Relative share of the daily budget
+}
+
+export type LiquidityEventType = 'mint' | 'increase' | 'decrease' | 'burn' | 'collect';
+
+/**
+ * Position liquidity after a liquidity event, or null when the event doesn't change liquidity
+ */
+export function applyLiquidityEvent(previous: bigint, eventType: string, delta: bigint): bigint | null {
+  switch (eventType) {
+    case 'mint':
+      return delta;
+    case 'increase':
+      return previous + delta;
+    case 'decrease':
+      return previous > delta ? previous - delta : 0n;
+    case 'burn':
+      return 0n;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Full range = position spans the minimum to maximum usable tick for its fee tier
+ */
+export function isFullRangePosition(tickLower: number, tickUpper: number, feeTier: number): boolean {
+  const tickSpacing = TICK_SPACINGS[feeTier] || TICK_SPACINGS[3000];
+  const minUsableTick = Math.ceil(MIN_TICK / tickSpacing) * tickSpacing;
+  const maxUsableTick = Math.floor(MAX_TICK / tickSpacing) * tickSpacing;
+
+  return tickLower <= minUsableTick && tickUpper >= maxUsableTick;
+}
+
+/**
+ * Weighted liquidity for one day of a position's life:
+ * L_u × liquidity factor × (1 + (D_u/P) × b_time) × IRM × FRB.
+ * Dividing by L_T and multiplying by R gives the uncapped daily reward.
+ */
+export function calculateDayWeight(
+  position: FormulaPosition,
+  params: FormulaParameters,
+  dayIndex: number,
+  inRangeRatio: number | null,
+  liquidityFactor: number
+): DayWeight {
+  const effectiveValueUSD = parseFloat(String(position.currentValueUSD || '0')) * liquidityFactor;
+  const timeBoost = 1 + ((dayIndex / TIME_BOOST_PERIOD_DAYS) * params.timeBoostCoefficient);
+  const inRangeMultiplier = inRangeRatio === null ? 1.0 : inRangeRatio;
+  const fullRangeBonus = isFullRangePosition(Number(position.tickLower), Number(position.tickUpper), Number(position.feeTier))
+    ? params.fullRangeBonus
+    : 1.0;
+
+  return {
+    weight: effectiveValueUSD * timeBoost * inRangeMultiplier * fullRangeBonus,
+    effectiveValueUSD,
+    timeBoost,
+    inRangeMultiplier,
+    fullRangeBonus
+  };
+}
+
+/**
+ * Settings version in force at the given time (versions sorted by effectiveFrom).
+ * Time before the first version falls under the first version.
+ */
+export function settingsVersionAt<T extends SettingsVersion>(versions: T[], at: Date): T | undefined {
+  let inForce = versions[0];
+  for (const version of versions) {
+    if (version.effectiveFrom <= at) inForce = version;
+  }
+  return inForce;
+}
+
+/**
+ * Split [from, to) into the intervals governed by each settings version (sorted by effectiveFrom).
+ * Time before the first version is governed by the first version.
+ */
+export function splitBySettingsVersion<T extends SettingsVersion>(
+  versions: T[],
+  from: Date,
+  to: Date
+): { from: Date; to: Date; version: T }[] {
+  const segments: { from: Date; to: Date; version: T }[] = [];
+  for (let i = 0; i < versions.length; i++) {
+    const versionStart = i === 0 ? from.getTime() : Math.max(versions[i].effectiveFrom.getTime(), from.getTime());
+    const versionEnd = i + 1 < versions.length ? Math.min(versions[i + 1].effectiveFrom.getTime(), to.getTime()) : to.getTime();
+    if (versionEnd > versionStart) {
+      segments.push({ from: new Date(versionStart), to: new Date(versionEnd), version: versions[i] });
+    }
+  }
+  return segments;
+}
+
+/**
+ * Combine the weights of parts of a day computed under different settings versions.
+ * Weights add up by each part's fraction of the day; multipliers are time-weighted averages.
+ */
+export function combineDayWeights(parts: { fraction: number; dayWeight: DayWeight }[]): DayWeight {
+  const totalFraction = parts.reduce((sum, part) => sum + part.fraction, 0);
+  const average = (pick: (dayWeight: DayWeight) => number) => totalFraction > 0
+    ? parts.reduce((sum, part) => sum + part.fraction * pick(part.dayWeight), 0) / totalFraction
+    : 0;
+
+  return {
+    weight: parts.reduce((sum, part) => sum + part.fraction * part.dayWeight.weight, 0),
+    effectiveValueUSD: parts.reduce((sum, part) => sum + part.fraction * part.dayWeight.effectiveValueUSD, 0),
+    timeBoost: average(dayWeight => dayWeight.timeBoost),
+    inRangeMultiplier: average(dayWeight => dayWeight.inRangeMultiplier),
+    fullRangeBonus: average(dayWeight => dayWeight.fullRangeBonus)
+  };
+}
+
+/**
+ * Uncapped daily reward for a day weight: (weight / L_T) × R
+ */
+export function rawDailyReward(weight: number, poolTVL: number, dailyBudget: number): number {
+  return poolTVL > 0 ? (weight / poolTVL) * dailyBudget : 0;
+}
+
+/**
+ * Scale a day's uncapped rewards so they sum to the daily cap
+ */
+export function normalizeToCap(rawRewards: number[], dailyCap: number): { normalizationFactor: number; amounts: number[] } {
+  const rawTotal = rawRewards.reduce((sum, amount) => sum + amount, 0);
+  const normalizationFactor = rawTotal > 0 ? dailyCap / rawTotal : 0;
+  return { normalizationFactor, amounts: rawRewards.map(amount => amount * normalizationFactor) };
+}
+
+/**
+ * Share of the daily budget for each pool: weight / sum of weights, keyed by lowercase pool address
+ */
+export function poolBudgetShares(pools: PoolWeight[]): Map<string, number> {
+  const totalWeight = pools.reduce((sum, pool) => sum + Math.max(0, pool.weight), 0);
+  return new Map(pools.map(pool => [
+    pool.address.toLowerCase(),
+    totalWeight > 0 ? Math.max(0, pool.weight) / totalWeight : 0
+  ]));
+}
+
+/**
+ * Scale a day's uncapped rewards so each pool's rewards sum to that pool's share of the daily cap.
+ * Positions in pools without a share get nothing, and a pool without eligible positions leaves its
+ * share unspent rather than handing it to the other pools.
+ */
+export function normalizeToPoolCaps(
+  entries: { poolAddress: string; rawReward: number }[],
+  dailyCap: number,
+  shares: Map<string, number>
+): { normalizationFactors: Map<string, number>; amounts: number[] } {
+  const indexesByPool = new Map<string, number[]>();
+  entries.forEach((entry, index) => {
+    const pool = entry.poolAddress.toLowerCase();
+    indexesByPool.set(pool, [...(indexesByPool.get(pool) || []), index]);
+  });
+
+  const normalizationFactors = new Map<string, number>();
+  const amounts: number[] = entries.map(() => 0);
+  indexesByPool.forEach((indexes, pool) => {
+    const { normalizationFactor, amounts: poolAmounts } = normalizeToCap(
+      indexes.map(index => entries[index].rawReward),
+      dailyCap * (shares.get(pool) || 0)
+    );
+    normalizationFactors.set(pool, normalizationFactor);
+    indexes.forEach((index, i) => { amounts[index] = poolAmounts[i]; });
+  });
+
+  return { normalizationFactors, amounts };
+}
+
+/**
+ * Exact amounts of normalizeToPoolCaps in wei: the daily cap is split across pools by share, then each
+ * pool's part across its positions by raw reward, in REWARD_UNIT_WEI steps. Amounts add up to each pool's
+ * part exactly, so what is stored is what the cap allows - no rounding drift between days, ledger and claims.
+ */
+export function allocateToPoolCaps(
+  entries: { poolAddress: string; rawReward: number }[],
+  dailyCapWei: bigint,
+  shares: Map<string, number>
+): bigint[] {
+  const poolShares = new Map(Array.from(shares.entries()).map(([pool, share]) => [pool.toLowerCase(), Math.max(0, share)]));
+  const pools = Array.from(poolShares.keys());
+  const shareTotal = pools.reduce((sum, pool) => sum + (poolShares.get(pool) || 0), 0);
+  // The unshared remainder stays unallocated, like the share of a pool without positions (float noise aside)
+  const unshared = 1 - shareTotal > 1e-9 ? 1 - shareTotal : 0;
+  const poolCaps = allocateProportionally(
+    dailyCapWei,
+    [...pools.map(pool => poolShares.get(pool) || 0), unshared],
+    REWARD_UNIT_WEI
+  );
+
+  const amounts: bigint[] = entries.map(() => 0n);
+  pools.forEach((pool, poolIndex) => {
+    const indexes = entries
+      .map((entry, index) => ({ entry, index }))
+      .filter(({ entry }) => entry.poolAddress.toLowerCase() === pool)
+      .map(({ index }) => index);
+    const poolAmounts = allocateProportionally(
+      poolCaps[poolIndex],
+      indexes.map(index => Math.max(0, entries[index].rawReward)),
+      REWARD_UNIT_WEI
+    );
+    indexes.forEach((index, i) => { amounts[index] = poolAmounts[i]; });
+  });
+
+  return amounts;
+}
+
+/**
+ * Time-weighted liquidity in [from, to) relative to the reference liquidity.
+ * Time not covered by any interval counts as zero liquidity.
+ */
+export function computeLiquidityFactor(intervals: LiquidityInterval[], referenceLiquidity: bigint, from: Date, to: Date): number {
+  const windowStart = from.getTime();
+  const windowEnd = to.getTime();
+  if (windowEnd <= windowStart) return 0;
+
+  let weightedMs = 0;
+  for (const interval of intervals) {
+    const segmentStart = Math.max(interval.from.getTime(), windowStart);
+    const segmentEnd = Math.min(interval.to.getTime(), windowEnd);
+    if (segmentEnd <= segmentStart) continue;
+
+    weightedMs += (segmentEnd - segmentStart) * (Number(interval.liquidity) / Number(referenceLiquidity));
+  }
+
+  return weightedMs / (windowEnd - windowStart);
+}
+
+/**
+ * Fraction of observed time in [from, to) during which tickLower <= tick < tickUpper.
+ * Observations are treated as a step function held for at most maxHoldMs; returns null when nothing was observed.
+ */
+export function computeInRangeRatio(
+  observations: TickObservation[],
+  tickLower: number,
+  tickUpper: number,
+  from: Date,
+  to: Date,
+  maxHoldMs: number = MAX_TICK_OBSERVATION_HOLD_MS
+): number | null {
+  const windowStart = from.getTime();
+  const windowEnd = to.getTime();
+  let observedMs = 0;
+  let inRangeMs = 0;
+
+  for (let i = 0; i < observations.length; i++) {
+    const observedAt = observations[i].recordedAt.getTime();
+    const nextTime = i + 1 < observations.length ? observations[i + 1].recordedAt.getTime() : windowEnd;
+    const segmentStart = Math.max(observedAt, windowStart);
+    const segmentEnd = Math.min(nextTime, windowEnd, observedAt + maxHoldMs);
+
+    if (segmentEnd <= segmentStart) continue;
+
+    const duration = segmentEnd - segmentStart;
+    observedMs += duration;
+
+    const tick = observations[i].tick;
+    if (tick >= tickLower && tick < tickUpper) {
+      inRangeMs += duration;
+    }
+  }
+
+  return observedMs > 0 ? inRangeMs / observedMs : null;
+}
+
+/**
+ * KILT-denominated value of a Uniswap V3 position's liquidity at a pool price, for a pool with KILT
+ * as token0 or token1. Token amounts follow the V3 range formulas; the other token is converted at the pool price.
+ */
+export function positionValueInKilt(
+  liquidity: bigint,
+  sqrtPriceX96: bigint,
+  tickLower: number,
+  tickUpper: number,
+  kiltIsToken0: boolean
+): number {
+  const L = Number(liquidity);
+  const sqrtPrice = Number(sqrtPriceX96) / 2 ** 96;
+  if (!(L > 0) || !(sqrtPrice > 0) || tickLower >= tickUpper) return 0;
+
+  const sqrtLower = Math.pow(1.0001, Math.max(tickLower, MIN_TICK) / 2);
+  const sqrtUpper = Math.pow(1.0001, Math.min(tickUpper, MAX_TICK) / 2);
+  const current = Math.min(Math.max(sqrtPrice, sqrtLower), sqrtUpper);
+  const amount0 = L * (sqrtUpper - current) / (current * sqrtUpper);
+  const amount1 = L * (current - sqrtLower);
+
+  // Both amounts in base units of token1, then in base units of KILT
+  const valueInToken1 = amount0 * sqrtPrice * sqrtPrice + amount1;
+  const valueInKiltUnits = kiltIsToken0 ? valueInToken1 / (sqrtPrice * sqrtPrice) : valueInToken1;
+  return valueInKiltUnits / 10 ** KILT_DECIMALS;
+}
+
+/**
+ * Time-weighted USD value of a position over [from, to), from its liquidity intervals and the pool's
+ * price observations (held like tick observations, for at most maxHoldMs). Time without liquidity counts
+ * as zero value; returns null when no price was observed in the window or the range is unknown (0/0 ticks).
+ */
+export function computePositionValueUSD(
+  intervals: LiquidityInterval[],
+  observations: PriceObservation[],
+  tickLower: number,
+  tickUpper: number,
+  kiltIsToken0: boolean,
+  from: Date,
+  to: Date,
+  maxHoldMs: number = MAX_TICK_OBSERVATION_HOLD_MS
+): number | null {
+  // A position without a recorded range can't be priced - valuing it at zero would drop it from every day
+  if (tickLower >= tickUpper) return null;
+
+  const windowStart = from.getTime();
+  const windowEnd = to.getTime();
+  let observedMs = 0;
+  let weightedValue = 0;
+
+  for (let i = 0; i < observations.length; i++) {
+    const observedAt = observations[i].recordedAt.getTime();
+    const nextTime = i + 1 < observations.length ? observations[i + 1].recordedAt.getTime() : windowEnd;
+    const segmentStart = Math.max(observedAt, windowStart);
+    const segmentEnd = Math.min(nextTime, windowEnd, observedAt + maxHoldMs);
+    if (segmentEnd <= segmentStart) continue;
+
+    observedMs += segmentEnd - segmentStart;
+    for (const interval of intervals) {
+      const overlapStart = Math.max(interval.from.getTime(), segmentStart);
+      const overlapEnd = Math.min(interval.to.getTime(), segmentEnd);
+      if (overlapEnd <= overlapStart) continue;
+
+      const valueKilt = positionValueInKilt(interval.liquidity, observations[i].sqrtPriceX96, tickLower, tickUpper, kiltIsToken0);
+      weightedValue += (overlapEnd - overlapStart) * valueKilt * observations[i].kiltPriceUSD;
+    }
+  }
+
+  return observedMs > 0 ? weightedValue / observedMs : null;
+}
@@ -0,0 +1,763 @@
+/**
+ * REWARD LEDGER SERVICE
+ * Append-only record of what every wallet has earned and claimed (reward_ledger rows):
+ * - One accrual entry per position per finalized emission epoch, written with the epoch's daily_rewards
+ * - A re-finalized epoch appends an adjustment with the difference - entries are never updated or deleted
+ * - One claim entry per RewardClaimed event of the treasury contract, synced from a persisted block checkpoint
+ *   once REWARD_CLAIMS_CONFIRMATIONS blocks deep; claims dropped by a deeper reorg get a reversing entry
+ * - Recorded claims are mirrored into rewards.claimedAmount / claimedAt, and the wallet's cached claimability dropped
+ * - Claimable = ledger accruals - claimedAmount on the contract, so balances only move when entries are appended
+ * - The reconciliation report flags wallets whose ledger claims and contract claimedAmount disagree
+ */
+
+import { ethers } from 'ethers';
+import { db } from './db';
+import {
+  users,
+  rewards,
+  dailyRewards,
+  rewardLedger,
+  syncCheckpoints,
+  type RewardLedgerEntry,
+  type InsertRewardLedgerEntry,
+  type SyncCheckpoint
+} from '@shared/schema';
+import { and, asc, desc, eq, gte, inArray, isNotNull, sql } from 'drizzle-orm';
+import { smartContractService, type RewardClaimedEvent } from './smart-contract-service';
+import { claimSignatureService } from './claim-signature-service';
+import { claimAnomalyService } from './claim-anomaly-service';
+import { allocateProportionally, REWARD_UNIT_WEI, toTokenAmount } from './token-amount';
+
+type DbExecutor = typeof db | Parameters<Parameters<typeof db.transaction>[0]>[0];
+
+export interface LedgerBalance {
+  address: string;
+  accrued: bigint; // Wei - sum of accrual, adjustment and clawback entries
+  claimed: bigint; // Wei - contract claimedAmount plus claims recorded on earlier treasury contracts
+  claimable: bigint; // Wei - accrued - claimed, never negative
+  claimedSource: 'onchain' | 'ledger'; // 'ledger' when the contract could not be read
+}
+
+export interface ClaimSyncResult {
+  appended: number; // Claim entries appended, including claims mined again after a reorg
+  reversed: number; // Claims reversed because a reorg dropped them
+  reorgedBlock: number | null; // Checkpoint block found reorged away by this sync
+  fromBlock: number;
+  toBlock: number;
+}
+
+export type ReconciliationFlag = 'claims-out-of-sync' | 'claimed-exceeds-accrued' | 'contract-unreadable';
+
+export interface ReconciliationRow {
+  address: string;
+  accrued: bigint;
+  ledgerClaimed: bigint; // Claim entries of the current treasury contract
+  onchainClaimed: bigint | null; // null when the contract could not be read
+  difference: bigint; // onchainClaimed - ledgerClaimed
+  flags: ReconciliationFlag[];
+}
+
+export interface ReconciliationReport {
+  contractAddress: string | null;
+  lastSyncedBlock: number | null;
+  wallets: number;
+  flagged: ReconciliationRow[];
+  totals: { accrued: bigint; ledgerClaimed: bigint; onchainClaimed: bigint };
+  generatedAt: Date;
+}
+
+const ACCRUAL_TYPES = ['accrual', 'adjustment'];
+// Clawbacks reduce what a wallet earned but aren't part of any epoch's accrual
+const EARNED_TYPES = [...ACCRUAL_TYPES, 'clawback'];
+
+class RewardLedgerService {
+  private isRunning = false;
+  private intervalId: NodeJS.Timeout | null = null;
+  private isSyncing = false;
+  private lastSyncedBlock: number | null = null; // Highest block scanned for RewardClaimed events (persisted in sync_checkpoints)
+  private lastReorg: { blockNumber: number; reversed: number; detectedAt: Date } | null = null;
+  private report: ReconciliationReport | null = null;
+  private readonly SYNC_INTERVAL = 5 * 60 * 1000; // 5 minutes
+  private readonly BLOCK_CHUNK = 10000; // Blocks per eth_getLogs request
+  private readonly INITIAL_LOOKBACK_BLOCKS = 100000; // First scan without history or REWARD_CLAIMS_START_BLOCK (~2.3 days on Base)
+  private readonly CACHE_DURATION = 30000; // 30 seconds
+  private readonly CHECKPOINT_NAME = 'reward-claimed';
+  private readonly DEFAULT_CONFIRMATIONS = 10; // Blocks a claim must be buried under before it is recorded
+  private readonly REORG_REWIND_BLOCKS = 500; // Re-checked when the checkpoint block was reorged away
+
+  /**
+   * Start periodic RewardClaimed sync
+   */
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    console.log('📒 Reward Ledger Service started - syncing RewardClaimed events every 5 minutes');
+
+    this.syncClaims().catch(error => console.error('❌ REWARD LEDGER: Claim sync failed:', error));
+
+    this.intervalId = setInterval(() => {
+      this.syncClaims().catch(error => console.error('❌ REWARD LEDGER: Claim sync failed:', error));
+    }, this.SYNC_INTERVAL);
+  }
+
+  /**
+   * Stop periodic RewardClaimed sync
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+    this.isRunning = false;
+    console.log('⏹️ Reward Ledger Service stopped');
+  }
+
+  private toWei(amount: string | null): bigint {
+    return ethers.parseUnits(amount || '0', 18); // daily_rewards amounts have 8 decimals, so this is exact
+  }
+
+  /**
+   * Append the accruals of one finalized epoch day. Positions whose daily_rewards amount differs from
+   * what the ledger already holds for the day get an adjustment entry with the difference.
+   * Pass the finalizing transaction so the ledger commits together with daily_rewards.
+   */
+  async recordEpoch(date: string, executor: DbExecutor = db): Promise<{ appended: number; total: bigint }> {
+    const [dayRewards, existing] = await Promise.all([
+      executor.select({
+        positionId: dailyRewards.positionId,
+        userId: dailyRewards.userId,
+        address: users.address,
+        amount: dailyRewards.dailyRewardAmount
+      })
+        .from(dailyRewards)
+        .innerJoin(users, eq(users.id, dailyRewards.userId))
+        .where(eq(dailyRewards.date, date)),
+      executor.select({
+        positionId: rewardLedger.positionId,
+        userId: rewardLedger.userId,
+        address: rewardLedger.userAddress,
+        amount: sql<string>`SUM(${rewardLedger.amount})`,
+        lastRevision: sql<number>`MAX(${rewardLedger.revision})`
+      })
+        .from(rewardLedger)
+        .where(and(eq(rewardLedger.epochDate, date), inArray(rewardLedger.entryType, ACCRUAL_TYPES)))
+        .groupBy(rewardLedger.positionId, rewardLedger.userId, rewardLedger.userAddress)
+    ]);
+
+    // A position changes hands through NFT transfers, so the ledger keeps one accrual series per position and owner
+    const key = (positionId: number, address: string) => `${positionId}:${address}`;
+    const recorded = new Map(existing.map(row => [key(row.positionId as number, row.address), row]));
+    const targets = new Map<string, { positionId: number; userId: number | null; address: string; amount: bigint }>();
+    for (const row of dayRewards) {
+      const address = row.address.toLowerCase();
+      targets.set(key(row.positionId, address), { positionId: row.positionId, userId: row.userId, address, amount: this.toWei(row.amount) });
+    }
+    // Positions dropped from a re-finalized day are adjusted back to zero
+    for (const row of existing) {
+      if (row.positionId !== null && !targets.has(key(row.positionId, row.address))) {
+        targets.set(key(row.positionId, row.address), { positionId: row.positionId, userId: row.userId, address: row.address, amount: 0n });
+      }
+    }
+
+    const entries: InsertRewardLedgerEntry[] = [];
+    let total = 0n;
+    targets.forEach((target, targetKey) => {
+      const previous = recorded.get(targetKey);
+      const difference = target.amount - BigInt(previous?.amount || '0');
+      total += target.amount;
+      if (difference === 0n) return;
+
+      entries.push({
+        entryType: previous ? 'adjustment' : 'accrual',
+        userAddress: target.address,
+        userId: target.userId,
+        positionId: target.positionId,
+        epochDate: date,
+        revision: previous ? Number(previous.lastRevision) + 1 : 0,
+        amount: difference.toString()
+      });
+    });
+
+    if (entries.length > 0) {
+      await executor.insert(rewardLedger).values(entries);
+      this.report = null;
+      console.log(`📒 REWARD LEDGER: ${date} - ${entries.length} entries appended, epoch total ${ethers.formatUnits(total, 18)} KILT`);
+    }
+
+    return { appended: entries.length, total };
+  }
+
+  /**
+   * Record finalized epoch days that have no ledger entries yet (days finalized before the ledger existed)
+   */
+  async backfillAccruals(): Promise<number> {
+    const [finalizedDays, ledgerDays] = await Promise.all([
+      db.selectDistinct({ date: dailyRewards.date }).from(dailyRewards),
+      db.selectDistinct({ date: rewardLedger.epochDate }).from(rewardLedger).where(isNotNull(rewardLedger.epochDate))
+    ]);
+
+    const recorded = new Set(ledgerDays.map(row => row.date));
+    const missing = finalizedDays.map(row => row.date).filter(date => !recorded.has(date)).sort();
+    for (const date of missing) {
+      await db.transaction(async (tx) => {
+        await this.recordEpoch(date, tx);
+      });
+    }
+
+    if (missing.length > 0) {
+      console.log(`📒 REWARD LEDGER: Backfilled ${missing.length} finalized epoch(s) through ${missing[missing.length - 1]}`);
+    }
+    return missing.length;
+  }
+
+  /**
+   * Append claim entries for RewardClaimed events since the persisted checkpoint, up to the latest block
+   * with REWARD_CLAIMS_CONFIRMATIONS confirmations. Without a checkpoint, scanning starts at the newest
+   * recorded claim, REWARD_CLAIMS_START_BLOCK, or a recent lookback. When the checkpoint block has been
+   * reorged away, the last REORG_REWIND_BLOCKS are re-checked and claims no longer on chain are reversed.
+   */
+  async syncClaims(): Promise<ClaimSyncResult | null> {
+    if (this.isSyncing) return null;
+    this.isSyncing = true;
+
+    try {
+      const contractAddress = (await smartContractService.getTreasuryContractAddress()).toLowerCase();
+      const safeBlock = await smartContractService.getLatestBlockNumber() - this.getConfirmations();
+      const checkpoint = await this.getCheckpoint(contractAddress);
+      if (checkpoint) this.lastSyncedBlock = checkpoint.blockNumber;
+
+      let fromBlock: number;
+      let reversed = 0;
+      let reorgedBlock: number | null = null;
+      if (!checkpoint) {
+        fromBlock = await this.getInitialBlock(safeBlock);
+      } else if (await smartContractService.getBlockHash(checkpoint.blockNumber) !== checkpoint.blockHash) {
+        reorgedBlock = checkpoint.blockNumber;
+        fromBlock = Math.max(0, checkpoint.blockNumber - this.REORG_REWIND_BLOCKS);
+        console.warn(`⚠️ REWARD LEDGER: Checkpoint block ${checkpoint.blockNumber} was reorged - re-checking claims from block ${fromBlock}`);
+
+        reversed = await this.reverseOrphanedClaims(contractAddress, fromBlock);
+        // Move the checkpoint below the reorg now, so a chain that is shorter than before isn't rewound again
+        await this.saveCheckpoint(contractAddress, fromBlock - 1);
+        this.lastReorg = { blockNumber: checkpoint.blockNumber, reversed, detectedAt: new Date() };
+      } else {
+        fromBlock = checkpoint.blockNumber + 1;
+      }
+
+      const appended = await this.scanClaims(contractAddress, fromBlock, safeBlock, true);
+      if (appended > 0 || reversed > 0) {
+        this.report = null;
+        console.log(`📒 REWARD LEDGER: ${appended} claim(s) recorded${reversed > 0 ? `, ${reversed} reversed` : ''} from blocks ${fromBlock}-${safeBlock}`);
+      }
+      return { appended, reversed, reorgedBlock, fromBlock, toBlock: safeBlock };
+    } finally {
+      this.isSyncing = false;
+    }
+  }
+
+  /**
+   * Record RewardClaimed events of a block range regardless of the checkpoint - for claims made before
+   * the first sync or outside its lookback. Already recorded claims are skipped; the checkpoint stays put.
+   */
+  async backfillClaims(fromBlock: number, toBlock?: number): Promise<ClaimSyncResult | null> {
+    if (this.isSyncing) return null;
+    this.isSyncing = true;
+
+    try {
+      const contractAddress = (await smartContractService.getTreasuryContractAddress()).toLowerCase();
+      const safeBlock = await smartContractService.getLatestBlockNumber() - this.getConfirmations();
+      const lastBlock = Math.min(toBlock ?? safeBlock, safeBlock);
+
+      const appended = await this.scanClaims(contractAddress, fromBlock, lastBlock, false);
+      if (appended > 0) this.report = null;
+      console.log(`📒 REWARD LEDGER: Backfill of blocks ${fromBlock}-${lastBlock} recorded ${appended} claim(s)`);
+      return { appended, reversed: 0, reorgedBlock: null, fromBlock, toBlock: lastBlock };
+    } finally {
+      this.isSyncing = false;
+    }
+  }
+
+  /**
+   * Record the claims of [fromBlock, toBlock] chunk by chunk, bringing the wallets' rewards rows up to date
+   * after each chunk. Returns how many claim entries were appended.
+   */
+  private async scanClaims(contractAddress: string, fromBlock: number, toBlock: number, advanceCheckpoint: boolean): Promise<number> {
+    let appended = 0;
+
+    while (fromBlock <= toBlock) {
+      const chunkEnd = Math.min(fromBlock + this.BLOCK_CHUNK - 1, toBlock);
+      const { events } = await smartContractService.getRewardClaimedEvents(fromBlock, chunkEnd);
+
+      if (events.length > 0) {
+        appended += await this.recordClaims(contractAddress, events);
+        await claimSignatureService.markConsumed(contractAddress, events);
+
+        const latestClaims = new Map<string, number>();
+        for (const event of events) {
+          latestClaims.set(event.user, Math.max(latestClaims.get(event.user) ?? 0, event.timestamp));
+        }
+        await this.applyClaimsToRewards(latestClaims);
+      }
+
+      if (advanceCheckpoint) {
+        await this.saveCheckpoint(contractAddress, chunkEnd);
+        this.lastSyncedBlock = chunkEnd;
+      }
+      fromBlock = chunkEnd + 1;
+    }
+    return appended;
+  }
+
+  /**
+   * Append claim entries for events not recorded yet. An event whose earlier entry was reversed by a
+   * reorg (the same transaction mined again) gets an entry cancelling that reversal.
+   */
+  private async recordClaims(contractAddress: string, events: RewardClaimedEvent[]): Promise<number> {
+    const inserted = await db.insert(rewardLedger).values(events.map(event => ({
+      entryType: 'claim',
+      userAddress: event.user,
+      amount: event.amount.toString(),
+      contractAddress,
+      claimedTotal: event.claimedAmount.toString(),
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      blockNumber: event.blockNumber
+    }))).onConflictDoNothing().returning({ transactionHash: rewardLedger.transactionHash, logIndex: rewardLedger.logIndex });
+
+    const insertedLogs = new Set(inserted.map(row => `${row.transactionHash}:${row.logIndex}`));
+    let appended = inserted.length;
+
+    for (const event of events) {
+      if (insertedLogs.has(`${event.transactionHash}:${event.logIndex}`)) continue;
+
+      const [original] = await db.select().from(rewardLedger)
+        .where(and(eq(rewardLedger.transactionHash, event.transactionHash), eq(rewardLedger.logIndex, event.logIndex)))
+        .limit(1);
+      const latest = original && await this.getLatestCorrection(original);
+      if (latest && BigInt(latest.amount) < 0n) {
+        await db.insert(rewardLedger).values({
+          entryType: 'claim',
+          userAddress: event.user,
+          amount: event.amount.toString(),
+          contractAddress,
+          claimedTotal: event.claimedAmount.toString(),
+          blockNumber: event.blockNumber,
+          reversesEntryId: latest.id
+        });
+        appended++;
+      }
+    }
+    return appended;
+  }
+
+  /**
+   * Last entry in a claim's chain of reorg corrections - the claim itself when it was never reversed
+   */
+  private async getLatestCorrection(entry: RewardLedgerEntry): Promise<RewardLedgerEntry> {
+    let latest = entry;
+    for (;;) {
+      const [next] = await db.select().from(rewardLedger).where(eq(rewardLedger.reversesEntryId, latest.id)).limit(1);
+      if (!next) return latest;
+      latest = next;
+    }
+  }
+
+  /**
+   * Reverse recorded claims from fromBlock on whose RewardClaimed log is no longer on the canonical chain.
+   * Returns how many were reversed.
+   */
+  private async reverseOrphanedClaims(contractAddress: string, fromBlock: number): Promise<number> {
+    const latestBlock = await smartContractService.getLatestBlockNumber();
+    const onChain = new Set<string>();
+    for (let from = fromBlock; from <= latestBlock; from += this.BLOCK_CHUNK) {
+      const { events } = await smartContractService.getRewardClaimedEvents(from, Math.min(from + this.BLOCK_CHUNK - 1, latestBlock));
+      events.forEach(event => onChain.add(`${event.transactionHash}:${event.logIndex}`));
+    }
+
+    const recorded = await db.select().from(rewardLedger)
+      .where(and(
+        eq(rewardLedger.entryType, 'claim'),
+        eq(rewardLedger.contractAddress, contractAddress),
+        isNotNull(rewardLedger.transactionHash),
+        gte(rewardLedger.blockNumber, fromBlock)
+      ));
+
+    const affected = new Map<string, number | null>();
+    const orphanedTransactions: string[] = [];
+    for (const entry of recorded) {
+      if (onChain.has(`${entry.transactionHash}:${entry.logIndex}`)) continue;
+
+      const latest = await this.getLatestCorrection(entry);
+      if (BigInt(latest.amount) <= 0n) continue; // Already reversed
+
+      await db.insert(rewardLedger).values({
+        entryType: 'claim',
+        userAddress: entry.userAddress,
+        amount: (-BigInt(entry.amount)).toString(),
+        contractAddress,
+        reversesEntryId: latest.id
+      });
+      affected.set(entry.userAddress, null);
+      orphanedTransactions.push(entry.transactionHash!);
+      console.warn(`⚠️ REWARD LEDGER: Reversed claim ${entry.transactionHash} of ${entry.userAddress} - no longer on chain`);
+    }
+
+    if (orphanedTransactions.length > 0) {
+      await claimSignatureService.markUnconsumed(orphanedTransactions);
+      await this.applyClaimsToRewards(affected);
+    }
+    return orphanedTransactions.length;
+  }
+
+  /**
+   * Bring rewards.claimedAmount / claimedAt of wallets in line with their recorded claims, and drop their
+   * cached claimability. The claimed total is split over the wallet's reward rows by accumulated amount.
+   * `latestClaims` maps each wallet to its newest claim time (unix seconds), or null to keep claimedAt.
+   */
+  private async applyClaimsToRewards(latestClaims: Map<string, number | null>): Promise<void> {
+    for (const [address, latestClaim] of Array.from(latestClaims.entries())) {
+      const [user] = await db.select({ id: users.id }).from(users)
+        .where(sql`lower(${users.address}) = ${address}`)
+        .limit(1);
+      if (!user) continue;
+
+      global.rewardStatsCache?.delete(`user_rewards_${user.id}`);
+
+      const rows = await db.select({ id: rewards.id, accumulatedAmount: rewards.accumulatedAmount })
+        .from(rewards)
+        .where(eq(rewards.userId, user.id))
+        .orderBy(asc(rewards.id));
+      if (rows.length === 0) continue;
+
+      const [claims] = await db.select({ total: sql<string>`COALESCE(SUM(${rewardLedger.amount}), 0)` })
+        .from(rewardLedger)
+        .where(and(eq(rewardLedger.userAddress, address), eq(rewardLedger.entryType, 'claim')));
+      const claimed = BigInt(claims?.total || '0');
+
+      const weights = rows.map(row => parseFloat(row.accumulatedAmount) || 0);
+      const shares = allocateProportionally(
+        claimed > 0n ? claimed : 0n,
+        weights.some(weight => weight > 0) ? weights : rows.map(() => 1),
+        REWARD_UNIT_WEI
+      );
+      const claimedAt = claimed <= 0n ? null : latestClaim !== null ? new Date(latestClaim * 1000) : undefined;
+
+      await db.transaction(async (tx) => {
+        for (let i = 0; i < rows.length; i++) {
+          await tx.update(rewards)
+            .set({
+              claimedAmount: toTokenAmount(shares[i]).formatted,
+              ...(claimedAt !== undefined ? { claimedAt } : {})
+            })
+            .where(eq(rewards.id, rows[i].id));
+        }
+      });
+    }
+    claimAnomalyService.clearCache();
+  }
+
+  private getConfirmations(): number {
+    const configured = parseInt(process.env.REWARD_CLAIMS_CONFIRMATIONS || '');
+    return Number.isFinite(configured) && configured >= 0 ? configured : this.DEFAULT_CONFIRMATIONS;
+  }
+
+  private async getCheckpoint(contractAddress: string): Promise<SyncCheckpoint | null> {
+    const [checkpoint] = await db.select().from(syncCheckpoints)
+      .where(and(eq(syncCheckpoints.name, this.CHECKPOINT_NAME), eq(syncCheckpoints.contractAddress, contractAddress)))
+      .limit(1);
+    return checkpoint || null;
+  }
+
+  private async saveCheckpoint(contractAddress: string, blockNumber: number): Promise<void> {
+    const blockHash = await smartContractService.getBlockHash(blockNumber);
+    if (!blockHash) throw new Error(`Block ${blockNumber} not found for the claim sync checkpoint`);
+
+    await db.insert(syncCheckpoints)
+      .values({ name: this.CHECKPOINT_NAME, contractAddress, blockNumber, blockHash, updatedAt: new Date() })
+      .onConflictDoUpdate({
+        target: [syncCheckpoints.name, syncCheckpoints.contractAddress],
+        set: { blockNumber, blockHash, updatedAt: new Date() }
+      });
+  }
+
+  private async getInitialBlock(latestBlock: number): Promise<number> {
+    const contractAddress = await this.getContractAddress();
+    if (contractAddress) {
+      const [newest] = await db.select({ blockNumber: rewardLedger.blockNumber })
+        .from(rewardLedger)
+        .where(and(eq(rewardLedger.entryType, 'claim'), eq(rewardLedger.contractAddress, contractAddress)))
+        .orderBy(desc(rewardLedger.blockNumber))
+        .limit(1);
+      if (newest?.blockNumber) return newest.blockNumber; // Re-scan that block - duplicates are ignored
+    }
+
+    const configured = parseInt(process.env.REWARD_CLAIMS_START_BLOCK || '');
+    return Number.isFinite(configured) ? configured : Math.max(0, latestBlock - this.INITIAL_LOOKBACK_BLOCKS);
+  }
+
+  private async getContractAddress(): Promise<string | null> {
+    try {
+      return (await smartContractService.getTreasuryContractAddress()).toLowerCase();
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Claw back a wallet's unvested accrual of one position: everything accrued for epoch days from
+   * `since` on, less what earlier clawbacks already took. Appends a negative 'clawback' entry and
+   * returns the amount clawed back (wei). Claimed rewards can't be recovered - the wallet's claimable
+   * balance just can't go below zero.
+   */
+  async recordClawback(
+    positionId: number,
+    address: string,
+    userId: number | null,
+    since: string,
+    executor: DbExecutor = db
+  ): Promise<bigint> {
+    const userAddress = address.toLowerCase();
+    const [row] = await executor.select({
+      unvested: sql<string>`COALESCE(SUM(CASE WHEN ${rewardLedger.entryType} IN ('accrual', 'adjustment') AND ${rewardLedger.epochDate} >= ${since} THEN ${rewardLedger.amount} ELSE 0 END), 0)`,
+      clawedBack: sql<string>`COALESCE(SUM(CASE WHEN ${rewardLedger.entryType} = 'clawback' THEN ${rewardLedger.amount} ELSE 0 END), 0)`
+    })
+      .from(rewardLedger)
+      .where(and(eq(rewardLedger.positionId, positionId), eq(rewardLedger.userAddress, userAddress)));
+
+    const amount = BigInt(row?.unvested || '0') + BigInt(row?.clawedBack || '0');
+    if (amount <= 0n) return 0n;
+
+    await executor.insert(rewardLedger).values({
+      entryType: 'clawback',
+      userAddress,
+      userId,
+      positionId,
+      amount: (-amount).toString()
+    });
+    this.report = null;
+    console.log(`📒 REWARD LEDGER: Clawed back ${ethers.formatUnits(amount, 18)} KILT of position ${positionId} from ${userAddress}`);
+    return amount;
+  }
+
+  /**
+   * Ledger accruals per position (wei)
+   */
+  async getPositionAccruals(positionIds: number[]): Promise<Map<number, bigint>> {
+    if (positionIds.length === 0) return new Map();
+
+    const totals = await db.select({
+      positionId: rewardLedger.positionId,
+      amount: sql<string>`SUM(${rewardLedger.amount})`
+    })
+      .from(rewardLedger)
+      .where(and(inArray(rewardLedger.positionId, positionIds), inArray(rewardLedger.entryType, ACCRUAL_TYPES)))
+      .groupBy(rewardLedger.positionId);
+
+    return new Map(totals.map(row => [row.positionId as number, BigInt(row.amount || '0')]));
+  }
+
+  /**
+   * Sum of accrual entries of a wallet (wei), over all its positions including closed ones, less clawbacks
+   */
+  async getAccruedTotal(address: string): Promise<bigint> {
+    const [row] = await db.select({ amount: sql<string>`COALESCE(SUM(${rewardLedger.amount}), 0)` })
+      .from(rewardLedger)
+      .where(and(eq(rewardLedger.userAddress, address.toLowerCase()), inArray(rewardLedger.entryType, EARNED_TYPES)));
+    return BigInt(row?.amount || '0');
+  }
+
+  /**
+   * Claim entry totals of a wallet per treasury contract (wei)
+   */
+  private async getLedgerClaims(address: string): Promise<Map<string, bigint>> {
+    const rows = await db.select({
+      contractAddress: rewardLedger.contractAddress,
+      amount: sql<string>`SUM(${rewardLedger.amount})`
+    })
+      .from(rewardLedger)
+      .where(and(eq(rewardLedger.userAddress, address.toLowerCase()), eq(rewardLedger.entryType, 'claim')))
+      .groupBy(rewardLedger.contractAddress);
+
+    return new Map(rows.map(row => [row.contractAddress || '', BigInt(row.amount || '0')]));
+  }
+
+  /**
+   * Accrued, claimed and claimable amounts of a wallet. Claims on earlier treasury contracts count
+   * as claimed too, so replacing the contract doesn't make paid rewards claimable again.
+   */
+  async getBalance(address: string): Promise<LedgerBalance> {
+    const [accrued, ledgerClaims] = await Promise.all([
+      this.getAccruedTotal(address),
+      this.getLedgerClaims(address)
+    ]);
+
+    let claimed = 0n;
+    let claimedSource: LedgerBalance['claimedSource'] = 'onchain';
+    try {
+      const onchain = await smartContractService.getClaimedAmountWei(address);
+      const currentContract = onchain.contractAddress.toLowerCase();
+      claimed = onchain.claimedAmount;
+      ledgerClaims.forEach((amount, contractAddress) => {
+        if (contractAddress !== currentContract) claimed += amount;
+      });
+    } catch (error) {
+      console.warn(`⚠️ REWARD LEDGER: claimedAmount unavailable for ${address}, using recorded claims:`, error instanceof Error ? error.message : error);
+      claimedSource = 'ledger';
+      ledgerClaims.forEach(amount => { claimed += amount; });
+    }
+
+    return {
+      address: address.toLowerCase(),
+      accrued,
+      claimed,
+      claimable: accrued > claimed ? accrued - claimed : 0n,
+      claimedSource
+    };
+  }
+
+  /**
+   * Ledger entries of a wallet, most recent first
+   */
+  async getEntries(address: string, limit: number = 100): Promise<RewardLedgerEntry[]> {
+    return db.select().from(rewardLedger)
+      .where(eq(rewardLedger.userAddress, address.toLowerCase()))
+      .orderBy(desc(rewardLedger.id))
+      .limit(limit);
+  }
+
+  /**
+   * Compare every wallet's recorded claims with claimedAmount on the current treasury contract (cached)
+   */
+  async getReconciliationReport(): Promise<ReconciliationReport> {
+    if (this.report && (Date.now() - this.report.generatedAt.getTime()) < this.CACHE_DURATION) {
+      return this.report;
+    }
+
+    const contractAddress = await this.getContractAddress();
+    const wallets = await db.select({
+      address: rewardLedger.userAddress,
+      accrued: sql<string>`COALESCE(SUM(CASE WHEN ${rewardLedger.entryType} IN ('accrual', 'adjustment', 'clawback') THEN ${rewardLedger.amount} ELSE 0 END), 0)`,
+      ledgerClaimed: sql<string>`COALESCE(SUM(CASE WHEN ${rewardLedger.entryType} = 'claim' AND ${rewardLedger.contractAddress} = ${contractAddress || ''} THEN ${rewardLedger.amount} ELSE 0 END), 0)`,
+      earlierClaimed: sql<string>`COALESCE(SUM(CASE WHEN ${rewardLedger.entryType} = 'claim' AND ${rewardLedger.contractAddress} <> ${contractAddress || ''} THEN ${rewardLedger.amount} ELSE 0 END), 0)`
+    })
+      .from(rewardLedger)
+      .groupBy(rewardLedger.userAddress);
+
+    const totals = { accrued: 0n, ledgerClaimed: 0n, onchainClaimed: 0n };
+    const flagged: ReconciliationRow[] = [];
+
+    // Sequential reads keep the RPC provider within its rate limit
+    for (const wallet of wallets) {
+      const accrued = BigInt(wallet.accrued);
+      const ledgerClaimed = BigInt(wallet.ledgerClaimed);
+      let onchainClaimed: bigint | null = null;
+      try {
+        onchainClaimed = (await smartContractService.getClaimedAmountWei(wallet.address)).claimedAmount;
+      } catch {
+        onchainClaimed = null;
+      }
+
+      totals.accrued += accrued;
+      totals.ledgerClaimed += ledgerClaimed;
+      totals.onchainClaimed += onchainClaimed ?? 0n;
+
+      const flags: ReconciliationFlag[] = [];
+      if (onchainClaimed === null) {
+        flags.push('contract-unreadable');
+      } else {
+        if (onchainClaimed !== ledgerClaimed) flags.push('claims-out-of-sync');
+        if (onchainClaimed + BigInt(wallet.earlierClaimed) > accrued) flags.push('claimed-exceeds-accrued');
+      }
+
+      if (flags.length > 0) {
+        flagged.push({
+          address: wallet.address,
+          accrued,
+          ledgerClaimed,
+          onchainClaimed,
+          difference: (onchainClaimed ?? 0n) - ledgerClaimed,
+          flags
+        });
+      }
+    }
+
+    this.report = {
+      contractAddress,
+      lastSyncedBlock: this.lastSyncedBlock,
+      wallets: wallets.length,
+      flagged,
+      totals,
+      generatedAt: new Date()
+    };
+    console.log(`📒 REWARD LEDGER: Reconciled ${wallets.length} wallets - ${flagged.length} flagged`);
+    return this.report;
+  }
+
+  /**
+   * Balance for API responses, amounts as { raw, formatted }
+   */
+  describeBalance(balance: LedgerBalance) {
+    return {
+      address: balance.address,
+      accrued: toTokenAmount(balance.accrued),
+      claimed: toTokenAmount(balance.claimed),
+      claimable: toTokenAmount(balance.claimable),
+      claimedSource: balance.claimedSource
+    };
+  }
+
+  describeEntry(entry: RewardLedgerEntry) {
+    return {
+      ...entry,
+      amount: toTokenAmount(BigInt(entry.amount)),
+      claimedTotal: entry.claimedTotal === null ? null : toTokenAmount(BigInt(entry.claimedTotal))
+    };
+  }
+
+  /**
+   * Reconciliation report for API responses, amounts as { raw, formatted }
+   */
+  describeReport(report: ReconciliationReport) {
+    return {
+      contractAddress: report.contractAddress,
+      lastSyncedBlock: report.lastSyncedBlock,
+      wallets: report.wallets,
+      generatedAt: report.generatedAt.toISOString(),
+      totals: {
+        accrued: toTokenAmount(report.totals.accrued),
+        ledgerClaimed: toTokenAmount(report.totals.ledgerClaimed),
+        onchainClaimed: toTokenAmount(report.totals.onchainClaimed)
+      },
+      flagged: report.flagged.map(row => ({
+        address: row.address,
+        accrued: toTokenAmount(row.accrued),
+        ledgerClaimed: toTokenAmount(row.ledgerClaimed),
+        onchainClaimed: row.onchainClaimed === null ? null : toTokenAmount(row.onchainClaimed),
+        difference: toTokenAmount(row.difference),
+        flags: row.flags
+      }))
+    };
+  }
+
+  /**
+   * Get current service status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      isSyncing: this.isSyncing,
+      lastSyncedBlock: this.lastSyncedBlock,
+      confirmations: this.getConfirmations(),
+      lastReorg: this.lastReorg,
+      syncIntervalMs: this.SYNC_INTERVAL
+    };
+  }
+
+  clearCache(): void {
+    this.report = null;
+  }
+}
+
+// Export singleton instance
+export const rewardLedgerService = new RewardLedgerService();
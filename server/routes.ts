@@ -1,5 +1,6 @@
-import type { Express, Request } from "express";
+import type { Express, Request, Response, NextFunction } from "express";
 import { createServer, type Server } from "http";
+import type { AdminSessionInfo } from "./admin-auth-service";
 
 // Extend Express Request interface to include user property
 declare global {
@@ -9,6 +10,7 @@ declare global {
         identifier: string;
         type: 'wallet' | 'credentials';
       };
+      adminSession?: AdminSessionInfo; // Set by the /api/admin session middleware
     }
   }
 }
@@ -23,10 +25,10 @@ import {
   insertAppTransactionSchema,
   insertPositionEligibilitySchema,
   treasuryConfig,
-  programSettings,
   users,
   lpPositions,
-  rewards
+  rewards,
+  type AdminProposal
 } from "@shared/schema";
 // Removed blazing-fast-optimizer - cleaned up during codebase optimization
 import { z } from "zod";
@@ -59,6 +61,26 @@ import { productionErrorHandler, withProductionErrorHandling } from "./productio
 import rewardDistributionRoutes from "./routes/reward-distribution";
 import enhancedSecurityRoutes from "./routes/enhanced-security";
 import { blockchainSyncValidator } from "./blockchain-sync-validator";
+import { liquidityHistoryService } from "./liquidity-history-service";
+import { dailyEmissionService } from "./daily-emission-service";
+import { merkleEpochService } from "./merkle-epoch-service";
+import { campaignService } from "./campaign-service";
+import { poolRegistryService } from "./pool-registry-service";
+import { poolTvlService } from "./pool-tvl-service";
+import { programSettingsService } from "./program-settings-service";
+import { rewardLedgerService } from "./reward-ledger-service";
+import { positionTransferService } from "./position-transfer-service";
+import { gamingDetectionService } from "./gaming-detection-service";
+import { claimSignatureService } from "./claim-signature-service";
+import { claimAnomalyService } from "./claim-anomaly-service";
+import { relayerService } from "./relayer-service";
+import { adminAuthService, ADMIN_SESSION_COOKIE } from "./admin-auth-service";
+import { adminAuditService, diffChanges, type AuditFilters } from "./admin-audit-service";
+import { adminApprovalService, APPROVAL_PERMISSIONS, type ApprovalOperation, type ProposalOutcome } from "./admin-approval-service";
+import { treasuryRunwayService } from "./treasury-runway-service";
+import { roleHasPermission, type AdminPermission } from "@shared/admin-roles";
+import { toTokenAmount } from "./token-amount";
+import type { ApiError } from "./error-handler";
 // Removed registerUniswapOptimizedRoutes - cleaned up during optimization
 // Removed systemHealthRouter - consolidated into main routes
 // Removed uniswapPositionsRouter - consolidated into main routes
@@ -93,7 +115,28 @@ async function getSmartContractAddress(): Promise<string> {
   }
 }
 
-// Helper function to log admin operations
+// Wallet of the signed-in admin session - the /api/admin middleware rejects requests without one
+function getAdminWallet(req: Request): string {
+  return req.adminSession?.address || 'unknown';
+}
+
+// Route guard: the signed-in admin's role must grant the permission
+function requirePermission(permission: AdminPermission) {
+  return (req: Request, res: Response, next: NextFunction) => {
+    const session = req.adminSession;
+    if (!session || !roleHasPermission(session.role, permission)) {
+      return res.status(403).json({
+        success: false,
+        error: `Role ${session?.role || 'none'} does not have ${permission} permission`,
+        code: 'ADMIN_PERMISSION_DENIED',
+        permission
+      });
+    }
+    next();
+  };
+}
+
+// Helper function to log admin operations - appended to the hash-chained audit log
 async function logAdminOperation(
   operationType: string,
   reason: string,
@@ -103,27 +146,106 @@ async function logAdminOperation(
   success: boolean = true,
   errorMessage?: string
 ) {
-  try {
-    const { adminOperations } = await import('../shared/schema');
-    await db.insert(adminOperations).values({
-      operation: operationType, // For compatibility with old schema
-      operationType,
-      operationDetails: JSON.stringify({
-        timestamp: new Date().toISOString(),
+  await adminAuditService.record({ operationType, reason, performedBy, amount, transactionHash, success, errorMessage });
+}
+
+// Log a config change with the before/after diff of the fields it changed
+async function logConfigChange(
+  operationType: string,
+  reason: string,
+  performedBy: string,
+  before: object | null | undefined,
+  after: object | null | undefined,
+  amount?: string
+) {
+  await adminAuditService.record({ operationType, reason, performedBy, amount, changes: diffChanges(before, after) });
+}
+
+const AUDIT_EXPORT_LIMIT = 10000;
+
+// Audit log filters from the query string
+function parseAuditFilters(query: Request['query']): AuditFilters {
+  const text = (value: unknown) => typeof value === 'string' && value.trim() !== '' ? value.trim() : undefined;
+  const date = (value: unknown) => {
+    const parsed = text(value) ? new Date(value as string) : null;
+    return parsed && !isNaN(parsed.getTime()) ? parsed : undefined;
+  };
+  return {
+    operationType: text(query.operationType),
+    performedBy: text(query.performedBy),
+    success: query.success === 'true' ? true : query.success === 'false' ? false : undefined,
+    from: date(query.from),
+    to: date(query.to),
+    search: text(query.search)
+  };
+}
+
+// Audit log entry for a proposal the approvals just executed, under the operation's own log type
+async function logProposalExecution(proposal: AdminProposal) {
+  const params = JSON.parse(proposal.params);
+  const result = proposal.result ? JSON.parse(proposal.result) : {};
+  const reason = `${proposal.summary} (proposal #${proposal.id} by ${proposal.proposedBy})`;
+  const success = proposal.status === 'executed';
+  const performedBy = proposal.executedBy || 'unknown';
+
+  switch (proposal.operation as ApprovalOperation) {
+    case 'emergency_withdraw':
+      await logAdminOperation('EMERGENCY_WITHDRAWAL', reason, performedBy, params.amount.toString(), result.transactionHash, success, proposal.error || undefined);
+      break;
+    case 'reset_distributed':
+      await logAdminOperation('TREASURY_RESET_DISTRIBUTED', reason, performedBy, '0', undefined, success, proposal.error || undefined);
+      break;
+    case 'treasury_config':
+      await adminAuditService.record({
+        operationType: 'treasury_update',
+        reason,
         performedBy,
-        amount,
-        transactionHash,
-        reason
-      }),
-      reason,
-      performedBy,
-      amount,
-      transactionHash,
-      success,
-      errorMessage
+        amount: params.totalAllocation.toString(),
+        success,
+        errorMessage: proposal.error || undefined,
+        changes: success ? diffChanges(result.previousConfig, result.config) : null
+      });
+      break;
+  }
+}
+
+// Response for a proposal call: 202 while approvals are outstanding, the operation's result once it ran
+function sendProposalOutcome(res: Response, outcome: ProposalOutcome) {
+  const proposal = adminApprovalService.describe(outcome.proposal);
+  switch (outcome.proposal.status) {
+    case 'executed':
+      return res.json({ success: true, message: `${proposal.summary} - executed`, proposal, ...proposal.result });
+    case 'failed':
+      return res.status(500).json({ success: false, error: proposal.error || 'Operation failed', proposal });
+    case 'pending':
+      return res.status(202).json({
+        success: true,
+        pending: true,
+        message: `Proposal #${proposal.id} is waiting for ${proposal.requiredApprovals} admin approvals`,
+        proposal
+      });
+    default:
+      return res.json({ success: true, message: `Proposal #${proposal.id} is ${proposal.status}`, proposal });
+  }
+}
+
+// Open a two-person approval proposal for a sensitive treasury operation instead of running it
+async function proposeOperation(req: Request, res: Response, operation: ApprovalOperation, params: any) {
+  const adminWallet = getAdminWallet(req);
+  try {
+    const outcome = await adminApprovalService.propose(operation, params, adminWallet);
+    await logAdminOperation('approval_proposed', `Proposal #${outcome.proposal.id}: ${outcome.proposal.summary}`, adminWallet);
+    if (outcome.executed) {
+      await logProposalExecution(outcome.proposal);
+    }
+    sendProposalOutcome(res, outcome);
+  } catch (error) {
+    const apiError = error as ApiError;
+    res.status(apiError.statusCode === 400 ? 400 : 500).json({
+      success: false,
+      error: error instanceof Error ? error.message : 'Unknown error',
+      details: apiError.details
     });
-  } catch (error: unknown) {
-    console.error('Failed to log admin operation:', error instanceof Error ? error.message : 'Unknown error');
   }
 }
 
@@ -134,6 +256,28 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
   // Setup cache performance monitoring
   // Removed cache-performance-endpoint - cleaned up during optimization
   
+  // Every /api/admin route requires a signed-in admin session, except the SIWE login itself
+  app.use("/api/admin", async (req, res, next) => {
+    if (req.path === '/auth/nonce' || req.path === '/login') return next();
+    try {
+      const session = await adminAuthService.validateSession(req.cookies?.[ADMIN_SESSION_COOKIE]);
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          error: 'Admin session required - sign in again',
+          code: 'ADMIN_SESSION_REQUIRED'
+        });
+      }
+      req.adminSession = session;
+      next();
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
   // Register Uniswap-optimized routes for blazing fast performance
   const { registerUniswapOptimizedRoutes } = await import('./routes/uniswap-optimized');
   registerUniswapOptimizedRoutes(app);
@@ -509,14 +653,18 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
       const kiltConfig = blockchainConfig.find(c => c.configKey === 'KILT_TOKEN_ADDRESS');
       const kiltTokenAddress = kiltConfig?.configValue || "0x5d0dd05bb095fdd6af4865a1adf97c39c85ad2d8";
       
+      // Only positions in incentivized pools can be registered
+      const incentivizedPools = new Set((await poolRegistryService.getPools()).map(pool => pool.address));
+      
       // Filter out already registered positions and only include KILT positions
       // CRITICAL FIX: Also filter out app-created positions from eligible positions
       const unregisteredPositions = userPositions.filter(pos => {
         const isKiltPosition = pos.token0?.toLowerCase() === kiltTokenAddress.toLowerCase() || 
                               pos.token1?.toLowerCase() === kiltTokenAddress.toLowerCase();
+        const isIncentivizedPool = incentivizedPools.has(pos.poolAddress?.toLowerCase() || '');
         const isAlreadyRegistered = registeredNftIds.has(pos.tokenId.toString());
         const isAppCreated = false; // Property doesn't exist in type, defaulting to false
-        return !isAlreadyRegistered && !isAppCreated && isKiltPosition;
+        return !isAlreadyRegistered && !isAppCreated && isKiltPosition && isIncentivizedPool;
       });
       
       res.json(unregisteredPositions);
@@ -632,9 +780,6 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
         token1Address,
         token0Amount,
         token1Amount,
-        tickLower,
-        tickUpper,
-        feeTier,
         liquidity,
         currentValueUSD,
         userAddress,
@@ -653,6 +798,13 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
         token1Address.toLowerCase() === kiltTokenAddress.toLowerCase()
       );
       
+      // The full-range bonus and in-range multiplier depend on the range - read it on-chain, never from the request
+      const onChainPosition = await uniswapIntegrationService.getFullPositionData(nftTokenId.toString()).catch(() => null);
+      if (!onChainPosition || onChainPosition.tickLower >= onChainPosition.tickUpper) {
+        res.status(503).json({ error: "Unable to read the position range on-chain - try again shortly" });
+        return;
+      }
+      
       // Create LP position in database
       const positionData = {
         userId,
@@ -662,9 +814,9 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
         token1Address,
         token0Amount: String(token0Amount || "0"),
         token1Amount: String(token1Amount || "0"),
-        tickLower: tickLower || 0,
-        tickUpper: tickUpper || 0,
-        feeTier: feeTier || 3000,
+        tickLower: onChainPosition.tickLower,
+        tickUpper: onChainPosition.tickUpper,
+        feeTier: onChainPosition.feeTier,
         liquidity: String(liquidity || "0"),
         currentValueUSD: parseFloat(currentValueUSD).toString(),
         minPrice: "0.000001", // Small price within precision limits
@@ -914,12 +1066,15 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
       const allPositions = await uniswapIntegrationService.getUserPositions(walletAddress);
       const kiltTokenAddress = await blockchainConfigService.getKiltTokenAddress();
       const kiltAddressLower = kiltTokenAddress.toLowerCase();
+      const incentivizedPools = new Set((await poolRegistryService.getPools()).map(pool => pool.address));
       
-      // Filter for KILT positions only
+      // Filter for active KILT positions in incentivized pools only
       const kiltPositions = allPositions.filter(pos => {
         const token0Lower = pos.token0?.toLowerCase() || '';
         const token1Lower = pos.token1?.toLowerCase() || '';
-        return (token0Lower === kiltAddressLower || token1Lower === kiltAddressLower) && pos.isActive;
+        return (token0Lower === kiltAddressLower || token1Lower === kiltAddressLower) &&
+          incentivizedPools.has(pos.poolAddress?.toLowerCase() || '') &&
+          pos.isActive;
       });
       
       // Get already registered positions
@@ -1022,13 +1177,13 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
     }
   });
 
+  // Claims are read from the chain - this only triggers a RewardClaimed sync instead of taking the client's word for it
   app.post("/api/rewards/claim/:userId", async (req, res) => {
     try {
-      const userId = parseInt(req.params.userId);
-      await storage.claimRewards(userId);
-      res.json({ success: true });
+      const result = await rewardLedgerService.syncClaims();
+      res.json({ success: true, synced: result !== null, ...(result || {}) });
     } catch (error) {
-      res.status(500).json({ error: "Failed to claim rewards" });
+      res.status(500).json({ error: "Failed to sync claims" });
     }
   });
 
@@ -1304,7 +1459,8 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
     }
   });
 
-  // Generate claim signature (CRITICAL FIX: This was missing!)
+  // Generate claim signature - one per wallet and contract nonce, recorded in claim_signatures.
+  // Repeat requests before the claim lands return the same signature.
   app.post("/api/rewards/generate-claim-signature", async (req, res) => {
     try {
       const { userAddress } = req.body;
@@ -1317,45 +1473,47 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
       }
       
       // Get user from database
-      const user = await db.select().from(users).where(eq(users.address, userAddress)).limit(1);
-      
-      if (user.length === 0) {
+      const user = await storage.getUserByAddress(userAddress);
+      if (!user) {
         return res.status(404).json({
           success: false,
           error: 'User not found or no liquidity positions'
         });
       }
-      
-      const userId = user[0].id;
-      
-      // Get user's calculated rewards
-      const userRewards = await unifiedRewardService.getUserRewardStats(userId);
-      const claimableAmount = userRewards.totalClaimable || 0;
-      
-      if (claimableAmount <= 0) {
-        return res.status(400).json({
+
+      // Check if smart contract service is available with calculator credentials
+      if (!smartContractService.isDeployed()) {
+        return res.status(503).json({
           success: false,
-          error: 'No rewards available for claiming. Start providing liquidity to earn KILT rewards.'
+          error: "Smart contract admin credentials not configured. The REWARD_WALLET_PRIVATE_KEY environment variable must be set.",
+          userAddress
         });
       }
-      
-      console.log(`🔐 Generating signature for ${userAddress}: ${claimableAmount} KILT`);
-      
-      // Generate signature with the exact claimable amount
-      const result = await smartContractService.generateClaimSignature(userAddress, claimableAmount);
-      
+
+      const result = await claimSignatureService.issue(userAddress, {
+        requestIp: req.ip || req.socket?.remoteAddress || null,
+        source: 'claim'
+      });
+
       if (!result.success) {
-        return res.status(400).json({
+        // Held claims wait in the admin review queue - the findings stay internal
+        return res.status(result.held ? 409 : 400).json({
           success: false,
-          error: result.error || 'Failed to generate signature'
+          error: result.error || 'Failed to generate signature',
+          held: result.held || false,
+          holdId: result.holdId
         });
       }
-      
+
       res.json({
         success: true,
         signature: result.signature,
         nonce: result.nonce,
         totalRewardBalance: result.totalRewardBalance,
+        deadline: result.deadline,
+        typedData: result.typedData,
+        issuanceId: result.issuanceId,
+        reused: result.reused,
         userAddress
       });
     } catch (error: unknown) {
@@ -1367,6 +1525,91 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
     }
   });
 
+  // Gasless claim availability and the wallet's remaining relayed claims
+  app.get("/api/relayer/status", async (req, res) => {
+    try {
+      const address = typeof req.query.address === 'string' && /^0x[a-fA-F0-9]{40}$/.test(req.query.address)
+        ? req.query.address
+        : undefined;
+      const status = await relayerService.getStatus(address);
+      res.json({
+        success: true,
+        enabled: status.enabled,
+        relayerAddress: status.relayerAddress,
+        budgetRemainingEth: status.budget.remainingEth,
+        quota: status.quota
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  // Gasless claim step 1: claim signature plus the ClaimIntent typed data the wallet signs
+  app.post("/api/relayer/prepare", async (req, res) => {
+    try {
+      const { userAddress } = req.body;
+      if (typeof userAddress !== 'string' || !/^0x[a-fA-F0-9]{40}$/.test(userAddress)) {
+        return res.status(400).json({ success: false, error: 'Valid user address is required' });
+      }
+
+      const result = await relayerService.prepare(userAddress, req.ip || req.socket?.remoteAddress || null);
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json({ success: false, error: result.error });
+      }
+      res.json({ success: true, ...result.data });
+    } catch (error) {
+      console.error('Relayed claim preparation failed:', error);
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Relayed claim preparation failed'
+      });
+    }
+  });
+
+  // Gasless claim step 2: the relayer submits the claim with the signed intent
+  app.post("/api/relayer/submit", async (req, res) => {
+    try {
+      const { userAddress, issuanceId, intentSignature } = req.body;
+      if (typeof userAddress !== 'string' || !/^0x[a-fA-F0-9]{40}$/.test(userAddress)) {
+        return res.status(400).json({ success: false, error: 'Valid user address is required' });
+      }
+      if (!Number.isInteger(issuanceId) || typeof intentSignature !== 'string' || !/^0x[a-fA-F0-9]+$/.test(intentSignature)) {
+        return res.status(400).json({ success: false, error: 'issuanceId and intentSignature are required' });
+      }
+
+      const result = await relayerService.submit(userAddress, issuanceId, intentSignature, req.ip || req.socket?.remoteAddress || null);
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json({ success: false, error: result.error });
+      }
+      res.json({ success: true, claim: result.data });
+    } catch (error) {
+      console.error('Relayed claim submission failed:', error);
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Relayed claim submission failed'
+      });
+    }
+  });
+
+  // Relayed claims of a wallet with their transaction status
+  app.get("/api/relayer/claims/:address", async (req, res) => {
+    try {
+      const { address } = req.params;
+      if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+        return res.status(400).json({ success: false, error: 'Invalid address' });
+      }
+      res.json({ success: true, claims: await relayerService.getClaims(address, 20) });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
   // Distribute rewards to smart contract (admin operation for user claiming)
   app.post("/api/rewards/distribute", async (req, res) => {
     try {
@@ -1438,7 +1681,7 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
         res.json({
           calculatorAddress: null,
           isConfigured: false,
-          message: "Calculator private key not configured. Set CALCULATOR_PRIVATE_KEY environment variable."
+          message: "Calculator signer not configured. Set CALCULATOR_PRIVATE_KEY, or CALCULATOR_SIGNER=keystore/remote (see docs/admin-guide.md)."
         });
       }
     } catch (error) {
@@ -1446,67 +1689,6 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
     }
   });
 
-  // Generate claim signature for simplified contract claiming
-  app.post("/api/rewards/generate-claim-signature", async (req, res) => {
-    try {
-      const { userAddress } = req.body;
-      
-      if (!userAddress) {
-        res.status(400).json({ error: "User address required" });
-        return;
-      }
-      
-      // Get user from database
-      const user = await storage.getUserByAddress(userAddress);
-      if (!user) {
-        res.status(404).json({ error: "User not found" });
-        return;
-      }
-      
-      // Get calculated rewards from reward service
-      const userRewards = await unifiedRewardService.getUserRewardStats(user.id);
-      const totalRewardBalance = userRewards.totalClaimable;
-      
-      if (totalRewardBalance <= 0) {
-        res.status(400).json({ error: "No rewards available for claiming" });
-        return;
-      }
-      
-      // Check if smart contract service is available with admin credentials
-      if (!smartContractService.isDeployed()) {
-        res.status(503).json({ 
-          error: "Smart contract admin credentials not configured. The REWARD_WALLET_PRIVATE_KEY environment variable must be set.",
-          userAddress,
-          totalRewardBalance
-        });
-        return;
-      }
-      
-      // Generate signature for the claim
-      console.log(`🔐 About to generate signature for ${userAddress}, amount=${totalRewardBalance} KILT`);
-      const result = await smartContractService.generateClaimSignature(userAddress, Number(totalRewardBalance));
-      
-      if (!result.success) {
-        console.error(`❌ Signature generation failed: ${result.error}`);
-        res.status(500).json({ error: result.error || "Failed to generate claim signature" });
-        return;
-      }
-      
-      console.log(`✅ Signature generated successfully for ${userAddress}: nonce=${result.nonce}`);
-      res.json({
-        success: true,
-        signature: result.signature,
-        userAddress,
-        totalRewardBalance,
-        nonce: result.nonce
-      });
-      
-    } catch (error) {
-      console.error('Signature generation failed:', error);
-      res.status(500).json({ error: "Failed to generate claim signature" });
-    }
-  });
-
   // Get user reward statistics - optimized without fallbacks
   app.get("/api/rewards/user/:userId/stats", async (req, res) => {
     try {
@@ -1563,14 +1745,80 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
     }
   });
 
-  // Update daily rewards (typically called by a cron job)
-  app.post("/api/rewards/update-daily", async (req, res) => {
+  // Merkle proof of a wallet's cumulative entitlement (latest epoch unless ?epoch= is given)
+  app.get("/api/rewards/proof/:address", async (req, res) => {
+    try {
+      const { address } = req.params;
+      if (!address || !address.match(/^0x[a-fA-F0-9]{40}$/)) {
+        return res.status(400).json({ error: "Invalid wallet address" });
+      }
+
+      const epochNumber = req.query.epoch ? parseInt(req.query.epoch as string) : undefined;
+      const proof = await merkleEpochService.getProof(address, epochNumber);
+      if (!proof) {
+        return res.status(404).json({ error: "No entitlement found for this address in the requested epoch" });
+      }
+
+      res.json(proof);
+    } catch (error) {
+      res.status(500).json({ error: "Failed to fetch Merkle proof" });
+    }
+  });
+
+  // Merkle root history
+  app.get("/api/rewards/epochs", async (req, res) => {
     try {
-      // Method removed - using hourly calculation instead
-      // await fixedRewardService.updateDailyRewards();
-      res.json({ success: true, message: "Daily rewards updated successfully" });
+      const limit = Math.min(parseInt(req.query.limit as string) || 50, 500);
+      const epochs = await merkleEpochService.getRootHistory(limit);
+      res.json({ epochs });
+    } catch (error) {
+      res.status(500).json({ error: "Failed to fetch reward epochs" });
+    }
+  });
+
+  // Full tree of one epoch - the artifact auditors verify
+  app.get("/api/rewards/epochs/:epochNumber", async (req, res) => {
+    try {
+      const tree = await merkleEpochService.getEpochTree(parseInt(req.params.epochNumber));
+      if (!tree) {
+        return res.status(404).json({ error: "Epoch not found" });
+      }
+
+      res.json({
+        ...tree.epoch,
+        treeLayers: JSON.parse(tree.epoch.treeLayers),
+        leaves: tree.leaves.map(leaf => ({
+          address: leaf.userAddress,
+          cumulativeAmount: leaf.cumulativeAmount,
+          leaf: leaf.leafHash,
+          proof: JSON.parse(leaf.proof)
+        }))
+      });
+    } catch (error) {
+      res.status(500).json({ error: "Failed to fetch epoch tree" });
+    }
+  });
+
+  // Reward ledger of a wallet: accrued, claimed and claimable amounts with the latest entries
+  app.get("/api/rewards/ledger/:address", async (req, res) => {
+    try {
+      const { address } = req.params;
+      if (!address || !address.match(/^0x[a-fA-F0-9]{40}$/)) {
+        return res.status(400).json({ error: "Invalid wallet address" });
+      }
+
+      const limit = Math.min(parseInt(req.query.limit as string) || 100, 1000);
+      const [balance, entries] = await Promise.all([
+        rewardLedgerService.getBalance(address),
+        rewardLedgerService.getEntries(address, limit)
+      ]);
+
+      res.json({
+        ...rewardLedgerService.describeBalance(balance),
+        entries: entries.map(entry => rewardLedgerService.describeEntry(entry))
+      });
     } catch (error) {
-      res.status(500).json({ error: "Failed to update daily rewards" });
+      res.status(500).json({ error: "Failed to fetch reward ledger" });
     }
   });
 
@@ -1592,17 +1840,70 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
   app.get("/api/dashboard/unified/:userAddress", async (req, res) => {
     try {
       const userAddress = req.params.userAddress;
-      // Simple dashboard data loading 
-      const dashboardData = {
-        userAddress,
-        message: "Dashboard data loading simplified during cleanup"
+      if (!/^0x[a-fA-F0-9]{40}$/.test(userAddress)) {
+        return res.status(400).json({ error: "Invalid wallet address" });
+      }
+
+      const user = await storage.getUserByAddress(userAddress);
+      const [baseStats, campaigns, [baseConfig]] = await Promise.all([
+        user ? unifiedRewardService.getUserRewardStats(user.id) : Promise.resolve(null),
+        campaignService.getUserBreakdown(userAddress),
+        db.select().from(treasuryConfig).limit(1)
+      ]);
+
+      // Base program first, then every campaign, so totals are a plain sum
+      const baseProgram = {
+        name: 'Base Program',
+        smartContractAddress: baseConfig?.smartContractAddress || null,
+        startDate: baseConfig?.programStartDate || null,
+        endDate: baseConfig?.programEndDate || null,
+        dailyRewardsCap: baseConfig ? parseFloat(baseConfig.dailyRewardsCap) : null,
+        accumulated: baseStats?.totalAccumulated || 0,
+        claimable: baseStats?.totalClaimable || 0,
+        claimed: baseStats?.totalClaimed || 0,
+        avgDailyRewards: baseStats?.avgDailyRewards || 0,
+        activePositions: baseStats?.activePositions || 0
       };
-      res.json(dashboardData);
+
+      res.json({
+        userAddress,
+        registered: !!user,
+        baseProgram,
+        campaigns,
+        totals: {
+          accumulated: baseProgram.accumulated + campaigns.reduce((sum, campaign) => sum + campaign.accumulated, 0),
+          activeCampaigns: campaigns.filter(campaign => campaign.status === 'active').length
+        }
+      });
     } catch (error) {
+      console.error('Unified dashboard error:', error);
       res.status(500).json({ error: "Failed to load dashboard data" });
     }
   });
 
+  // Reward campaigns running alongside the base program
+  app.get("/api/campaigns", async (req, res) => {
+    try {
+      const campaigns = await campaignService.listCampaigns();
+      res.json(campaigns.map(campaign => ({
+        id: campaign.id,
+        name: campaign.name,
+        description: campaign.description,
+        smartContractAddress: campaign.smartContractAddress,
+        totalAllocation: parseFloat(campaign.totalAllocation),
+        dailyRewardsCap: parseFloat(campaign.dailyRewardsCap),
+        startDate: campaign.startDate,
+        endDate: campaign.endDate,
+        poolAddresses: campaignService.getPoolAddresses(campaign),
+        timeBoostCoefficient: parseFloat(campaign.timeBoostCoefficient),
+        fullRangeBonus: parseFloat(campaign.fullRangeBonus),
+        status: campaignService.getStatus(campaign)
+      })));
+    } catch (error) {
+      res.status(500).json({ error: "Failed to load campaigns" });
+    }
+  });
+
   // Get program analytics - streamlined without timeouts
   app.get("/api/rewards/program-analytics", async (req, res) => {
     try {
@@ -1664,7 +1965,7 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
   });
 
   // Clear admin configuration cache (called when admin updates configuration)
-  app.post("/api/admin/clear-cache", async (req, res) => {
+  app.post("/api/admin/clear-cache", requirePermission('system:configure'), async (req, res) => {
     try {
       unifiedRewardService.clearAdminConfigCache();
       res.json({ 
@@ -1816,10 +2117,9 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
         return;
       }
       
-      // Get admin panel lock period configuration from database (applies only to first-ever claim)
-      const { programSettings } = await import('../shared/schema');
-      const [settings] = await db.select().from(programSettings).limit(1);
-      const baseLockPeriodDays = settings?.lockPeriod || 0;
+      // Get admin panel lock period in force now (applies only to first-ever claim)
+      const settings = await programSettingsService.getCurrentVersion();
+      const baseLockPeriodDays = settings.lockPeriod || 0;
       
       // Check if user has ever claimed before to determine effective lock period
       let hasClaimedBefore = false;
@@ -1879,35 +2179,28 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
       // Use unified reward service for accurate accumulated/claimable amounts
       let totalAccumulated = 0;
       let actualClaimable = 0;
-      
+      let amounts = null; // Exact { raw, formatted } values, only when freshly calculated
+
       try {
-        // First try smart contract data for performance
-        const userStats = await smartContractService.getUserStats(userAddress);
-        if (userStats.success && userStats.claimed && userStats.claimed > 0) {
-          actualClaimable = userStats.claimed;
-          totalAccumulated = actualClaimable; // For display consistency
-          console.log(`⚡ Fast claimability calculation: ${actualClaimable} KILT (smart contract)`);
-        } else {
-          // If smart contract shows 0 or fails, use unified reward service calculation
-          console.log(`📊 Smart contract shows 0 KILT, using unified reward calculation...`);
-          const { unifiedRewardService } = await import('./unified-reward-service');
-          const rewardStats = await unifiedRewardService.getUserRewardStats(user.id);
-          
-          totalAccumulated = rewardStats.totalAccumulated || 0;
-          actualClaimable = rewardStats.totalClaimable || 0;
-          
-          console.log(`⚡ Unified reward calculation: Accumulated: ${totalAccumulated}, Claimable: ${actualClaimable} KILT`);
-          
-          // Cache this result for performance
-          if (!global.rewardStatsCache) {
-            global.rewardStatsCache = new Map();
-          }
-          const cacheKey = `user_rewards_${user.id}`;
-          global.rewardStatsCache.set(cacheKey, {
-            data: { totalAccumulated, totalClaimable: actualClaimable },
-            timestamp: Date.now()
-          });
+        // Claimable comes from the reward ledger: finalized accruals minus claimedAmount on the contract
+        const { unifiedRewardService } = await import('./unified-reward-service');
+        const rewardStats = await unifiedRewardService.getUserRewardStats(user.id);
+        
+        totalAccumulated = rewardStats.totalAccumulated || 0;
+        actualClaimable = rewardStats.totalClaimable || 0;
+        amounts = rewardStats.amounts;
+
+        console.log(`⚡ Reward ledger claimability: Accumulated: ${totalAccumulated}, Claimable: ${actualClaimable} KILT`);
+        
+        // Cache this result for performance
+        if (!global.rewardStatsCache) {
+          global.rewardStatsCache = new Map();
         }
+        const cacheKey = `user_rewards_${user.id}`;
+        global.rewardStatsCache.set(cacheKey, {
+          data: { totalAccumulated, totalClaimable: actualClaimable },
+          timestamp: Date.now()
+        });
       } catch (error) {
         console.log(`⚠️ Reward calculation failed, using fallback:`, error);
         // Last resort: Check cache
@@ -1937,6 +2230,7 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
         lockExpiryDate: nextClaimDate,
         nextClaimDate: nextClaimDate,
         totalClaimable: displayClaimable, // Match claimable for consistency
+        amounts,
         timeUntilClaimable: timeUntilClaimable
       });
     } catch (error) {
@@ -2232,9 +2526,17 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
         return;
       }
 
-      // Use streamlined APR calculation for position breakdown
+      // Time-weighted in-range ratio from recorded pool tick history
+      const positionReward = position.userId
+        ? await unifiedRewardService.getPositionReward(position.userId, position.nftTokenId)
+        : null;
+      const timeInRangeRatio = positionReward?.inRangeMultiplier ?? 1.0;
+      const isFullRange = positionReward?.isFullRange ?? false;
+      const fullRangeBonus = positionReward?.fullRangeBonus ?? 1.0;
+
+      // Use streamlined APR calculation of the position's pool for position breakdown
       try {
-        const streamlinedResponse = await fetch('http://localhost:5000/api/apr/streamlined');
+        const streamlinedResponse = await fetch(`http://localhost:5000/api/apr/streamlined?pool=${position.poolAddress}`);
         if (streamlinedResponse.ok) {
           const streamlinedData = await streamlinedResponse.json();
           
@@ -2251,12 +2553,15 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
               incentive: streamlinedData.programAPR,
               total: streamlinedData.totalAPR
             },
+            tvl: streamlinedData.tvl,
             breakdown: {
               dailyFeeEarnings: dailyTradingFees,
               dailyIncentiveRewards: dailyIncentiveRewards,
               isInRange: true,
-              timeInRangeRatio: 1.0,
-              concentrationFactor: 1.0
+              timeInRangeRatio,
+              concentrationFactor: 1.0,
+              isFullRange,
+              fullRangeBonus
             },
             dailyEarnings: {
               tradingFees: dailyTradingFees,
@@ -2267,7 +2572,7 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
               minPrice: Number(position.minPrice),
               maxPrice: Number(position.maxPrice),
               isInRange: true,
-              timeInRangeRatio: 1.0,
+              timeInRangeRatio,
               concentrationFactor: 1.0,
               daysActive: 1
             }
@@ -2288,12 +2593,15 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
           incentive: 149.1,
           total: 153.6
         },
+        tvl: { source: 'fallback', pricing: null, updatedAt: null, ageSeconds: null, isStale: true },
         breakdown: {
           dailyFeeEarnings: 0.12,
           dailyIncentiveRewards: 4.1,
           isInRange: true,
-          timeInRangeRatio: 1.0,
-          concentrationFactor: 1.0
+          timeInRangeRatio,
+          concentrationFactor: 1.0,
+          isFullRange,
+          fullRangeBonus
         },
         dailyEarnings: {
           tradingFees: 0.12,
@@ -2304,7 +2612,7 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
           minPrice: Number(position.minPrice),
           maxPrice: Number(position.maxPrice),
           isInRange: true,
-          timeInRangeRatio: 1.0,
+          timeInRangeRatio,
           concentrationFactor: 1.0,
           daysActive: 1
         }
@@ -2763,10 +3071,14 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
         nftTokenId
       );
       
-      // Update position as inactive in database
+      // The liquidity history follows the chain, not the request - record what the position holds now
       const position = await storage.getLpPositionByNftTokenId(nftTokenId);
-      if (position) {
-        await storage.updateLpPosition(position.id, { isActive: false });
+      const onChain = position ? await uniswapIntegrationService.getFullPositionData(nftTokenId) : null;
+      if (position && onChain) {
+        await liquidityHistoryService.syncOnChainLiquidity(position, onChain.liquidity);
+        if (BigInt(onChain.liquidity || '0') === 0n) {
+          await storage.updateLpPosition(position.id, { isActive: false });
+        }
       }
       
       res.json(result);
@@ -2776,24 +3088,79 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
     }
   });
 
-  // Get position current status and value
-  app.get("/api/positions/:nftTokenId/status", async (req, res) => {
+  // Get position liquidity history (the intervals reward accrual is integrated over)
+  app.get("/api/positions/:nftTokenId/liquidity-history", async (req, res) => {
     try {
       const { nftTokenId } = req.params;
-      
-      const status = await uniswapIntegrationService.getPositionStatus(nftTokenId);
-      res.json(status);
+      const position = await storage.getLpPositionByNftTokenId(nftTokenId);
+      if (!position) {
+        res.status(404).json({ error: "Position not found" });
+        return;
+      }
+
+      const [history, events] = await Promise.all([
+        liquidityHistoryService.getHistory(position.id),
+        liquidityHistoryService.getEvents(position.id)
+      ]);
+
+      res.json({
+        nftTokenId,
+        currentLiquidity: position.liquidity,
+        history,
+        events
+      });
     } catch (error) {
-      // Error getting position status
-      res.status(500).json({ error: "Failed to get position status" });
+      res.status(500).json({ error: "Failed to fetch liquidity history" });
     }
   });
 
-  // Get position fees earned using SimpleFeeService (collect simulation like Uniswap)
-  app.get("/api/positions/:nftTokenId/fees", async (req, res) => {
+  // Get position ownership history (NFT transfers and who accrued when)
+  app.get("/api/positions/:nftTokenId/ownership", async (req, res) => {
     try {
       const { nftTokenId } = req.params;
-      console.log(`🔍 Getting fees for position ${nftTokenId}`);
+      const position = await storage.getLpPositionByNftTokenId(nftTokenId);
+      if (!position) {
+        res.status(404).json({ error: "Position not found" });
+        return;
+      }
+
+      const [ownership, transfers] = await Promise.all([
+        positionTransferService.getOwnershipHistory([position.id]),
+        positionTransferService.getPositionTransfers(position.id)
+      ]);
+      const history = ownership.get(position.id) || [];
+      const current = history[history.length - 1];
+
+      res.json({
+        nftTokenId,
+        userId: position.userId,
+        awaitingReregistration: !!current && current.userId === null,
+        history,
+        transfers
+      });
+    } catch (error) {
+      res.status(500).json({ error: "Failed to fetch position ownership" });
+    }
+  });
+
+  // Get position current status and value
+  app.get("/api/positions/:nftTokenId/status", async (req, res) => {
+    try {
+      const { nftTokenId } = req.params;
+      
+      const status = await uniswapIntegrationService.getPositionStatus(nftTokenId);
+      res.json(status);
+    } catch (error) {
+      // Error getting position status
+      res.status(500).json({ error: "Failed to get position status" });
+    }
+  });
+
+  // Get position fees earned using SimpleFeeService (collect simulation like Uniswap)
+  app.get("/api/positions/:nftTokenId/fees", async (req, res) => {
+    try {
+      const { nftTokenId } = req.params;
+      console.log(`🔍 Getting fees for position ${nftTokenId}`);
       
       // Use AuthenticFeeService for exact Uniswap calculation method (should show $13.94)
       const fees = await AuthenticFeeService.getUnclaimedFees(nftTokenId);
@@ -3105,6 +3472,30 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
     }
   });
 
+  // Incentivized pools with their weights, share of the daily budget and program APR
+  app.get("/api/pools", async (req, res) => {
+    try {
+      const marketData = await unifiedRewardService.getMarketData();
+      res.json({
+        dailyBudget: marketData.dailyBudget,
+        pools: marketData.pools.map(pool => ({
+          address: pool.address,
+          name: pool.name,
+          feeTier: pool.feeTier,
+          rewardWeight: pool.rewardWeight,
+          budgetShare: pool.budgetShare,
+          dailyBudget: pool.dailyBudget,
+          poolTVL: pool.poolTVL,
+          tvl: poolTvlService.describe(pool.tvl),
+          programAPR: Math.round(pool.programAPR * 10) / 10
+        }))
+      });
+    } catch (error) {
+      console.error('❌ Error getting incentivized pools:', error);
+      res.status(500).json({ error: 'Failed to get incentivized pools' });
+    }
+  });
+
   // Legacy endpoint for compatibility
   app.get("/api/pools/:poolAddress/info", async (req, res) => {
     try {
@@ -3139,9 +3530,21 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
       const { treasuryConfig } = await import('@shared/schema');
       const { db } = await import('./db');
       
-      // Get admin config directly from database
+      // Optional ?pool= selects an incentivized pool - defaults to the KILT/ETH pool
+      const pools = await poolRegistryService.getPools();
+      const requestedPool = typeof req.query.pool === 'string' ? req.query.pool.toLowerCase() : null;
+      const defaultPool = (await blockchainConfigService.getKiltEthPoolAddress()).toLowerCase();
+      const pool = requestedPool
+        ? pools.find(candidate => candidate.address === requestedPool)
+        : pools.find(candidate => candidate.address === defaultPool) || pools[0];
+      if (!pool) {
+        res.status(404).json({ error: 'Pool is not part of the reward program' });
+        return;
+      }
+      
+      // Get admin config directly from database - the pool earns its weighted share of the daily budget
       const [settings] = await db.select().from(treasuryConfig).limit(1);
-      const dailyBudget = Number(settings?.dailyRewardsCap || 25000);
+      const dailyBudget = Number(settings?.dailyRewardsCap || 25000) * pool.budgetShare;
       const programDurationDays = settings?.programDurationDays || 60;
       
       // Use real KILT price from our existing endpoint
@@ -3156,26 +3559,9 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
         console.warn('Failed to fetch KILT price, using fallback:', error);
       }
       
-      // Get real pool TVL from DexScreener
-      let poolTVL = 99171; // Fallback
-      
-      try {
-        const poolAddress = '0x82da478b1382b951cbad01beb9ed459cdb16458e';
-        const dexScreenerPoolUrl = `https://api.dexscreener.com/latest/dex/pairs/base/${poolAddress}`;
-        const poolResponse = await fetch(dexScreenerPoolUrl);
-        
-        if (poolResponse.ok) {
-          const poolData = await poolResponse.json();
-          const pairData = poolData.pair;
-          
-          if (pairData) {
-            poolTVL = parseFloat(pairData.liquidity?.usd || '99171');
-            console.log(`🏊 REAL POOL TVL: $${poolTVL} from DexScreener`);
-          }
-        }
-      } catch (error) {
-        console.warn('Failed to fetch pool TVL, using fallback:', error);
-      }
+      // Pool TVL from on-chain token balances, with its source and age
+      const tvl = await poolTvlService.getPoolTVL(pool);
+      const poolTVL = tvl.tvlUSD;
       
       // Use conservative estimates until we implement proper LP counting
       // Note: Actual LP count requires querying Mint/Burn events from the pool contract
@@ -3195,14 +3581,21 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
         tradingAPR,
         totalAPR: Math.round((programAPR + tradingAPR) * 10) / 10,
         poolTVL,
+        tvl: poolTvlService.describe(tvl),
         dailyBudget,
         programDurationDays,
         kiltPrice,
+        pool: {
+          address: pool.address,
+          name: pool.name,
+          rewardWeight: pool.rewardWeight,
+          budgetShare: pool.budgetShare
+        },
         poolStats: {
           totalLPs,
           avgPositionValue,
           competitiveContext: `LP count requires blockchain analysis`,
-          poolAddress: '0x82da478b1382b951cbad01beb9ed459cdb16458e',
+          poolAddress: pool.address,
           note: 'Accurate LP count needs Mint/Burn event analysis'
         },
         calculation: {
@@ -3344,11 +3737,17 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
   // ===== REWARD UPDATE ROUTES =====
 
   // Manual trigger for daily reward updates
-  app.post("/api/admin/update-rewards", async (req, res) => {
+  app.post("/api/admin/update-rewards", requirePermission('rewards:operate'), async (req, res) => {
     try {
       console.log('🚀 Manual reward update triggered by admin...');
-      // Method removed - using hourly calculation instead
-      const result = { success: true, updatedPositions: 0, totalRewardsDistributed: 0 };
+      // Finalize completed epochs under the daily emission cap, then refresh reward records
+      const epochs = await dailyEmissionService.finalizePendingDays();
+      const records = await unifiedRewardService.syncRewardRecords();
+      const result = {
+        success: true,
+        updatedPositions: records.updated + records.created,
+        totalRewardsDistributed: epochs.reduce((sum, epoch) => sum + epoch.totalEmitted, 0)
+      };
       
       if (result.success) {
         res.json({
@@ -3375,8 +3774,602 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
     }
   });
 
+  // Recompute accumulated rewards from each position's liquidity history
+  app.post("/api/admin/rewards/update-daily", requirePermission('rewards:operate'), async (req, res) => {
+    try {
+      const result = await unifiedRewardService.syncRewardRecords();
+      await logAdminOperation('reward_records_synced', `Reward records synced: ${result.updated} updated, ${result.created} created`, getAdminWallet(req));
+      res.json({ success: true, message: "Daily rewards updated successfully", ...result });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  // Per-day emission totals (daily cap normalisation audit)
+  app.get("/api/admin/rewards/daily-emissions", requirePermission('admin:read'), async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit as string) || 30, 365);
+      const totals = await dailyEmissionService.getDailyTotals(limit);
+      res.json({ success: true, days: totals });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  // Recompute a single day's capped emissions (replaces that day's daily_rewards rows)
+  app.post("/api/admin/rewards/finalize-day", requirePermission('rewards:operate'), async (req, res) => {
+    try {
+      const { date } = req.body;
+      if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return res.status(400).json({ success: false, error: 'date must be in YYYY-MM-DD format' });
+      }
+      if (new Date(`${date}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000 > Date.now()) {
+        return res.status(400).json({ success: false, error: 'Only completed days can be finalized' });
+      }
+
+      const result = await dailyEmissionService.finalizeDay(date);
+      unifiedRewardService.clearAdminConfigCache();
+      res.json({ success: true, epoch: result });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  // Build a Merkle epoch from the latest finalized day
+  app.post("/api/admin/rewards/epochs", requirePermission('rewards:operate'), async (req, res) => {
+    try {
+      const epoch = await merkleEpochService.createEpoch();
+      if (!epoch) {
+        return res.status(400).json({ success: false, error: 'No finalized rewards to build an epoch from' });
+      }
+
+      res.json({ success: true, epoch: { ...epoch, treeLayers: undefined } });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  // Record that an epoch root was published on-chain
+  app.post("/api/admin/rewards/epochs/:epochNumber/published", requirePermission('rewards:operate'), async (req, res) => {
+    try {
+      const { transactionHash } = req.body;
+      if (!transactionHash || !/^0x[0-9a-fA-F]{64}$/.test(transactionHash)) {
+        return res.status(400).json({ success: false, error: 'A valid transactionHash is required' });
+      }
+
+      const epoch = await merkleEpochService.markPublished(parseInt(req.params.epochNumber), transactionHash);
+      if (!epoch) {
+        return res.status(404).json({ success: false, error: 'Epoch not found' });
+      }
+
+      await logAdminOperation(
+        'merkle_root_published',
+        `Published Merkle root ${epoch.merkleRoot} for epoch ${epoch.epochNumber}`,
+        getAdminWallet(req),
+        undefined,
+        transactionHash
+      );
+
+      res.json({ success: true, epoch: { ...epoch, treeLayers: undefined } });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  // Wallets whose reward ledger and treasury contract disagree
+  app.get("/api/admin/rewards/reconciliation", requirePermission('admin:read'), async (req, res) => {
+    try {
+      if (req.query.refresh === 'true') {
+        rewardLedgerService.clearCache();
+      }
+      const report = await rewardLedgerService.getReconciliationReport();
+      res.json({ success: true, report: rewardLedgerService.describeReport(report), status: rewardLedgerService.getStatus() });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  // Record RewardClaimed events up to the latest block now instead of waiting for the next sync
+  app.post("/api/admin/rewards/ledger/sync-claims", requirePermission('rewards:operate'), async (req, res) => {
+    try {
+      const adminWallet = getAdminWallet(req);
+      const result = await rewardLedgerService.syncClaims();
+      if (!result) {
+        return res.status(409).json({ success: false, error: 'A claim sync is already running' });
+      }
+
+      await logAdminOperation(
+        'reward_ledger_claim_sync',
+        `Synced RewardClaimed events from blocks ${result.fromBlock}-${result.toBlock}: ${result.appended} claim(s) recorded` +
+          (result.reorgedBlock !== null ? `, reorg at block ${result.reorgedBlock} reversed ${result.reversed}` : ''),
+        adminWallet
+      );
+
+      res.json({ success: true, ...result });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  // Record RewardClaimed events of an older block range (before the first sync or outside its lookback)
+  app.post("/api/admin/rewards/ledger/backfill-claims", requirePermission('rewards:operate'), async (req, res) => {
+    try {
+      const adminWallet = getAdminWallet(req);
+      const fromBlock = Number(req.body.fromBlock);
+      const toBlock = req.body.toBlock === undefined || req.body.toBlock === null || req.body.toBlock === ''
+        ? undefined
+        : Number(req.body.toBlock);
+      if (!Number.isInteger(fromBlock) || fromBlock < 0 || (toBlock !== undefined && (!Number.isInteger(toBlock) || toBlock < fromBlock))) {
+        return res.status(400).json({ success: false, error: 'fromBlock must be a block number, and toBlock (optional) at least fromBlock' });
+      }
+
+      const result = await rewardLedgerService.backfillClaims(fromBlock, toBlock);
+      if (!result) {
+        return res.status(409).json({ success: false, error: 'A claim sync is already running' });
+      }
+
+      await logAdminOperation(
+        'reward_ledger_claim_backfill',
+        `Backfilled RewardClaimed events from blocks ${result.fromBlock}-${result.toBlock}: ${result.appended} claim(s) recorded`,
+        adminWallet
+      );
+
+      res.json({ success: true, ...result });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  // Issued claim signatures - what each wallet was authorised to claim, when, and whether it was redeemed
+  app.get("/api/admin/claim-signatures", requirePermission('admin:read'), async (req, res) => {
+    try {
+      const address = typeof req.query.address === 'string' && req.query.address ? req.query.address : undefined;
+      if (address && !address.match(/^0x[a-fA-F0-9]{40}$/)) {
+        return res.status(400).json({ success: false, error: 'Invalid wallet address' });
+      }
+      const limit = Math.min(parseInt(req.query.limit as string) || 100, 500);
+
+      res.json({ success: true, issuances: await claimSignatureService.getIssuances(address, limit) });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  // Position transfer tracking status and positions waiting for their new holder to register
+  app.get("/api/admin/positions/transfers", requirePermission('admin:read'), async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        status: positionTransferService.getStatus(),
+        awaitingReregistration: await positionTransferService.getAwaitingReregistration()
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  // Sync position NFT Transfer events now instead of waiting for the next run
+  app.post("/api/admin/positions/transfers/sync", requirePermission('rewards:operate'), async (req, res) => {
+    try {
+      const adminWallet = getAdminWallet(req);
+      const result = await positionTransferService.syncTransfers();
+      if (!result) {
+        return res.status(409).json({ success: false, error: 'A transfer sync is already running' });
+      }
+
+      await logAdminOperation(
+        'position_transfer_sync',
+        `Synced position NFT transfers from blocks ${result.fromBlock}-${result.toBlock}: ${result.recorded} transfer(s) recorded`,
+        adminWallet
+      );
+
+      res.json({ success: true, ...result });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  // Gaming policy: minimum holding time, clawback of unvested accrual, admin review
+  app.get("/api/admin/gaming/policy", requirePermission('admin:read'), async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        policy: await gamingDetectionService.getPolicy(),
+        status: gamingDetectionService.getStatus()
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  app.put("/api/admin/gaming/policy", requirePermission('rewards:operate'), async (req, res) => {
+    try {
+      const adminWallet = getAdminWallet(req);
+      const previous = await gamingDetectionService.getPolicy();
+      const policy = await gamingDetectionService.updatePolicy(req.body, adminWallet);
+
+      await logConfigChange(
+        'gaming_policy_updated',
+        `Gaming policy: min hold ${policy.minHoldingHours}h, clawback ${policy.clawbackEnabled ? `on (${policy.vestingDays}d vesting)` : 'off'}, review ${policy.reviewEnabled ? 'on' : 'off'}`,
+        adminWallet,
+        previous,
+        policy
+      );
+
+      res.json({ success: true, policy });
+    } catch (error) {
+      const apiError = error as ApiError;
+      res.status(apiError.statusCode === 400 ? 400 : 500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error',
+        details: apiError.details
+      });
+    }
+  });
+
+  // Gaming flags - ?status=open is the admin review queue
+  app.get("/api/admin/gaming/flags", requirePermission('admin:read'), async (req, res) => {
+    try {
+      const status = typeof req.query.status === 'string' ? req.query.status : undefined;
+      const flags = await gamingDetectionService.getFlags(status);
+      res.json({ success: true, flags: flags.map(flag => gamingDetectionService.describeFlag(flag)) });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  // Review a flag: dismiss, clawback or exclude
+  app.post("/api/admin/gaming/flags/:id/review", requirePermission('rewards:operate'), async (req, res) => {
+    try {
+      const adminWallet = getAdminWallet(req);
+      const flag = await gamingDetectionService.reviewFlag(parseInt(req.params.id), req.body.action, adminWallet, req.body.note);
+      if (!flag) {
+        return res.status(404).json({ success: false, error: 'Flag not found' });
+      }
+
+      await logAdminOperation(
+        'gaming_flag_reviewed',
+        `${flag.action} ${flag.rule} flag for ${flag.userAddress} (${flag.subject})${flag.reviewNote ? `: ${flag.reviewNote}` : ''}`,
+        adminWallet,
+        flag.clawbackAmount ? toTokenAmount(BigInt(flag.clawbackAmount)).formatted : undefined
+      );
+
+      res.json({ success: true, flag: gamingDetectionService.describeFlag(flag) });
+    } catch (error) {
+      const apiError = error as ApiError;
+      res.status(apiError.statusCode === 400 ? 400 : 500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error',
+        details: apiError.details
+      });
+    }
+  });
+
+  // Run gaming detection now instead of waiting for the next hourly scan
+  app.post("/api/admin/gaming/detect", requirePermission('rewards:operate'), async (req, res) => {
+    try {
+      const adminWallet = getAdminWallet(req);
+      const result = await gamingDetectionService.runDetection();
+      if (!result) {
+        return res.status(409).json({ success: false, error: 'Gaming detection is already running' });
+      }
+
+      await logAdminOperation(
+        'gaming_detection_run',
+        `Gaming detection: ${result.flagged} new flag(s), ${result.suspended} suspended pending review`,
+        adminWallet
+      );
+
+      res.json({ success: true, ...result, clawedBack: toTokenAmount(result.clawedBack) });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  app.get("/api/admin/claim-anomalies/policy", requirePermission('admin:read'), async (req, res) => {
+    try {
+      const [policy, outstanding] = await Promise.all([
+        claimAnomalyService.getPolicy(),
+        claimAnomalyService.getOutstandingTotal()
+      ]);
+      res.json({
+        success: true,
+        policy,
+        outstanding: toTokenAmount(outstanding),
+        status: claimAnomalyService.getStatus()
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  app.put("/api/admin/claim-anomalies/policy", requirePermission('rewards:operate'), async (req, res) => {
+    try {
+      const adminWallet = getAdminWallet(req);
+      const previous = await claimAnomalyService.getPolicy();
+      const policy = await claimAnomalyService.updatePolicy(req.body, adminWallet);
+
+      await logConfigChange(
+        'claim_anomaly_policy_updated',
+        `Claim anomaly policy: max accrual ${policy.maxAccrualAction} (+${policy.maxAccrualTolerancePercent}%), jump ${policy.jumpAction} (>${policy.maxJumpPercent}% and ${policy.jumpMinAmount} KILT), solvency ${policy.solvencyAction}`,
+        adminWallet,
+        previous,
+        policy
+      );
+
+      res.json({ success: true, policy });
+    } catch (error) {
+      const apiError = error as ApiError;
+      res.status(apiError.statusCode === 400 ? 400 : 500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error',
+        details: apiError.details
+      });
+    }
+  });
+
+  // Claims held before signing - ?status=open is the admin review queue
+  app.get("/api/admin/claim-holds", requirePermission('admin:read'), async (req, res) => {
+    try {
+      const status = typeof req.query.status === 'string' ? req.query.status : undefined;
+      const holds = await claimAnomalyService.getHolds(status);
+      res.json({ success: true, holds: holds.map(hold => claimAnomalyService.describeHold(hold)) });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  // Review a held claim: approve lets the wallet sign it on its next request, reject keeps refusing it
+  app.post("/api/admin/claim-holds/:id/review", requirePermission('rewards:operate'), async (req, res) => {
+    try {
+      const adminWallet = getAdminWallet(req);
+      const hold = await claimAnomalyService.reviewHold(parseInt(req.params.id), req.body.action, adminWallet, req.body.note);
+      if (!hold) {
+        return res.status(404).json({ success: false, error: 'Hold not found' });
+      }
+
+      await logAdminOperation(
+        'claim_hold_reviewed',
+        `${hold.status} held claim #${hold.id} for ${hold.userAddress} at nonce ${hold.nonce}${hold.reviewNote ? `: ${hold.reviewNote}` : ''}`,
+        adminWallet,
+        toTokenAmount(BigInt(hold.amount)).formatted
+      );
+
+      res.json({ success: true, hold: claimAnomalyService.describeHold(hold) });
+    } catch (error) {
+      const apiError = error as ApiError;
+      res.status(apiError.statusCode === 400 ? 400 : 500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error',
+        details: apiError.details
+      });
+    }
+  });
+
+  // Relayer wallet, gas budget and recent relayed claims
+  app.get("/api/admin/relayer", requirePermission('admin:read'), async (req, res) => {
+    try {
+      const [status, claims] = await Promise.all([
+        relayerService.getStatus(),
+        relayerService.getClaims(undefined, 100)
+      ]);
+      res.json({ success: true, status, claims });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  // Admin campaign list with emission totals
+  app.get("/api/admin/campaigns", requirePermission('admin:read'), async (req, res) => {
+    try {
+      const [campaigns, totals] = await Promise.all([
+        campaignService.listCampaigns(),
+        campaignService.getCampaignTotals()
+      ]);
+
+      res.json({
+        success: true,
+        campaigns: campaigns.map(campaign => ({
+          ...campaign,
+          poolAddresses: campaignService.getPoolAddresses(campaign),
+          status: campaignService.getStatus(campaign),
+          ...(totals.get(campaign.id) || { totalEmitted: 0, daysFinalized: 0, participants: 0 })
+        }))
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  // Create a campaign
+  app.post("/api/admin/campaigns", requirePermission('program:manage'), async (req, res) => {
+    try {
+      const adminWallet = getAdminWallet(req);
+      const campaign = await campaignService.createCampaign(req.body, adminWallet);
+
+      await logConfigChange(
+        'campaign_created',
+        `Created campaign "${campaign.name}" (${campaign.startDate} → ${campaign.endDate}) paid by ${campaign.smartContractAddress}`,
+        adminWallet,
+        null,
+        campaign,
+        campaign.totalAllocation
+      );
+
+      res.json({ success: true, campaign });
+    } catch (error) {
+      const apiError = error as ApiError;
+      res.status(apiError.statusCode === 400 ? 400 : 500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error',
+        details: apiError.details
+      });
+    }
+  });
+
+  // Update a campaign (dates, budget, pools, formula or pause via isActive)
+  app.put("/api/admin/campaigns/:id", requirePermission('program:manage'), async (req, res) => {
+    try {
+      const adminWallet = getAdminWallet(req);
+      const previous = await campaignService.getCampaign(parseInt(req.params.id));
+      const campaign = await campaignService.updateCampaign(parseInt(req.params.id), req.body);
+      if (!campaign) {
+        return res.status(404).json({ success: false, error: 'Campaign not found' });
+      }
+
+      await logConfigChange(
+        'campaign_updated',
+        `Updated campaign "${campaign.name}" (${campaign.startDate} → ${campaign.endDate}, ${campaign.isActive ? 'active' : 'paused'})`,
+        adminWallet,
+        previous,
+        campaign,
+        campaign.totalAllocation
+      );
+
+      res.json({ success: true, campaign });
+    } catch (error) {
+      const apiError = error as ApiError;
+      res.status(apiError.statusCode === 400 ? 400 : 500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error',
+        details: apiError.details
+      });
+    }
+  });
+
+  // Admin pool registry, including deactivated pools
+  app.get("/api/admin/pools", requirePermission('admin:read'), async (req, res) => {
+    try {
+      const pools = await poolRegistryService.getAllPools();
+      const tvls = await Promise.all(pools.map(pool => poolTvlService.getPoolTVL(pool)));
+      res.json({
+        success: true,
+        pools: pools.map((pool, index) => ({
+          ...pool,
+          tvlUSD: tvls[index].tvlUSD,
+          tvl: poolTvlService.describe(tvls[index])
+        }))
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  // Register an incentivized pool
+  app.post("/api/admin/pools", requirePermission('program:manage'), async (req, res) => {
+    try {
+      const adminWallet = getAdminWallet(req);
+      const pool = await poolRegistryService.createPool(req.body);
+      unifiedRewardService.clearAdminConfigCache();
+
+      await logConfigChange(
+        'pool_registered',
+        `Registered pool ${pool.name || pool.poolAddress} (${pool.poolAddress}, fee ${pool.feeTier}) with reward weight ${pool.rewardWeight}`,
+        adminWallet,
+        null,
+        pool
+      );
+
+      res.json({ success: true, pool });
+    } catch (error) {
+      const apiError = error as ApiError;
+      res.status(apiError.statusCode === 400 ? 400 : 500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error',
+        details: apiError.details
+      });
+    }
+  });
+
+  // Update a pool's weight, TVL or deactivate it via isActive
+  app.put("/api/admin/pools/:id", requirePermission('program:manage'), async (req, res) => {
+    try {
+      const adminWallet = getAdminWallet(req);
+      const previous = (await poolRegistryService.getPools()).find(pool => pool.id === parseInt(req.params.id));
+      const pool = await poolRegistryService.updatePool(parseInt(req.params.id), req.body);
+      if (!pool) {
+        return res.status(404).json({ success: false, error: 'Pool not found' });
+      }
+      unifiedRewardService.clearAdminConfigCache();
+
+      await logConfigChange(
+        'pool_updated',
+        `Updated pool ${pool.name || pool.poolAddress} (weight ${pool.rewardWeight}, ${pool.isActive ? 'active' : 'deactivated'})`,
+        adminWallet,
+        previous,
+        pool
+      );
+
+      res.json({ success: true, pool });
+    } catch (error) {
+      const apiError = error as ApiError;
+      res.status(apiError.statusCode === 400 ? 400 : 500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error',
+        details: apiError.details
+      });
+    }
+  });
+
   // Get reward update status
-  app.get("/api/admin/reward-status", async (req, res) => {
+  app.get("/api/admin/reward-status", requirePermission('admin:read'), async (req, res) => {
     try {
       // Method removed - getting active positions directly
       const allUsers = await db.select().from(users).limit(100);
@@ -3404,7 +4397,7 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
   // ===== BLOCKCHAIN CONFIGURATION ROUTES =====
 
   // Get all blockchain configurations
-  app.get("/api/admin/blockchain-config", async (req, res) => {
+  app.get("/api/admin/blockchain-config", requirePermission('admin:read'), async (req, res) => {
     try {
       const { blockchainConfigService } = await import('./blockchain-config-service');
       const configs = await blockchainConfigService.getAllConfigs();
@@ -3433,7 +4426,7 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
   });
 
   // Update blockchain configuration
-  app.post("/api/admin/blockchain-config", async (req, res) => {
+  app.post("/api/admin/blockchain-config", requirePermission('system:configure'), async (req, res) => {
     try {
       const { configKey, configValue, description, category } = req.body;
 
@@ -3445,6 +4438,7 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
       }
 
       const { blockchainConfigService } = await import('./blockchain-config-service');
+      const previousValue = await blockchainConfigService.getConfig(configKey);
       
       const success = await blockchainConfigService.upsertConfig({
         configKey,
@@ -3455,6 +4449,13 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
       });
 
       if (success) {
+        await logConfigChange(
+          'blockchain_config_updated',
+          `Set blockchain config ${configKey}`,
+          getAdminWallet(req),
+          previousValue === null ? null : { [configKey]: previousValue },
+          { [configKey]: configValue }
+        );
         res.json({
           success: true,
           message: `Configuration ${configKey} updated successfully`,
@@ -3475,235 +4476,318 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
     }
   });
 
-  // Get specific blockchain configuration by key
-  app.get("/api/admin/blockchain-config/:key", async (req, res) => {
+  // Get specific blockchain configuration by key
+  app.get("/api/admin/blockchain-config/:key", requirePermission('admin:read'), async (req, res) => {
+    try {
+      const { key } = req.params;
+      const { blockchainConfigService } = await import('./blockchain-config-service');
+      
+      const value = await blockchainConfigService.getConfig(key);
+      
+      if (value !== null) {
+        res.json({
+          success: true,
+          configKey: key,
+          configValue: value
+        });
+      } else {
+        res.status(404).json({
+          error: `Configuration key '${key}' not found`,
+          code: 'CONFIG_NOT_FOUND'
+        });
+      }
+    } catch (error) {
+      console.error(`Failed to get configuration for key ${req.params.key}:`, error);
+      res.status(500).json({ 
+        error: 'Failed to retrieve configuration',
+        code: 'CONFIG_FETCH_ERROR'
+      });
+    }
+  });
+
+  // ===== CYBERPUNK ADMIN PANEL ROUTES =====
+  
+  // Sign-In-With-Ethereum: a one-time nonce for the admin to sign
+  app.post("/api/admin/auth/nonce", async (req, res) => {
+    try {
+      const nonce = await adminAuthService.issueNonce(req.ip || req.socket?.remoteAddress || null);
+      res.json({ success: true, ...nonce });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  // Admin login: verify the signed SIWE message and open a session cookie
+  app.post("/api/admin/login", security.adminLoginRateLimit, async (req, res) => {
+    const { message, signature } = req.body;
+    try {
+      const { token, session } = await adminAuthService.login(message, signature, {
+        requestIp: req.ip || req.socket?.remoteAddress || null,
+        userAgent: req.get('user-agent') || null
+      });
+
+      res.cookie(ADMIN_SESSION_COOKIE, token, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        path: '/api/admin',
+        expires: session.expiresAt
+      });
+
+      await logAdminOperation('admin_login', `Signed in, session #${session.id}`, session.address);
+
+      res.json({
+        success: true,
+        walletAddress: session.address,
+        role: session.role,
+        permissions: session.permissions,
+        expiresAt: session.expiresAt
+      });
+    } catch (error) {
+      const apiError = error as ApiError;
+      // Only a wallet that proved itself with a valid signature goes into the audit chain -
+      // anything else is anonymous and would let anyone grow the chain under any name
+      if (apiError.details?.code === 'UNAUTHORIZED_WALLET' && apiError.details.address) {
+        await logAdminOperation('admin_login', 'Sign-in rejected', apiError.details.address, undefined, undefined, false, apiError.message);
+      } else {
+        console.warn(`🔐 ADMIN AUTH: sign-in rejected from ${req.ip || req.socket?.remoteAddress || 'unknown'}: ${apiError.message}`);
+      }
+
+      res.status(apiError.statusCode === 400 || apiError.statusCode === 401 ? apiError.statusCode : 500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error',
+        code: apiError.details?.code
+      });
+    }
+  });
+
+  // End the current admin session
+  app.post("/api/admin/logout", async (req, res) => {
+    try {
+      const session = await adminAuthService.logout(req.cookies?.[ADMIN_SESSION_COOKIE]);
+      res.clearCookie(ADMIN_SESSION_COOKIE, { path: '/api/admin' });
+      if (session) {
+        await logAdminOperation('admin_logout', `Signed out, session #${session.id}`, session.address);
+      }
+      res.json({ success: true });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  // Current admin session - the admin page uses it to decide whether to show the login
+  app.get("/api/admin/session", (req, res) => {
+    res.json({ success: true, session: req.adminSession });
+  });
+
+  // Every open admin session
+  app.get("/api/admin/sessions", requirePermission('access:manage'), async (req, res) => {
+    try {
+      const sessions = await adminAuthService.getActiveSessions();
+      res.json({
+        success: true,
+        sessions: sessions.map(session => ({ ...session, current: session.id === req.adminSession?.id }))
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  // Revoke an admin session
+  app.delete("/api/admin/sessions/:id", requirePermission('access:manage'), async (req, res) => {
+    try {
+      const adminWallet = getAdminWallet(req);
+      const session = await adminAuthService.revokeSession(parseInt(req.params.id), adminWallet);
+      if (!session) {
+        return res.status(404).json({ success: false, error: 'Session not found or already ended' });
+      }
+
+      await logAdminOperation('admin_session_revoked', `Revoked session #${session.id} of ${session.address}`, adminWallet);
+      res.json({ success: true });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  // Admin allowlist, including removed wallets
+  app.get("/api/admin/wallets", requirePermission('access:manage'), async (req, res) => {
+    try {
+      res.json({ success: true, wallets: await adminAuthService.getWallets() });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  // Allow a wallet to sign in as admin with a role
+  app.post("/api/admin/wallets", requirePermission('access:manage'), async (req, res) => {
     try {
-      const { key } = req.params;
-      const { blockchainConfigService } = await import('./blockchain-config-service');
-      
-      const value = await blockchainConfigService.getConfig(key);
-      
-      if (value !== null) {
-        res.json({
-          success: true,
-          configKey: key,
-          configValue: value
-        });
-      } else {
-        res.status(404).json({
-          error: `Configuration key '${key}' not found`,
-          code: 'CONFIG_NOT_FOUND'
-        });
-      }
+      const adminWallet = getAdminWallet(req);
+      const { wallet, previousRole } = await adminAuthService.addWallet(req.body.address, req.body.label, req.body.role, adminWallet);
+      await logConfigChange(
+        'admin_role_granted',
+        previousRole
+          ? `Changed ${wallet.address} from ${previousRole} to ${wallet.role}`
+          : `Granted ${wallet.role} to ${wallet.address}${wallet.label ? ` (${wallet.label})` : ''}`,
+        adminWallet,
+        previousRole ? { address: wallet.address, role: previousRole } : null,
+        { address: wallet.address, role: wallet.role }
+      );
+      res.json({ success: true, wallet });
     } catch (error) {
-      console.error(`Failed to get configuration for key ${req.params.key}:`, error);
-      res.status(500).json({ 
-        error: 'Failed to retrieve configuration',
-        code: 'CONFIG_FETCH_ERROR'
+      const apiError = error as ApiError;
+      res.status(apiError.statusCode === 400 ? 400 : 500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error',
+        details: apiError.details
       });
     }
   });
 
-  // ===== CYBERPUNK ADMIN PANEL ROUTES =====
-  
-  // Admin MetaMask login endpoint
-  app.post("/api/admin/login", async (req, res) => {
+  // Change the role of an allowlisted wallet
+  app.put("/api/admin/wallets/:address/role", requirePermission('access:manage'), async (req, res) => {
     try {
-      const { walletAddress } = req.body;
-      
-      if (!walletAddress) {
-        return res.status(400).json({ error: 'Wallet address required for admin access' });
-      }
-
-      // Validate wallet address format
-      if (!/^0x[a-fA-F0-9]{40}$/.test(walletAddress)) {
-        return res.status(400).json({ error: 'Invalid wallet address format' });
+      const adminWallet = getAdminWallet(req);
+      const result = await adminAuthService.setRole(req.params.address, req.body.role);
+      if (!result) {
+        return res.status(404).json({ success: false, error: 'Wallet is not on the admin allowlist' });
+      }
+
+      if (result.previousRole !== result.wallet.role) {
+        await logConfigChange(
+          'admin_role_granted',
+          `Changed ${result.wallet.address} from ${result.previousRole} to ${result.wallet.role}`,
+          adminWallet,
+          { address: result.wallet.address, role: result.previousRole },
+          { address: result.wallet.address, role: result.wallet.role }
+        );
       }
+      res.json({ success: true, wallet: result.wallet });
+    } catch (error) {
+      const apiError = error as ApiError;
+      res.status(apiError.statusCode === 400 ? 400 : 500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error',
+        details: apiError.details
+      });
+    }
+  });
 
-      // Check if wallet is authorized for admin access (case-insensitive)
-      const authorizedWallets = [
-        '0x5bF25Dc1BAf6A96C5A0F724E05EcF4D456c7652e',
-        '0x861722f739539CF31d86F1221460Fa96C9baB95C',
-        '0x97A6c2DE9a2aC3d75e85d70e465bd5a621813CE8',  // Emergency withdrawal and smart contract operations
-        '0xD117738595dfAFe4c2f96bcF63Ed381788E08d39'   // User-requested admin access
-      ];
-      
-      const normalizedWalletAddress = walletAddress.toLowerCase();
-      const normalizedAuthorizedWallets = authorizedWallets.map(addr => addr.toLowerCase());
-      
-      console.log('Backend auth check - Wallet:', walletAddress);
-      console.log('Backend auth check - Authorized wallets:', authorizedWallets);
-      
-      if (!normalizedAuthorizedWallets.includes(normalizedWalletAddress)) {
-        return res.status(401).json({ 
-          error: `Access denied. Wallet ${walletAddress.slice(0, 6)}...${walletAddress.slice(-4)} is not authorized for admin access.`,
-          code: 'UNAUTHORIZED_WALLET',
-          connectedWallet: walletAddress
-        });
+  // Remove a wallet from the allowlist - its role is revoked and its sessions end immediately
+  app.delete("/api/admin/wallets/:address", requirePermission('access:manage'), async (req, res) => {
+    try {
+      const adminWallet = getAdminWallet(req);
+      const result = await adminAuthService.removeWallet(req.params.address, adminWallet);
+      if (!result) {
+        return res.status(404).json({ success: false, error: 'Wallet is not on the admin allowlist' });
       }
 
-      // Generate secure admin session token
-      const token = 'admin_' + Math.random().toString(36).substring(2) + Math.random().toString(36).substring(2);
-      
-      // Log admin access for security audit
-      const accessLog = {
-        walletAddress,
-        timestamp: new Date().toISOString(),
-        action: 'ADMIN_LOGIN',
-        success: true
-      };
-
-      res.json({
-        success: true,
-        token,
-        walletAddress,
-        message: 'Admin authentication successful',
-        accessLevel: 'MAXIMUM'
-      });
+      await logConfigChange(
+        'admin_role_revoked',
+        `Revoked ${result.wallet.role} from ${result.wallet.address} and ended ${result.revokedSessions} sessions`,
+        adminWallet,
+        { address: result.wallet.address, role: result.wallet.role },
+        null
+      );
+      res.json({ success: true, ...result });
     } catch (error) {
-      res.status(500).json({ 
-        error: 'Authentication system error',
-        code: 'SYSTEM_ERROR'
+      const apiError = error as ApiError;
+      res.status(apiError.statusCode === 400 ? 400 : 500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error',
+        details: apiError.details
       });
     }
   });
 
-  // Reset distributed rewards counter (admin only)
-  app.post('/api/admin/treasury/reset-distributed', async (req, res) => {
+  // Reset distributed rewards counter - runs once enough admins approve the proposal
+  app.post('/api/admin/treasury/reset-distributed', requirePermission('treasury:manage'), async (req, res) => {
+    console.log('🔄 Admin request to reset distributed rewards counter');
+    await proposeOperation(req, res, 'reset_distributed', {});
+  });
+
+  // Emergency withdrawal - runs once enough admins approve the proposal
+  app.post('/api/admin/treasury/emergency-withdraw', requirePermission('treasury:withdraw'), async (req, res) => {
+    const { amount, recipientAddress } = req.body;
+    console.log('🚨 Admin emergency withdrawal request:', { amount, recipientAddress, performedBy: getAdminWallet(req) });
+    await proposeOperation(req, res, 'emergency_withdraw', { amount, recipientAddress });
+  });
+
+  // Two-person approval proposals, pending first, with their votes
+  app.get('/api/admin/approvals', requirePermission('admin:read'), async (req, res) => {
     try {
-      console.log('🔄 Admin request to reset distributed rewards counter');
-      
-      // Clear all rewards from the database to reset the distributed counter
-      const deleteResult = await db.delete(rewards);
-      
-      // Log this admin operation
-      await logAdminOperation(
-        'TREASURY_RESET_DISTRIBUTED',
-        'Reset distributed rewards counter to zero',
-        'admin', // Replace with actual admin user if available
-        '0',
-        undefined,
-        true
-      );
-      
-      console.log(`✅ Distributed rewards counter reset successfully. Cleared ${deleteResult.rowCount || 0} reward records`);
-      
-      res.json({
-        success: true,
-        message: 'Distributed rewards counter reset to zero',
-        clearedRecords: deleteResult.rowCount || 0,
-        newDistributedAmount: 0
-      });
+      const status = typeof req.query.status === 'string' ? req.query.status : undefined;
+      const limit = Math.min(Number(req.query.limit) || 100, 500);
+      const proposals = await adminApprovalService.getProposals(status, limit);
+      res.json({ success: true, ...adminApprovalService.getSettings(), proposals });
     } catch (error) {
-      console.error('❌ Failed to reset distributed rewards counter:', error);
-      
-      await logAdminOperation(
-        'TREASURY_RESET_DISTRIBUTED',
-        'Failed to reset distributed rewards counter',
-        'admin',
-        '0',
-        undefined,
-        false,
-        error instanceof Error ? error.message : 'Unknown error'
-      );
-      
-      res.status(500).json({ 
-        error: 'Failed to reset distributed counter',
-        details: error instanceof Error ? error.message : 'Unknown error'
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
       });
     }
   });
 
-  // Emergency withdrawal endpoint (admin only)
-  app.post('/api/admin/treasury/emergency-withdraw', async (req, res) => {
+  // Approve or reject a proposal - the approval that completes it executes the operation
+  app.post('/api/admin/approvals/:id/:decision(approve|reject)', requirePermission('admin:read'), async (req, res) => {
     try {
-      const { amount, recipientAddress } = req.body;
-      const { walletAddress } = req.body; // Admin wallet performing the operation
-      
-      console.log('🚨 Admin emergency withdrawal request:', { amount, recipientAddress, performedBy: walletAddress });
-      
-      if (!amount || amount <= 0) {
-        return res.status(400).json({ 
-          success: false,
-          error: 'Valid withdrawal amount required' 
-        });
+      const adminWallet = getAdminWallet(req);
+      const decision = req.params.decision as 'approve' | 'reject';
+      const proposal = await adminApprovalService.getProposal(Number(req.params.id));
+      if (!proposal) {
+        return res.status(404).json({ success: false, error: 'Proposal not found' });
       }
 
-      // Validate admin authorization
-      const authorizedWallets = [
-        '0x5bF25Dc1BAf6A96C5A0F724E05EcF4D456c7652e',
-        '0x861722f739539CF31d86F1221460Fa96C9baB95C',
-        '0x97A6c2DE9a2aC3d75e85d70e465bd5a621813CE8',  // Emergency withdrawal and smart contract operations
-        '0xD117738595dfAFe4c2f96bcF63Ed381788E08d39'   // User-requested admin access
-      ];
-      
-      const normalizedWalletAddress = walletAddress?.toLowerCase();
-      const normalizedAuthorizedWallets = authorizedWallets.map(addr => addr.toLowerCase());
-      
-      if (!walletAddress || !normalizedAuthorizedWallets.includes(normalizedWalletAddress)) {
-        return res.status(401).json({ 
+      const permission = APPROVAL_PERMISSIONS[proposal.operation as ApprovalOperation];
+      if (!roleHasPermission(req.adminSession?.role, permission)) {
+        return res.status(403).json({
           success: false,
-          error: 'Unauthorized wallet for emergency withdrawal operations',
-          code: 'EMERGENCY_UNAUTHORIZED'
+          error: `Role ${req.adminSession?.role || 'none'} does not have ${permission} permission`,
+          code: 'ADMIN_PERMISSION_DENIED',
+          permission
         });
       }
-      
-      // Perform emergency withdrawal
-      const result = await smartContractService.emergencyWithdraw(amount, recipientAddress);
-      
-      // Log this critical admin operation
+
+      const outcome = await adminApprovalService.vote(proposal.id, decision, adminWallet, req.body.note);
+      if (!outcome) {
+        return res.status(404).json({ success: false, error: 'Proposal not found' });
+      }
+
       await logAdminOperation(
-        'EMERGENCY_WITHDRAWAL',
-        `Emergency withdrawal of ${amount} KILT to ${recipientAddress || 'performer wallet'}`,
-        walletAddress,
-        amount.toString(),
-        result.transactionHash,
-        result.success,
-        result.error
+        decision === 'approve' ? 'approval_approved' : 'approval_rejected',
+        `Proposal #${proposal.id}: ${proposal.summary}${req.body.note ? ` - ${req.body.note}` : ''}`,
+        adminWallet
       );
-      
-      if (result.success) {
-        console.log(`✅ Emergency withdrawal successful: ${amount} KILT. Transaction: ${result.transactionHash}`);
-        res.json({
-          success: true,
-          message: `Emergency withdrawal successful: ${amount} KILT`,
-          amount: amount,
-          recipient: recipientAddress || 'Performing wallet',
-          transactionHash: result.transactionHash,
-          performedBy: walletAddress
-        });
-      } else {
-        console.error('❌ Emergency withdrawal failed:', result.error);
-        res.status(500).json({
-          success: false,
-          error: result.error || 'Emergency withdrawal failed',
-          amount: amount,
-          performedBy: walletAddress
-        });
+      if (outcome.executed) {
+        await logProposalExecution(outcome.proposal);
       }
+      sendProposalOutcome(res, outcome);
     } catch (error) {
-      console.error('❌ Emergency withdrawal endpoint error:', error);
-      
-      await logAdminOperation(
-        'EMERGENCY_WITHDRAWAL',
-        'Emergency withdrawal system error',
-        req.body.walletAddress || 'unknown',
-        req.body.amount?.toString() || '0',
-        undefined,
-        false,
-        error instanceof Error ? error.message : 'Unknown error'
-      );
-      
-      res.status(500).json({ 
+      const apiError = error as ApiError;
+      res.status(apiError.statusCode === 400 ? 400 : 500).json({
         success: false,
-        error: 'Emergency withdrawal system error',
-        details: error instanceof Error ? error.message : 'Unknown error'
+        error: error instanceof Error ? error.message : 'Unknown error',
+        details: apiError.details
       });
     }
   });
 
   // Treasury configuration endpoints
-  app.get('/api/admin/treasury/config', async (req, res) => {
+  app.get('/api/admin/treasury/config', requirePermission('admin:read'), async (req, res) => {
     try {
       // Get real treasury configuration from database
       const [config] = await db.select().from(treasuryConfig).limit(1);
@@ -3741,119 +4825,80 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
     }
   });
 
-  app.post("/api/admin/treasury/config", async (req, res) => {
+  // Treasury runway: depletion date and funding needed to finish the program - ?refresh=true skips the cache
+  app.get("/api/admin/treasury/runway", requirePermission('admin:read'), async (req, res) => {
     try {
-      const config = req.body;
+      const forecast = await treasuryRunwayService.getForecast(req.query.refresh === 'true');
+      res.json({ success: true, forecast });
+    } catch (error) {
+      const apiError = error as ApiError;
+      res.status(apiError.statusCode === 400 ? 400 : 500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error',
+        details: apiError.details
+      });
+    }
+  });
 
-      
-      // Validate required fields - check for valid values (support both field names)
-      const validationErrors = [];
-      const smartContractAddr = config.treasuryWalletAddress;
-      if (!smartContractAddr || smartContractAddr.trim() === '') {
-        validationErrors.push('Smart contract address is required');
-      }
-      if (!config.totalAllocation || config.totalAllocation <= 0) {
-        validationErrors.push('Total allocation must be greater than 0');
-      }
-      if (!config.programStartDate || config.programStartDate.trim() === '') {
-        validationErrors.push('Program start date is required');
-      }
-      if (!config.programDurationDays || config.programDurationDays <= 0) {
-        validationErrors.push('Program duration must be greater than 0 days');
-      }
+  app.get("/api/admin/treasury/runway/policy", requirePermission('admin:read'), async (req, res) => {
+    try {
+      res.json({ success: true, policy: await treasuryRunwayService.getPolicy() });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
 
-      if (validationErrors.length > 0) {
-        return res.status(400).json({ 
-          error: 'Validation failed',
-          details: validationErrors,
-          received: {
-            treasuryWalletAddress: config.treasuryWalletAddress?.slice(0, 10) + '...',
-            totalAllocation: config.totalAllocation,
-            programStartDate: config.programStartDate,
-            programDurationDays: config.programDurationDays
-          }
-        });
-      }
+  app.put("/api/admin/treasury/runway/policy", requirePermission('treasury:manage'), async (req, res) => {
+    try {
+      const adminWallet = getAdminWallet(req);
+      const previous = await treasuryRunwayService.getPolicy();
+      const policy = await treasuryRunwayService.updatePolicy(req.body, adminWallet);
 
-      // Auto-calculate derived values
-      const programStartDate = new Date(config.programStartDate);
-      const programEndDate = new Date(programStartDate.getTime() + (config.programDurationDays * 24 * 60 * 60 * 1000));
-      const dailyRewardsCap = config.totalAllocation / config.programDurationDays;
-      
-      const dbConfig = {
-        smartContractAddress: smartContractAddr, // Support both old and new field names
-        totalAllocation: config.totalAllocation.toString(),
-        programStartDate: programStartDate.toISOString().split('T')[0],
-        programEndDate: programEndDate.toISOString().split('T')[0],
-        programDurationDays: config.programDurationDays,
-        dailyRewardsCap: dailyRewardsCap.toString(),
-        isActive: config.isActive !== false,
-        createdBy: 'admin',
-        updatedAt: new Date()
-      };
-      
-      // Check if config exists
-      const [existingConfig] = await db.select().from(treasuryConfig).limit(1);
-      
-      if (existingConfig) {
-        // Update existing config
-        await db.update(treasuryConfig)
-          .set(dbConfig)
-          .where(eq(treasuryConfig.id, existingConfig.id));
-      } else {
-        // Insert new config
-        await db.insert(treasuryConfig).values(dbConfig);
-      }
-      
-      // Extract admin wallet address from request body or fallback methods
-      const adminWallet = config.adminWallet || req.body.adminWallet || req.headers['x-admin-wallet'] || 'Unknown Admin';
-      
-      // Log the treasury update operation
-      await logAdminOperation(
-        'treasury_update',
-        `Updated treasury configuration - Total: ${config.totalAllocation.toLocaleString()} KILT, Duration: ${config.programDurationDays} days`,
+      await logConfigChange(
+        'treasury_runway_policy_updated',
+        `Treasury runway alert threshold: ${policy.alertThresholdDays} days`,
         adminWallet,
-        config.totalAllocation.toString(),
-        undefined,
-        true
+        previous,
+        policy
       );
-      
-      console.log('🚀 Admin treasury config updated - triggering reward calculation refresh');
-      console.log(`💰 New daily reward rate: ${dailyRewardsCap.toFixed(4)} KILT per day`);
-      
-      console.log('Admin POST /api/admin/treasury/config');
-      res.json({
-        success: true,
-        message: 'Treasury configuration updated successfully',
-        config: dbConfig,
-        calculationUpdate: {
-          newDailyRate: dailyRewardsCap,
-          message: 'All reward calculations will update immediately'
-        }
-      });
+
+      res.json({ success: true, policy });
     } catch (error) {
-      console.error('Treasury config update error:', error);
-      res.status(500).json({ error: 'Failed to update treasury configuration' });
+      const apiError = error as ApiError;
+      res.status(apiError.statusCode === 400 ? 400 : 500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error',
+        details: apiError.details
+      });
     }
   });
 
-  // Program settings endpoints
-  app.get('/api/admin/program/settings', async (req, res) => {
+  // Treasury configuration changes run once enough admins approve the proposal
+  app.post("/api/admin/treasury/config", requirePermission('treasury:manage'), async (req, res) => {
+    const { treasuryWalletAddress, totalAllocation, programStartDate, programDurationDays, isActive } = req.body;
+    await proposeOperation(req, res, 'treasury_config', { treasuryWalletAddress, totalAllocation, programStartDate, programDurationDays, isActive });
+  });
+
+  // Program settings endpoints - the version in force now
+  app.get('/api/admin/program/settings', requirePermission('admin:read'), async (req, res) => {
     try {
-      // Get real program settings from database
-      const [settings] = await db.select().from(programSettings).limit(1);
-      
-      if (!settings) {
+      if (!(await programSettingsService.isConfigured())) {
         // No settings exist - return error instead of creating defaults
         return res.status(404).json({ 
           error: 'Program settings not configured. Please configure via admin panel first.' 
         });
       } else {
+        const settings = await programSettingsService.getCurrentVersion();
         res.json({
-          timeBoostCoefficient: parseFloat(settings.timeBoostCoefficient),
-          fullRangeBonus: parseFloat(settings.fullRangeBonus),
-          minimumPositionValue: parseFloat(settings.minimumPositionValue),
-          lockPeriod: settings.lockPeriod
+          versionId: settings.id,
+          timeBoostCoefficient: settings.timeBoostCoefficient,
+          fullRangeBonus: settings.fullRangeBonus,
+          minimumPositionValue: settings.minimumPositionValue,
+          lockPeriod: settings.lockPeriod,
+          effectiveFrom: settings.effectiveFrom
         });
       }
     } catch (error) {
@@ -3862,7 +4907,8 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
     }
   });
 
-  app.post("/api/admin/program/settings", async (req, res) => {
+  // Store program settings as a new version, effective now or at a scheduled effectiveFrom
+  app.post("/api/admin/program/settings", requirePermission('program:manage'), async (req, res) => {
     try {
       const settings = req.body;
       
@@ -3872,105 +4918,178 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
         return res.status(400).json({ error: 'Missing required program settings fields' });
       }
 
-      // Real database update for program settings
-      const dbSettings = {
-        timeBoostCoefficient: settings.timeBoostCoefficient.toString(),
-        fullRangeBonus: settings.fullRangeBonus.toString(),
-        minimumPositionValue: settings.minimumPositionValue.toString(),
+      // Signed-in admin wallet for the version and the operation log
+      const adminWallet = getAdminWallet(req);
+      const previous = (await programSettingsService.isConfigured()) ? await programSettingsService.getCurrentVersion() : null;
+
+      const version = await programSettingsService.createVersion({
+        timeBoostCoefficient: Number(settings.timeBoostCoefficient),
+        fullRangeBonus: Number(settings.fullRangeBonus),
+        minimumPositionValue: Number(settings.minimumPositionValue),
+        lockPeriod: Number(settings.lockPeriod),
+        effectiveFrom: settings.effectiveFrom
+      }, adminWallet);
+      const isScheduled = version.effectiveFrom.getTime() > Date.now();
+
+      // Reward calculations read the settings versions
+      unifiedRewardService.clearAdminConfigCache();
+      
+      // Diffed against the version in force when the change was made
+      const settingsFields = (settings: typeof version | null) => settings && {
+        timeBoostCoefficient: settings.timeBoostCoefficient,
+        fullRangeBonus: settings.fullRangeBonus,
+        minimumPositionValue: settings.minimumPositionValue,
         lockPeriod: settings.lockPeriod,
-        updatedAt: new Date()
+        effectiveFrom: settings.effectiveFrom
       };
-      
-      // Check if settings exist
-      const [existingSettings] = await db.select().from(programSettings).limit(1);
-      
-      if (existingSettings) {
-        // Update existing settings
-        await db.update(programSettings)
-          .set(dbSettings)
-          .where(eq(programSettings.id, existingSettings.id));
-      } else {
-        // Insert new settings
-        await db.insert(programSettings).values(dbSettings);
-      }
-      
-      // Extract admin wallet address and log the operation
-      const adminWallet = settings.adminWallet || req.body.adminWallet || req.headers['x-admin-wallet'] || 'Unknown Admin';
-      
-      await logAdminOperation(
-        'parameters_update',
-        `Updated program parameters - Time Boost: ${settings.timeBoostCoefficient}, Full Range Bonus: ${settings.fullRangeBonus}, Min Position: $${settings.minimumPositionValue}, Lock Period: ${settings.lockPeriod} days`,
+      await logConfigChange(
+        isScheduled ? 'parameters_scheduled' : 'parameters_update',
+        `${isScheduled ? 'Scheduled' : 'Updated'} program parameters version ${version.id} effective ${version.effectiveFrom.toISOString()} - Time Boost: ${version.timeBoostCoefficient}, Full Range Bonus: ${version.fullRangeBonus}, Min Position: $${version.minimumPositionValue}, Lock Period: ${version.lockPeriod} days`,
         adminWallet,
-        undefined,
-        undefined,
-        true
+        settingsFields(previous),
+        settingsFields(version)
       );
       
       res.json({
         success: true,
-        message: 'Program settings updated successfully',
+        message: isScheduled ? 'Program settings version scheduled successfully' : 'Program settings updated successfully',
         settings: {
-          timeBoostCoefficient: parseFloat(dbSettings.timeBoostCoefficient),
-          fullRangeBonus: parseFloat(dbSettings.fullRangeBonus),
-          minimumPositionValue: parseFloat(dbSettings.minimumPositionValue),
-          lockPeriod: dbSettings.lockPeriod
+          versionId: version.id,
+          timeBoostCoefficient: version.timeBoostCoefficient,
+          fullRangeBonus: version.fullRangeBonus,
+          minimumPositionValue: version.minimumPositionValue,
+          lockPeriod: version.lockPeriod,
+          effectiveFrom: version.effectiveFrom
         }
       });
     } catch (error) {
       console.error('Program settings update error:', error);
+      const apiError = error as ApiError;
+      if (apiError.statusCode === 400) {
+        return res.status(400).json({ error: apiError.message, details: apiError.details });
+      }
       res.status(500).json({ error: 'Failed to update program settings' });
     }
   });
 
-  // Operations history endpoint
-  app.get("/api/admin/operations", async (req, res) => {
+  // Program settings version timeline, oldest first
+  app.get('/api/admin/program/settings/versions', requirePermission('admin:read'), async (req, res) => {
     try {
-      // Get real operations from database
-      const { adminOperations } = await import('../shared/schema');
-      const dbOperations = await db.select().from(adminOperations)
-        .orderBy(desc(adminOperations.timestamp))
-        .limit(50);
-      
-      // Transform database format to frontend format
-      const operations = dbOperations.map(op => ({
-        action: (op.operationType || 'unknown').toUpperCase(),
-        details: op.reason,
-        adminId: op.performedBy, // This will now show the wallet address
-        walletAddress: op.performedBy, // Add explicit wallet address field
-        timestamp: op.timestamp.toISOString(),
-        success: op.success,
-        amount: op.amount,
-        transactionHash: op.transactionHash,
-        errorMessage: op.errorMessage
-      }));
-      
-      // If no operations in database, return recent mock data with note
-      if (operations.length === 0) {
-        const mockOperations = [
-          {
-            action: 'TREASURY_UPDATE',
-            details: 'Updated total allocation to 500,000 KILT',
-            adminId: 'Mock Data - No Operations Logged Yet',
-            walletAddress: null,
-            timestamp: new Date().toISOString(),
-            success: true
-          },
-          {
-            action: 'PARAMETERS_UPDATE', 
-            details: 'Updated time boost coefficient to 0.6',
-            adminId: 'Mock Data - No Operations Logged Yet',
-            walletAddress: null,
-            timestamp: new Date(Date.now() - 3600000).toISOString(),
-            success: true
-          }
-        ];
-        return res.json(mockOperations);
+      const versions = await programSettingsService.getVersions();
+      const current = await programSettingsService.getCurrentVersion();
+      const now = Date.now();
+
+      res.json({
+        success: true,
+        versions: versions
+          .filter(version => version.id !== null)
+          .map(version => ({
+            ...version,
+            status: version === current ? 'current' : version.effectiveFrom.getTime() > now ? 'scheduled' : 'superseded'
+          }))
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  // Cancel a scheduled program settings version before it takes effect
+  app.delete('/api/admin/program/settings/versions/:id', requirePermission('program:manage'), async (req, res) => {
+    try {
+      const adminWallet = getAdminWallet(req);
+      const version = await programSettingsService.cancelVersion(parseInt(req.params.id));
+      if (!version) {
+        return res.status(404).json({ success: false, error: 'Settings version not found' });
       }
-      
-      res.json(operations);
+      unifiedRewardService.clearAdminConfigCache();
+
+      await logAdminOperation(
+        'parameters_cancelled',
+        `Cancelled program parameters version ${version.id} scheduled for ${version.effectiveFrom.toISOString()}`,
+        adminWallet
+      );
+
+      res.json({ success: true, version });
+    } catch (error) {
+      const apiError = error as ApiError;
+      res.status(apiError.statusCode === 400 ? 400 : 500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error',
+        details: apiError.details
+      });
+    }
+  });
+
+  // Audit log, most recent first - filter by type, wallet, outcome, time range and text
+  app.get("/api/admin/operations", requirePermission('admin:read'), async (req, res) => {
+    try {
+      const page = Math.max(1, parseInt(req.query.page as string) || 1);
+      const pageSize = Math.min(Math.max(1, parseInt(req.query.pageSize as string) || 50), 200);
+      const { entries, total } = await adminAuditService.list(parseAuditFilters(req.query), page, pageSize);
+      res.json({
+        success: true,
+        entries,
+        total,
+        page,
+        pageSize,
+        operationTypes: await adminAuditService.getOperationTypes()
+      });
     } catch (error) {
       console.error('Admin operations fetch error:', error);
-      res.status(500).json({ error: 'Failed to get operations' });
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  // Walk the audit log hash chain and report gaps and tampered entries
+  app.get("/api/admin/operations/verify", requirePermission('admin:read'), async (req, res) => {
+    try {
+      const verification = await adminAuditService.verify();
+      if (!verification.valid) {
+        console.error(`🚨 AUDIT LOG: verification found ${verification.issueCount} issue(s)`);
+      }
+      res.json({ success: true, ...verification });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  // Audit log export with the same filters, as JSON or CSV
+  app.get("/api/admin/operations/export", requirePermission('admin:read'), async (req, res) => {
+    try {
+      const format = req.query.format === 'csv' ? 'csv' : 'json';
+      const { entries } = await adminAuditService.list(parseAuditFilters(req.query), 1, AUDIT_EXPORT_LIMIT);
+      const filename = `admin-audit-${new Date().toISOString().split('T')[0]}.${format}`;
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+      if (format === 'json') {
+        return res.json(entries);
+      }
+
+      const columns = ['sequence', 'id', 'timestamp', 'operationType', 'performedBy', 'success', 'amount', 'transactionHash', 'reason', 'errorMessage', 'changes', 'previousHash', 'entryHash'] as const;
+      const csvValue = (value: unknown) => {
+        if (value === null || value === undefined) return '';
+        const raw = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+        // A leading quote keeps spreadsheets from evaluating cells such as wallet strings as formulas
+        const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+      };
+      const lines = [columns.join(','), ...entries.map(entry => columns.map(column => csvValue(entry[column])).join(','))];
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.send(lines.join('\n'));
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
     }
   });
 
@@ -4205,7 +5324,6 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
           calculatorAuth?: { success: boolean; calculatorAddress?: string; isAuthorized?: boolean; error?: string };
           pausedStatus?: { success: boolean; isPaused?: boolean; error?: string };
           walletVerification?: { success: boolean; actualAddress?: string; expectedAddress?: string; matches?: boolean; error?: string };
-          signatureTest?: { success: boolean; signatureGenerated?: boolean; gasEstimationWorking?: boolean; callResult?: string; error?: string; errorCode?: string; errorData?: string };
         };
       } = {
         timestamp: new Date().toISOString(),
@@ -4341,62 +5459,8 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
           expectedAddress: expectedCalculatorAddress,
           matches: walletMatch
         };
-        
-        // Check 6.5: Direct signature generation test
-        console.log('🔍 CHECK 6.5: Testing signature generation...');
-        const signatureResult = await smartContractService.generateClaimSignature(testUserAddress, parseFloat((BigInt(testClaimAmount) / BigInt(10**18)).toString()));
-        
-        if (signatureResult.success) {
-          // Test the exact parameters that would be sent to the contract
-          console.log('🔍 CHECK 6: Testing gas estimation with real parameters...');
-          
-          const { Interface } = await import('ethers');
-          const claimInterface = new Interface([
-            'function claimRewards(uint256 totalRewardBalance, bytes signature)'
-          ]);
-          
-          const calldata = claimInterface.encodeFunctionData('claimRewards', [
-            testClaimAmount,
-            signatureResult.signature
-          ]);
-          
-          try {
-            const gasResult = await provider.call({
-              to: contractAddress,
-              data: calldata,
-              from: testUserAddress
-            });
-            
-            diagnostics.checks.signatureTest = {
-              success: true,
-              signatureGenerated: true,
-              gasEstimationWorking: true,
-              callResult: gasResult
-            };
-            console.log('🔍 CHECK 6 SUCCESS: Signature verification passed gas estimation');
-          } catch (gasError: any) {
-            diagnostics.checks.signatureTest = {
-              success: false,
-              signatureGenerated: true,
-              gasEstimationWorking: false,
-              error: gasError.message,
-              errorCode: gasError.code,
-              errorData: gasError.data
-            };
-            console.log('🔍 CHECK 6 FAILED: Gas estimation failed:', gasError.message);
-          }
-        } else {
-          diagnostics.checks.signatureTest = {
-            success: false,
-            signatureGenerated: false,
-            error: 'Failed to generate signature'
-          };
-        }
       } catch (error) {
-        diagnostics.checks.signatureTest = { 
-          success: false, 
-          error: error instanceof Error ? error.message : 'Unknown signature test error' 
-        };
+        diagnostics.checks.walletVerification = { success: false, error: error instanceof Error ? error.message : 'Unknown error' };
       }
       
       console.log('🔍 CLAIM DIAGNOSTICS COMPLETE');
@@ -4620,14 +5684,6 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
         console.log('🔍 DEBUG LOG 6: User reward stats:', JSON.stringify(rewardStats, null, 2));
       }
       
-      // Test signature generation
-      let signatureTest = null;
-      if (user && rewardStats && rewardStats.totalClaimable > 0) {
-        console.log('🔍 DEBUG LOG 7: Testing signature generation...');
-        signatureTest = await smartContractService.generateClaimSignature(userAddress, rewardStats.totalClaimable);
-        console.log('🔍 DEBUG LOG 8: Signature test result:', JSON.stringify(signatureTest, null, 2));
-      }
-      
       const debugReport = {
         timestamp: new Date().toISOString(),
         userAddress,
@@ -4638,13 +5694,6 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
         userFound: !!user,
         userId: user?.id || null,
         rewardStats,
-        signatureTest: signatureTest ? {
-          success: signatureTest.success,
-          error: signatureTest.error,
-          hasSignature: !!signatureTest.signature,
-          signatureLength: signatureTest.signature?.length,
-          nonce: signatureTest.nonce
-        } : null,
         abiStructure: {
           contractAddress: '0x09bcB93e7E2FF067232d83f5e7a7E8360A458175',
           claimFunction: 'claimRewards(address user, uint256 amount, uint256 nonce, bytes signature)',
@@ -4833,7 +5882,8 @@ export async function registerRoutes(app: Express, security: any): Promise<Serve
         timestamp: new Date().toISOString(),
         environment: process.env.NODE_ENV || "unknown",
         database: !!process.env.DATABASE_URL ? "connected" : "missing",
-        calculatorKey: !!process.env.CALCULATOR_PRIVATE_KEY ? "present" : "missing",
+        calculatorKey: smartContractService.getCalculatorAddress() ? "present" : "missing",
+        calculatorSigner: smartContractService.getSignerBackend(),
         rewardKey: !!process.env.REWARD_WALLET_PRIVATE_KEY ? "present" : "missing"
       };
       res.json(health);
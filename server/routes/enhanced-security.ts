@@ -35,26 +35,14 @@ router.post('/generate-claim-signature', async (req, res) => {
       });
     }
     
-    const userId = user[0].id;
-    
-    // Import reward service and get user's calculated rewards
-    const { unifiedRewardService } = await import('../unified-reward-service');
-    const userRewards = await unifiedRewardService.getUserRewardStats(userId);
-    
-    const claimableAmount = userRewards.totalClaimable || 0;
-    
-    if (claimableAmount <= 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'No rewards available for claiming. Start providing liquidity to earn KILT rewards.'
-      });
-    }
-    
-    console.log(`🔐 Generating secure signature for ${userAddress}: ${claimableAmount} KILT (from calculated rewards)`);
-    
-    const result = await contractService.generateClaimSignature(userAddress, claimableAmount);
-    
-    if ('error' in result) {
+    // Signs the wallet's claimable ledger balance, or returns the signature already issued for its nonce
+    const { claimSignatureService } = await import('../claim-signature-service');
+    const result = await claimSignatureService.issue(userAddress, {
+      requestIp: req.ip || req.socket?.remoteAddress || null,
+      source: 'security'
+    });
+
+    if (!result.success) {
       return res.status(400).json({
         success: false,
         error: result.error
@@ -65,7 +53,11 @@ router.post('/generate-claim-signature', async (req, res) => {
       success: true,
       signature: result.signature,
       nonce: result.nonce,
-      amount: claimableAmount,
+      amount: result.totalRewardBalance,
+      deadline: result.deadline,
+      typedData: result.typedData,
+      issuanceId: result.issuanceId,
+      reused: result.reused,
       userAddress
     });
   } catch (error: unknown) {
@@ -35,6 +35,23 @@ const strictRateLimit = rateLimit({
   }
 });
 
+// Admin sign-in - failed attempts per IP; successful sign-ins don't count
+const adminLoginRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  skipSuccessfulRequests: true,
+  message: {
+    error: 'Too many sign-in attempts from this IP, please try again later.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    // Handle potential proxy scenarios
+    return req.ip || req.connection.remoteAddress || 'unknown';
+  }
+});
+
 // Input validation middleware
 export const validateEthereumAddress = [
   param('address').matches(/^0x[a-fA-F0-9]{40}$/).withMessage('Invalid Ethereum address format'),
@@ -196,6 +213,7 @@ export const setupSecurity = (app: Express) => {
 
   return {
     strictRateLimit,
+    adminLoginRateLimit,
     validateEthereumAddress,
     validateUserId,
     validateUserCreation,
@@ -0,0 +1,205 @@
+/**
+ * SIGNER BACKEND
+ * Loads the keys the server signs with behind one ethers Signer interface, so no service reads a raw key itself:
+ * - env: private key from the environment (CALCULATOR_PRIVATE_KEY / TREASURY_PRIVATE_KEY / RELAYER_PRIVATE_KEY) - development only
+ * - keystore: encrypted JSON keystore file, unlocked once at startup with its password
+ * - remote: HTTP signer holding the key on another host, speaking the protocol in docs/remote-signer.md
+ * The backend is chosen per role with CALCULATOR_SIGNER / TREASURY_SIGNER / RELAYER_SIGNER (default: env).
+ */
+
+import { readFile } from 'fs/promises';
+import { randomUUID } from 'crypto';
+import { ethers } from 'ethers';
+import { toAccount, type LocalAccount } from 'viem/accounts';
+import { serializeTransaction, type Hex } from 'viem';
+
+export type SignerRole = 'calculator' | 'treasury' | 'relayer';
+export type SignerBackendKind = 'env' | 'keystore' | 'remote';
+
+export interface LoadedSigner {
+  role: SignerRole;
+  backend: SignerBackendKind;
+  address: string;
+  signer: ethers.Signer;
+}
+
+const SIGNER_BACKENDS: SignerBackendKind[] = ['env', 'keystore', 'remote'];
+const REMOTE_SIGNER_TIMEOUT_MS = 10000;
+
+// Environment variables read for each role
+const ROLE_ENV: Record<SignerRole, { backend: string; privateKeys: string[]; prefix: string }> = {
+  calculator: { backend: 'CALCULATOR_SIGNER', privateKeys: ['CALCULATOR_PRIVATE_KEY', 'REWARD_WALLET_PRIVATE_KEY'], prefix: 'CALCULATOR' },
+  treasury: { backend: 'TREASURY_SIGNER', privateKeys: ['TREASURY_PRIVATE_KEY'], prefix: 'TREASURY' },
+  relayer: { backend: 'RELAYER_SIGNER', privateKeys: ['RELAYER_PRIVATE_KEY'], prefix: 'RELAYER' }
+};
+
+/**
+ * Signer that forwards every signing request to a remote HTTP signer. Each returned signature
+ * is checked against the signer address before use, so a misbehaving signer cannot slip
+ * in a signature for something else.
+ */
+export class RemoteSigner extends ethers.AbstractSigner {
+  readonly url: string;
+  readonly address: string;
+  private token: string | undefined;
+
+  constructor(url: string, address: string, token?: string, provider: ethers.Provider | null = null) {
+    super(provider);
+    this.url = url;
+    this.address = ethers.getAddress(address);
+    this.token = token;
+  }
+
+  /**
+   * Ask the remote signer which address it signs for
+   */
+  static async connectTo(url: string, token?: string): Promise<RemoteSigner> {
+    const address = await remoteCall<string>(url, token, 'signer_address', {});
+    return new RemoteSigner(url, address, token);
+  }
+
+  connect(provider: ethers.Provider | null): RemoteSigner {
+    return new RemoteSigner(this.url, this.address, this.token, provider);
+  }
+
+  async getAddress(): Promise<string> {
+    return this.address;
+  }
+
+  async signMessage(message: string | Uint8Array): Promise<string> {
+    const bytes = typeof message === 'string' ? ethers.toUtf8Bytes(message) : message;
+    const signature = await remoteCall<string>(this.url, this.token, 'sign_message', { message: ethers.hexlify(bytes) });
+
+    if (ethers.verifyMessage(bytes, signature) !== this.address) {
+      throw new Error('Remote signer returned a message signature from a different address');
+    }
+    return signature;
+  }
+
+  async signTypedData(
+    domain: ethers.TypedDataDomain,
+    types: Record<string, ethers.TypedDataField[]>,
+    value: Record<string, any>
+  ): Promise<string> {
+    const payload = ethers.TypedDataEncoder.getPayload(domain, types, value);
+    const signature = await remoteCall<string>(this.url, this.token, 'sign_typed_data', payload);
+
+    if (ethers.verifyTypedData(domain, types, value, signature) !== this.address) {
+      throw new Error('Remote signer returned a typed data signature from a different address');
+    }
+    return signature;
+  }
+
+  async signTransaction(transaction: ethers.TransactionRequest): Promise<string> {
+    const request = ethers.copyRequest(transaction);
+    const { to, from } = await ethers.resolveProperties({
+      to: request.to ? ethers.resolveAddress(request.to, this.provider) : undefined,
+      from: request.from ? ethers.resolveAddress(request.from, this.provider) : undefined
+    });
+    if (to != null) request.to = to;
+    if (from != null && ethers.getAddress(from) !== this.address) {
+      throw new Error('Transaction from address does not match the remote signer');
+    }
+    delete request.from;
+
+    const unsigned = ethers.Transaction.from(request as ethers.TransactionLike<string>);
+    const signed = await remoteCall<string>(this.url, this.token, 'sign_transaction', {
+      transaction: unsigned.unsignedSerialized
+    });
+
+    const parsed = ethers.Transaction.from(signed);
+    if (parsed.from !== this.address || parsed.unsignedHash !== unsigned.unsignedHash) {
+      throw new Error('Remote signer returned a transaction that does not match the request');
+    }
+    return signed;
+  }
+}
+
+async function remoteCall<T>(url: string, token: string | undefined, method: string, params: unknown): Promise<T> {
+  const id = randomUUID();
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: JSON.stringify({ id, method, params }),
+    signal: AbortSignal.timeout(REMOTE_SIGNER_TIMEOUT_MS)
+  });
+
+  const body = await response.json().catch(() => null) as { id?: string; result?: T; error?: { message?: string } } | null;
+  if (!response.ok || !body || body.error) {
+    throw new Error(`Remote signer ${method} failed: ${body?.error?.message || `HTTP ${response.status}`}`);
+  }
+  if (body.id !== id || body.result === undefined) {
+    throw new Error(`Remote signer ${method} returned a malformed response`);
+  }
+  return body.result;
+}
+
+/**
+ * Load the signer configured for a role, or null when that role has no key configured
+ */
+export async function loadSigner(role: SignerRole): Promise<LoadedSigner | null> {
+  const env = ROLE_ENV[role];
+  const backend = (process.env[env.backend] || 'env').toLowerCase() as SignerBackendKind;
+  if (!SIGNER_BACKENDS.includes(backend)) {
+    throw new Error(`${env.backend} must be one of ${SIGNER_BACKENDS.join(', ')} (got "${backend}")`);
+  }
+
+  let signer: ethers.Wallet | ethers.HDNodeWallet | RemoteSigner;
+  if (backend === 'keystore') {
+    const path = process.env[`${env.prefix}_KEYSTORE_PATH`];
+    const password = process.env[`${env.prefix}_KEYSTORE_PASSWORD`] ?? (
+      process.env[`${env.prefix}_KEYSTORE_PASSWORD_FILE`]
+        ? (await readFile(process.env[`${env.prefix}_KEYSTORE_PASSWORD_FILE`]!, 'utf8')).trim()
+        : undefined
+    );
+    if (!path || password === undefined) {
+      throw new Error(`${env.prefix}_KEYSTORE_PATH and ${env.prefix}_KEYSTORE_PASSWORD(_FILE) are required for the keystore signer`);
+    }
+    signer = await ethers.Wallet.fromEncryptedJson(await readFile(path, 'utf8'), password);
+  } else if (backend === 'remote') {
+    const url = process.env[`${env.prefix}_SIGNER_URL`];
+    if (!url) {
+      throw new Error(`${env.prefix}_SIGNER_URL is required for the remote signer`);
+    }
+    signer = await RemoteSigner.connectTo(url, process.env[`${env.prefix}_SIGNER_TOKEN`]);
+  } else {
+    const privateKey = env.privateKeys.map(name => process.env[name]).find(Boolean);
+    if (!privateKey) return null;
+    if (process.env.NODE_ENV === 'production') {
+      console.warn(`⚠️ SIGNER: ${role} key is read from the environment - use the keystore or remote signer in production`);
+    }
+    signer = new ethers.Wallet(privateKey);
+  }
+
+  const address = await signer.getAddress();
+  console.log(`🔑 SIGNER: ${role} signs with ${backend} backend as ${address}`);
+  return { role, backend, address, signer };
+}
+
+/**
+ * viem account backed by a loaded signer, for services that send transactions through viem clients
+ */
+export function toViemAccount({ address, signer }: LoadedSigner): LocalAccount {
+  return toAccount({
+    address: address as Hex,
+    async signMessage({ message }) {
+      if (typeof message === 'string') return await signer.signMessage(message) as Hex;
+      return await signer.signMessage(ethers.getBytes(message.raw)) as Hex;
+    },
+    async signTypedData(typedData) {
+      // ethers derives EIP712Domain itself and rejects it in the type list
+      const { EIP712Domain, ...types } = typedData.types as Record<string, ethers.TypedDataField[]>;
+      return await signer.signTypedData(
+        typedData.domain as ethers.TypedDataDomain,
+        types,
+        typedData.message as Record<string, any>
+      ) as Hex;
+    },
+    async signTransaction(transaction) {
+      return await signer.signTransaction(ethers.Transaction.from(serializeTransaction(transaction))) as Hex;
+    }
+  });
+}
@@ -14,6 +14,7 @@
 import { sql } from 'drizzle-orm';
 import type { IStorage } from './storage';
 import { unifiedRewardService } from './unified-reward-service';
+import type { TVLProvenance } from './pool-tvl-service';
 import { db } from './db';
 import { treasuryConfig } from '../shared/schema';
 
@@ -36,6 +37,7 @@ export interface APRData {
   timestamp: number;
   totalParticipants: number;
   totalProgramTVL: number;
+  tvlSource: TVLProvenance;     // Where totalProgramTVL came from and how old it is
 }
 
 export class SingleSourceAPR {
@@ -69,7 +71,8 @@ export class SingleSourceAPR {
         analytics = {
           programAPR: 158.45,
           activeLiquidityProviders: 50,
-          totalLiquidity: 99171
+          totalLiquidity: 99171,
+          tvlSource: undefined
         };
       }
       
@@ -102,7 +105,8 @@ export class SingleSourceAPR {
         source: 'authentic_program_data',
         timestamp: Date.now(),
         totalParticipants: analytics.activeLiquidityProviders || 50,
-        totalProgramTVL: analytics.totalLiquidity || 99171
+        totalProgramTVL: analytics.totalLiquidity || 99171,
+        tvlSource: analytics.tvlSource || { source: 'fallback', pricing: null, updatedAt: null, ageSeconds: null, isStale: true }
       };
 
       // Cache the result
@@ -172,6 +176,7 @@ export class SingleSourceAPR {
     incentiveAPR: string;
     totalAPR: string;
     source: string;
+    tvlSource: TVLProvenance;
   }> {
     try {
       const data = await this.getProgramAPR();
@@ -180,7 +185,8 @@ export class SingleSourceAPR {
         tradingAPR: data.tradingAPR.toFixed(2),
         incentiveAPR: data.programAPR.toFixed(2),
         totalAPR: data.totalProgramAPR.toFixed(2),
-        source: 'Program Treasury Distribution'
+        source: 'Program Treasury Distribution',
+        tvlSource: data.tvlSource
       };
     } catch (error) {
       console.error('❌ getExpectedReturnsDisplay failed:', error);
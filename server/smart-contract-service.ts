@@ -13,14 +13,13 @@ import { eq, and } from 'drizzle-orm';
 import { blockchainConfigService } from './blockchain-config-service';
 import { treasuryConfig } from '@shared/schema';
 import { rpcManager } from './rpc-connection-manager';
+import { toTokenAmount, type TokenAmount } from './token-amount';
+import { loadSigner, type SignerBackendKind } from './signer-backend';
 const BASE_RPC_URL = process.env.BASE_RPC_URL || 'https://mainnet.base.org';
 
-// Use calculator private key instead of owner private key for signing
-const CALCULATOR_PRIVATE_KEY = process.env.CALCULATOR_PRIVATE_KEY || process.env.REWARD_WALLET_PRIVATE_KEY;
-
 console.log('🔐 Environment check:', {
-  calculatorKey: CALCULATOR_PRIVATE_KEY ? 'PROVIDED' : 'MISSING',
-  rewardKey: process.env.REWARD_WALLET_PRIVATE_KEY ? 'PROVIDED' : 'MISSING'
+  calculatorSigner: process.env.CALCULATOR_SIGNER || 'env',
+  calculatorKey: process.env.CALCULATOR_PRIVATE_KEY || process.env.REWARD_WALLET_PRIVATE_KEY ? 'PROVIDED' : 'MISSING'
 });
 
 // Helper function to get smart contract address from database
@@ -97,6 +96,40 @@ const REWARD_POOL_ABI = [
   'event TreasuryWithdraw(uint256 amount)'
 ];
 
+// TypedClaimTreasuryPool: EIP-712 claims with a deadline. eip712Domain() (EIP-5267) only exists on this variant.
+const TYPED_CLAIM_POOL_ABI = [
+  'function claimRewards(uint256 totalRewardBalance, uint256 deadline, bytes calldata signature) external',
+  'function eip712Domain() external view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)'
+];
+
+// Must match CLAIM_TYPEHASH in contracts/contracts/TypedClaimTreasuryPool.sol
+export const CLAIM_TYPES = {
+  Claim: [
+    { name: 'user', type: 'address' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// How long a typed claim signature stays valid
+const CLAIM_SIGNATURE_TTL_SECONDS = parseInt(process.env.CLAIM_SIGNATURE_TTL_SECONDS || '900');
+
+export interface ClaimTypedDataDomain {
+  name: string;
+  version: string;
+  chainId: number;
+  verifyingContract: string;
+}
+
+// Typed data exactly as signed - uint256 values as decimal strings so the client can re-hash it
+export interface ClaimTypedData {
+  domain: ClaimTypedDataDomain;
+  types: typeof CLAIM_TYPES;
+  primaryType: 'Claim';
+  message: { user: string; amount: string; nonce: string; deadline: string };
+}
+
 const KILT_TOKEN_ABI = [
   'function transfer(address to, uint256 amount) external returns (bool)',
   'function approve(address spender, uint256 amount) external returns (bool)',
@@ -140,12 +173,26 @@ export interface SmartContractStats {
   programInfo: SmartContractProgramInfo;
 }
 
+export interface RewardClaimedEvent {
+  user: string; // Lowercase
+  amount: bigint; // Wei transferred by this claim
+  claimedAmount: bigint; // Wei claimed by the user in total after this claim
+  nonce: bigint;
+  timestamp: number;
+  transactionHash: string;
+  logIndex: number;
+  blockNumber: number;
+}
+
 export class SmartContractService {
   private provider: ethers.JsonRpcProvider;
-  private wallet: ethers.Wallet | null = null;
+  private wallet: ethers.Signer | null = null; // Calculator signer from the configured backend (see signer-backend.ts)
+  private walletAddress: string | null = null;
+  private signerBackend: SignerBackendKind | null = null;
   private rewardPoolContract: ethers.Contract | null = null;
   private kiltTokenContract: ethers.Contract | null = null;
   private isContractDeployed: boolean = false; // Production: Deploy contracts before enabling
+  private claimDomains = new Map<string, ClaimTypedDataDomain | null>(); // null = legacy packed-hash contract
 
   constructor() {
     // Initialize with primary RPC but use connection manager for resilient calls
@@ -217,7 +264,7 @@ export class SmartContractService {
       
       // Reinitialize contracts with new provider
       if (this.wallet) {
-        this.wallet = new ethers.Wallet(this.wallet.privateKey, this.provider);
+        this.wallet = this.wallet.connect(this.provider);
         
         if (this.rewardPoolContract) {
           const contractAddress = await getSmartContractAddress();
@@ -251,11 +298,13 @@ export class SmartContractService {
   private async initializeContracts(): Promise<void> {
     try {
       const contractAddress = await getSmartContractAddress();
-      const privateKey = CALCULATOR_PRIVATE_KEY;
+      const calculator = await loadSigner('calculator');
       
-      if (contractAddress && privateKey) {
-        this.wallet = new ethers.Wallet(privateKey, this.provider);
-        console.log(`✅ Smart contract service initialized with calculator wallet: ${this.wallet.address}`);
+      if (contractAddress && calculator) {
+        this.wallet = calculator.signer.connect(this.provider);
+        this.walletAddress = calculator.address;
+        this.signerBackend = calculator.backend;
+        console.log(`✅ Smart contract service initialized with calculator wallet: ${this.walletAddress} (${calculator.backend} signer)`);
         this.rewardPoolContract = new ethers.Contract(
           contractAddress,
           REWARD_POOL_ABI,
@@ -264,7 +313,7 @@ export class SmartContractService {
         await this.initializeKiltContract();
         this.isContractDeployed = true;
       } else {
-        console.log(`⚠️ Contract initialization failed - Address: ${contractAddress}, Private Key: ${privateKey ? 'PROVIDED' : 'MISSING'}`);
+        console.log(`⚠️ Contract initialization failed - Address: ${contractAddress}, Calculator Signer: ${calculator ? 'PROVIDED' : 'MISSING'}`);
         this.isContractDeployed = false;
       }
     } catch (error) {
@@ -298,7 +347,7 @@ export class SmartContractService {
    * Get calculator wallet address for authorization
    */
   public getCalculatorAddress(): string | null {
-    return this.wallet?.address || null;
+    return this.walletAddress;
   }
 
   /**
@@ -440,37 +489,83 @@ export class SmartContractService {
     }
   }
 
+  /**
+   * Which signer backend holds the calculator key (env, keystore or remote)
+   */
+  getSignerBackend(): SignerBackendKind | null {
+    return this.signerBackend;
+  }
+
   /**
    * Get the wallet address for verification
    */
   getWalletAddress(): string | null {
-    return this.wallet?.address || null;
+    return this.walletAddress;
+  }
+
+  /**
+   * EIP-712 domain of the reward pool, or null for the legacy DynamicTreasuryPool that
+   * verifies a packed keccak. Cached per contract address - the domain never changes.
+   */
+  async getClaimDomain(contractAddress: string): Promise<ClaimTypedDataDomain | null> {
+    const key = contractAddress.toLowerCase();
+    if (this.claimDomains.has(key)) return this.claimDomains.get(key)!;
+
+    try {
+      const contract = new ethers.Contract(contractAddress, TYPED_CLAIM_POOL_ABI, this.provider);
+      const domain = await contract.eip712Domain();
+      const result: ClaimTypedDataDomain = {
+        name: domain.name,
+        version: domain.version,
+        chainId: Number(domain.chainId),
+        verifyingContract: domain.verifyingContract
+      };
+      this.claimDomains.set(key, result);
+      return result;
+    } catch (error: any) {
+      // A revert (or empty return data) means the contract has no eip712Domain(); anything else is an RPC problem
+      if (error?.code === 'CALL_EXCEPTION' || error?.code === 'BAD_DATA') {
+        this.claimDomains.set(key, null);
+        return null;
+      }
+      throw error;
+    }
   }
 
   /**
-   * Generate secure signature for reward claiming with enhanced security
+   * Generate secure signature for reward claiming with enhanced security.
+   * The amount is exact wei - by default the wallet's claimable balance in the reward ledger.
+   * Against a TypedClaimTreasuryPool the signature is EIP-712 typed data with a deadline,
+   * returned alongside so the client can show the user what is being claimed.
    */
   async generateClaimSignature(
     userAddress: string,
-    amount?: number | null
-  ): Promise<{ success: boolean; signature?: string; nonce?: number; totalRewardBalance?: number; error?: string }> {
+    amountWei?: bigint | null
+  ): Promise<{
+    success: boolean;
+    signature?: string;
+    nonce?: number;
+    totalRewardBalance?: TokenAmount;
+    deadline?: number;
+    typedData?: ClaimTypedData;
+    error?: string;
+  }> {
     console.log('🏁 ============ BACKEND SIGNATURE GENERATION DETAILED LOG ============');
     console.log('🔐 SERVER LOG 1: generateClaimSignature called');
     console.log('🔐 SERVER LOG 2: User address:', userAddress);
-    console.log('🔐 SERVER LOG 3: Amount requested:', amount || 'Auto-calculated', 'KILT');
-    
+    console.log('🔐 SERVER LOG 3: Amount requested:', amountWei ? `${amountWei.toString()} wei` : 'Auto-calculated');
+
     await this.initializeContracts().catch(error => {
       console.error('Failed to initialize contracts:', error);
       this.isContractDeployed = false;
     });
-    // If amount not provided, calculate user's full claimable amount
-    if (!amount || amount <= 0) {
-      console.log('🔐 SERVER LOG 3.1: Getting user claimable amount from API...');
+    // If amount not provided, sign the user's full claimable ledger balance
+    if (!amountWei || amountWei <= 0n) {
+      console.log('🔐 SERVER LOG 3.1: Getting user claimable amount from the reward ledger...');
       try {
-        const response = await fetch(`http://localhost:5000/api/rewards/claimability/${userAddress}`);
-        const claimability = await response.json();
-        amount = claimability.totalClaimable || 0;
-        console.log('🔐 SERVER LOG 3.2: Auto-calculated amount:', amount, 'KILT');
+        const { rewardLedgerService } = await import('./reward-ledger-service');
+        amountWei = (await rewardLedgerService.getBalance(userAddress)).claimable;
+        console.log('🔐 SERVER LOG 3.2: Auto-calculated amount:', amountWei.toString(), 'wei');
       } catch (error) {
         console.error('❌ SERVER LOG 3.3: Failed to get claimable amount:', error);
         return { success: false, error: 'Failed to calculate claimable amount' };
@@ -502,47 +597,65 @@ export class SmartContractService {
         () => this.rewardPoolContract!.getAbsoluteMaxClaim(),
         'getAbsoluteMaxClaim'
       );
-      const absoluteMaxFormatted = Number(ethers.formatUnits(absoluteMaxClaim, 18));
-      console.log('🔐 SERVER LOG 13: Absolute max claim:', absoluteMaxFormatted, 'KILT');
-      
+      console.log('🔐 SERVER LOG 13: Absolute max claim:', ethers.formatUnits(absoluteMaxClaim, 18), 'KILT');
+
       // Final validation: ensure amount is valid
-      if (!amount || amount <= 0) {
+      if (!amountWei || amountWei <= 0n) {
         console.error('❌ SERVER LOG 13.5: Invalid amount after calculation');
         return { success: false, error: 'Invalid claimable amount calculated' };
       }
 
-      // Validate amount against absolute claim limit
-      if (amount > absoluteMaxFormatted) {
+      // Validate amount against absolute claim limit (both in wei)
+      if (amountWei > BigInt(absoluteMaxClaim)) {
         console.error('❌ SERVER LOG 14: Amount exceeds maximum limit');
-        return { 
+        return {
           success: false,
-          error: `Amount ${amount} KILT exceeds absolute maximum of ${absoluteMaxFormatted} KILT per transaction.` 
+          error: `Amount ${ethers.formatUnits(amountWei, 18)} KILT exceeds absolute maximum of ${ethers.formatUnits(absoluteMaxClaim, 18)} KILT per transaction.`
         };
       }
 
-      console.log('🔐 SERVER LOG 15: Converting amount to wei...');
-      const amountWei = ethers.parseUnits(amount.toString(), 18);
       console.log('🔐 SERVER LOG 16: Amount in wei:', amountWei.toString());
-      
-      console.log('🔐 SERVER LOG 17: Creating message hash to match contract implementation...');
-      // Match the contract's _createMessageHash function exactly:
-      // keccak256(abi.encodePacked(user, totalRewardBalance, nonce))
-      const innerHash = ethers.solidityPackedKeccak256(
-        ['address', 'uint256', 'uint256'],
-        [userAddress, amountWei, userNonce]
-      );
-      console.log('🔐 SERVER LOG 18: Inner hash (contract format):', innerHash);
-      
-      console.log('🔐 SERVER LOG 19: Wallet address:', this.wallet.address);
-      console.log('🔐 SERVER LOG 20: Signing with Ethereum signed message format (matching contract)...');
-      // The contract applies the Ethereum signed message prefix automatically in _createMessageHash
-      const signature = await this.wallet.signMessage(ethers.getBytes(innerHash));
+
+      const domain = await this.getClaimDomain(contractAddress);
+      let signature: string;
+      let deadline: number | undefined;
+      let typedData: ClaimTypedData | undefined;
+
+      if (domain) {
+        console.log('🔐 SERVER LOG 17: Contract verifies EIP-712 claims:', `${domain.name} v${domain.version}, chain ${domain.chainId}`);
+        deadline = Math.floor(Date.now() / 1000) + CLAIM_SIGNATURE_TTL_SECONDS;
+        const message = {
+          user: ethers.getAddress(userAddress),
+          amount: amountWei.toString(),
+          nonce: userNonce.toString(),
+          deadline: deadline.toString()
+        };
+        typedData = { domain, types: CLAIM_TYPES, primaryType: 'Claim', message };
+
+        console.log('🔐 SERVER LOG 19: Wallet address:', this.walletAddress, `(${this.signerBackend} signer)`);
+        console.log('🔐 SERVER LOG 20: Signing typed claim, valid until', new Date(deadline * 1000).toISOString());
+        signature = await this.wallet.signTypedData(domain, CLAIM_TYPES, message);
+      } else {
+        console.log('🔐 SERVER LOG 17: Creating message hash to match contract implementation...');
+        // Match the contract's _createMessageHash function exactly:
+        // keccak256(abi.encodePacked(user, totalRewardBalance, nonce))
+        const innerHash = ethers.solidityPackedKeccak256(
+          ['address', 'uint256', 'uint256'],
+          [userAddress, amountWei, userNonce]
+        );
+        console.log('🔐 SERVER LOG 18: Inner hash (contract format):', innerHash);
+
+        console.log('🔐 SERVER LOG 19: Wallet address:', this.walletAddress, `(${this.signerBackend} signer)`);
+        console.log('🔐 SERVER LOG 20: Signing with Ethereum signed message format (matching contract)...');
+        // The contract applies the Ethereum signed message prefix automatically in _createMessageHash
+        signature = await this.wallet.signMessage(ethers.getBytes(innerHash));
+      }
       console.log('🔐 SERVER LOG 21: Generated signature:', signature);
       console.log('🔐 SERVER LOG 22: Signature length:', signature?.length);
       console.log('🔐 SERVER LOG 23: Signature starts with 0x:', signature?.startsWith('0x'));
       
       console.log('🔐 SERVER LOG 24: Checking calculator authorization...');
-      const calculatorAddress = this.wallet.address;
+      const calculatorAddress = this.walletAddress!;
       const isAuthorized = await this.makeResilientCall(
         () => this.rewardPoolContract!.authorizedCalculators(calculatorAddress),
         'authorizedCalculators'
@@ -570,7 +683,9 @@ export class SmartContractService {
         success: true,
         signature,
         nonce: Number(userNonce),
-        totalRewardBalance: amount! // We've already validated amount is not null/undefined above
+        totalRewardBalance: toTokenAmount(amountWei),
+        deadline,
+        typedData
       };
       
     } catch (error: unknown) {
@@ -798,6 +913,93 @@ export class SmartContractService {
     }
   }
 
+  /**
+   * Treasury contract address configured in the database
+   */
+  async getTreasuryContractAddress(): Promise<string> {
+    return getSmartContractAddress();
+  }
+
+  async getLatestBlockNumber(): Promise<number> {
+    return this.makeResilientCall(() => this.provider.getBlockNumber(), 'getBlockNumber');
+  }
+
+  /**
+   * Hash of a block on the current canonical chain, or null when the chain is not that long (any more)
+   */
+  async getBlockHash(blockNumber: number): Promise<string | null> {
+    const block = await this.makeResilientCall(() => this.provider.getBlock(blockNumber), 'getBlock');
+    return block?.hash ?? null;
+  }
+
+  /**
+   * Exact claimed amount (wei) from the treasury contract - throws when it can't be read,
+   * so callers can tell a failed read from a wallet that never claimed
+   */
+  async getClaimedAmountWei(userAddress: string): Promise<{ contractAddress: string; claimedAmount: bigint }> {
+    const contractAddress = await getSmartContractAddress();
+    const code = await this.provider.getCode(contractAddress);
+    if (code === '0x') {
+      return { contractAddress, claimedAmount: 0n };
+    }
+
+    const contract = new ethers.Contract(contractAddress, REWARD_POOL_ABI, this.provider);
+    const claimedAmount: bigint = await this.makeResilientCall(() => contract.claimedAmount(userAddress), 'claimedAmount');
+    return { contractAddress, claimedAmount };
+  }
+
+  /**
+   * Current nonce of a wallet on the treasury contract - the nonce its next claim signature must carry
+   */
+  async getClaimNonce(userAddress: string): Promise<{ contractAddress: string; nonce: bigint }> {
+    const contractAddress = await getSmartContractAddress();
+    const contract = new ethers.Contract(contractAddress, REWARD_POOL_ABI, this.provider);
+    const nonce: bigint = await this.makeResilientCall(() => contract.nonces(userAddress), 'nonces');
+    return { contractAddress, nonce };
+  }
+
+  /**
+   * Exact KILT balance (wei) of the treasury contract - throws when it can't be read
+   */
+  async getContractBalanceWei(): Promise<{ contractAddress: string; balance: bigint }> {
+    const contractAddress = await getSmartContractAddress();
+    const contract = new ethers.Contract(contractAddress, REWARD_POOL_ABI, this.provider);
+    const balance: bigint = await this.makeResilientCall(() => contract.getContractBalance(), 'getContractBalance');
+    return { contractAddress, balance };
+  }
+
+  /**
+   * RewardClaimed events of the treasury contract in [fromBlock, toBlock] (toBlock defaults to the latest block)
+   */
+  async getRewardClaimedEvents(fromBlock: number, toBlock?: number): Promise<{ contractAddress: string; toBlock: number; events: RewardClaimedEvent[] }> {
+    const contractAddress = await getSmartContractAddress();
+    const lastBlock = toBlock ?? await this.getLatestBlockNumber();
+    if (fromBlock > lastBlock) {
+      return { contractAddress, toBlock: lastBlock, events: [] };
+    }
+
+    const contract = new ethers.Contract(contractAddress, REWARD_POOL_ABI, this.provider);
+    const logs = await this.makeResilientCall(
+      () => contract.queryFilter(contract.filters.RewardClaimed(), fromBlock, lastBlock),
+      'queryFilter(RewardClaimed)'
+    );
+
+    const events = logs
+      .filter((log): log is ethers.EventLog => log instanceof ethers.EventLog)
+      .map(log => ({
+        user: (log.args.user as string).toLowerCase(),
+        amount: log.args.amount as bigint,
+        claimedAmount: log.args.claimedAmount as bigint,
+        nonce: log.args.nonce as bigint,
+        timestamp: Number(log.args.timestamp),
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        blockNumber: log.blockNumber
+      }));
+
+    return { contractAddress, toBlock: lastBlock, events };
+  }
+
   /**
    * Get user stats including 24-hour claimability from smart contract
    */
@@ -1427,13 +1629,13 @@ export class SmartContractService {
     }
 
     try {
-      console.log(`🚨 Emergency withdrawal: ${amount} KILT requested by ${this.wallet.address}`);
+      console.log(`🚨 Emergency withdrawal: ${amount} KILT requested by ${this.walletAddress}`);
       
       // Convert amount to wei
       const amountWei = ethers.parseUnits(amount.toString(), 18);
       
       // Default to the performing wallet address if no recipient specified
-      const withdrawalRecipient = recipientAddress || this.wallet.address;
+      const withdrawalRecipient = recipientAddress || this.walletAddress!;
       
       console.log(`💰 Emergency withdrawal to: ${withdrawalRecipient}`);
       
@@ -13,7 +13,7 @@ import {
   type InsertPoolStats
 } from "@shared/schema";
 import { db } from "./db";
-import { eq } from "drizzle-orm";
+import { eq, desc, lte } from "drizzle-orm";
 
 export interface IStorage {
   // User methods
@@ -512,8 +512,12 @@ export class DatabaseStorage implements IStorage {
   }
 
   async getProgramSettings(): Promise<any> {
+    // Latest version that has taken effect - see program-settings-service
     const { programSettings } = await import('@shared/schema');
-    const result = await db.select().from(programSettings).limit(1);
+    const result = await db.select().from(programSettings)
+      .where(lte(programSettings.effectiveFrom, new Date()))
+      .orderBy(desc(programSettings.effectiveFrom))
+      .limit(1);
     return result[0] || {
       timeBoostCoefficient: 1.5,
       inRangeMultiplier: 2.0,
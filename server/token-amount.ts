@@ -0,0 +1,78 @@
+/**
+ * Token amounts as exact bigint wei.
+ * Reward amounts are stored, summed and signed in wei; JavaScript numbers are only derived for display.
+ * API responses carry amounts as { raw, formatted } - the wei integer and the exact decimal string.
+ */
+
+import { ethers } from 'ethers';
+
+export const KILT_DECIMALS = 18;
+
+// daily_rewards and rewards amount columns hold 8 decimals - allocations are made in these units so stored values are exact
+export const REWARD_UNIT_WEI = 10n ** 10n;
+
+export interface TokenAmount {
+  raw: string; // Wei as an integer string
+  formatted: string; // Exact decimal KILT, e.g. "12.5"
+}
+
+export function toTokenAmount(wei: bigint, decimals: number = KILT_DECIMALS): TokenAmount {
+  return { raw: wei.toString(), formatted: ethers.formatUnits(wei, decimals) };
+}
+
+/**
+ * Exact wei from a decimal string, a wei bigint, or a number. Digits beyond the token's decimals are
+ * dropped (rounded down) so an amount is never inflated. Numbers are converted through their shortest
+ * decimal representation - only pass numbers for amounts that were never wei to begin with.
+ */
+export function parseTokenAmount(value: string | number | bigint, decimals: number = KILT_DECIMALS): bigint {
+  if (typeof value === 'bigint') return value;
+
+  const text = (typeof value === 'number' ? numberToDecimalString(value) : value.trim()) || '0';
+
+  const [whole, fraction = ''] = text.split('.');
+  return ethers.parseUnits(fraction ? `${whole}.${fraction.slice(0, decimals)}` : whole, decimals);
+}
+
+/**
+ * Shortest decimal form of a number, without exponent notation
+ */
+function numberToDecimalString(value: number): string {
+  if (!Number.isFinite(value)) return '0';
+  const text = String(value);
+  if (!text.includes('e')) return text;
+  return Math.abs(value) < 1e21 ? value.toFixed(20) : BigInt(Math.round(value)).toString();
+}
+
+/**
+ * Wei as a float KILT value - for display and ratios only
+ */
+export function toDisplayNumber(wei: bigint, decimals: number = KILT_DECIMALS): number {
+  return Number(ethers.formatUnits(wei, decimals));
+}
+
+/**
+ * Split an exact total across weights. Amounts are multiples of unit, floor-allocated, with the leftover
+ * units going to the largest remainders, so they always add up to the total (rounded down to the unit).
+ */
+export function allocateProportionally(total: bigint, weights: number[], unit: bigint = 1n): bigint[] {
+  const units = total / unit;
+  // Weights as 18-decimal fixed point, so the split itself is exact integer arithmetic
+  const scaled = weights.map(weight => weight > 0 ? parseTokenAmount(weight) : 0n);
+  const weightTotal = scaled.reduce((sum, weight) => sum + weight, 0n);
+  if (units <= 0n || weightTotal === 0n) return weights.map(() => 0n);
+
+  const shares = scaled.map(weight => (units * weight) / weightTotal);
+  const remainders = scaled.map((weight, index) => ({ index, remainder: (units * weight) % weightTotal }));
+  let leftover = units - shares.reduce((sum, share) => sum + share, 0n);
+
+  remainders.sort((a, b) => (a.remainder === b.remainder ? a.index - b.index : a.remainder > b.remainder ? -1 : 1));
+  for (const { index } of remainders) {
+    if (leftover === 0n) break;
+    if (scaled[index] === 0n) continue;
+    shares[index] += 1n;
+    leftover -= 1n;
+  }
+
+  return shares.map(share => share * unit);
+}
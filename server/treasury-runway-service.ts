@@ -0,0 +1,267 @@
+/**
+ * TREASURY RUNWAY SERVICE
+ * Forecasts how long the treasury contract (DynamicTreasuryPool) can keep paying the program:
+ * - available = contract balance (getContractBalance) minus outstanding unclaimed accruals in the reward ledger
+ * - each remaining program day emits treasuryConfig.dailyRewardsCap, through programEndDate
+ * - runway is the number of those days the available balance covers; the depletion date is the first day it doesn't
+ * - funding needed = outstanding + remaining emission - balance
+ * Campaigns are paid from their own contracts and are not part of this forecast.
+ * The monitor checks hourly and alerts once each time the runway drops below the policy threshold:
+ * console, admin audit log and, with TREASURY_ALERT_WEBHOOK_URL set, a JSON POST.
+ */
+
+import { db } from './db';
+import { treasuryConfig, treasuryRunwayPolicy, type TreasuryRunwayPolicy } from '@shared/schema';
+import { desc, eq } from 'drizzle-orm';
+import { ErrorHandler } from './error-handler';
+import { smartContractService } from './smart-contract-service';
+import { claimAnomalyService } from './claim-anomaly-service';
+import { adminAuditService } from './admin-audit-service';
+import { DAY_MS } from './reward-formula';
+import { parseTokenAmount, toTokenAmount, type TokenAmount } from './token-amount';
+
+export interface RunwayPolicySettings {
+  id: number | null; // null until an admin saves the policy
+  alertThresholdDays: number;
+  alertingSince: Date | null;
+  updatedBy: string | null;
+  updatedAt: Date | null;
+}
+
+export interface RunwayForecast {
+  contractAddress: string;
+  balance: TokenAmount;
+  outstanding: TokenAmount; // Accrued and not yet claimed
+  available: TokenAmount; // Balance left for future emission - negative when accruals already exceed it
+  dailyEmission: TokenAmount;
+  programEndDate: string | null;
+  remainingDays: number; // Program days still to emit, today included
+  remainingEmission: TokenAmount;
+  runwayDays: number | null; // Days of emission the available balance covers; null when nothing is emitted
+  depletionDate: string | null; // First day the treasury cannot pay in full; null when funded through the end
+  fundedThroughEnd: boolean;
+  fundingNeeded: TokenAmount; // Deposit that would fund every accrual through programEndDate
+  alert: { active: boolean; thresholdDays: number; since: Date | null };
+  calculatedAt: Date;
+}
+
+const DEFAULT_POLICY: RunwayPolicySettings = {
+  id: null,
+  alertThresholdDays: 14,
+  alertingSince: null,
+  updatedBy: null,
+  updatedAt: null
+};
+
+class TreasuryRunwayService {
+  private isRunning = false;
+  private intervalId: NodeJS.Timeout | null = null;
+  private forecastCache: { forecast: RunwayForecast; timestamp: number } | null = null;
+  private readonly CACHE_DURATION = 5 * 60 * 1000; // 5 minutes - the balance is an RPC call
+  private readonly CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+  /**
+   * Start the hourly runway check
+   */
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    console.log('⛽ Treasury Runway Service started - forecasting treasury runway every hour');
+
+    this.checkRunway().catch(error => console.error('❌ TREASURY RUNWAY: Check failed:', error));
+
+    this.intervalId = setInterval(() => {
+      this.checkRunway().catch(error => console.error('❌ TREASURY RUNWAY: Check failed:', error));
+    }, this.CHECK_INTERVAL);
+  }
+
+  /**
+   * Stop the hourly runway check
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+    this.isRunning = false;
+    console.log('⏹️ Treasury Runway Service stopped');
+  }
+
+  async getPolicy(): Promise<RunwayPolicySettings> {
+    const [row] = await db.select().from(treasuryRunwayPolicy).orderBy(desc(treasuryRunwayPolicy.id)).limit(1);
+    return row ? this.toPolicy(row) : DEFAULT_POLICY;
+  }
+
+  /**
+   * Validate and save the alert threshold
+   */
+  async updatePolicy(input: { alertThresholdDays?: unknown }, updatedBy: string): Promise<RunwayPolicySettings> {
+    const alertThresholdDays = Number(input.alertThresholdDays);
+    if (!Number.isInteger(alertThresholdDays) || alertThresholdDays < 1) {
+      throw ErrorHandler.createValidationError('Runway policy validation failed', ['Alert threshold must be a whole number of at least 1 day']);
+    }
+
+    const policy = await this.savePolicy({ alertThresholdDays, updatedBy, updatedAt: new Date() });
+    this.forecastCache = null;
+    return policy;
+  }
+
+  /**
+   * Current forecast (cached). Throws when the treasury config or the contract balance is unavailable.
+   */
+  async getForecast(refresh: boolean = false): Promise<RunwayForecast> {
+    if (!refresh && this.forecastCache && (Date.now() - this.forecastCache.timestamp) < this.CACHE_DURATION) {
+      return this.forecastCache.forecast;
+    }
+
+    const [config] = await db.select().from(treasuryConfig).limit(1);
+    if (!config) {
+      throw ErrorHandler.createValidationError('Treasury configuration not found', ['Configure the treasury before forecasting its runway']);
+    }
+
+    const [{ contractAddress, balance }, outstanding, policy] = await Promise.all([
+      smartContractService.getContractBalanceWei(),
+      claimAnomalyService.getOutstandingTotal(),
+      this.getPolicy()
+    ]);
+
+    const dailyEmission = config.isActive ? parseTokenAmount(config.dailyRewardsCap || '0') : 0n;
+    const remainingDays = this.getRemainingDays(config.programStartDate, config.programEndDate);
+    const remainingEmission = dailyEmission * BigInt(remainingDays);
+    const available = balance - outstanding;
+
+    // Whole days of emission the treasury can still pay after every existing accrual is claimed
+    const runwayDays = dailyEmission > 0n
+      ? Math.max(0, Number(available / dailyEmission))
+      : null;
+    const fundedThroughEnd = available >= remainingEmission;
+    const today = new Date(Math.floor(Date.now() / DAY_MS) * DAY_MS);
+    const depletionDate = !fundedThroughEnd
+      ? new Date(today.getTime() + (runwayDays ?? 0) * DAY_MS).toISOString().split('T')[0]
+      : null;
+    const shortfall = outstanding + remainingEmission - balance;
+
+    const forecast: RunwayForecast = {
+      contractAddress,
+      balance: toTokenAmount(balance),
+      outstanding: toTokenAmount(outstanding),
+      available: toTokenAmount(available),
+      dailyEmission: toTokenAmount(dailyEmission),
+      programEndDate: config.programEndDate,
+      remainingDays,
+      remainingEmission: toTokenAmount(remainingEmission),
+      runwayDays,
+      depletionDate,
+      fundedThroughEnd,
+      fundingNeeded: toTokenAmount(shortfall > 0n ? shortfall : 0n),
+      alert: {
+        // Only a treasury that runs dry before the program ends is underfunded
+        active: !fundedThroughEnd && (runwayDays ?? 0) < policy.alertThresholdDays,
+        thresholdDays: policy.alertThresholdDays,
+        since: policy.alertingSince
+      },
+      calculatedAt: new Date()
+    };
+
+    this.forecastCache = { forecast, timestamp: Date.now() };
+    return forecast;
+  }
+
+  /**
+   * Forecast afresh and alert when the runway has just dropped below the threshold, or note its recovery
+   */
+  async checkRunway(): Promise<RunwayForecast | null> {
+    let forecast: RunwayForecast;
+    try {
+      forecast = await this.getForecast(true);
+    } catch (error) {
+      console.warn('⚠️ TREASURY RUNWAY: Forecast unavailable:', error instanceof Error ? error.message : error);
+      return null;
+    }
+
+    const wasAlerting = forecast.alert.since !== null;
+    if (forecast.alert.active && !wasAlerting) {
+      const since = new Date();
+      await this.savePolicy({ alertingSince: since });
+      forecast.alert.since = since;
+
+      const message = `Treasury runway is ${forecast.runwayDays} days (threshold ${forecast.alert.thresholdDays}) - ` +
+        `depletes on ${forecast.depletionDate}, ${forecast.fundingNeeded.formatted} KILT needed to fund the program through ${forecast.programEndDate}`;
+      console.warn(`🚨 TREASURY RUNWAY: ${message}`);
+      await adminAuditService.record({
+        operationType: 'treasury_runway_alert',
+        reason: message,
+        performedBy: 'treasury_runway_monitor',
+        amount: forecast.fundingNeeded.formatted,
+        details: { forecast }
+      });
+      await this.notify(message, forecast);
+    } else if (!forecast.alert.active && wasAlerting) {
+      await this.savePolicy({ alertingSince: null });
+      forecast.alert.since = null;
+
+      const message = forecast.fundedThroughEnd
+        ? `Treasury is funded through ${forecast.programEndDate}`
+        : `Treasury runway is back to ${forecast.runwayDays} days (threshold ${forecast.alert.thresholdDays})`;
+      console.log(`✅ TREASURY RUNWAY: ${message}`);
+      await adminAuditService.record({
+        operationType: 'treasury_runway_recovered',
+        reason: message,
+        performedBy: 'treasury_runway_monitor'
+      });
+      await this.notify(message, forecast);
+    }
+
+    return forecast;
+  }
+
+  // Program days not yet emitted: today (or the start date, if later) through programEndDate inclusive,
+  // the same days the daily emission service finalizes
+  private getRemainingDays(programStartDate: string | null, programEndDate: string | null): number {
+    if (!programEndDate) return 0;
+    const today = Math.floor(Date.now() / DAY_MS) * DAY_MS;
+    const start = programStartDate ? Math.max(today, new Date(`${programStartDate}T00:00:00Z`).getTime()) : today;
+    const end = new Date(`${programEndDate}T00:00:00Z`).getTime();
+    return end < start ? 0 : Math.floor((end - start) / DAY_MS) + 1;
+  }
+
+  private async savePolicy(values: Partial<Omit<TreasuryRunwayPolicy, 'id'>>): Promise<RunwayPolicySettings> {
+    const current = await this.getPolicy();
+    const [row] = current.id !== null
+      ? await db.update(treasuryRunwayPolicy).set(values).where(eq(treasuryRunwayPolicy.id, current.id)).returning()
+      : await db.insert(treasuryRunwayPolicy).values({ alertThresholdDays: current.alertThresholdDays, ...values }).returning();
+    return this.toPolicy(row);
+  }
+
+  private async notify(message: string, forecast: RunwayForecast): Promise<void> {
+    const url = process.env.TREASURY_ALERT_WEBHOOK_URL;
+    if (!url) return;
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text: `KILT treasury: ${message}`, forecast }),
+        signal: AbortSignal.timeout(10000)
+      });
+      if (!response.ok) {
+        console.warn(`⚠️ TREASURY RUNWAY: Alert webhook answered ${response.status}`);
+      }
+    } catch (error) {
+      console.warn('⚠️ TREASURY RUNWAY: Alert webhook failed:', error instanceof Error ? error.message : error);
+    }
+  }
+
+  private toPolicy(row: TreasuryRunwayPolicy): RunwayPolicySettings {
+    return {
+      id: row.id,
+      alertThresholdDays: row.alertThresholdDays,
+      alertingSince: row.alertingSince,
+      updatedBy: row.updatedBy,
+      updatedAt: row.updatedAt
+    };
+  }
+}
+
+// Export singleton instance
+export const treasuryRunwayService = new TreasuryRunwayService();
@@ -4,17 +4,54 @@
  */
 
 import { db } from './db';
-import { lpPositions, users, programSettings } from '../shared/schema';
-import { eq, and } from 'drizzle-orm';
-import { smartContractService } from './smart-contract-service';
-
-interface CachedData {
+import { lpPositions, users, rewards, dailyRewards } from '../shared/schema';
+import { eq, and, desc, sql } from 'drizzle-orm';
+import { parseTokenAmount, toDisplayNumber, toTokenAmount, type TokenAmount } from './token-amount';
+import { poolTickSnapshotService } from './pool-tick-snapshot-service';
+import { liquidityHistoryService } from './liquidity-history-service';
+import { poolRegistryService } from './pool-registry-service';
+import { poolTvlService, type PoolTVL, type TVLProvenance } from './pool-tvl-service';
+import { programSettingsService } from './program-settings-service';
+import { rewardLedgerService } from './reward-ledger-service';
+import {
+  calculateDayWeight,
+  isFullRangePosition,
+  settingsVersionAt,
+  splitBySettingsVersion,
+  DAY_MS,
+  DEFAULT_FULL_RANGE_BONUS,
+  DEFAULT_TIME_BOOST_COEFFICIENT,
+  FALLBACK_POOL_TVL,
+  TIME_BOOST_PERIOD_DAYS,
+  type DayWeight,
+  type FormulaParameters,
+  type SettingsVersion
+} from './reward-formula';
+
+// Per-pool slice of the program: the pool's weighted share of the daily budget against its own TVL
+export interface PoolMarketData {
+  address: string; // Lowercase
+  name: string;
+  feeTier: number;
+  rewardWeight: number;
+  budgetShare: number;
+  dailyBudget: number;
   poolTVL: number;
+  tvl: PoolTVL; // Source and timestamp of poolTVL
+  programAPR: number;
+}
+
+export interface CachedData {
+  poolTVL: number; // Sum over incentivized pools
+  tvlSources: PoolTVL[]; // Per pool, see poolTvlService.describeAll
   tradingAPR: number;
   programAPR: number;
   dailyBudget: number;
   treasuryAllocation: number;
   programDurationDays: number;
+  fullRangeBonus: number; // Of the settings version in force now
+  settingsVersions: SettingsVersion[]; // Every program settings version, in effectiveFrom order
+  pools: PoolMarketData[]; // Empty in fallback data - the program is then treated as one pool
   totalDistributed?: number;
   timestamp: number;
 }
@@ -29,12 +66,31 @@ interface PositionReward {
   effectiveAPR: number;
   tradingFeeAPR?: number;
   incentiveAPR?: number;
+  inRangeMultiplier?: number; // Time-weighted fraction of the position's life spent in range
+  isFullRange?: boolean;
+  fullRangeBonus?: number; // Multiplier applied: admin-configured bonus for full-range positions, otherwise 1.0
+}
+
+// Rewards already fixed by the daily emission epochs (see daily-emission-service)
+interface FinalizedAccrual {
+  amount: number; // Sum of the position's reward ledger accruals
+  through: Date; // End of the last finalized epoch day
+  scale: number; // Normalisation factor of the position's pool in the last finalized epoch, applied to unfinalized accrual
+}
+
+interface UserRewardAmounts {
+  totalAccumulated: TokenAmount;
+  totalClaimable: TokenAmount;
+  totalClaimed: TokenAmount;
+  pendingAccrual: TokenAmount;
 }
 
 interface UserRewardStats {
-  totalAccumulated: number;
-  totalClaimable: number;
+  totalAccumulated: number; // Ledger accruals plus pendingAccrual
+  totalClaimable: number; // Ledger accruals minus claimedAmount on the contract
   totalClaimed: number;
+  pendingAccrual: number; // Earned since the last finalized epoch, claimable once the day is finalized
+  amounts: UserRewardAmounts; // Exact values of the totals above - the numbers are for display
   activePositions: number;
   avgDailyRewards: number;
   positions: PositionReward[];
@@ -43,14 +99,17 @@ interface UserRewardStats {
 export class UnifiedRewardService {
   private cache: Map<string, any> = new Map(); // Allow different cache types
   private readonly CACHE_DURATION = 30000; // 30 seconds - balance between performance and real-time data
-  private readonly FALLBACK_POOL_TVL = 99171; // Fallback TVL
+  private readonly FALLBACK_POOL_TVL = FALLBACK_POOL_TVL; // Fallback TVL
   private readonly FALLBACK_TRADING_APR = 0;
   private readonly FALLBACK_PROGRAM_APR = 0;
+  private readonly DEFAULT_FULL_RANGE_BONUS = DEFAULT_FULL_RANGE_BONUS;
+  private readonly TIME_BOOST_COEFFICIENT = DEFAULT_TIME_BOOST_COEFFICIENT; // b_time
+  private readonly TIME_BOOST_PERIOD_DAYS = TIME_BOOST_PERIOD_DAYS; // P
 
   /**
    * Get cached or fresh market data with intelligent fallbacks
    */
-  private async getMarketData(): Promise<CachedData> {
+  async getMarketData(): Promise<CachedData> {
     const cacheKey = 'market_data';
     const cached = this.cache.get(cacheKey);
     
@@ -60,13 +119,19 @@ export class UnifiedRewardService {
 
     try {
       // STREAMLINED: Get admin config only, calculate everything locally
-      const config = await this.getAdminConfiguration();
+      const [config, settingsVersions, currentSettings] = await Promise.all([
+        this.getAdminConfiguration(),
+        programSettingsService.getVersions(),
+        programSettingsService.getCurrentVersion()
+      ]);
       
-      // Get pool TVL from a simple, fast endpoint instead of multiple API calls
-      const poolTVL = await this.getPoolTVL();
+      // Incentivized pools and their weighted budget shares
+      const registeredPools = await poolRegistryService.getPools();
+      const poolTVLs = await Promise.all(registeredPools.map(pool => poolTvlService.getPoolTVL(pool)));
+      const poolTVL = poolTVLs.reduce((sum, tvl) => sum + tvl.tvlUSD, 0);
       const dailyBudget = config.dailyBudget;
       
-      // Pool-wide APR calculation: All KILT/ETH LPs are potential program participants
+      // Pool-wide APR calculation: All LPs of the incentivized pools are potential program participants
       // This gives realistic expectations for what LPs can earn if they join the program
       // CORRECT APR Formula: (Daily Budget × 365) / Total Pool TVL × 100 
       // BUT we need to scale this based on the actual program duration for realistic expectations
@@ -84,13 +149,35 @@ export class UnifiedRewardService {
       
       console.log(`💰 PROGRAM APR: ${calculatedProgramAPR.toFixed(1)}% (${dailyBudget} KILT daily × ${programDurationDays} days ÷ $${poolTVL} pool TVL × annualized)`);
 
+      // Same formula per pool, with the pool's share of the budget against its own TVL
+      const pools: PoolMarketData[] = registeredPools.map((pool, index) => {
+        const tvl = poolTVLs[index];
+        const poolBudget = dailyBudget * pool.budgetShare;
+        const poolReturn = tvl.tvlUSD > 0 ? (poolBudget * programDurationDays / tvl.tvlUSD) * 100 : 0;
+        return {
+          address: pool.address,
+          name: pool.name,
+          feeTier: pool.feeTier,
+          rewardWeight: pool.rewardWeight,
+          budgetShare: pool.budgetShare,
+          dailyBudget: poolBudget,
+          poolTVL: tvl.tvlUSD,
+          tvl,
+          programAPR: poolReturn * (365 / programDurationDays)
+        };
+      });
+
       const marketData: CachedData = {
         poolTVL: poolTVL,
+        tvlSources: poolTVLs,
         tradingAPR: this.FALLBACK_TRADING_APR, // Use cached value instead of API call
         programAPR: calculatedProgramAPR,
         dailyBudget: config.dailyBudget,
         treasuryAllocation: config.treasuryAllocation,
         programDurationDays: config.programDurationDays,
+        fullRangeBonus: currentSettings.fullRangeBonus,
+        settingsVersions,
+        pools,
         timestamp: Date.now()
       };
 
@@ -109,11 +196,20 @@ export class UnifiedRewardService {
       // Return fallback data with calculated APR
       const fallbackData: CachedData = {
         poolTVL: this.FALLBACK_POOL_TVL,
+        tvlSources: [{ tvlUSD: this.FALLBACK_POOL_TVL, source: 'fallback', pricing: null, updatedAt: null, isStale: true }],
         tradingAPR: this.FALLBACK_TRADING_APR,
         programAPR: fallbackProgramAPR,
         dailyBudget: 25000,
         treasuryAllocation: 1500000,
         programDurationDays: fallbackProgramDuration,
+        fullRangeBonus: this.DEFAULT_FULL_RANGE_BONUS,
+        settingsVersions: [{
+          timeBoostCoefficient: this.TIME_BOOST_COEFFICIENT,
+          fullRangeBonus: this.DEFAULT_FULL_RANGE_BONUS,
+          minimumPositionValue: 0,
+          effectiveFrom: new Date(0)
+        }],
+        pools: [],
         timestamp: Date.now()
       };
 
@@ -123,16 +219,23 @@ export class UnifiedRewardService {
   }
 
   /**
-   * Get pool TVL quickly without heavy API calls
+   * Budget, TVL and APR of the pool a position belongs to, or null when the pool isn't incentivized
    */
-  private async getPoolTVL(): Promise<number> {
-    try {
-      // Simple TVL calculation from cached data instead of complex API calls
-      return this.FALLBACK_POOL_TVL; // Use reliable fallback for consistent calculations
-    } catch (error) {
-      console.warn('Pool TVL fetch failed, using fallback:', error);
-      return this.FALLBACK_POOL_TVL;
+  getPoolMarketData(marketData: CachedData, poolAddress: string | null | undefined): PoolMarketData | null {
+    if (marketData.pools.length === 0) {
+      return {
+        address: (poolAddress || '').toLowerCase(),
+        name: 'KILT/ETH',
+        feeTier: 3000,
+        rewardWeight: 1,
+        budgetShare: 1,
+        dailyBudget: marketData.dailyBudget,
+        poolTVL: marketData.poolTVL,
+        tvl: marketData.tvlSources[0],
+        programAPR: marketData.programAPR
+      };
     }
+    return marketData.pools.find(pool => pool.address === (poolAddress || '').toLowerCase()) || null;
   }
 
   /**
@@ -180,18 +283,42 @@ export class UnifiedRewardService {
     }
   }
 
+  /**
+   * Full range = position spans the minimum to maximum usable tick for its fee tier
+   */
+  isFullRangePosition(tickLower: number, tickUpper: number, feeTier: number): boolean {
+    return isFullRangePosition(tickLower, tickUpper, feeTier);
+  }
+
+  /**
+   * Weighted liquidity for one day of a position's life (see reward-formula)
+   */
+  calculateDayWeight(
+    position: any,
+    params: FormulaParameters,
+    dayIndex: number,
+    inRangeRatio: number | null,
+    liquidityFactor: number
+  ): DayWeight {
+    return calculateDayWeight(position, params, dayIndex, inRangeRatio, liquidityFactor);
+  }
+
   /**
    * Calculate rewards for a single position with optimized logic
    */
   private calculatePositionReward(
     position: any,
     marketData: CachedData,
-    createdAt: Date
+    createdAt: Date,
+    dailyInRangeRatios: (number | null)[] = [],
+    dailyLiquidityFactors: number[] = [],
+    finalized: FinalizedAccrual | null = null
   ): PositionReward {
     const now = new Date();
     const currentValueUSD = parseFloat(position.currentValueUSD || '0');
+    const pool = this.getPoolMarketData(marketData, position.poolAddress);
     
-    if (currentValueUSD <= 0 || !position.isActive) {
+    if (currentValueUSD <= 0 || !position.isActive || !pool) {
       return {
         nftTokenId: position.nftTokenId,
         dailyRewards: 0,
@@ -209,48 +336,93 @@ export class UnifiedRewardService {
 
     // Formula parameters (optimized for performance)
     const L_u = currentValueUSD; // User liquidity
-    const L_T = marketData.poolTVL; // Total pool liquidity
+    const L_T = pool.poolTVL; // Total liquidity of the position's pool
     const D_u = positionAgeDays; // Position age for time multiplier
-    const P = 365; // Program duration (days)
-    const R_P = marketData.dailyBudget; // Daily reward budget
+    const P = this.TIME_BOOST_PERIOD_DAYS; // Program duration (days)
+    const R_P = pool.dailyBudget; // Pool's share of the daily reward budget
+
+    // Multipliers from the program settings version in force now (today's rate)
+    const currentSettings = settingsVersionAt(marketData.settingsVersions, now);
+    const b_time = currentSettings ? currentSettings.timeBoostCoefficient : this.TIME_BOOST_COEFFICIENT; // Time boost coefficient
+    const isFullRange = this.isFullRangePosition(Number(position.tickLower), Number(position.tickUpper), Number(position.feeTier));
+    const FRB = isFullRange ? marketData.fullRangeBonus : 1.0; // Admin-configured full range bonus
+    const meetsMinimum = (version: SettingsVersion | undefined) => !version || currentValueUSD >= version.minimumPositionValue;
+
+    // Time boost × FRB for one day of the position's life, averaged over the settings versions in force
+    // that day. Intervals under a version whose minimum position value isn't met earn nothing.
+    const dayFormulaMultiplier = (dayIndex: number): number => {
+      const dayStart = new Date(createdAt.getTime() + dayIndex * DAY_MS);
+      const dayEnd = new Date(dayStart.getTime() + DAY_MS);
+      return splitBySettingsVersion(marketData.settingsVersions, dayStart, dayEnd).reduce((sum, segment) => {
+        if (!meetsMinimum(segment.version)) return sum;
+        const fraction = (segment.to.getTime() - segment.from.getTime()) / DAY_MS;
+        const timeBoost = 1 + ((dayIndex / this.TIME_BOOST_PERIOD_DAYS) * segment.version.timeBoostCoefficient);
+        return sum + fraction * timeBoost * (isFullRange ? segment.version.fullRangeBonus : 1.0);
+      }, 0);
+    };
+
+    // In-range multiplier per day: time-weighted share of the day the pool tick sat inside
+    // [tickLower, tickUpper). Days without tick history are treated as fully in range.
+    const dayIRM = (dayIndex: number): number => {
+      const ratio = dailyInRangeRatios[dayIndex];
+      return ratio === null || ratio === undefined ? 1.0 : ratio;
+    };
+    const IRM = dayIRM(Math.max(0, Math.ceil(positionAgeDays) - 1)); // Most recent day for "today's rate"
 
-    // Multipliers (configurable but using efficient defaults)
-    const b_time = 0.6; // Time boost coefficient
-    const IRM = 1.0; // In-range multiplier (assume fully in range for performance)
-    const FRB = 1.0; // Full range bonus multiplier
+    // Liquidity actually held each day relative to current liquidity (from the position's
+    // liquidity history), so accrual follows increases/decreases instead of today's size
+    const dayLiquidityFactor = (dayIndex: number): number => dailyLiquidityFactors[dayIndex] ?? 1.0;
 
     // CORE CALCULATION: R_u = (L_u/L_T) × (1 + ((D_u/P) × b_time)) × IRM × FRB × (R/P)
     const liquidityRatio = L_u / L_T;
     const currentTimeBoost = 1 + ((D_u / P) * b_time);
     
+    // Epoch normalisation: scale uncapped rates the same way the last finalized day was scaled
+    const emissionScale = finalized ? finalized.scale : 1.0;
+
     // DAILY RATE: Use current time boost for accurate "today's rate" display
-    const dailyRewards = liquidityRatio * currentTimeBoost * IRM * FRB * R_P;
+    const dailyRewards = meetsMinimum(currentSettings)
+      ? liquidityRatio * currentTimeBoost * IRM * FRB * R_P * emissionScale
+      : 0;
     const hourlyRewards = dailyRewards / 24;
 
-    // ACCUMULATION: Integrate time boost over actual position lifetime
+    // ACCUMULATION: Integrate time boost and in-range time over actual position lifetime
     // Instead of current_rate × total_hours, calculate actual earned rewards
-    const baseHourlyRate = (liquidityRatio * IRM * FRB * R_P) / 24; // Base rate without time boost
+    const baseHourlyRate = (liquidityRatio * R_P) / 24; // Base rate without time boost, FRB or IRM
     
-    let totalAccumulatedSinceCreation = 0;
+    let unfinalizedAccumulated = 0;
+    let weightedInRangeHours = 0;
+    let totalWeightedHours = 0;
+
+    // Time before the end of the last finalized epoch is already paid out of daily_rewards
+    const accrualStartHours = finalized
+      ? Math.max(0, (finalized.through.getTime() - createdAt.getTime()) / (1000 * 60 * 60))
+      : 0;
     
     // Calculate accumulated rewards hour by hour with proper time boost integration
     // For performance, we'll use daily chunks since time boost changes slowly
     for (let dayIndex = 0; dayIndex < Math.ceil(positionAgeDays); dayIndex++) {
-      const dayProgress = dayIndex / P; // Days since creation / Program duration
-      const dayTimeBoost = 1 + (dayProgress * b_time);
-      const dayRate = baseHourlyRate * dayTimeBoost;
+      const dayRate = baseHourlyRate * dayFormulaMultiplier(dayIndex) * dayIRM(dayIndex) * dayLiquidityFactor(dayIndex);
       
       // For partial last day, only count actual hours
       const hoursInThisDay = dayIndex === Math.floor(positionAgeDays) 
         ? ((positionAgeDays - dayIndex) * 24) 
         : 24;
+      const dayStartHours = dayIndex * 24;
+      const unfinalizedHours = Math.max(0, Math.min(hoursInThisDay, dayStartHours + hoursInThisDay - accrualStartHours));
       
-      totalAccumulatedSinceCreation += dayRate * hoursInThisDay;
+      unfinalizedAccumulated += dayRate * unfinalizedHours;
+      weightedInRangeHours += dayIRM(dayIndex) * hoursInThisDay;
+      totalWeightedHours += hoursInThisDay;
     }
 
+    const totalAccumulatedSinceCreation = (finalized ? finalized.amount : 0) + unfinalizedAccumulated * emissionScale;
+
+    const lifetimeInRangeMultiplier = totalWeightedHours > 0 ? weightedInRangeHours / totalWeightedHours : IRM;
+
     // Calculate APR breakdown
     const tradingFeeAPR = marketData.tradingAPR;
-    const incentiveAPR = marketData.programAPR;
+    const incentiveAPR = pool.programAPR;
     const effectiveAPR = tradingFeeAPR + incentiveAPR;
 
     return {
@@ -262,10 +434,97 @@ export class UnifiedRewardService {
       liquidityAmount: currentValueUSD,
       effectiveAPR: Math.max(0, effectiveAPR),
       tradingFeeAPR: Math.max(0, tradingFeeAPR),
-      incentiveAPR: Math.max(0, incentiveAPR)
+      incentiveAPR: Math.max(0, incentiveAPR),
+      inRangeMultiplier: lifetimeInRangeMultiplier,
+      isFullRange,
+      fullRangeBonus: FRB
     };
   }
 
+  /**
+   * Load the per-day time-in-range ratios for a position from recorded pool tick snapshots
+   */
+  private async getPositionInRangeRatios(position: any, createdAt: Date): Promise<(number | null)[]> {
+    return poolTickSnapshotService.getDailyInRangeRatios(
+      position.poolAddress,
+      Number(position.tickLower),
+      Number(position.tickUpper),
+      createdAt
+    );
+  }
+
+  /**
+   * Load the per-day liquidity factors for a position from its recorded liquidity history
+   */
+  private async getPositionLiquidityFactors(position: any, createdAt: Date): Promise<number[]> {
+    return liquidityHistoryService.getDailyLiquidityFactors(position, createdAt);
+  }
+
+  /**
+   * Latest finalized emission epoch: its end and each pool's normalisation factor (cached)
+   */
+  private async getLatestEmissionEpoch(): Promise<{ through: Date; scales: Map<string, number> } | null> {
+    const cacheKey = 'latest_emission_epoch';
+    const cached = this.cache.get(cacheKey);
+
+    if (cached && (Date.now() - cached.timestamp) < this.CACHE_DURATION) {
+      return cached.epoch;
+    }
+
+    try {
+      const [latest] = await db.select({ date: dailyRewards.date })
+        .from(dailyRewards)
+        .orderBy(desc(dailyRewards.date))
+        .limit(1);
+
+      let epoch: { through: Date; scales: Map<string, number> } | null = null;
+      if (latest) {
+        const poolFactors = await db.select({
+          poolAddress: lpPositions.poolAddress,
+          normalizationFactor: sql<string>`MAX(${dailyRewards.normalizationFactor})`
+        })
+          .from(dailyRewards)
+          .innerJoin(lpPositions, eq(dailyRewards.positionId, lpPositions.id))
+          .where(eq(dailyRewards.date, latest.date))
+          .groupBy(lpPositions.poolAddress);
+
+        epoch = {
+          through: new Date(new Date(`${latest.date}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000),
+          scales: new Map(poolFactors.map(row => [
+            row.poolAddress.toLowerCase(),
+            row.normalizationFactor ? parseFloat(row.normalizationFactor) : 1.0
+          ]))
+        };
+      }
+
+      this.cache.set(cacheKey, { epoch, timestamp: Date.now() });
+      return epoch;
+    } catch (error) {
+      console.warn('Failed to load latest emission epoch:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Finalized (capped) rewards per position from the reward ledger
+   */
+  private async getFinalizedAccruals(positions: { id: number; poolAddress: string }[]): Promise<Map<number, FinalizedAccrual>> {
+    const result = new Map<number, FinalizedAccrual>();
+    const epoch = await this.getLatestEmissionEpoch();
+    if (!epoch || positions.length === 0) return result;
+
+    const amounts = await rewardLedgerService.getPositionAccruals(positions.map(position => position.id));
+    for (const position of positions) {
+      // A pool with no finalized rewards on the last epoch day has no factor yet - its accrual stays unscaled
+      result.set(position.id, {
+        amount: toDisplayNumber(amounts.get(position.id) || 0n),
+        through: epoch.through,
+        scale: epoch.scales.get(position.poolAddress.toLowerCase()) ?? 1.0
+      });
+    }
+    return result;
+  }
+
   /**
    * Get complete user reward statistics with batch processing
    */
@@ -285,47 +544,53 @@ export class UnifiedRewardService {
       const walletAddress = userResult[0].address;
       const activePositions = positions.filter(pos => pos.isActive === true);
 
-      // Get claimed amount in parallel with position calculations
-      const [claimedResult, positionRewards] = await Promise.all([
-        smartContractService.getClaimedAmount(walletAddress).catch(error => {
-          console.warn(`⚠️ Failed to get claimed amount for ${walletAddress}, using 0:`, error.message);
-          return { success: false, claimedAmount: 0, error: error.message };
-        }),
-        Promise.all(activePositions.map(position => 
-          this.calculatePositionReward(position, marketData, position.createdAt || new Date())
-        ))
+      const finalizedAccruals = await this.getFinalizedAccruals(activePositions);
+
+      // Ledger balance (finalized accruals of all positions, including closed ones) in parallel with position calculations
+      const [balance, positionRewards] = await Promise.all([
+        rewardLedgerService.getBalance(walletAddress),
+        Promise.all(activePositions.map(async position => {
+          const createdAt = position.createdAt || new Date();
+          const [inRangeRatios, liquidityFactors] = await Promise.all([
+            this.getPositionInRangeRatios(position, createdAt),
+            this.getPositionLiquidityFactors(position, createdAt)
+          ]);
+          return this.calculatePositionReward(
+            position, marketData, createdAt, inRangeRatios, liquidityFactors, finalizedAccruals.get(position.id) || null
+          );
+        }))
       ]);
 
-      const actualClaimedAmount = claimedResult?.success ? (claimedResult.claimedAmount || 0) : 0;
-      console.log(`💰 Claimed amount for ${walletAddress}: ${actualClaimedAmount} KILT (success: ${claimedResult?.success})`);
+      const accrued = toDisplayNumber(balance.accrued);
+      const claimed = toDisplayNumber(balance.claimed);
+      const claimable = toDisplayNumber(balance.claimable);
+      console.log(`💰 Ledger balance for ${walletAddress}: accrued ${accrued}, claimed ${claimed} (${balance.claimedSource}), claimable ${claimable} KILT`);
       console.log(`📊 Position rewards calculated: ${positionRewards.length} positions`);
       positionRewards.forEach((reward, idx) => {
-        console.log(`  Position ${idx + 1}: ${reward.nftTokenId} - Daily: ${reward.dailyRewards.toFixed(2)}, Accumulated: ${reward.accumulatedRewards.toFixed(2)}`);
+        console.log(`  Position ${idx + 1}: ${reward.nftTokenId} - Daily: ${reward.dailyRewards.toFixed(2)}, Accumulated: ${reward.accumulatedRewards.toFixed(2)}, IRM: ${(reward.inRangeMultiplier ?? 1).toFixed(3)}`);
       });
 
-      // Aggregate results efficiently
+      // Accrual since the last finalized epoch - not in the ledger yet, so not claimable
       const totals = positionRewards.reduce(
-        (acc, reward) => ({
+        (acc, reward, index) => ({
           dailyRewards: acc.dailyRewards + reward.dailyRewards,
-          accumulated: acc.accumulated + reward.accumulatedRewards
+          pending: acc.pending + Math.max(0, reward.accumulatedRewards - (finalizedAccruals.get(activePositions[index].id)?.amount || 0))
         }),
-        { dailyRewards: 0, accumulated: 0 }
+        { dailyRewards: 0, pending: 0 }
       );
-
-      // FIXED: Ensure consistent calculation logic
-      // Total Accumulated = All rewards ever earned (both claimed + unclaimed)
-      // Total Claimable = Only unclaimed rewards available to claim now
-      
-      const totalAccumulated = Math.max(0, totals.accumulated);
-      const actualClaimableAmount = Math.max(0, totalAccumulated - actualClaimedAmount);
-
-      // Ensure Total Earned is never less than Claimed (data consistency check)
-      const adjustedTotalEarned = Math.max(totalAccumulated, actualClaimedAmount + actualClaimableAmount);
+      const pendingWei = parseTokenAmount(totals.pending);
 
       return {
-        totalAccumulated: adjustedTotalEarned,
-        totalClaimable: actualClaimableAmount,
-        totalClaimed: actualClaimedAmount || 0,
+        totalAccumulated: accrued + totals.pending,
+        totalClaimable: claimable,
+        totalClaimed: claimed,
+        pendingAccrual: totals.pending,
+        amounts: {
+          totalAccumulated: toTokenAmount(balance.accrued + pendingWei),
+          totalClaimable: toTokenAmount(balance.claimable),
+          totalClaimed: toTokenAmount(balance.claimed),
+          pendingAccrual: toTokenAmount(pendingWei)
+        },
         activePositions: activePositions.length,
         avgDailyRewards: totals.dailyRewards,
         positions: positionRewards
@@ -337,6 +602,13 @@ export class UnifiedRewardService {
         totalAccumulated: 0,
         totalClaimable: 0,
         totalClaimed: 0,
+        pendingAccrual: 0,
+        amounts: {
+          totalAccumulated: toTokenAmount(0n),
+          totalClaimable: toTokenAmount(0n),
+          totalClaimed: toTokenAmount(0n),
+          pendingAccrual: toTokenAmount(0n)
+        },
         activePositions: 0,
         avgDailyRewards: 0,
         positions: []
@@ -369,8 +641,16 @@ export class UnifiedRewardService {
         };
       }
 
-      const marketData = await this.getMarketData();
-      return this.calculatePositionReward(position, marketData, position.createdAt || new Date());
+      const createdAt = position.createdAt || new Date();
+      const [marketData, inRangeRatios, liquidityFactors, finalizedAccruals] = await Promise.all([
+        this.getMarketData(),
+        this.getPositionInRangeRatios(position, createdAt),
+        this.getPositionLiquidityFactors(position, createdAt),
+        this.getFinalizedAccruals([position])
+      ]);
+      return this.calculatePositionReward(
+        position, marketData, createdAt, inRangeRatios, liquidityFactors, finalizedAccruals.get(position.id) || null
+      );
 
     } catch (error) {
       console.error(`Failed to get position reward for ${nftTokenId}:`, error);
@@ -386,11 +666,75 @@ export class UnifiedRewardService {
     }
   }
 
+  /**
+   * Persist accrued rewards for every active position into the rewards table.
+   * accumulatedAmount is recomputed from the position's liquidity and tick history on every run,
+   * so replaying the same history always yields the same stored amount.
+   */
+  async syncRewardRecords(): Promise<{ updated: number; created: number }> {
+    const [positions, marketData] = await Promise.all([
+      db.select().from(lpPositions).where(eq(lpPositions.isActive, true)),
+      this.getMarketData()
+    ]);
+    const finalizedAccruals = await this.getFinalizedAccruals(positions);
+
+    let updated = 0;
+    let created = 0;
+    const now = new Date();
+
+    for (const position of positions) {
+      if (!position.userId) continue;
+
+      try {
+        const createdAt = position.createdAt || now;
+        const [inRangeRatios, liquidityFactors] = await Promise.all([
+          this.getPositionInRangeRatios(position, createdAt),
+          this.getPositionLiquidityFactors(position, createdAt)
+        ]);
+        const reward = this.calculatePositionReward(
+          position, marketData, createdAt, inRangeRatios, liquidityFactors, finalizedAccruals.get(position.id) || null
+        );
+
+        const values = {
+          amount: reward.accumulatedRewards.toFixed(8),
+          positionValueUSD: parseFloat(position.currentValueUSD || '0').toFixed(8),
+          dailyRewardAmount: reward.dailyRewards.toFixed(8),
+          accumulatedAmount: reward.accumulatedRewards.toFixed(8),
+          lastRewardCalculation: now
+        };
+
+        const [existing] = await db.select({ id: rewards.id }).from(rewards)
+          .where(eq(rewards.positionId, position.id))
+          .limit(1);
+
+        if (existing) {
+          await db.update(rewards).set(values).where(eq(rewards.id, existing.id));
+          updated++;
+        } else {
+          await db.insert(rewards).values({
+            ...values,
+            userId: position.userId,
+            positionId: position.id,
+            nftTokenId: position.nftTokenId,
+            liquidityAddedAt: createdAt
+          });
+          created++;
+        }
+      } catch (error) {
+        console.warn(`⚠️ Failed to sync reward record for position ${position.nftTokenId}:`, error);
+      }
+    }
+
+    console.log(`💾 REWARD RECORDS: ${updated} updated, ${created} created from liquidity history`);
+    return { updated, created };
+  }
+
   /**
    * Get program analytics with REAL blockchain pool data
    */
   async getProgramAnalytics(): Promise<{
     totalLiquidity: number;
+    tvlSource?: TVLProvenance;
     activeLiquidityProviders: number;
     totalRewardsDistributed: number;
     dailyEmissionRate: number;
@@ -417,10 +761,16 @@ export class UnifiedRewardService {
       }
     } catch (error) {
       console.warn('Using fallback APR for program analytics');
-      streamlinedData = { programAPR: 149.1, totalAPR: 153.6, poolTVL: 102250.23, kiltPrice: 0.016704 };
+      streamlinedData = {
+        programAPR: 149.1,
+        totalAPR: 153.6,
+        poolTVL: 102250.23,
+        tvl: { source: 'fallback', pricing: null, updatedAt: null, ageSeconds: null, isStale: true },
+        kiltPrice: 0.016704
+      };
     }
 
-    // Get DexScreener data for pool liquidity providers (Realistic competitive data)
+    // Get DexScreener data for pool volume - TVL comes from the streamlined APR (on-chain)
     let dexScreenerData;
     try {
       const dexResponse = await fetch('https://api.dexscreener.com/latest/dex/pairs/base/0x82da478b1382b951cbad01beb9ed459cdb16458e');
@@ -428,7 +778,6 @@ export class UnifiedRewardService {
         const data = await dexResponse.json();
         const pair = data.pairs?.[0];
         dexScreenerData = {
-          poolTVL: pair?.liquidity?.usd || 102250.23,
           volume24h: pair?.volume?.h24 || 0
         };
       } else {
@@ -437,7 +786,6 @@ export class UnifiedRewardService {
     } catch (error) {
       console.warn('Using fallback DexScreener data for program analytics');
       dexScreenerData = {
-        poolTVL: 102250.23,
         volume24h: 0
       };
     }
@@ -532,12 +880,13 @@ export class UnifiedRewardService {
     const daysSinceStart = Math.floor((now.getTime() - adminConfig.programStartDate.getTime()) / (1000 * 60 * 60 * 24));
     const daysRemaining = Math.max(0, adminConfig.programDurationDays - daysSinceStart);
     
-    console.log('🔍 ENHANCED PROGRAM ANALYTICS - Pool TVL: $' + (dexScreenerData.poolTVL || 0).toLocaleString(), 'Unique Registered Users:', registeredUserCount, 'Total Active Positions:', totalRegisteredPositions);
+    console.log('🔍 ENHANCED PROGRAM ANALYTICS - Pool TVL: $' + (streamlinedData.poolTVL || 0).toLocaleString(), `(${streamlinedData.tvl?.source || 'unknown'})`, 'Unique Registered Users:', registeredUserCount, 'Total Active Positions:', totalRegisteredPositions);
     console.log('💰 TREASURY ANALYTICS - Total Distributed:', actualTotalDistributed, 'KILT, Remaining:', treasuryRemaining, 'KILT');
     console.log('⚙️ ADMIN CONFIG - Daily Budget:', adminConfig.dailyBudget, 'KILT, Treasury:', adminConfig.treasuryAllocation, 'KILT, Duration:', adminConfig.programDurationDays, 'days');
     
     return {
-      totalLiquidity: dexScreenerData.poolTVL || 102250.23,
+      totalLiquidity: streamlinedData.poolTVL || 102250.23,
+      tvlSource: streamlinedData.tvl, // Source and age of totalLiquidity
       activeLiquidityProviders: registeredUserCount, // App registered users
       totalRewardsDistributed: actualTotalDistributed,
       dailyEmissionRate: adminConfig.dailyBudget, // Dynamic daily KILT emission from admin config
@@ -567,6 +916,9 @@ export class UnifiedRewardService {
    */
   clearAdminConfigCache(): void {
     this.cache.delete('admin_config');
+    this.cache.delete('market_data');
+    this.cache.delete('latest_emission_epoch');
+    programSettingsService.clearCache();
     console.log('🗑️ Admin configuration cache cleared');
   }
 }
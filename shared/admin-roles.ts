@@ -0,0 +1,32 @@
+// Admin roles and the permissions each one grants - shared so the admin panel hides what the server would refuse
+
+export const ADMIN_PERMISSIONS = [
+  'admin:read',         // View every admin tab and report
+  'program:manage',     // Program settings, pools and campaigns
+  'rewards:operate',    // Reward jobs, epochs, claim sync, gaming and claim hold reviews, anomaly policies
+  'treasury:manage',    // Treasury config, distributed counter reset, funding the contract and direct rewards
+  'treasury:withdraw',  // Emergency withdrawal from the treasury contract
+  'system:configure',   // Blockchain configuration and cache control
+  'access:manage'       // Admin allowlist, roles and other admins' sessions
+] as const;
+
+export type AdminPermission = typeof ADMIN_PERMISSIONS[number];
+
+export const ADMIN_ROLES = ['viewer', 'program-operator', 'treasury-operator', 'superadmin'] as const;
+
+export type AdminRole = typeof ADMIN_ROLES[number];
+
+export const ROLE_PERMISSIONS: Record<AdminRole, readonly AdminPermission[]> = {
+  'viewer': ['admin:read'],
+  'program-operator': ['admin:read', 'program:manage', 'rewards:operate'],
+  'treasury-operator': ['admin:read', 'treasury:manage', 'treasury:withdraw'],
+  'superadmin': ADMIN_PERMISSIONS
+};
+
+export function isAdminRole(role: unknown): role is AdminRole {
+  return typeof role === 'string' && (ADMIN_ROLES as readonly string[]).includes(role);
+}
+
+export function roleHasPermission(role: AdminRole | null | undefined, permission: AdminPermission): boolean {
+  return !!role && ROLE_PERMISSIONS[role].includes(permission);
+}
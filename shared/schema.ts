@@ -99,6 +99,11 @@ export const dailyRewards = pgTable("daily_rewards", {
   effectiveAPR: decimal("effective_apr", { precision: 5, scale: 2 }).notNull(),
   dailyRewardAmount: decimal("daily_reward_amount", { precision: 18, scale: 8 }).notNull(),
   daysStaked: integer("days_staked").notNull(),
+  // Emission cap normalisation audit trail: dailyRewardAmount = rawRewardAmount × normalizationFactor
+  inRangeMultiplier: decimal("in_range_multiplier", { precision: 10, scale: 8 }),
+  fullRangeBonus: decimal("full_range_bonus", { precision: 5, scale: 2 }),
+  rawRewardAmount: decimal("raw_reward_amount", { precision: 18, scale: 8 }),
+  normalizationFactor: decimal("normalization_factor", { precision: 30, scale: 18 }),
   createdAt: timestamp("created_at").defaultNow(),
 }, (table) => ({
   uniqueUserPositionDate: unique().on(table.userId, table.positionId, table.date),
@@ -148,12 +153,16 @@ export const positionEligibility = pgTable("position_eligibility", {
 }));
 
 // Program settings table - only essential formula parameters
+// Each row is one version of the program settings, in force from effectiveFrom until the next version.
+// Versions are never updated in place, so past accrual keeps the settings it was earned under.
 export const programSettings = pgTable("program_settings", {
   id: serial("id").primaryKey(),
   timeBoostCoefficient: decimal("time_boost_coefficient", { precision: 10, scale: 3 }).notNull().default("0.600"),
   fullRangeBonus: decimal("full_range_bonus", { precision: 10, scale: 3 }).notNull().default("1.200"),
   minimumPositionValue: decimal("minimum_position_value", { precision: 18, scale: 8 }).notNull().default("10.00000000"),
   lockPeriod: integer("lock_period").notNull().default(7),
+  effectiveFrom: timestamp("effective_from").defaultNow().notNull(),
+  createdBy: text("created_by"),
   updatedAt: timestamp("updated_at").defaultNow().notNull(),
 });
 
@@ -172,12 +181,56 @@ export const treasuryConfig = pgTable("treasury_config", {
   updatedAt: timestamp("updated_at").defaultNow().notNull(),
 });
 
-// Token and pool configuration table - essential blockchain addresses
+// Reward campaigns - incentive programs running alongside the base treasury_config program
+// (e.g. short promotional boosts), each with its own budget, dates, pools, formula and contract
+export const rewardCampaigns = pgTable("reward_campaigns", {
+  id: serial("id").primaryKey(),
+  name: text("name").notNull(),
+  description: text("description"),
+  smartContractAddress: text("smart_contract_address").notNull(), // Contract that pays this campaign's rewards
+  totalAllocation: numeric("total_allocation", { precision: 30, scale: 18 }).notNull(),
+  startDate: date("start_date").notNull(),
+  endDate: date("end_date").notNull(), // Inclusive
+  dailyRewardsCap: numeric("daily_rewards_cap", { precision: 30, scale: 18 }).notNull(), // totalAllocation / days
+  poolAddresses: text("pool_addresses").notNull().default("[]"), // JSON string array of lowercase pool addresses, empty = all pools
+  timeBoostCoefficient: decimal("time_boost_coefficient", { precision: 10, scale: 3 }).notNull().default("0.600"),
+  fullRangeBonus: decimal("full_range_bonus", { precision: 10, scale: 3 }).notNull().default("1.200"),
+  isActive: boolean("is_active").default(true).notNull(),
+  createdBy: text("created_by").notNull(),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+  updatedAt: timestamp("updated_at").defaultNow().notNull(),
+});
+
+// Campaign daily rewards - per-position, per-day accrual of each campaign, normalised to the campaign's cap
+export const campaignDailyRewards = pgTable("campaign_daily_rewards", {
+  id: serial("id").primaryKey(),
+  campaignId: integer("campaign_id").references(() => rewardCampaigns.id).notNull(),
+  userId: integer("user_id").references(() => users.id).notNull(),
+  positionId: integer("position_id").references(() => lpPositions.id).notNull(),
+  date: date("date").notNull(),
+  positionValueUSD: decimal("position_value_usd", { precision: 20, scale: 8 }).notNull(),
+  timeMultiplier: decimal("time_multiplier", { precision: 10, scale: 8 }).notNull(),
+  inRangeMultiplier: decimal("in_range_multiplier", { precision: 10, scale: 8 }).notNull(),
+  fullRangeBonus: decimal("full_range_bonus", { precision: 5, scale: 2 }).notNull(),
+  rawRewardAmount: decimal("raw_reward_amount", { precision: 18, scale: 8 }).notNull(),
+  normalizationFactor: decimal("normalization_factor", { precision: 30, scale: 18 }).notNull(),
+  dailyRewardAmount: decimal("daily_reward_amount", { precision: 18, scale: 8 }).notNull(),
+  createdAt: timestamp("created_at").defaultNow(),
+}, (table) => ({
+  uniqueCampaignPositionDate: unique().on(table.campaignId, table.positionId, table.userId, table.date),
+}));
+
+// Token and pool configuration table - one row per incentivized pool (see pool-registry-service)
 export const tokenPoolConfig = pgTable("token_pool_config", {
   id: serial("id").primaryKey(),
   kiltTokenAddress: text("kilt_token_address").notNull(),
-  poolAddress: text("pool_address").notNull(),
+  poolAddress: text("pool_address").notNull().unique(),
+  name: text("name"), // Display name, e.g. "KILT/USDC 0.3%"
+  feeTier: integer("fee_tier").default(3000).notNull(),
+  rewardWeight: decimal("reward_weight", { precision: 10, scale: 4 }).default("1").notNull(), // Share of the daily budget = weight / sum of active weights
+  fallbackTvlUSD: decimal("fallback_tvl_usd", { precision: 20, scale: 2 }), // Used only while the on-chain pool TVL can't be read
   isActive: boolean("is_active").default(true).notNull(),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
   updatedAt: timestamp("updated_at").defaultNow().notNull(),
 });
 
@@ -197,6 +250,10 @@ export const adminOperations = pgTable("admin_operations", {
   success: boolean("success").default(true),
   errorMessage: text("error_message"),
   timestamp: timestamp("timestamp").defaultNow().notNull(),
+  changes: text("changes"), // JSON { field: { before, after } } of the config the operation changed
+  sequence: integer("sequence").unique(), // Position in the hash chain - null on entries logged before it
+  previousHash: text("previous_hash"), // entryHash of sequence - 1
+  entryHash: text("entry_hash"), // SHA-256 (or HMAC) of this entry and previousHash, see server/admin-audit-service.ts
 });
 
 // Liquidity events tracking table
@@ -205,7 +262,10 @@ export const liquidityEvents = pgTable("liquidity_events", {
   positionId: integer("position_id").references(() => lpPositions.id).notNull(),
   transactionHash: text("transaction_hash").notNull(),
   blockNumber: integer("block_number").notNull(),
-  eventType: text("event_type").notNull(), // 'mint', 'burn', 'increase', 'decrease', 'collect'
+  eventType: text("event_type").notNull(), // 'mint', 'burn', 'increase', 'decrease', 'collect', 'transfer'
+  logIndex: integer("log_index"), // Transfers: log index of the NFT Transfer event
+  fromAddress: text("from_address"), // Transfers: lowercase sender
+  toAddress: text("to_address"), // Transfers: lowercase receiver
   amount0: numeric("amount_0", { precision: 30, scale: 18 }),
   amount1: numeric("amount_1", { precision: 30, scale: 18 }),
   liquidityDelta: numeric("liquidity_delta", { precision: 30, scale: 0 }),
@@ -214,6 +274,293 @@ export const liquidityEvents = pgTable("liquidity_events", {
   gasUsed: integer("gas_used"),
   gasPrice: numeric("gas_price", { precision: 30, scale: 0 }),
   timestamp: timestamp("timestamp").defaultNow().notNull(),
+}, (table) => ({
+  uniqueEventLog: unique().on(table.transactionHash, table.logIndex),
+}));
+
+// Position liquidity history - one row per liquidity change, derived from liquidity_events.
+// Each row's liquidity is in force from effectiveFrom until the next row for the same position.
+export const positionLiquidityHistory = pgTable("position_liquidity_history", {
+  id: serial("id").primaryKey(),
+  positionId: integer("position_id").references(() => lpPositions.id).notNull(),
+  liquidityEventId: integer("liquidity_event_id").references(() => liquidityEvents.id),
+  liquidity: numeric("liquidity", { precision: 30, scale: 0 }).notNull(), // Position liquidity after the event
+  effectiveFrom: timestamp("effective_from").notNull(),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+});
+
+// Position ownership history - one row per holder of the position NFT, derived from transfer events.
+// Each row's owner accrues from effectiveFrom until the next row for the same position.
+export const positionOwnershipHistory = pgTable("position_ownership_history", {
+  id: serial("id").primaryKey(),
+  positionId: integer("position_id").references(() => lpPositions.id).notNull(),
+  liquidityEventId: integer("liquidity_event_id").references(() => liquidityEvents.id), // The transfer, null for the registration anchor
+  ownerAddress: text("owner_address").notNull(), // Lowercase NFT holder
+  userId: integer("user_id").references(() => users.id), // null = holder has not re-registered yet, nobody accrues
+  effectiveFrom: timestamp("effective_from").notNull(),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+});
+
+// Liquidity gaming policy - single row; the built-in defaults apply until an admin saves it
+export const gamingPolicy = pgTable("gaming_policy", {
+  id: serial("id").primaryKey(),
+  minHoldingHours: integer("min_holding_hours").notNull().default(0), // Accrual starts this long after a position opens (0 = immediately)
+  clawbackEnabled: boolean("clawback_enabled").notNull().default(false), // Claw back unvested accrual of flagged positions automatically
+  vestingDays: integer("vesting_days").notNull().default(7), // Accrual of the last N epoch days is unvested
+  reviewEnabled: boolean("review_enabled").notNull().default(true), // Suspend flagged positions from accrual until an admin reviews them
+  shortLivedHours: integer("short_lived_hours").notNull().default(24), // Flag positions closed within this time of opening
+  jitWindowHours: integer("jit_window_hours").notNull().default(6), // Flag liquidity added and removed again within this window
+  oversizedPoolShare: decimal("oversized_pool_share", { precision: 10, scale: 4 }).notNull().default("0.2500"), // Flag new positions worth this share of pool TVL
+  recycleThreshold: integer("recycle_threshold").notNull().default(3), // Flag wallets opening and closing this many positions...
+  recycleWindowDays: integer("recycle_window_days").notNull().default(7), // ...within this many days
+  updatedBy: text("updated_by"),
+  updatedAt: timestamp("updated_at").defaultNow().notNull(),
+});
+
+// Liquidity gaming flags - the admin review queue; one flag per rule and subject (position or wallet)
+export const gamingFlags = pgTable("gaming_flags", {
+  id: serial("id").primaryKey(),
+  rule: text("rule").notNull(), // 'short-lived', 'jit-liquidity', 'oversized' or 'recycled'
+  subject: text("subject").notNull(), // 'position:<id>' or 'wallet:<address>'
+  userAddress: text("user_address").notNull(), // Lowercase
+  userId: integer("user_id").references(() => users.id),
+  positionIds: text("position_ids").notNull(), // JSON array of the lp_positions ids involved
+  details: text("details").notNull(), // JSON evidence for the reviewer
+  status: text("status").notNull().default("open"), // 'open', 'dismissed' or 'actioned'
+  suspended: boolean("suspended").notNull().default(false), // Positions were taken out of accrual pending review
+  clawbackAmount: numeric("clawback_amount", { precision: 78, scale: 0 }), // Wei clawed back, once clawed back
+  action: text("action"), // Review outcome: 'dismiss', 'clawback' or 'exclude'
+  reviewedBy: text("reviewed_by"),
+  reviewNote: text("review_note"),
+  reviewedAt: timestamp("reviewed_at"),
+  detectedAt: timestamp("detected_at").defaultNow().notNull(),
+}, (table) => ({
+  uniqueRuleSubject: unique().on(table.rule, table.subject),
+}));
+
+// Merkle reward epochs - one published root of all cumulative entitlements per epoch
+export const rewardEpochs = pgTable("reward_epochs", {
+  id: serial("id").primaryKey(),
+  epochNumber: integer("epoch_number").notNull().unique(),
+  merkleRoot: text("merkle_root").notNull(),
+  cutoffDate: date("cutoff_date").notNull(), // Last daily_rewards day included in the entitlements
+  totalAmount: numeric("total_amount", { precision: 78, scale: 0 }).notNull(), // Sum of all leaves (wei)
+  leafCount: integer("leaf_count").notNull(),
+  treeLayers: text("tree_layers").notNull(), // JSON string: hashed layers from leaves to root
+  publishedTxHash: text("published_tx_hash"), // Set once the root is published on-chain
+  publishedAt: timestamp("published_at"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+});
+
+// Merkle reward epoch leaves - each user's cumulative entitlement with its proof
+export const rewardEpochLeaves = pgTable("reward_epoch_leaves", {
+  id: serial("id").primaryKey(),
+  epochId: integer("epoch_id").references(() => rewardEpochs.id).notNull(),
+  userAddress: text("user_address").notNull(), // Lowercase wallet address
+  cumulativeAmount: numeric("cumulative_amount", { precision: 78, scale: 0 }).notNull(), // Wei
+  leafHash: text("leaf_hash").notNull(),
+  proof: text("proof").notNull(), // JSON string array of sibling hashes
+}, (table) => ({
+  uniqueEpochUser: unique().on(table.epochId, table.userAddress),
+}));
+
+// Reward ledger - append-only record of every wallet's finalized accruals and on-chain claims.
+// Rows are never updated or deleted: a re-finalized epoch appends an adjustment with the difference.
+export const rewardLedger = pgTable("reward_ledger", {
+  id: serial("id").primaryKey(),
+  entryType: text("entry_type").notNull(), // 'accrual', 'adjustment', 'clawback' or 'claim'
+  userAddress: text("user_address").notNull(), // Lowercase wallet address
+  userId: integer("user_id").references(() => users.id),
+  positionId: integer("position_id").references(() => lpPositions.id), // Accruals and adjustments
+  epochDate: date("epoch_date"), // Daily emission epoch of accruals and adjustments
+  revision: integer("revision"), // 0 for the accrual, 1+ for each later adjustment of the same position, owner and epoch
+  amount: numeric("amount", { precision: 78, scale: 0 }).notNull(), // Wei - adjustments may be negative
+  contractAddress: text("contract_address"), // Claims: treasury contract that emitted RewardClaimed
+  claimedTotal: numeric("claimed_total", { precision: 78, scale: 0 }), // Claims: contract claimedAmount after the claim (wei)
+  transactionHash: text("transaction_hash"),
+  logIndex: integer("log_index"),
+  blockNumber: integer("block_number"),
+  reversesEntryId: integer("reverses_entry_id"), // Claims: entry this one cancels - a claim dropped by a reorg, or that reversal once the claim is mined again
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+}, (table) => ({
+  uniquePositionEpochRevision: unique().on(table.positionId, table.userAddress, table.epochDate, table.revision),
+  uniqueClaimLog: unique().on(table.transactionHash, table.logIndex),
+}));
+
+// Chain sync checkpoints - last block a log watcher has fully processed, so a restart resumes where it stopped.
+// The block hash is compared on the next sync to detect reorgs below the checkpoint.
+export const syncCheckpoints = pgTable("sync_checkpoints", {
+  id: serial("id").primaryKey(),
+  name: text("name").notNull(), // Watcher, e.g. 'reward-claimed'
+  contractAddress: text("contract_address").notNull(), // Lowercase contract whose logs are synced
+  blockNumber: integer("block_number").notNull(),
+  blockHash: text("block_hash").notNull(),
+  updatedAt: timestamp("updated_at").defaultNow().notNull(),
+}, (table) => ({
+  uniqueWatcherContract: unique().on(table.name, table.contractAddress),
+}));
+
+// Claim signatures - every claim authorization the calculator signed, kept for support and audit.
+// Repeat requests for the same wallet and contract nonce reuse the open signature instead of signing again.
+export const claimSignatures = pgTable("claim_signatures", {
+  id: serial("id").primaryKey(),
+  userAddress: text("user_address").notNull(), // Lowercase wallet address
+  contractAddress: text("contract_address").notNull(), // Lowercase treasury contract the signature is valid for
+  nonce: integer("nonce").notNull(), // Contract nonce of the wallet when signed
+  amount: numeric("amount", { precision: 78, scale: 0 }).notNull(), // Wei authorized
+  signature: text("signature").notNull(),
+  scheme: text("scheme").notNull(), // 'eip712' or 'legacy' (packed keccak)
+  expiresAt: timestamp("expires_at"), // EIP-712 deadline - legacy signatures never expire
+  source: text("source").notNull().default("claim"), // 'claim', 'relayer' or 'security'
+  requestIp: text("request_ip"),
+  requestCount: integer("request_count").notNull().default(1), // Requests answered with this signature
+  lastRequestedAt: timestamp("last_requested_at").defaultNow().notNull(),
+  consumedAt: timestamp("consumed_at"), // RewardClaimed seen on-chain for this wallet and nonce
+  consumedTransactionHash: text("consumed_transaction_hash"),
+  consumedAmount: numeric("consumed_amount", { precision: 78, scale: 0 }), // Wei the claim actually transferred
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+});
+
+// Claim anomaly policy - single row; the built-in defaults apply until an admin saves it.
+// Each check's action is 'off', 'hold' (queue for admin review) or 'reject'.
+export const claimAnomalyPolicy = pgTable("claim_anomaly_policy", {
+  id: serial("id").primaryKey(),
+  maxAccrualAction: text("max_accrual_action").notNull().default("hold"), // Lifetime claims above what the wallet's positions could have earned
+  maxAccrualTolerancePercent: decimal("max_accrual_tolerance_percent", { precision: 10, scale: 2 }).notNull().default("0.00"),
+  jumpAction: text("jump_action").notNull().default("hold"), // Amount jumped since the wallet's last signed claim...
+  maxJumpPercent: decimal("max_jump_percent", { precision: 10, scale: 2 }).notNull().default("200.00"), // ...by more than this...
+  jumpMinAmount: numeric("jump_min_amount", { precision: 30, scale: 18 }).notNull().default("1000"), // ...and by at least this much KILT
+  solvencyAction: text("solvency_action").notNull().default("hold"), // Total outstanding claims exceed the treasury balance
+  updatedBy: text("updated_by"),
+  updatedAt: timestamp("updated_at").defaultNow().notNull(),
+});
+
+// Claim holds - the admin review queue for claims an anomaly check held back before signing.
+// An approved hold lets the same wallet, contract nonce and amount be signed without the checks.
+export const claimHolds = pgTable("claim_holds", {
+  id: serial("id").primaryKey(),
+  userAddress: text("user_address").notNull(), // Lowercase wallet address
+  contractAddress: text("contract_address").notNull(), // Lowercase treasury contract
+  nonce: integer("nonce").notNull(), // Contract nonce of the wallet when held
+  amount: numeric("amount", { precision: 78, scale: 0 }).notNull(), // Wei requested
+  findings: text("findings").notNull(), // JSON array of the checks that fired, with their reasoning
+  status: text("status").notNull().default("open"), // 'open', 'approved' or 'rejected'
+  source: text("source").notNull().default("claim"), // Claim signature source that requested it
+  requestIp: text("request_ip"),
+  requestCount: integer("request_count").notNull().default(1), // Requests answered with this hold
+  reviewedBy: text("reviewed_by"),
+  reviewNote: text("review_note"),
+  reviewedAt: timestamp("reviewed_at"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+});
+
+// Treasury runway alerting - one row; the runway monitor alerts when the forecast runway drops below the threshold
+export const treasuryRunwayPolicy = pgTable("treasury_runway_policy", {
+  id: serial("id").primaryKey(),
+  alertThresholdDays: integer("alert_threshold_days").notNull().default(14), // Alert when the treasury runs dry sooner than this
+  alertingSince: timestamp("alerting_since"), // Set while the runway is below the threshold, so each drop alerts once
+  updatedBy: text("updated_by"),
+  updatedAt: timestamp("updated_at").defaultNow().notNull(),
+});
+
+// Gasless claims - claims a user asked the relayer to submit, and the transaction it sent.
+// Status: 'pending' (intent accepted, not yet broadcast), 'submitted', 'confirmed' or 'failed'.
+export const relayedClaims = pgTable("relayed_claims", {
+  id: serial("id").primaryKey(),
+  userAddress: text("user_address").notNull(), // Lowercase wallet the rewards are paid to
+  contractAddress: text("contract_address").notNull(), // Lowercase treasury contract
+  nonce: integer("nonce").notNull(), // Contract nonce of the wallet when signed
+  amount: numeric("amount", { precision: 78, scale: 0 }).notNull(), // Wei claimed
+  claimSignatureId: integer("claim_signature_id").references(() => claimSignatures.id).notNull(),
+  intentSignature: text("intent_signature").notNull(), // User's EIP-712 ClaimIntent signature
+  status: text("status").notNull().default("pending"),
+  relayerAddress: text("relayer_address").notNull(),
+  transactionHash: text("transaction_hash"),
+  estimatedCostWei: numeric("estimated_cost_wei", { precision: 78, scale: 0 }).notNull(), // Gas budget reserved before sending
+  gasUsed: numeric("gas_used", { precision: 78, scale: 0 }),
+  gasCostWei: numeric("gas_cost_wei", { precision: 78, scale: 0 }), // Actual fee paid, from the receipt
+  error: text("error"),
+  requestIp: text("request_ip"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+  submittedAt: timestamp("submitted_at"),
+  confirmedAt: timestamp("confirmed_at"), // Receipt seen (success or revert)
+});
+
+// Admin allowlist - wallets allowed to sign in to the admin panel. Revoked wallets are kept for the audit trail.
+export const adminWallets = pgTable("admin_wallets", {
+  id: serial("id").primaryKey(),
+  address: text("address").notNull().unique(), // Lowercase wallet address
+  label: text("label"),
+  role: text("role").notNull().default("superadmin"), // See shared/admin-roles.ts - new wallets always get one explicitly
+  addedBy: text("added_by").notNull(), // Admin wallet, or 'ADMIN_WALLETS' for the bootstrap list
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+  revokedBy: text("revoked_by"),
+  revokedAt: timestamp("revoked_at"),
+});
+
+// Sign-In-With-Ethereum nonces - each is issued for one login and used at most once
+export const adminAuthNonces = pgTable("admin_auth_nonces", {
+  id: serial("id").primaryKey(),
+  nonce: text("nonce").notNull().unique(),
+  requestIp: text("request_ip"),
+  expiresAt: timestamp("expires_at").notNull(),
+  usedAt: timestamp("used_at"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+});
+
+// Admin sessions - created by a verified SIWE signature. Only the SHA-256 of the session token is stored.
+export const adminSessions = pgTable("admin_sessions", {
+  id: serial("id").primaryKey(),
+  tokenHash: text("token_hash").notNull().unique(),
+  address: text("address").notNull(), // Lowercase admin wallet
+  requestIp: text("request_ip"),
+  userAgent: text("user_agent"),
+  expiresAt: timestamp("expires_at").notNull(),
+  lastSeenAt: timestamp("last_seen_at").defaultNow().notNull(),
+  revokedBy: text("revoked_by"), // Admin wallet, 'logout' or 'allowlist'
+  revokedAt: timestamp("revoked_at"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+});
+
+// Two-person approval - sensitive treasury operations wait here until enough distinct admins approve them.
+// Status: 'pending', 'executing', 'executed', 'failed', 'rejected' or 'expired'.
+export const adminProposals = pgTable("admin_proposals", {
+  id: serial("id").primaryKey(),
+  operation: text("operation").notNull(), // 'emergency_withdraw', 'reset_distributed' or 'treasury_config'
+  params: text("params").notNull(), // JSON of the validated parameters the operation runs with
+  summary: text("summary").notNull(), // What the operation will do, for reviewers
+  status: text("status").notNull().default("pending"),
+  requiredApprovals: integer("required_approvals").notNull(), // Distinct approvals needed, the proposer's included
+  proposedBy: text("proposed_by").notNull(),
+  expiresAt: timestamp("expires_at").notNull(), // End of the approval window
+  result: text("result"), // JSON returned by the operation once executed
+  error: text("error"),
+  executedBy: text("executed_by"), // Admin whose approval completed the proposal
+  claimedAt: timestamp("claimed_at"), // When execution started - an 'executing' proposal claimed too long ago is failed
+  executedAt: timestamp("executed_at"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+});
+
+// One vote per admin per proposal - the proposer's approval is recorded when the proposal is made
+export const adminProposalVotes = pgTable("admin_proposal_votes", {
+  id: serial("id").primaryKey(),
+  proposalId: integer("proposal_id").references(() => adminProposals.id).notNull(),
+  voter: text("voter").notNull(), // Lowercase admin wallet
+  decision: text("decision").notNull(), // 'approve' or 'reject'
+  note: text("note"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+}, (table) => ({
+  uniqueProposalVoter: unique().on(table.proposalId, table.voter),
+}));
+
+// Pool tick snapshots - sampled pool tick history used for time-in-range reward weighting
+export const poolTickSnapshots = pgTable("pool_tick_snapshots", {
+  id: serial("id").primaryKey(),
+  poolAddress: text("pool_address").notNull(),
+  tick: integer("tick").notNull(),
+  sqrtPriceX96: numeric("sqrt_price_x96", { precision: 78, scale: 0 }).notNull(),
+  kiltPriceUSD: decimal("kilt_price_usd", { precision: 18, scale: 8 }), // KILT price when sampled - values positions on past days; null on older rows
+  recordedAt: timestamp("recorded_at").defaultNow().notNull(),
 });
 
 // Insert/select schemas for admin operations audit log
@@ -304,6 +651,21 @@ export const insertLiquidityEventSchema = createInsertSchema(liquidityEvents).pi
   gasPrice: true,
 });
 
+export const insertPositionLiquidityHistorySchema = createInsertSchema(positionLiquidityHistory).pick({
+  positionId: true,
+  liquidityEventId: true,
+  liquidity: true,
+  effectiveFrom: true,
+});
+
+export const insertPoolTickSnapshotSchema = createInsertSchema(poolTickSnapshots).pick({
+  poolAddress: true,
+  tick: true,
+  sqrtPriceX96: true,
+  kiltPriceUSD: true,
+  recordedAt: true,
+});
+
 export const insertRewardSchema = createInsertSchema(rewards).pick({
   userId: true,
   positionId: true,
@@ -327,6 +689,10 @@ export const insertDailyRewardSchema = createInsertSchema(dailyRewards).pick({
   effectiveAPR: true,
   dailyRewardAmount: true,
   daysStaked: true,
+  inRangeMultiplier: true,
+  fullRangeBonus: true,
+  rawRewardAmount: true,
+  normalizationFactor: true,
 });
 
 export const insertPoolStatsSchema = createInsertSchema(poolStats).pick({
@@ -378,6 +744,11 @@ export type InsertTreasuryConfig = typeof treasuryConfig.$inferInsert;
 export type AdminOperation = typeof adminOperations.$inferSelect;
 export type InsertAdminOperation = typeof adminOperations.$inferInsert;
 
+export type RewardCampaign = typeof rewardCampaigns.$inferSelect;
+export type InsertRewardCampaign = typeof rewardCampaigns.$inferInsert;
+export type CampaignDailyReward = typeof campaignDailyRewards.$inferSelect;
+export type InsertCampaignDailyReward = typeof campaignDailyRewards.$inferInsert;
+
 export type TokenPoolConfig = typeof tokenPoolConfig.$inferSelect;
 export type InsertTokenPoolConfig = typeof tokenPoolConfig.$inferInsert;
 
@@ -401,3 +772,34 @@ export type PoolStats = typeof poolStats.$inferSelect;
 // Clean up duplicate type definitions
 export type LiquidityEvent = typeof liquidityEvents.$inferSelect;
 export type InsertLiquidityEvent = z.infer<typeof insertLiquidityEventSchema>;
+export type PoolTickSnapshot = typeof poolTickSnapshots.$inferSelect;
+export type InsertPoolTickSnapshot = z.infer<typeof insertPoolTickSnapshotSchema>;
+export type PositionLiquidityHistory = typeof positionLiquidityHistory.$inferSelect;
+export type InsertPositionLiquidityHistory = z.infer<typeof insertPositionLiquidityHistorySchema>;
+export type PositionOwnershipHistory = typeof positionOwnershipHistory.$inferSelect;
+export type InsertPositionOwnershipHistory = typeof positionOwnershipHistory.$inferInsert;
+export type RewardEpoch = typeof rewardEpochs.$inferSelect;
+export type InsertRewardEpoch = typeof rewardEpochs.$inferInsert;
+export type RewardEpochLeaf = typeof rewardEpochLeaves.$inferSelect;
+export type InsertRewardEpochLeaf = typeof rewardEpochLeaves.$inferInsert;
+export type RewardLedgerEntry = typeof rewardLedger.$inferSelect;
+export type InsertRewardLedgerEntry = typeof rewardLedger.$inferInsert;
+export type GamingPolicy = typeof gamingPolicy.$inferSelect;
+export type GamingFlag = typeof gamingFlags.$inferSelect;
+export type InsertGamingFlag = typeof gamingFlags.$inferInsert;
+export type SyncCheckpoint = typeof syncCheckpoints.$inferSelect;
+
+export type ClaimSignature = typeof claimSignatures.$inferSelect;
+export type InsertClaimSignature = typeof claimSignatures.$inferInsert;
+export type ClaimAnomalyPolicy = typeof claimAnomalyPolicy.$inferSelect;
+export type ClaimHold = typeof claimHolds.$inferSelect;
+export type InsertClaimHold = typeof claimHolds.$inferInsert;
+export type TreasuryRunwayPolicy = typeof treasuryRunwayPolicy.$inferSelect;
+
+export type RelayedClaim = typeof relayedClaims.$inferSelect;
+export type InsertRelayedClaim = typeof relayedClaims.$inferInsert;
+
+export type AdminWallet = typeof adminWallets.$inferSelect;
+export type AdminSession = typeof adminSessions.$inferSelect;
+export type AdminProposal = typeof adminProposals.$inferSelect;
+export type AdminProposalVote = typeof adminProposalVotes.$inferSelect;
@@ -0,0 +1,25 @@
+// Encrypt a signing key into a JSON keystore for CALCULATOR_SIGNER=keystore / TREASURY_SIGNER=keystore
+// Usage: KEY_TO_ENCRYPT=0x... KEYSTORE_PASSWORD=... node tools/encrypt-keystore.js calculator-keystore.json
+import { writeFile } from 'fs/promises';
+import { ethers } from 'ethers';
+
+const output = process.argv[2] || 'keystore.json';
+const privateKey = process.env.KEY_TO_ENCRYPT;
+const password = process.env.KEYSTORE_PASSWORD;
+
+if (!privateKey || !password) {
+  console.error('❌ KEY_TO_ENCRYPT and KEYSTORE_PASSWORD are required');
+  process.exit(1);
+}
+
+console.log('🔐 Encrypting key (this takes a few seconds)...');
+const wallet = new ethers.Wallet(privateKey);
+await writeFile(output, await wallet.encrypt(password), { mode: 0o600 });
+
+console.log(`\n✅ Keystore for ${wallet.address} written to ${output}`);
+console.log('\n🔧 Next Steps:');
+console.log('1. Move the keystore to the server and set:');
+console.log('   CALCULATOR_SIGNER=keystore');
+console.log(`   CALCULATOR_KEYSTORE_PATH=/path/to/${output}`);
+console.log('   CALCULATOR_KEYSTORE_PASSWORD_FILE=/path/to/password-file');
+console.log('2. Remove CALCULATOR_PRIVATE_KEY from the environment');
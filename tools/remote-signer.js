@@ -0,0 +1,63 @@
+// Local stand-in for the remote signer (protocol: docs/remote-signer.md)
+// Signs with REMOTE_SIGNER_PRIVATE_KEY - for development and tests only, never for production keys
+import http from 'http';
+import { ethers } from 'ethers';
+
+const PORT = Number(process.env.REMOTE_SIGNER_PORT || 8555);
+const TOKEN = process.env.REMOTE_SIGNER_TOKEN;
+const PRIVATE_KEY = process.env.REMOTE_SIGNER_PRIVATE_KEY;
+
+if (!PRIVATE_KEY) {
+  console.error('❌ REMOTE_SIGNER_PRIVATE_KEY is required');
+  process.exit(1);
+}
+
+const wallet = new ethers.Wallet(PRIVATE_KEY);
+
+const methods = {
+  signer_address: async () => wallet.address,
+  sign_message: async ({ message }) => wallet.signMessage(ethers.getBytes(message)),
+  sign_typed_data: async ({ domain, types, message }) => {
+    const { EIP712Domain, ...messageTypes } = types;
+    return wallet.signTypedData(domain, messageTypes, message);
+  },
+  sign_transaction: async ({ transaction }) => wallet.signTransaction(ethers.Transaction.from(transaction))
+};
+
+function reply(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') return reply(res, 405, { error: { message: 'POST only' } });
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) {
+    return reply(res, 401, { error: { message: 'Unauthorized' } });
+  }
+
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', async () => {
+    let request;
+    try {
+      request = JSON.parse(raw);
+    } catch {
+      return reply(res, 400, { error: { message: 'Invalid JSON' } });
+    }
+
+    const method = methods[request.method];
+    if (!method) return reply(res, 400, { id: request.id, error: { message: `Unknown method ${request.method}` } });
+
+    try {
+      const result = await method(request.params || {});
+      console.log(`✍️ ${request.method} (${request.id})`);
+      reply(res, 200, { id: request.id, result });
+    } catch (error) {
+      reply(res, 400, { id: request.id, error: { message: error.message } });
+    }
+  });
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+  console.log(`🔐 Remote signer stand-in for ${wallet.address} listening on http://127.0.0.1:${PORT}`);
+});